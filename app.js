@@ -32,11 +32,29 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Routes
 app.use('/', require('./routes/auth'));
+app.use('/shops', require('./routes/shops'));
+app.use('/dashboard/settings', require('./routes/settings'));
+app.use('/dashboard/shop', require('./routes/shopSettings'));
+app.use('/dashboard', require('./routes/dashboard'));
+app.use('/book', require('./routes/publicBooking'));
+app.use('/webhook/services', require('./routes/services'));
+app.use('/webhook/appointments', require('./routes/appointments'));
+app.use('/webhook/booking-flow', require('./routes/bookingFlow'));
+app.use('/webhook/waitlist', require('./routes/waitlist'));
+app.use('/webhook/time-off', require('./routes/timeOff'));
+app.use('/webhook/calendar', require('./routes/calendar'));
+app.use('/webhook/sms', require('./routes/sms'));
+// Last, so it doesn't ask the routers above for a shop key
 app.use('/webhook', require('./routes/webhook'));
 
+// SMS_CONVERSATION=agent answers inbound texts with the booking agent
+if (process.env.SMS_CONVERSATION === 'agent') {
+  require('./utils/conversation').setConversationHandler(require('./utils/agent').agentConversation);
+}
+
 // Home route
 app.get('/', (req, res) => {
-  res.render('index');
+  res.render('index', { shopSignup: !!process.env.SHOP_SIGNUP_KEY });
 });
 
 // Error handling middleware
@@ -51,4 +69,10 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Keep Google Calendar notification channels from expiring
+  require('./utils/calendarSync').scheduleWatchRenewal();
+  // Send appointment reminders as they come due
+  require('./utils/reminders').startReminderScheduler();
+  // Archive conversation sessions that have gone quiet
+  require('./utils/sessions').scheduleSessionArchival();
 });
\ No newline at end of file
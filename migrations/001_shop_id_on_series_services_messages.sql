@@ -0,0 +1,35 @@
+-- appointment_series, barber_services and conversation_messages belong to a
+-- shop like the other SHOP_TABLES in utils/supabase.js. Adds their shop_id
+-- (the same type as shops.id) and fills it in from the row each one hangs off.
+-- Rows whose parent has no shop yet are left for the first shop to adopt.
+DO $$
+DECLARE
+  shop_id_type text;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO shop_id_type
+  FROM pg_attribute
+  WHERE attrelid = 'shops'::regclass AND attname = 'id';
+
+  EXECUTE format('ALTER TABLE appointment_series ADD COLUMN IF NOT EXISTS shop_id %s REFERENCES shops(id)', shop_id_type);
+  EXECUTE format('ALTER TABLE barber_services ADD COLUMN IF NOT EXISTS shop_id %s REFERENCES shops(id)', shop_id_type);
+  EXECUTE format('ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS shop_id %s REFERENCES shops(id)', shop_id_type);
+END $$;
+
+UPDATE appointment_series AS series
+SET shop_id = barbers.shop_id
+FROM barbers
+WHERE series.barber_id = barbers.id AND series.shop_id IS NULL;
+
+UPDATE barber_services AS overrides
+SET shop_id = barbers.shop_id
+FROM barbers
+WHERE overrides.barber_id = barbers.id AND overrides.shop_id IS NULL;
+
+UPDATE conversation_messages AS messages
+SET shop_id = sessions.shop_id
+FROM conversation_sessions AS sessions
+WHERE messages.session_id = sessions.id AND messages.shop_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS appointment_series_shop_id_idx ON appointment_series (shop_id);
+CREATE INDEX IF NOT EXISTS barber_services_shop_id_idx ON barber_services (shop_id);
+CREATE INDEX IF NOT EXISTS conversation_messages_shop_id_idx ON conversation_messages (shop_id);
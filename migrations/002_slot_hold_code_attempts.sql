@@ -0,0 +1,3 @@
+-- Wrong codes entered for a web booking are counted on its slot hold, so
+-- guesses sent in parallel can't each read the same count from the session
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS code_attempts integer NOT NULL DEFAULT 0;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { requireShop } = require('../utils/shops');
+const { appointmentOps, barberOps } = require('../utils/supabase');
+const { getBarberTimezone, formatInZone } = require('../utils/timezone');
+const { getStatus, findUpcomingAppointment } = require('../utils/appointmentStatus');
+const { handleAppointmentStatus } = require('../utils/booking');
+
+router.use(requireShop);
+
+async function describeAppointment(appointment) {
+  const barber = await barberOps.getById(appointment.barber_id);
+  const timeZone = getBarberTimezone(barber);
+  return {
+    eventId: appointment.google_calendar_event_id,
+    clientPhone: appointment.client_phone,
+    barberId: appointment.barber_id,
+    service: appointment.service_type,
+    status: getStatus(appointment),
+    start: formatInZone(new Date(appointment.start_time), timeZone),
+    end: formatInZone(new Date(appointment.end_time), timeZone),
+    timeZone
+  };
+}
+
+// The client's next appointment that isn't cancelled
+router.get('/upcoming', async (req, res) => {
+  const { clientPhone } = req.query;
+
+  if (!clientPhone) {
+    return res.status(400).json({ success: false, error: 'clientPhone is required' });
+  }
+
+  try {
+    const appointment = await findUpcomingAppointment(clientPhone);
+    return res.status(200).json({
+      success: true,
+      found: !!appointment,
+      appointment: appointment ? await describeAppointment(appointment) : null
+    });
+  } catch (e) {
+    console.error('Error finding upcoming appointment:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/:eventId', async (req, res) => {
+  try {
+    const [appointment] = await appointmentOps.getByEventIds([req.params.eventId]);
+    if (!appointment) {
+      return res.status(404).json({ success: false, error: 'Appointment not found' });
+    }
+    return res.status(200).json({ success: true, appointment: await describeAppointment(appointment) });
+  } catch (e) {
+    console.error('Error fetching appointment:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Move an appointment to pending, confirmed, cancelled, completed or no_show
+router.post('/:eventId/status', async (req, res) => {
+  const { status, clientPhone } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ success: false, error: 'status is required' });
+  }
+
+  try {
+    const outcome = await handleAppointmentStatus(req.params.eventId, status, { clientPhone });
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error updating appointment status:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,26 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { google } = require('googleapis');
-const { barberOps } = require('../utils/supabase');
+const { barberOps, shopOps } = require('../utils/supabase');
+const { WEEKDAYS, buildWorkingHoursFromForm, getShopWorkingHours } = require('../utils/workingHours');
+const { isValidTimeZone } = require('../utils/timezone');
+const { getNotificationUrl, watchBarberCalendar } = require('../utils/calendarSync');
+const { updateFormBarberDropdown, refreshBarberDropdown } = require('../utils/googleForms');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { runWithShop, getCurrentShop } = require('../utils/shopContext');
+const { getDefaultShop, requireShop } = require('../utils/shops');
+const { createOAuthClient, exchangeAuthCode } = require('../utils/googleAuth');
 
-// Set up OAuth2 client
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.REDIRECT_URI
-);
+// Barbers register into the shop from their join link, or the default shop.
+// Deployments that haven't set up shops yet register outside any shop.
+async function runInRegistrationShop(req, res, task) {
+  const shop = req.session.shopId ? await shopOps.getById(req.session.shopId) : await getDefaultShop();
+  if (!shop && (req.session.shopId || (await shopOps.getAll({ limit: 1 })).length > 0)) {
+    return res.render('error', { message: 'Use the join link from your shop to register.' });
+  }
+  return await runWithShop(shop, task);
+}
 
 // Google login route
 router.get('/auth/google', (req, res) => {
@@ -18,12 +30,13 @@ router.get('/auth/google', (req, res) => {
   }
 
   // Generate authentication URL
-  const authUrl = oauth2Client.generateAuthUrl({
+  const authUrl = createOAuthClient().generateAuthUrl({
     access_type: 'offline',
     scope: [
       'https://www.googleapis.com/auth/calendar',
       'https://www.googleapis.com/auth/calendar.events',
       'https://www.googleapis.com/auth/forms',  // Add Forms API scope
+      'openid',
       'profile',
       'email'
     ],
@@ -33,66 +46,172 @@ router.get('/auth/google', (req, res) => {
   res.redirect(authUrl);
 });
 
+// Dashboard sign-in for barbers who have already registered. It only needs
+// the Google account's email, so it doesn't ask for calendar access again.
+router.get('/login', (req, res) => {
+  if (req.session.barberId) {
+    return res.redirect('/dashboard');
+  }
+
+  // Tells the shared callback this is a sign-in, and that it started here
+  req.session.loginState = crypto.randomBytes(16).toString('hex');
+  // ?shop=<shop id> signs in to that shop when the account is a barber in several
+  req.session.loginShopId = req.query.shop || null;
+
+  const authUrl = createOAuthClient().generateAuthUrl({
+    scope: ['openid', 'profile', 'email'],
+    state: req.session.loginState,
+    prompt: 'select_account'
+  });
+
+  res.redirect(authUrl);
+});
+
+router.post('/logout', (req, res) => {
+  req.session.destroy(() => res.redirect('/'));
+});
+
+// Start a fresh session for the barber
+function startBarberSession(req, res, barber) {
+  req.session.regenerate(error => {
+    if (error) {
+      console.error('Session error:', error);
+      return res.render('error', { message: 'Sign-in failed. Please try again.' });
+    }
+    req.session.barberId = barber.id;
+    res.redirect('/dashboard');
+  });
+}
+
+// Match the Google account to a registered barber. An account that's a barber
+// in more than one shop picks the shop, unless /login named one.
+async function signInBarber(req, res, code) {
+  const { email } = await exchangeAuthCode(code);
+  const shopId = req.session.loginShopId;
+  delete req.session.loginShopId;
+
+  if (!email) {
+    return res.render('error', { message: 'Sign in with a Google account whose email address is verified.' });
+  }
+
+  const barbers = (await runWithShop(null, () => barberOps.getAllByEmail(email)))
+    .filter(barber => !shopId || barber.shop_id === shopId);
+
+  if (barbers.length === 0) {
+    return res.render('error', {
+      message: `No barber is registered with ${email}. Register first, then sign in with the same account.`
+    });
+  }
+  if (barbers.length === 1) {
+    return startBarberSession(req, res, barbers[0]);
+  }
+
+  req.session.loginChoices = barbers.map(barber => barber.id);
+  const shops = await Promise.all(barbers.map(barber => barber.shop_id ? shopOps.getById(barber.shop_id) : null));
+  res.render('login-choose', {
+    choices: barbers.map((barber, i) => ({ barberId: barber.id, name: barber.name, shopName: shops[i]?.name || 'Your shop' }))
+  });
+}
+
+// The barber picked which shop to sign in to
+router.post('/login/choose', (req, res) => {
+  const barberId = Number(req.body.barberId);
+  const choices = req.session.loginChoices || [];
+  delete req.session.loginChoices;
+
+  if (!choices.includes(barberId)) {
+    return res.render('error', { message: 'Your sign-in expired. Please try again.' });
+  }
+  startBarberSession(req, res, { id: barberId });
+});
+
 // Callback route after Google authentication
 router.get('/auth/google/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   
   try {
-    // Exchange authorization code for tokens
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
-    
-    // Get user profile information
-    const oauth2 = google.oauth2({
-      auth: oauth2Client,
-      version: 'v2'
-    });
+    if (state) {
+      const expected = req.session.loginState;
+      delete req.session.loginState;
+      if (state !== expected) {
+        return res.render('error', { message: 'Your sign-in expired. Please try again.' });
+      }
+      return await signInBarber(req, res, code);
+    }
     
-    const { data } = await oauth2.userinfo.get();
+    // Exchange authorization code for tokens on a client of this request's own
+    const { client: oauth2Client, tokens, email, name } = await exchangeAuthCode(code);
+    if (!email) {
+      return res.render('error', { message: 'Register with a Google account whose email address is verified.' });
+    }
     
     // Get list of calendars for selection
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarList = await calendar.calendarList.list();
     
     // Store user information in session
-    req.session.email = data.email;
+    req.session.email = email;
     req.session.refreshToken = tokens.refresh_token;
     req.session.calendars = calendarList.data.items.map(cal => ({
       id: cal.id,
-      summary: cal.summary
+      summary: cal.summary,
+      primary: !!cal.primary,
+      timeZone: cal.timeZone
     }));
     
+    // Until they pick a booking calendar, the primary calendar's timezone is
+    // the best guess at the barber's
+    const primaryCalendar = calendarList.data.items.find(cal => cal.primary);
+    const timezone = isValidTimeZone(primaryCalendar?.timeZone) ? primaryCalendar.timeZone : undefined;
+    
+    // A signed-in barber reconnecting from settings is updated by id, keeping
+    // their name and phone number
+    if (req.session.reconnectBarberId) {
+      const barber = await barberOps.update(req.session.reconnectBarberId, {
+        email: email,
+        refresh_token: tokens.refresh_token
+      });
+      delete req.session.reconnectBarberId;
+      if (!barber) {
+        return res.render('error', { message: 'Reconnecting Google Calendar failed. Please try again.' });
+      }
+      return res.redirect('/dashboard/settings/calendar');
+    }
+    
     // If we have a phone number in session, we can pre-link the account
-    if (req.session.phoneNumber) {
+    if (!req.session.phoneNumber) {
+      // Display a message that phone number is required
+      return res.render('error', { 
+        message: 'Phone number is required for registration. Please start again with a phone number.' 
+      });
+    }
+    
+    await runInRegistrationShop(req, res, async () => {
       // Use the name from the registration form (stored in session) instead of Google account
-      const barberName = req.session.barberName || data.name;
+      const barberName = req.session.barberName || name;
       
       // Update or create barber record in Supabase
       const barber = await barberOps.updateOrCreate({
         phone_number: req.session.phoneNumber,
         name: barberName,
-        email: data.email,
-        refresh_token: tokens.refresh_token
+        email: email,
+        refresh_token: tokens.refresh_token,
+        timezone
       });
       
       // After creating/updating a barber, update the form dropdown
-      if (barber && process.env.GOOGLE_FORM_ID && process.env.GOOGLE_FORM_BARBER_QUESTION_ID) {
+      if (barber) {
         try {
-          await updateFormBarberDropdown(tokens.refresh_token);
+          await refreshBarberDropdown(tokens.refresh_token);
         } catch (formError) {
           console.error('Failed to update form dropdown:', formError);
           // Non-critical error, continue with registration
         }
       }
-    } else {
-      // Display a message that phone number is required
-      return res.render('error', { 
-        message: 'Phone number is required for registration. Please start again with a phone number.' 
-      });
-    }
-    
-    // Redirect to calendar selection page
-    res.redirect('/select-calendar');
+      
+      // Redirect to calendar selection page
+      res.redirect('/select-calendar');
+    });
     
   } catch (error) {
     console.error('OAuth callback error:', error);
@@ -100,95 +219,6 @@ router.get('/auth/google/callback', async (req, res) => {
   }
 });
 
-// New function to update the form dropdown
-async function updateFormBarberDropdown(refreshToken) {
-  try {
-    // Create new OAuth client with the refresh token
-    const formOAuth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.REDIRECT_URI
-    );
-    
-    formOAuth2Client.setCredentials({
-      refresh_token: refreshToken
-    });
-    
-    // Create Forms API client
-    const forms = google.forms({
-      version: 'v1',
-      auth: formOAuth2Client
-    });
-    
-    // Get all barbers from database
-    const allBarbers = await barberOps.getAllBarbers();
-    
-    if (!allBarbers || allBarbers.length === 0) {
-      console.log('No barbers found to update form dropdown');
-      return;
-    }
-    
-    // Get current form structure
-    const form = await forms.forms.get({
-      formId: process.env.GOOGLE_FORM_ID
-    });
-    
-    // Find the target question (barber selection dropdown) by looking for the first dropdown in the form
-    // or you could search by title if your dropdown has a specific title
-    const targetQuestion = form.data.items.find(item => 
-      item.questionItem && 
-      item.questionItem.question.choiceQuestion &&
-      item.questionItem.question.choiceQuestion.type === 'DROP_DOWN'
-    );
-    
-    if (!targetQuestion) {
-      console.error('Target question not found in form');
-      return;
-    }
-    
-    // Prepare barber names for dropdown
-    const barberNames = allBarbers.map(barber => barber.name).sort();
-    
-    // Update the dropdown options
-    const updateRequest = {
-      requests: [{
-        updateItem: {
-          item: {
-            itemId: targetQuestion.itemId,
-            questionItem: {
-              question: {
-                questionId: targetQuestion.questionItem.question.questionId,
-                choiceQuestion: {
-                  type: 'DROP_DOWN',
-                  options: barberNames.map(name => ({
-                    value: name
-                  }))
-                }
-              }
-            }
-          },
-          location: {
-            index: targetQuestion.location.index
-          },
-          updateMask: 'questionItem.question.choiceQuestion.options'
-        }
-      }]
-    };
-    
-    // Perform the update
-    await forms.forms.batchUpdate({
-      formId: process.env.GOOGLE_FORM_ID,
-      requestBody: updateRequest
-    });
-    
-    console.log('Successfully updated form dropdown with barbers:', barberNames);
-    return true;
-  } catch (error) {
-    console.error('Error updating form dropdown:', error);
-    throw error;
-  }
-}
-
 // Add method to get form structure (useful for setup)
 router.get('/get-form-info', async (req, res) => {
   // Only allow in development mode
@@ -268,7 +298,7 @@ router.get('/get-form-info', async (req, res) => {
 });
 
 // Add method to manually update form dropdown
-router.post('/update-form-dropdown', async (req, res) => {
+router.post('/update-form-dropdown', requireShop, async (req, res) => {
   const { formId } = req.body;
   
   if (!formId) {
@@ -325,14 +355,38 @@ router.post('/save-calendar', async (req, res) => {
     return res.status(400).json({ error: 'Phone number is required' });
   }
   
+  // Only calendars we listed for this barber can be marked busy
+  const knownCalendarIds = (req.session.calendars || []).map(cal => cal.id);
+  const busyCalendarIds = [].concat(req.body.busyCalendarIds || [])
+    .filter(id => id !== calendarId && knownCalendarIds.includes(id));
+  
+  // Bookings are made in the timezone of the calendar they go on
+  const selectedCalendar = (req.session.calendars || [])
+    .find(cal => calendarId === 'primary' ? cal.primary : cal.id === calendarId);
+  const timezone = isValidTimeZone(selectedCalendar?.timeZone) ? selectedCalendar.timeZone : undefined;
+  
   try {
     // Update barber's selected calendar in Supabase
-    const updatedBarber = await barberOps.updateCalendarId(phoneNumber, calendarId);
+    const updatedBarber = await runInRegistrationShop(req, res, () => barberOps.updateCalendarId(phoneNumber, calendarId, busyCalendarIds, timezone));
+    if (res.headersSent) return;
     
     if (!updatedBarber) {
       return res.status(404).json({ error: 'Barber not found' });
     }
     
+    // Follow changes made directly in Google Calendar. Failing to watch
+    // shouldn't stop the barber from finishing setup.
+    if (getNotificationUrl()) {
+      try {
+        await watchBarberCalendar(updatedBarber);
+      } catch (e) {
+        console.error('Error watching calendar:', e);
+      }
+    }
+    
+    // They've just signed in with Google, so they can go straight to the dashboard
+    req.session.barberId = updatedBarber.id;
+    
     // Render success page
     res.render('success');
     
@@ -342,39 +396,74 @@ router.post('/save-calendar', async (req, res) => {
   }
 });
 
-// Manual registration form route
-router.get('/register', (req, res) => {
-  res.render('register');
+// Manual registration form route. ?shop= is the join code from a shop's join link.
+router.get('/register', async (req, res) => {
+  if (req.query.shop) {
+    const shop = await shopOps.getByJoinCode(req.query.shop);
+    if (!shop) {
+      return res.render('error', { message: 'That join link isn\'t valid. Ask your shop for a new one.' });
+    }
+    req.session.shopId = shop.id;
+  }
+  
+  await runInRegistrationShop(req, res, () => {
+    res.render('register', {
+      weekdays: WEEKDAYS,
+      defaultHours: getShopWorkingHours(),
+      shopName: getCurrentShop()?.name || null
+    });
+  });
 });
 
 // Handle manual registration
 router.post('/register', async (req, res) => {
-  let { name, phoneNumber } = req.body;
+  let { name, phoneNumber, hours, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
   
   if (!phoneNumber) {
     return res.render('error', { message: 'Phone number is required' });
   }
   
-  // Ensure phone number has +1 prefix for US numbers
-  phoneNumber = phoneNumber.replace(/\D/g, '');
-  if (phoneNumber.length === 10) {
-    phoneNumber = '+1' + phoneNumber;
-  } else if (!phoneNumber.startsWith('+')) {
-    phoneNumber = '+' + phoneNumber;
+  // Barbers who skip the schedule fall back to the default working hours
+  let workingHours;
+  try {
+    workingHours = hours ? buildWorkingHoursFromForm(hours) : undefined;
+  } catch (error) {
+    return res.render('error', { message: `Invalid working hours: ${error.message}` });
   }
   
+  const bufferBefore = bufferBeforeMinutes ? parseInt(bufferBeforeMinutes, 10) : undefined;
+  const bufferAfter = bufferAfterMinutes ? parseInt(bufferAfterMinutes, 10) : undefined;
+  if ([bufferBefore, bufferAfter].some(buffer => buffer !== undefined && !(buffer >= 0))) {
+    return res.render('error', { message: 'Time between appointments must be zero or more minutes' });
+  }
+  
+  // Ensure phone number has +1 prefix for US numbers
+  phoneNumber = normalizePhoneNumber(phoneNumber);
+  
   try {
     // Store both phone and name in session
     req.session.phoneNumber = phoneNumber;
     req.session.barberName = name;
     
-    // Pre-create a barber record with minimal info
-    await barberOps.updateOrCreate({
-      phone_number: phoneNumber,
-      name: name
+    await runInRegistrationShop(req, res, async () => {
+      // Pre-create a barber record with minimal info
+      const barber = await barberOps.updateOrCreate({
+        phone_number: phoneNumber,
+        name: name,
+        working_hours: workingHours,
+        buffer_before_minutes: bufferBefore,
+        buffer_after_minutes: bufferAfter
+      });
+      
+      // Whoever just created the shop owns it
+      const shop = getCurrentShop();
+      if (barber && shop && req.session.newShopId === shop.id) {
+        await barberOps.update(barber.id, { role: 'owner' });
+        delete req.session.newShopId;
+      }
+      
+      res.redirect('/auth/google');
     });
-    
-    res.redirect('/auth/google');
   } catch (error) {
     console.error('Registration error:', error);
     res.render('error', { message: 'Registration failed. Please try again.' });
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { requireShop } = require('../utils/shops');
+const { describeFlow, getBookingFlow, resetBookingFlow, advanceBookingFlow } = require('../utils/bookingFlow');
+
+router.use(requireShop);
+
+// The client's booking flow: its state, what's been captured and what's missing
+router.get('/', async (req, res) => {
+  const { phoneNumber } = req.query;
+  if (!phoneNumber) return res.status(400).json({ success: false, error: 'Phone number is required' });
+
+  try {
+    const { flow, expiredFlow } = await getBookingFlow(phoneNumber);
+    return res.status(200).json({ success: true, flow: describeFlow(flow), expiredFlow });
+  } catch (e) {
+    console.error('Error fetching booking flow:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Capture any of barberId, serviceId/serviceType (or duration), startDateTime,
+// then confirm: true to book. Phrases like "tomorrow at 3" work for the time.
+router.post('/advance', async (req, res) => {
+  const { phoneNumber, ...input } = req.body;
+  if (!phoneNumber) return res.status(400).json({ success: false, error: 'Phone number is required' });
+
+  try {
+    const outcome = await advanceBookingFlow(phoneNumber, input);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error advancing booking flow:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/reset', async (req, res) => {
+  const { phoneNumber } = req.body;
+  if (!phoneNumber) return res.status(400).json({ success: false, error: 'Phone number is required' });
+
+  try {
+    const outcome = await resetBookingFlow(phoneNumber);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error resetting booking flow:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
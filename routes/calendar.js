@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { barberOps, watchOps } = require('../utils/supabase');
+const { requireShop } = require('../utils/shops');
+const {
+  handleNotification,
+  syncWatch,
+  watchBarberCalendar,
+  unwatchBarberCalendar
+} = require('../utils/calendarSync');
+
+// Google Calendar push notifications. Google only looks at the status code;
+// anything other than 2xx makes it retry with backoff. The channel tells us
+// the barber, and so the shop, so these don't need a shop key.
+router.post('/notifications', async (req, res) => {
+  try {
+    const outcome = await handleNotification(req.headers);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error handling calendar notification:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Start (or restart) watching a barber's booking calendar
+router.post('/watch', requireShop, async (req, res) => {
+  const { barberId } = req.body;
+
+  if (!barberId) {
+    return res.status(400).json({ success: false, error: 'barberId is required' });
+  }
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber?.refresh_token) {
+      return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
+    }
+
+    const watch = await watchBarberCalendar(barber);
+    return res.status(200).json({
+      success: true,
+      channelId: watch.id,
+      calendarId: watch.calendar_id,
+      expiration: watch.expiration
+    });
+  } catch (e) {
+    console.error('Error watching calendar:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/watch/:barberId', requireShop, async (req, res) => {
+  try {
+    const barber = await barberOps.getById(req.params.barberId);
+    if (!barber) {
+      return res.status(404).json({ success: false, error: 'Barber not found' });
+    }
+
+    const stopped = await unwatchBarberCalendar(barber);
+    return res.status(200).json({ success: true, stopped });
+  } catch (e) {
+    console.error('Error stopping calendar watch:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Run an incremental sync now, without waiting for a notification
+router.post('/sync', requireShop, async (req, res) => {
+  const { barberId } = req.body;
+
+  if (!barberId) {
+    return res.status(400).json({ success: false, error: 'barberId is required' });
+  }
+
+  try {
+    // Watches aren't kept per shop; the barber lookup is
+    const barber = await barberOps.getById(barberId);
+    if (!barber) {
+      return res.status(404).json({ success: false, error: 'Barber not found' });
+    }
+
+    const watches = await watchOps.getByBarberId(barber.id);
+    if (watches.length === 0) {
+      return res.status(404).json({ success: false, error: 'This barber\'s calendar is not being watched' });
+    }
+
+    const results = [];
+    for (const watch of watches) {
+      results.push({ channelId: watch.id, ...(await syncWatch(watch.id)) });
+    }
+
+    return res.status(200).json({ success: true, results });
+  } catch (e) {
+    console.error('Error syncing calendar:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+// Barber dashboard: today's and this week's appointments, each client's
+// history, time off, and cancel / reschedule / no-show through the same
+// handlers the webhook uses. Barbers sign in at /login with the Google account they
+// registered with.
+const express = require('express');
+const router = express.Router();
+const { clientOps, appointmentOps } = require('../utils/supabase');
+const { getBarberTimezone, getZonedParts, zonedTimeToUtc, formatInZone } = require('../utils/timezone');
+const { getStatus, canTransition } = require('../utils/appointmentStatus');
+const { getCalendarClient, handleRescheduleAppointment, handleAppointmentStatus } = require('../utils/booking');
+const { requireBarber, setNotice, popNotice } = require('../utils/barberSession');
+const { canManageShop } = require('../utils/shops');
+const { REPEATS, listTimeOff, handleCreateTimeOff, handleNotifyTimeOffClients, handleDeleteTimeOff } = require('../utils/timeOff');
+
+// Every dashboard page needs a signed-in barber
+router.use(requireBarber);
+
+// Local midnight `days` days after the day `date` falls on
+function startOfLocalDay(date, timeZone, days = 0) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + days }, timeZone);
+}
+
+function formatLocal(date, timeZone, options) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(date);
+}
+
+function describeAppointment(appointment, client, timeZone, now = new Date()) {
+  const start = new Date(appointment.start_time);
+  const end = new Date(appointment.end_time);
+  const status = getStatus(appointment);
+  const hasStarted = start <= now;
+
+  return {
+    eventId: appointment.google_calendar_event_id,
+    clientPhone: appointment.client_phone,
+    clientName: client?.name || null,
+    service: appointment.service_type,
+    status,
+    day: formatLocal(start, timeZone, { weekday: 'long', month: 'short', day: 'numeric' }),
+    date: formatLocal(start, timeZone, { month: 'short', day: 'numeric', year: 'numeric' }),
+    time: `${formatLocal(start, timeZone, { hour: 'numeric', minute: '2-digit' })} - ${formatLocal(end, timeZone, { hour: 'numeric', minute: '2-digit' })}`,
+    // Value for a datetime-local input, in the barber's timezone
+    localStart: formatInZone(start, timeZone).slice(0, 16),
+    canCancel: canTransition(status, 'cancelled'),
+    canReschedule: !hasStarted && ['pending', 'confirmed'].includes(status),
+    canMarkNoShow: hasStarted && canTransition(status, 'no_show')
+  };
+}
+
+// Only dashboard pages are valid places to return to
+function returnPath(path) {
+  return /^\/dashboard(\/|\?|$)/.test(path || '') ? path : '/dashboard';
+}
+
+router.get('/', async (req, res, next) => {
+  const barber = req.barber;
+  const timeZone = getBarberTimezone(barber);
+
+  try {
+    const now = new Date();
+    const { weekday } = getZonedParts(now, timeZone);
+    // Weeks run Monday to Sunday
+    const weekStart = startOfLocalDay(now, timeZone, -((weekday + 6) % 7));
+    const weekEnd = startOfLocalDay(weekStart, timeZone, 7);
+    const todayStart = startOfLocalDay(now, timeZone);
+    const todayEnd = startOfLocalDay(now, timeZone, 1);
+
+    const appointments = await appointmentOps.getForBarber(barber.id, weekStart.toISOString(), weekEnd.toISOString());
+    const clients = await clientOps.getByPhoneNumbers([...new Set(appointments.map(a => a.client_phone))]);
+    const clientsByPhone = Object.fromEntries(clients.map(client => [client.phone_number, client]));
+
+    const described = appointments.map(a => ({
+      appointment: a,
+      view: describeAppointment(a, clientsByPhone[a.client_phone], timeZone, now)
+    }));
+    const isToday = ({ appointment }) => {
+      const start = new Date(appointment.start_time);
+      return start >= todayStart && start < todayEnd;
+    };
+
+    // The rest of the week, grouped by day
+    const week = [];
+    for (const { view } of described.filter(item => !isToday(item))) {
+      const group = week[week.length - 1];
+      if (group?.day === view.day) group.appointments.push(view);
+      else week.push({ day: view.day, appointments: [view] });
+    }
+
+    res.render('dashboard', {
+      barber,
+      shopName: req.shop?.name || null,
+      canManageShop: !!req.shop && canManageShop(barber),
+      timeZone,
+      today: described.filter(isToday).map(item => item.view),
+      todayLabel: formatLocal(now, timeZone, { weekday: 'long', month: 'long', day: 'numeric' }),
+      week,
+      bookingUrl: `${req.protocol}://${req.get('host')}/book/barbers/${encodeURIComponent(barber.id)}`,
+      notice: popNotice(req),
+      returnTo: req.originalUrl
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// A client's details and their history with this barber
+router.get('/clients/:phone', async (req, res, next) => {
+  const barber = req.barber;
+  const timeZone = getBarberTimezone(barber);
+  const phone = req.params.phone;
+
+  try {
+    const appointments = (await appointmentOps.findByClientPhone(phone))
+      .filter(a => String(a.barber_id) === String(barber.id))
+      .sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+
+    // Barbers only see clients who have booked with them
+    if (!appointments.length) {
+      return res.status(404).render('error', { message: 'Client not found' });
+    }
+
+    const client = await clientOps.getByPhoneNumber(phone);
+    const history = appointments.map(a => describeAppointment(a, client, timeZone));
+    const counts = history.reduce((totals, a) => ({ ...totals, [a.status]: (totals[a.status] || 0) + 1 }), {});
+
+    res.render('dashboard-client', {
+      barber,
+      timeZone,
+      client: {
+        name: client?.name || null,
+        phone,
+        language: client?.language || null,
+        optedOut: !!client?.sms_opted_out
+      },
+      history,
+      counts
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Run an action on one of the barber's own appointments, then go back
+// to the page it came from with the outcome
+async function runAction(req, res, action) {
+  try {
+    const [appointment] = await appointmentOps.getByEventIds([req.params.eventId]);
+    if (!appointment || String(appointment.barber_id) !== String(req.barber.id)) {
+      return res.status(404).render('error', { message: 'Appointment not found' });
+    }
+
+    setNotice(req, await action(appointment));
+  } catch (e) {
+    console.error('Dashboard action error:', e);
+    req.session.notice = { type: 'danger', message: e.message };
+  }
+
+  res.redirect(returnPath(req.body.returnTo));
+}
+
+router.post('/appointments/:eventId/cancel', (req, res) => runAction(req, res, appointment =>
+  handleAppointmentStatus(appointment.google_calendar_event_id, 'cancelled')
+));
+
+router.post('/appointments/:eventId/no-show', (req, res) => runAction(req, res, appointment =>
+  handleAppointmentStatus(appointment.google_calendar_event_id, 'no_show')
+));
+
+router.post('/appointments/:eventId/reschedule', (req, res) => runAction(req, res, async appointment => {
+  const barber = req.barber;
+  const { newStartDateTime } = req.body;
+
+  if (!newStartDateTime) {
+    return { status: 400, body: { success: false, error: 'Pick a new time' } };
+  }
+  if (!barber.refresh_token) {
+    return { status: 409, body: { success: false, error: 'Your calendar is not connected' } };
+  }
+
+  const client = await clientOps.getByPhoneNumber(appointment.client_phone);
+  return await handleRescheduleAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+    eventId: appointment.google_calendar_event_id,
+    newStartDateTime,
+    clientPhone: appointment.client_phone,
+    clientName: client?.name,
+    barber,
+    timeZone: getBarberTimezone(barber)
+  });
+}));
+
+// "Fri, Oct 30, all day" or "Oct 20, 1:00 PM - 2:00 PM, daily until Nov 30"
+function describeTimeOffPeriod(block, timeZone) {
+  const start = new Date(block.start);
+  const end = new Date(block.end);
+  const wholeDays = formatInZone(start, timeZone).slice(11, 16) === '00:00' &&
+    formatInZone(end, timeZone).slice(11, 16) === '00:00';
+  const day = date => formatLocal(date, timeZone, { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = date => formatLocal(date, timeZone, { hour: 'numeric', minute: '2-digit' });
+
+  let period;
+  if (wholeDays) {
+    const lastDay = new Date(end.getTime() - 1);
+    period = day(start) === day(lastDay) ? `${day(start)}, all day` : `${day(start)} - ${day(lastDay)}`;
+  } else {
+    period = day(start) === day(end)
+      ? `${day(start)}, ${time(start)} - ${time(end)}`
+      : `${day(start)} ${time(start)} - ${day(end)} ${time(end)}`;
+  }
+
+  if (!block.repeat) return period;
+  const until = block.until ? ` until ${day(new Date(new Date(block.until).getTime() - 1))}` : '';
+  return `${period}, ${block.repeat === 'weekdays' ? 'every weekday' : block.repeat}${until}`;
+}
+
+router.get('/time-off', async (req, res, next) => {
+  const barber = req.barber;
+  const timeZone = getBarberTimezone(barber);
+
+  try {
+    const blocks = (await listTimeOff(barber)).map(block => ({
+      ...block,
+      period: describeTimeOffPeriod(block, timeZone),
+      affectedAppointments: block.affectedAppointments.map(appointment => ({
+        ...appointment,
+        time: `${formatLocal(new Date(appointment.start), timeZone, { weekday: 'short', month: 'short', day: 'numeric' })}, ` +
+          formatLocal(new Date(appointment.start), timeZone, { hour: 'numeric', minute: '2-digit' })
+      }))
+    }));
+
+    res.render('time-off', {
+      blocks,
+      repeats: Object.keys(REPEATS),
+      timeZone,
+      today: formatInZone(new Date(), timeZone).slice(0, 10),
+      calendarConnected: !!barber.refresh_token,
+      notice: popNotice(req)
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// The form gives a day (or days) and, for part of a day, from and to times
+router.post('/time-off', async (req, res) => {
+  const { date, endDate, startTime, endTime, label, repeat, until, notifyClients } = req.body;
+
+  let outcome;
+  if (!date) {
+    outcome = { status: 400, body: { success: false, error: 'Pick a day' } };
+  } else if (!startTime !== !endTime) {
+    outcome = { status: 400, body: { success: false, error: 'Give both a from and a to time, or neither for whole days' } };
+  } else {
+    try {
+      outcome = await handleCreateTimeOff(req.barber, {
+        start: startTime ? `${date}T${startTime}` : date,
+        end: endTime ? `${endDate || date}T${endTime}` : endDate || date,
+        label,
+        repeat: repeat || undefined,
+        until: until || undefined,
+        notifyClients: notifyClients === 'on'
+      });
+    } catch (e) {
+      console.error('Error adding time off:', e);
+      outcome = { status: 500, body: { success: false, error: e.message } };
+    }
+  }
+
+  setNotice(req, outcome);
+  res.redirect('/dashboard/time-off');
+});
+
+async function runTimeOffAction(req, res, handler) {
+  try {
+    setNotice(req, await handler(req.barber, req.params.blockId));
+  } catch (e) {
+    console.error('Time off action error:', e);
+    req.session.notice = { type: 'danger', message: e.message };
+  }
+  res.redirect('/dashboard/time-off');
+}
+
+router.post('/time-off/:blockId/notify', (req, res) => runTimeOffAction(req, res, handleNotifyTimeOffClients));
+
+router.post('/time-off/:blockId/delete', (req, res) => runTimeOffAction(req, res, handleDeleteTimeOff));
+
+module.exports = router;
@@ -0,0 +1,241 @@
+// Public booking pages: /book/shops/:shopId lists a shop's barbers and
+// /book/barbers/:barberId shows a barber's services and open times. Clients
+// confirm their phone number with a texted code at /book/verify.
+const express = require('express');
+const router = express.Router();
+const { barberOps, shopOps } = require('../utils/supabase');
+const { runWithShop, getCurrentShop } = require('../utils/shopContext');
+const { runForShop, describeShop } = require('../utils/shops');
+const { getBarberTimezone, formatInZone } = require('../utils/timezone');
+const { setNotice, popNotice } = require('../utils/barberSession');
+const {
+  CODE_TTL_MINUTES,
+  maskPhoneNumber,
+  getShopName,
+  getBookableServices,
+  findOpenSlots,
+  handleStartWebBooking,
+  handleResendWebBookingCode,
+  handleConfirmWebBooking,
+  releasePendingBooking
+} = require('../utils/publicBooking');
+
+function formatLocal(date, timeZone, options) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(new Date(date));
+}
+
+// Name and branding shown at the top of every booking page
+function describePageShop() {
+  const shop = getCurrentShop();
+  return {
+    name: getShopName(),
+    branding: shop ? describeShop(shop).branding : { logoUrl: null, color: null }
+  };
+}
+
+function barberPath(barberId, query = {}) {
+  const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+  const search = params.toString();
+  return `/book/barbers/${encodeURIComponent(barberId)}${search ? `?${search}` : ''}`;
+}
+
+// Load the barber the page is for, then run the rest of the request in their shop
+async function loadBarber(req, res, next) {
+  try {
+    const barber = await runWithShop(null, () => barberOps.getById(req.params.barberId));
+    if (!barber) {
+      return res.status(404).render('error', { message: 'Barber not found' });
+    }
+    req.barber = barber;
+    await runForShop(barber.shop_id, () => next());
+  } catch (e) {
+    next(e);
+  }
+}
+
+// The booking waiting for its code, run in the barber's shop
+async function loadPendingBooking(req, res, next) {
+  const pending = req.session.webBooking;
+  if (!pending) {
+    return res.status(404).render('error', { message: 'There is no booking waiting to be confirmed. Pick a time to book.' });
+  }
+
+  try {
+    await runForShop(pending.shopId, async () => {
+      req.barber = await barberOps.getById(pending.barberId);
+      next();
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+router.get('/shops/:shopId', async (req, res, next) => {
+  try {
+    const shop = await shopOps.getById(req.params.shopId);
+    if (!shop) {
+      return res.status(404).render('error', { message: 'Shop not found' });
+    }
+
+    await runWithShop(shop, async () => {
+      const barbers = await barberOps.getAllAuthorized();
+      res.render('book-shop', {
+        shop: describePageShop(),
+        barbers: barbers.map(barber => ({ name: barber.name, path: barberPath(barber.id) }))
+      });
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get('/barbers/:barberId', loadBarber, async (req, res, next) => {
+  const barber = req.barber;
+  const timeZone = getBarberTimezone(barber);
+
+  try {
+    const services = barber.refresh_token ? await getBookableServices(barber) : [];
+    const serviceId = req.query.serviceId || services[0]?.id || null;
+    const availability = barber.refresh_token
+      ? await findOpenSlots(barber, { serviceId, date: req.query.date })
+      : null;
+    const open = availability?.status === 200 ? availability.body : null;
+    const dayLabel = date => formatLocal(new Date(`${date}T12:00:00Z`), 'UTC', { weekday: 'long', month: 'long', day: 'numeric' });
+
+    res.render('book', {
+      shop: describePageShop(),
+      barber: { id: barber.id, name: barber.name },
+      takingBookings: !!barber.refresh_token,
+      services,
+      serviceId,
+      timeZone,
+      date: open?.date || req.query.date || formatInZone(new Date(), timeZone).slice(0, 10),
+      today: open?.today || formatInZone(new Date(), timeZone).slice(0, 10),
+      lastDay: open?.lastDay || null,
+      dayLabel: open ? dayLabel(open.date) : null,
+      slots: (open?.slots || []).map(slot => ({
+        value: slot.localStart,
+        label: formatLocal(slot.start, timeZone, { hour: 'numeric', minute: '2-digit' })
+      })),
+      nextOpening: open?.nextOpenSlot ? {
+        label: formatLocal(open.nextOpenSlot.start, timeZone, { weekday: 'long', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+        path: barberPath(barber.id, { serviceId, date: open.nextOpenSlot.localStart.slice(0, 10) })
+      } : null,
+      slotsError: availability && !open ? availability.body.error : null,
+      contact: req.session.webBookingContact || {},
+      notice: popNotice(req)
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Hold the chosen time and text a code to the client. A booking they started
+// earlier and never confirmed gives up its hold first.
+router.post('/barbers/:barberId', loadBarber, async (req, res) => {
+  const { serviceId, date, startDateTime, name, phone } = req.body;
+  req.session.webBookingContact = { name, phone };
+
+  let outcome;
+  try {
+    const previous = req.session.webBooking;
+    if (previous) {
+      delete req.session.webBooking;
+      await runForShop(previous.shopId, () => releasePendingBooking(previous));
+    }
+    outcome = await handleStartWebBooking(req.barber, { serviceId, startDateTime, name, phone, ip: req.ip });
+  } catch (e) {
+    console.error('Error starting web booking:', e);
+    outcome = { status: 500, body: { success: false, error: e.message } };
+  }
+
+  if (outcome.status !== 200) {
+    setNotice(req, outcome);
+    return res.redirect(barberPath(req.barber.id, { serviceId, date }));
+  }
+
+  req.session.webBooking = outcome.body.pendingBooking;
+  setNotice(req, outcome);
+  res.redirect('/book/verify');
+});
+
+router.get('/verify', loadPendingBooking, async (req, res, next) => {
+  const pending = req.session.webBooking;
+
+  try {
+    const timeZone = getBarberTimezone(req.barber);
+    const services = req.barber ? await getBookableServices(req.barber) : [];
+
+    res.render('book-verify', {
+      shop: describePageShop(),
+      barberName: req.barber?.name || null,
+      service: services.find(service => String(service.id) === String(pending.serviceId))?.name || null,
+      time: formatLocal(pending.startDateTime, timeZone, { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+      phone: maskPhoneNumber(pending.clientPhone),
+      minutes: CODE_TTL_MINUTES,
+      startOverPath: barberPath(pending.barberId, { serviceId: pending.serviceId, date: pending.startDateTime.slice(0, 10) }),
+      notice: popNotice(req)
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post('/verify', loadPendingBooking, async (req, res) => {
+  const pending = req.session.webBooking;
+
+  let outcome;
+  try {
+    outcome = await handleConfirmWebBooking(req.barber, pending, req.body.code);
+  } catch (e) {
+    console.error('Error confirming web booking:', e);
+    outcome = { status: 500, body: { success: false, error: e.message } };
+  }
+
+  if (outcome.status === 200) {
+    const timeZone = getBarberTimezone(req.barber);
+    delete req.session.webBooking;
+    req.session.webBookingDone = {
+      shopId: pending.shopId,
+      barberName: req.barber.name,
+      service: outcome.body.service?.name || null,
+      time: formatLocal(outcome.body.start, timeZone, { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    };
+    return res.redirect('/book/booked');
+  }
+
+  setNotice(req, outcome);
+  // A wrong code can be tried again; anything else means picking a new time
+  if (outcome.body.errorCode === 'WRONG_CODE') return res.redirect('/book/verify');
+
+  delete req.session.webBooking;
+  res.redirect(barberPath(pending.barberId, { serviceId: pending.serviceId, date: pending.startDateTime.slice(0, 10) }));
+});
+
+router.post('/verify/resend', loadPendingBooking, async (req, res) => {
+  let outcome;
+  try {
+    outcome = await handleResendWebBookingCode(req.session.webBooking, { ip: req.ip });
+  } catch (e) {
+    console.error('Error resending web booking code:', e);
+    outcome = { status: 500, body: { success: false, error: e.message } };
+  }
+
+  setNotice(req, outcome);
+  res.redirect('/book/verify');
+});
+
+router.get('/booked', async (req, res, next) => {
+  const booked = req.session.webBookingDone;
+  if (!booked) return res.redirect('/');
+
+  try {
+    await runForShop(booked.shopId, () => {
+      res.render('book-done', { shop: describePageShop(), booked });
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
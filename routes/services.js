@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { requireShop } = require('../utils/shops');
+const { serviceOps } = require('../utils/supabase');
+const { getServicesForBarber } = require('../utils/services');
+
+router.use(requireShop);
+
+function parseAliases(aliases) {
+  if (aliases === undefined) return undefined;
+  if (Array.isArray(aliases)) return aliases.map(alias => String(alias).trim()).filter(Boolean);
+  return String(aliases).split(',').map(alias => alias.trim()).filter(Boolean);
+}
+
+function parseDuration(durationMinutes) {
+  if (durationMinutes === undefined || durationMinutes === null || durationMinutes === '') return undefined;
+  const duration = parseInt(durationMinutes, 10);
+  return duration > 0 ? duration : NaN;
+}
+
+function parseBuffer(bufferMinutes) {
+  if (bufferMinutes === undefined) return undefined;
+  if (bufferMinutes === null || bufferMinutes === '') return null;
+  const buffer = parseInt(bufferMinutes, 10);
+  return buffer >= 0 ? buffer : NaN;
+}
+
+// List services, optionally with a barber's overrides applied
+router.get('/', async (req, res) => {
+  const { barberId, includeInactive } = req.query;
+
+  try {
+    if (barberId) {
+      const services = await getServicesForBarber(barberId);
+      return res.status(200).json({ success: true, services });
+    }
+
+    const services = await serviceOps.getAll({ includeInactive: includeInactive === 'true' });
+    return res.status(200).json({ success: true, services });
+  } catch (e) {
+    console.error('Error listing services:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/:serviceId', async (req, res) => {
+  try {
+    const service = await serviceOps.getById(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({ success: false, error: 'Service not found' });
+    }
+
+    return res.status(200).json({ success: true, service });
+  } catch (e) {
+    console.error('Error fetching service:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { name, aliases, durationMinutes, price, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
+  const duration = parseDuration(durationMinutes);
+  const bufferBefore = parseBuffer(bufferBeforeMinutes);
+  const bufferAfter = parseBuffer(bufferAfterMinutes);
+
+  if (!name || !duration) {
+    return res.status(400).json({
+      success: false,
+      error: 'Service name and a positive durationMinutes are required'
+    });
+  }
+
+  if (Number.isNaN(bufferBefore) || Number.isNaN(bufferAfter)) {
+    return res.status(400).json({ success: false, error: 'Buffers must be zero or more minutes' });
+  }
+
+  try {
+    const service = await serviceOps.create({
+      name: name.trim(),
+      aliases: parseAliases(aliases) || [],
+      duration_minutes: duration,
+      price: price === undefined || price === '' ? null : Number(price),
+      // Leaving a buffer empty falls back to the barber's own buffer
+      buffer_before_minutes: bufferBefore ?? null,
+      buffer_after_minutes: bufferAfter ?? null
+    });
+
+    if (!service) {
+      return res.status(500).json({ success: false, error: 'Failed to create service' });
+    }
+
+    return res.status(201).json({ success: true, service });
+  } catch (e) {
+    console.error('Error creating service:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/:serviceId', async (req, res) => {
+  const { name, aliases, durationMinutes, price, active, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
+  const duration = parseDuration(durationMinutes);
+  const bufferBefore = parseBuffer(bufferBeforeMinutes);
+  const bufferAfter = parseBuffer(bufferAfterMinutes);
+
+  if (Number.isNaN(duration)) {
+    return res.status(400).json({ success: false, error: 'durationMinutes must be a positive number' });
+  }
+
+  if (Number.isNaN(bufferBefore) || Number.isNaN(bufferAfter)) {
+    return res.status(400).json({ success: false, error: 'Buffers must be zero or more minutes' });
+  }
+
+  try {
+    const service = await serviceOps.update(req.params.serviceId, {
+      name: name?.trim(),
+      aliases: parseAliases(aliases),
+      duration_minutes: duration,
+      price: price === undefined ? undefined : (price === '' || price === null ? null : Number(price)),
+      buffer_before_minutes: bufferBefore,
+      buffer_after_minutes: bufferAfter,
+      active: active === undefined ? undefined : String(active) === 'true'
+    });
+
+    if (!service) {
+      return res.status(404).json({ success: false, error: 'Service not found or not updated' });
+    }
+
+    return res.status(200).json({ success: true, service });
+  } catch (e) {
+    console.error('Error updating service:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/:serviceId', async (req, res) => {
+  try {
+    const deleted = await serviceOps.delete(req.params.serviceId);
+
+    return res.status(deleted ? 200 : 500).json({
+      success: deleted,
+      message: deleted ? 'Service deleted' : 'Failed to delete service'
+    });
+  } catch (e) {
+    console.error('Error deleting service:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Set a barber's own duration/price for a service, or mark it as not offered
+router.put('/:serviceId/barbers/:barberId', async (req, res) => {
+  const { durationMinutes, price, offered = true } = req.body;
+  const duration = parseDuration(durationMinutes);
+
+  if (Number.isNaN(duration)) {
+    return res.status(400).json({ success: false, error: 'durationMinutes must be a positive number' });
+  }
+
+  try {
+    const service = await serviceOps.getById(req.params.serviceId);
+    if (!service) {
+      return res.status(404).json({ success: false, error: 'Service not found' });
+    }
+
+    const override = await serviceOps.upsertBarberOverride(req.params.barberId, service.id, {
+      duration_minutes: duration || null,
+      price: price === undefined || price === '' ? null : Number(price),
+      offered: String(offered) !== 'false'
+    });
+
+    if (!override) {
+      return res.status(500).json({ success: false, error: 'Failed to save barber service settings' });
+    }
+
+    return res.status(200).json({ success: true, override });
+  } catch (e) {
+    console.error('Error saving barber service override:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
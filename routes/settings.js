@@ -0,0 +1,116 @@
+// A signed-in barber's own settings. Forms on the settings pages post here;
+// the same routes answer JSON for API callers.
+const express = require('express');
+const router = express.Router();
+const { getBarberTimezone } = require('../utils/timezone');
+const { wantsJson, requireBarber, popNotice, respond: respondWith } = require('../utils/barberSession');
+const {
+  describeBarberSettings,
+  handleUpdateProfile,
+  handleChangePhoneNumber,
+  listBarberCalendars,
+  handleSelectCalendar,
+  handleDisconnectGoogle
+} = require('../utils/barberSettings');
+
+router.use(requireBarber);
+
+function respond(req, res, outcome, redirectTo = '/dashboard/settings') {
+  respondWith(req, res, outcome, redirectTo);
+}
+
+router.get('/', (req, res) => {
+  const settings = describeBarberSettings(req.barber);
+  if (wantsJson(req)) {
+    return res.status(200).json({ success: true, barber: settings });
+  }
+
+  res.render('settings', {
+    settings,
+    timeZones: Intl.supportedValuesOf('timeZone'),
+    notice: popNotice(req)
+  });
+});
+
+router.post('/profile', async (req, res) => {
+  const { name, timeZone, bufferBeforeMinutes, bufferAfterMinutes } = req.body;
+  try {
+    respond(req, res, await handleUpdateProfile(req.barber, { name, timeZone, bufferBeforeMinutes, bufferAfterMinutes }));
+  } catch (e) {
+    console.error('Error updating profile:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+router.post('/phone', async (req, res) => {
+  try {
+    respond(req, res, await handleChangePhoneNumber(req.barber, req.body.phoneNumber));
+  } catch (e) {
+    console.error('Error changing phone number:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+// The barber's Google calendars, to pick where bookings go
+router.get('/calendar', async (req, res) => {
+  const barber = req.barber;
+  if (!barber.refresh_token) {
+    return respond(req, res, { status: 409, body: { success: false, errorCode: 'GOOGLE_NOT_CONNECTED', error: 'Connect Google Calendar first' } });
+  }
+
+  let calendars;
+  try {
+    calendars = await listBarberCalendars(barber);
+  } catch (e) {
+    console.error('Error listing calendars:', e);
+    return respond(req, res, { status: 502, body: { success: false, error: `Couldn't list your Google calendars: ${e.message}` } });
+  }
+
+  const selectedCalendarId = barber.selected_calendar_id || 'primary';
+  const selected = calendars.find(cal => cal.id === selectedCalendarId || (selectedCalendarId === 'primary' && cal.primary));
+  if (wantsJson(req)) {
+    return res.status(200).json({
+      success: true,
+      calendars,
+      calendarId: selected?.id || selectedCalendarId,
+      busyCalendarIds: barber.busy_calendar_ids || []
+    });
+  }
+
+  res.render('settings-calendar', {
+    calendars,
+    selectedCalendarId: selected?.id || null,
+    busyCalendarIds: barber.busy_calendar_ids || [],
+    timeZone: getBarberTimezone(barber),
+    notice: popNotice(req)
+  });
+});
+
+router.post('/calendar', async (req, res) => {
+  const { calendarId, busyCalendarIds } = req.body;
+  try {
+    const outcome = await handleSelectCalendar(req.barber, { calendarId, busyCalendarIds });
+    respond(req, res, outcome, outcome.status === 200 ? '/dashboard/settings' : '/dashboard/settings/calendar');
+  } catch (e) {
+    console.error('Error saving calendar:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } }, '/dashboard/settings/calendar');
+  }
+});
+
+// Reconnecting goes through the usual Google consent screen, then back to
+// picking a calendar
+router.get('/google/connect', (req, res) => {
+  req.session.reconnectBarberId = req.barber.id;
+  res.redirect('/auth/google');
+});
+
+router.post('/google/disconnect', async (req, res) => {
+  try {
+    respond(req, res, await handleDisconnectGoogle(req.barber));
+  } catch (e) {
+    console.error('Error disconnecting Google:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// Shop-wide settings, for the shop's owner and admins. Like barber settings,
+// forms post here and the same routes answer JSON for API callers.
+const express = require('express');
+const router = express.Router();
+const { barberOps } = require('../utils/supabase');
+const { WEEKDAYS, getShopWorkingHours } = require('../utils/workingHours');
+const { wantsJson, requireBarber, popNotice, respond: respondWith } = require('../utils/barberSession');
+const {
+  ROLES,
+  getRole,
+  canManageShop,
+  describeShop,
+  handleUpdateShop,
+  handleRotateApiKey,
+  handleSetBarberRole
+} = require('../utils/shops');
+
+router.use(requireBarber);
+
+router.use((req, res, next) => {
+  if (!req.shop) {
+    return respondWith(req, res, { status: 404, body: { success: false, error: 'Your account isn\'t part of a shop' } }, '/dashboard');
+  }
+  if (!canManageShop(req.barber)) {
+    return respondWith(req, res, { status: 403, body: { success: false, error: 'Only the shop owner and admins can change shop settings' } }, '/dashboard');
+  }
+  next();
+});
+
+function respond(req, res, outcome) {
+  respondWith(req, res, outcome, '/dashboard/shop');
+}
+
+router.get('/', async (req, res) => {
+  const shop = describeShop(req.shop, { includeSecrets: true });
+  const barbers = (await barberOps.getAllBarbers()).map(barber => ({
+    id: barber.id,
+    name: barber.name,
+    phoneNumber: barber.phone_number,
+    role: getRole(barber)
+  }));
+
+  if (wantsJson(req)) {
+    return res.status(200).json({ success: true, shop, barbers });
+  }
+
+  res.render('shop-settings', {
+    shop,
+    barbers,
+    roles: ROLES,
+    canChangeRoles: getRole(req.barber) === 'owner',
+    currentBarberId: req.barber.id,
+    joinUrl: `${req.protocol}://${req.get('host')}/register?shop=${encodeURIComponent(shop.joinCode)}`,
+    bookingUrl: `${req.protocol}://${req.get('host')}/book/shops/${encodeURIComponent(shop.id)}`,
+    weekdays: WEEKDAYS,
+    workingHours: getShopWorkingHours(),
+    timeZones: Intl.supportedValuesOf('timeZone'),
+    notice: popNotice(req)
+  });
+});
+
+router.post('/', async (req, res) => {
+  const { name, timeZone, workingHours, hours, logoUrl, color, smsNumber, googleFormId, googleFormBarberQuestionId } = req.body;
+  try {
+    respond(req, res, await handleUpdateShop(req.shop, {
+      name, timeZone, workingHours, hours, logoUrl, color, smsNumber, googleFormId, googleFormBarberQuestionId
+    }));
+  } catch (e) {
+    console.error('Error updating shop:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+router.post('/api-key', async (req, res) => {
+  try {
+    respond(req, res, await handleRotateApiKey(req.shop));
+  } catch (e) {
+    console.error('Error rotating API key:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+router.post('/barbers/:barberId/role', async (req, res) => {
+  try {
+    respond(req, res, await handleSetBarberRole(req.barber, req.params.barberId, req.body.role));
+  } catch (e) {
+    console.error('Error changing role:', e);
+    respond(req, res, { status: 500, body: { success: false, error: e.message } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// Setting up a new shop. Whoever creates it registers next and becomes its
+// owner. Only someone with SHOP_SIGNUP_KEY can create a shop; without it set,
+// signup is turned off.
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { wantsJson } = require('../utils/barberSession');
+const { handleCreateShop } = require('../utils/shops');
+
+const SIGNUP_OFF = 'Shop signup is turned off on this server';
+
+function signupKeyMatches(signupKey) {
+  const a = Buffer.from(String(process.env.SHOP_SIGNUP_KEY || ''));
+  const b = Buffer.from(String(signupKey || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+router.get('/new', (req, res) => {
+  if (!process.env.SHOP_SIGNUP_KEY) {
+    return res.status(403).render('error', { message: SIGNUP_OFF });
+  }
+  res.render('shop-new', { timeZones: Intl.supportedValuesOf('timeZone') });
+});
+
+router.post('/', async (req, res) => {
+  const { name, timeZone, signupKey } = req.body;
+
+  const fail = (status, error) => wantsJson(req)
+    ? res.status(status).json({ success: false, error })
+    : res.status(status).render('error', { message: error });
+
+  if (!process.env.SHOP_SIGNUP_KEY) {
+    return fail(403, SIGNUP_OFF);
+  }
+  if (!signupKeyMatches(signupKey)) {
+    return fail(403, 'That signup key isn\'t right');
+  }
+
+  try {
+    const outcome = await handleCreateShop({ name, timeZone: timeZone || undefined });
+    if (outcome.status !== 200) return fail(outcome.status, outcome.body.error);
+
+    // The owner registers into the new shop
+    req.session.shopId = outcome.body.shop.id;
+    req.session.newShopId = outcome.body.shop.id;
+
+    if (wantsJson(req)) return res.status(200).json(outcome.body);
+    res.redirect('/register');
+  } catch (e) {
+    console.error('Error creating shop:', e);
+    fail(500, 'Failed to create shop. Please try again.');
+  }
+});
+
+module.exports = router;
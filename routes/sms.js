@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { validateSignature, buildTwiml } = require('../utils/twilio');
+const { sendSms } = require('../utils/sms');
+const { handleInboundMessage } = require('../utils/conversation');
+const { clientOps } = require('../utils/supabase');
+const { t, getClientLanguage } = require('../utils/i18n');
+const { findShopForSmsNumber } = require('../utils/shops');
+const { runWithShop } = require('../utils/shopContext');
+
+// The URL Twilio posted to, which is what it signed. Behind a proxy that
+// rewrites hosts or paths, set SMS_WEBHOOK_URL to the public address.
+function getSignedUrl(req) {
+  return process.env.SMS_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+function sendTwiml(res, status, messages) {
+  return res.status(status).type('text/xml').send(buildTwiml(messages));
+}
+
+async function answerInboundMessage(res, { from, to, body, messageId }) {
+  try {
+    const reply = await handleInboundMessage({ from, to, body, messageId });
+
+    // Clients who opted out only get the answer to their STOP or HELP, so
+    // whatever comes back here may be sent
+    if (reply && process.env.SMS_REPLY_MODE === 'send') {
+      await sendSms(from, reply, { from: to, allowOptedOut: true });
+      return sendTwiml(res, 200, []);
+    }
+
+    return sendTwiml(res, 200, reply ? [reply] : []);
+  } catch (e) {
+    console.error('Error handling inbound SMS:', e);
+    const client = await clientOps.getByPhoneNumber(from).catch(() => null);
+    return sendTwiml(res, 200, [t(getClientLanguage(client), 'somethingWentWrong')]);
+  }
+}
+
+// Inbound SMS from Twilio (form-encoded). Replies go back as TwiML, or through
+// the outbound sender when SMS_REPLY_MODE=send.
+router.post('/inbound', async (req, res) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!authToken) {
+    console.error('Inbound SMS rejected: TWILIO_AUTH_TOKEN is not set');
+    return sendTwiml(res, 503, []);
+  }
+
+  if (!validateSignature(authToken, req.get('X-Twilio-Signature'), getSignedUrl(req), req.body)) {
+    return sendTwiml(res, 403, []);
+  }
+
+  const { From: from, To: to, Body: body, MessageSid: messageId } = req.body;
+  if (!from) {
+    return sendTwiml(res, 400, []);
+  }
+
+  // Each shop texts from its own number
+  const shop = await findShopForSmsNumber(to).catch(() => null);
+  if (!shop) {
+    console.error(`Inbound SMS to ${to} doesn't match any shop`);
+    return sendTwiml(res, 200, []);
+  }
+
+  await runWithShop(shop, () => answerInboundMessage(res, { from, to, body, messageId }));
+});
+
+module.exports = router;
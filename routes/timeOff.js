@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { requireShop } = require('../utils/shops');
+const { barberOps } = require('../utils/supabase');
+const { listTimeOff, handleCreateTimeOff, handleNotifyTimeOffClients, handleDeleteTimeOff } = require('../utils/timeOff');
+
+router.use(requireShop);
+
+// The barber's upcoming time off and the appointments booked during it
+router.get('/', async (req, res) => {
+  const { barberId } = req.query;
+  if (!barberId) return res.status(400).json({ success: false, error: 'barberId is required' });
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber) return res.status(404).json({ success: false, error: 'Barber not found' });
+
+    return res.status(200).json({ success: true, timeOff: await listTimeOff(barber) });
+  } catch (e) {
+    console.error('Error listing time off:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Block time with `when` ("next friday", "tomorrow 1-2pm") or start and end.
+// repeat: daily, weekdays or weekly, optionally until a date. notifyClients
+// texts anyone already booked in the time to reschedule.
+router.post('/', async (req, res) => {
+  const { barberId, when, start, end, label, repeat, until, notifyClients } = req.body;
+  if (!barberId) return res.status(400).json({ success: false, error: 'barberId is required' });
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    const outcome = await handleCreateTimeOff(barber, {
+      when, start, end, label, repeat, until,
+      notifyClients: notifyClients === true || notifyClients === 'true'
+    });
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error adding time off:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/:blockId/notify', async (req, res) => {
+  const { barberId } = req.body;
+  if (!barberId) return res.status(400).json({ success: false, error: 'barberId is required' });
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber) return res.status(404).json({ success: false, error: 'Barber not found' });
+
+    const outcome = await handleNotifyTimeOffClients(barber, req.params.blockId);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error notifying clients about time off:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/:blockId', async (req, res) => {
+  const barberId = req.body?.barberId || req.query.barberId;
+  if (!barberId) return res.status(400).json({ success: false, error: 'barberId is required' });
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber?.refresh_token) return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
+
+    const outcome = await handleDeleteTimeOff(barber, req.params.blockId);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error removing time off:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const { requireShop } = require('../utils/shops');
+const { barberOps, waitlistOps } = require('../utils/supabase');
+const { getBarberTimezone, parseDateTimeInZone } = require('../utils/timezone');
+const { resolveService } = require('../utils/services');
+const {
+  describeEntry,
+  describeOffer,
+  sweepExpiredOffers,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+} = require('../utils/waitlist');
+
+router.use(requireShop);
+
+// A bare date means the start or the end of that day in the barber's timezone
+function parseWindowTime(value, timeZone, endOfDay) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    return parseDateTimeInZone(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`, timeZone);
+  }
+  return parseDateTimeInZone(value, timeZone);
+}
+
+// Join the waitlist for a barber within a date/time window
+router.post('/', async (req, res) => {
+  const { barberId, clientPhone, clientName, serviceType, serviceId, duration, windowStart, windowEnd, priority } = req.body;
+
+  if (!barberId || !clientPhone || !windowStart || !windowEnd) {
+    return res.status(400).json({
+      success: false,
+      error: 'barberId, clientPhone, windowStart and windowEnd are required'
+    });
+  }
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber) {
+      return res.status(404).json({ success: false, error: 'Barber not found' });
+    }
+    const timeZone = getBarberTimezone(barber);
+
+    let start, end;
+    try {
+      start = parseWindowTime(windowStart, timeZone, false);
+      end = parseWindowTime(windowEnd, timeZone, true);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+    if (resolved.error) return res.status(400).json({ success: false, ...resolved.error });
+    const serviceDuration = resolved.service?.duration || parseInt(duration, 10) || 30;
+
+    if (end <= new Date() || end.getTime() - start.getTime() < serviceDuration * 60000) {
+      return res.status(400).json({
+        success: false,
+        error: 'The window must end in the future and be long enough for the appointment'
+      });
+    }
+
+    const entry = await waitlistOps.createEntry({
+      barber_id: barber.id,
+      client_phone: clientPhone,
+      client_name: clientName,
+      service_type: resolved.service?.name || serviceType || 'Appointment',
+      service_id: resolved.service?.id || null,
+      duration_minutes: serviceDuration,
+      window_start: start.toISOString(),
+      window_end: end.toISOString(),
+      priority: parseInt(priority, 10) || 0
+    });
+
+    if (!entry) {
+      return res.status(500).json({ success: false, error: 'Failed to join the waitlist' });
+    }
+
+    return res.status(201).json({ success: true, entry: describeEntry(entry, timeZone) });
+  } catch (e) {
+    console.error('Error joining waitlist:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// List open waitlist entries for a barber and/or a client
+router.get('/', async (req, res) => {
+  const { barberId, clientPhone } = req.query;
+
+  if (!barberId && !clientPhone) {
+    return res.status(400).json({ success: false, error: 'barberId or clientPhone is required' });
+  }
+
+  try {
+    await sweepExpiredOffers();
+    const entries = await waitlistOps.getEntries({ barberId, clientPhone });
+    const barbers = new Map();
+    for (const id of new Set(entries.map(entry => entry.barber_id))) {
+      barbers.set(id, await barberOps.getById(id));
+    }
+
+    return res.status(200).json({
+      success: true,
+      entries: entries.map(entry => describeEntry(entry, getBarberTimezone(barbers.get(entry.barber_id))))
+    });
+  } catch (e) {
+    console.error('Error listing waitlist:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Open offers for a client. Offers are also emitted on waitlistEvents as they're made.
+router.get('/offers', async (req, res) => {
+  const { clientPhone } = req.query;
+
+  if (!clientPhone) {
+    return res.status(400).json({ success: false, error: 'clientPhone is required' });
+  }
+
+  try {
+    await sweepExpiredOffers();
+    const offers = await waitlistOps.getPendingOffersForClient(clientPhone);
+    const described = [];
+    for (const offer of offers) {
+      const barber = await barberOps.getById(offer.barber_id);
+      described.push(describeOffer(offer, getBarberTimezone(barber)));
+    }
+
+    return res.status(200).json({ success: true, offers: described });
+  } catch (e) {
+    console.error('Error listing waitlist offers:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/offers/:offerId/accept', async (req, res) => {
+  const { clientPhone } = req.body;
+
+  if (!clientPhone) {
+    return res.status(400).json({ success: false, error: 'clientPhone is required' });
+  }
+
+  try {
+    const outcome = await acceptOffer(req.params.offerId, clientPhone);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error accepting waitlist offer:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/offers/:offerId/decline', async (req, res) => {
+  const { clientPhone } = req.body;
+
+  if (!clientPhone) {
+    return res.status(400).json({ success: false, error: 'clientPhone is required' });
+  }
+
+  try {
+    const outcome = await declineOffer(req.params.offerId, clientPhone);
+    return res.status(outcome.status).json(outcome.body);
+  } catch (e) {
+    console.error('Error declining waitlist offer:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Leave the waitlist
+router.delete('/:entryId', async (req, res) => {
+  const clientPhone = req.body?.clientPhone || req.query.clientPhone;
+
+  try {
+    const entry = await waitlistOps.getEntryById(req.params.entryId);
+    if (!entry || (clientPhone && entry.client_phone !== clientPhone)) {
+      return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(409).json({ success: false, error: `This waitlist entry is already ${entry.status}` });
+    }
+
+    await leaveWaitlist(entry);
+    return res.status(200).json({ success: true, entryId: entry.id, message: 'Removed from the waitlist' });
+  } catch (e) {
+    console.error('Error leaving waitlist:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -1,181 +1,121 @@
 const express = require('express');
 const router = express.Router();
-const { google } = require('googleapis');
-const { barberOps, clientOps, appointmentOps, conversationOps, supabase } = require('../utils/supabase');
-
-const createOAuth2Client = (refreshToken) => {
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.REDIRECT_URI
-  );
-  oauth2Client.setCredentials({ refresh_token: refreshToken });
-  return oauth2Client;
-};
-
-function parsePacificDateTime(dateTimeString) {
-  let cleanDateString = dateTimeString;
-  if (dateTimeString.includes('.')) {
-    cleanDateString = dateTimeString.replace(/\.\d+(?=[Z+-])/, '');
-  }
-  try {
-    const date = new Date(cleanDateString);
-    if (!isNaN(date.getTime())) return date;
-  } catch {}
-  const match = cleanDateString.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
-  if (!match) throw new Error(`Invalid date format: ${dateTimeString}`);
-  const [_, year, month, day, hour, minute, second] = match;
-  return new Date(Date.UTC(+year, +month - 1, +day, +hour + 7, +minute, +second));
-}
+const { barberOps, clientOps, conversationOps, holdOps, shopTable } = require('../utils/supabase');
+const { requireShop } = require('../utils/shops');
+const { isValidTimeZone, getBarberTimezone, parseDateTimeInZone, formatInZone } = require('../utils/timezone');
+const { getBufferMinutes, checkSlotAvailability, findNextAvailableSlots } = require('../utils/availability');
+const { resolveService, toPublicService } = require('../utils/services');
+const { withKeyedLock, withSlotClaim } = require('../utils/bookingLock');
+const {
+  getCalendarClient,
+  slotUnavailable,
+  handleCreateClientAppointment,
+  handleCreateRecurringAppointment,
+  handleCancelAppointment,
+  handleRescheduleAppointment
+} = require('../utils/booking');
+const { isAnyBarber, getCandidateBarbers, findSlotsAcrossBarbers, bookWithAnyBarber } = require('../utils/anyBarber');
+const { getAgentModel, runAgent } = require('../utils/agent');
+const { conversationBatcher } = require('../utils/messageBatcher');
+const { getCurrentSession, getPreviousSummary, describeSession } = require('../utils/sessions');
+const { resolveDateTimeInput, describeParsed } = require('../utils/dateParser');
+const { isOptedOut, setSmsConsent, handleConsentKeyword, describeConsent } = require('../utils/consent');
+const { getSupportedLanguages, normalizeLanguage, getClientLanguage, setClientLanguage, detectClientLanguage } = require('../utils/i18n');
+
+// Every webhook works inside one shop, named by its API key
+router.use(requireShop);
 
-async function handleCreateClientAppointment(calendar, calendarId, data, res) {
-  const { clientPhone, clientName, serviceType, startDateTime, duration, notes, barberId } = data;
-  if (!startDateTime) return res.status(400).json({ success: false, error: 'Start date-time is required' });
-  const startTime = parsePacificDateTime(startDateTime);
-  const endTime = new Date(startTime.getTime() + (duration * 60000));
-  const eventDetails = {
-    summary: `${serviceType}: ${clientName}`,
-    description: `Client: ${clientName}\nPhone: ${clientPhone}\n${notes || ''}`,
-    start: { dateTime: startTime.toISOString(), timeZone: 'America/Los_Angeles' },
-    end: { dateTime: endTime.toISOString(), timeZone: 'America/Los_Angeles' }
+function unparseableDateTime(text) {
+  return {
+    success: false,
+    errorCode: 'UNPARSEABLE_DATETIME',
+    error: `Could not understand "${text}" as a date or time`
   };
-  const event = await calendar.events.insert({ calendarId, resource: eventDetails, sendUpdates: 'all' });
-  if (event.data?.id) {
-    try {
-      await appointmentOps.create({ client_phone: clientPhone, barber_id: barberId, service_type: serviceType, start_time: startTime.toISOString(), end_time: endTime.toISOString(), google_calendar_event_id: event.data.id, notes });
-    } catch (e) { console.error('DB store error:', e); }
-  }
-  return res.status(200).json({ success: true, action: 'create', eventId: event.data.id, eventLink: event.data.htmlLink, message: 'Appointment added to calendar' });
 }
 
-async function handleCancelAppointment(calendar, calendarId, eventId, clientPhone, res) {
-  if (!eventId) {
-    return res.status(400).json({ success: false, error: 'Event ID is required for cancellation' });
-  }
-
-  try {
-    // Delete from Google Calendar
-    await calendar.events.delete({
-      calendarId,
-      eventId,
-      sendUpdates: 'all' // Notify attendees
-    });
-
-    // Delete from database
-    const { data, error } = await supabase
-      .from('appointments')
-      .delete()
-      .eq('google_calendar_event_id', eventId);
+// Relative phrases are read against referenceTime, or the current time
+function getReferenceTime(referenceTime, timeZone) {
+  return referenceTime ? parseDateTimeInZone(referenceTime, timeZone) : new Date();
+}
 
-    if (error) {
-      console.error('Error deleting appointment from database:', error);
+// Where a slot search starts and stops. currentTimestamp may be an ISO time or
+// a phrase; `when` ("tomorrow afternoon") narrows the search to that window.
+function resolveSearchWindow({ currentTimestamp, when, referenceTime }, timeZone) {
+  if (!when) {
+    try {
+      return { startFrom: parseDateTimeInZone(currentTimestamp, timeZone), until: null, parsed: null };
+    } catch (e) {
+      // Not an ISO time, so read it as a phrase below
     }
+  }
 
-    return res.status(200).json({
-      success: true,
-      action: 'cancel',
-      eventId,
-      message: 'Appointment successfully cancelled'
-    });
+  // Alongside `when`, currentTimestamp is the client's "now"
+  let reference;
+  try {
+    reference = getReferenceTime(referenceTime || (when ? currentTimestamp : null), timeZone);
   } catch (e) {
-    console.error('Error cancelling appointment:', e);
-    return res.status(500).json({
-      success: false,
-      error: `Failed to cancel appointment: ${e.message}`
-    });
+    return { error: { success: false, error: e.message } };
   }
-}
 
-async function handleRescheduleAppointment(calendar, calendarId, data, res) {
-  const { eventId, newStartDateTime, clientPhone, clientName, serviceType, duration = 30, notes, barberId } = data;
-  
-  if (!eventId || !newStartDateTime) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Event ID and new start date-time are required for rescheduling' 
-    });
+  const text = when || currentTimestamp;
+  const parsed = resolveDateTimeInput(text, timeZone, reference);
+  if (!parsed) return { error: unparseableDateTime(text) };
+  if (parsed.end && parsed.end <= reference) {
+    return { error: { success: false, errorCode: 'DATETIME_IN_PAST', error: `"${text}" has already passed`, parsedWhen: describeParsed(parsed, timeZone) } };
   }
 
-  try {
-    // Get existing event first to preserve any other data
-    const existingEvent = await calendar.events.get({
-      calendarId,
-      eventId
-    });
-
-    if (!existingEvent.data) {
-      return res.status(404).json({
-        success: false,
-        error: 'Appointment not found in calendar'
-      });
-    }
-
-    // Parse new start time and calculate new end time
-    // Use the provided duration (which might be different from original)
-    const newStartTime = parsePacificDateTime(newStartDateTime);
-    const newEndTime = new Date(newStartTime.getTime() + (duration * 60000));
-
-    // Update the event in Google Calendar
-    const updatedEvent = await calendar.events.update({
-      calendarId,
-      eventId,
-      resource: {
-        ...existingEvent.data,
-        summary: serviceType ? `${serviceType}: ${clientName}` : existingEvent.data.summary,
-        start: { dateTime: newStartTime.toISOString(), timeZone: 'America/Los_Angeles' },
-        end: { dateTime: newEndTime.toISOString(), timeZone: 'America/Los_Angeles' }
-      },
-      sendUpdates: 'all' // Notify attendees
-    });
-
-    // Update the appointment in the database
-    const updateResult = await appointmentOps.updateByEventId(eventId, {
-      start_time: newStartTime.toISOString(),
-      end_time: newEndTime.toISOString(),
-      service_type: serviceType || undefined // Only update if provided
-    });
-
-    return res.status(200).json({
-      success: true,
-      action: 'reschedule',
-      eventId: updatedEvent.data.id,
-      eventLink: updatedEvent.data.htmlLink,
-      message: 'Appointment successfully rescheduled'
-    });
-  } catch (e) {
-    console.error('Error rescheduling appointment:', e);
-    return res.status(500).json({
-      success: false,
-      error: `Failed to reschedule appointment: ${e.message}`
-    });
-  }
+  // An exact time is where the search starts; a window also ends it
+  return {
+    startFrom: parsed.start > reference ? parsed.start : reference,
+    until: parsed.exact ? null : parsed.end,
+    parsed
+  };
 }
 
 router.post('/client-appointment', async (req, res) => {
   let { 
     clientPhone, 
     clientName = "New Client", 
-    serviceType = 'Appointment', 
+    serviceType, 
+    serviceId, 
     startDateTime, 
     newStartDateTime, 
-    duration = 30, 
+    duration, 
     notes = '', 
     preferredBarberId, 
     isCancelling = false, 
     isRescheduling = false, 
-    eventId 
+    eventId, 
+    holdId, 
+    recurrence, 
+    scope = 'single', 
+    skipConflicts = false 
   } = req.body;
   
   // Parse boolean strings to actual booleans
   if (typeof isCancelling === 'string') isCancelling = isCancelling.toLowerCase() === 'true';
   if (typeof isRescheduling === 'string') isRescheduling = isRescheduling.toLowerCase() === 'true';
-  if (typeof duration === 'string') duration = parseInt(duration, 10) || 30;
+  if (typeof duration === 'string') duration = parseInt(duration, 10) || undefined;
+  if (typeof skipConflicts === 'string') skipConflicts = skipConflicts.toLowerCase() === 'true';
+  
+  if (!['single', 'following'].includes(scope)) {
+    return res.status(400).json({ success: false, error: "scope must be 'single' or 'following'" });
+  }
   
   // Validate required fields
   if (!clientPhone) {
     return res.status(400).json({ success: false, error: 'Client phone number is required' });
   }
   
+  // "any" books whoever is free, which only makes sense for a new one-off appointment
+  const anyBarber = isAnyBarber(preferredBarberId);
+  if (anyBarber && (isCancelling || isRescheduling || recurrence)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cancelling, rescheduling and recurring bookings need a specific barber'
+    });
+  }
+  
   try {
     // Get or create client
     let client = await clientOps.getByPhoneNumber(clientPhone);
@@ -184,10 +124,25 @@ router.post('/client-appointment', async (req, res) => {
       client = await clientOps.createOrUpdate({ 
         phone_number: clientPhone, 
         name: clientName, 
-        preferred_barber_id: preferredBarberId 
+        preferred_barber_id: anyBarber ? null : preferredBarberId 
       });
     }
     
+    if (anyBarber) {
+      const outcome = await bookWithAnyBarber({
+        clientPhone,
+        clientName,
+        serviceType,
+        serviceId,
+        startDateTime,
+        duration,
+        notes,
+        holdId,
+        preferredBarberId: client?.preferred_barber_id
+      });
+      return res.status(outcome.status).json(outcome.body);
+    }
+    
     // Validate barber info
     if (!preferredBarberId && (!client || !client.preferred_barber_id)) {
       return res.status(400).json({ 
@@ -197,7 +152,7 @@ router.post('/client-appointment', async (req, res) => {
     }
     
     const barberId = preferredBarberId || client?.preferred_barber_id;
-    const { data: barber } = await supabase.from('barbers').select('*').eq('id', barberId).single();
+    const barber = await barberOps.getById(barberId);
     
     if (!barber?.refresh_token) {
       return res.status(404).json({ 
@@ -207,36 +162,63 @@ router.post('/client-appointment', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(barber.refresh_token);
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    const calendar = getCalendarClient(barber);
     const calendarId = barber.selected_calendar_id || 'primary';
+    const timeZone = getBarberTimezone(barber);
     
     // Handle different operations based on request type
+    let outcome;
     if (isCancelling) {
-      return await handleCancelAppointment(calendar, calendarId, eventId, clientPhone, res);
+      outcome = await handleCancelAppointment(calendar, calendarId, eventId, clientPhone, { scope, timeZone, barber });
     } else if (isRescheduling) {
-      return await handleRescheduleAppointment(calendar, calendarId, {
+      outcome = await handleRescheduleAppointment(calendar, calendarId, {
         eventId,
         newStartDateTime,
         clientPhone,
         clientName,
         serviceType,
+        serviceId,
         duration,
         notes,
-        barberId: barber.id
-      }, res);
+        barber,
+        holdId,
+        scope,
+        skipConflicts,
+        timeZone
+      });
+    } else if (recurrence) {
+      // Create a recurring appointment for a regular
+      outcome = await handleCreateRecurringAppointment(calendar, calendarId, {
+        clientPhone,
+        clientName,
+        serviceType,
+        serviceId,
+        startDateTime,
+        duration,
+        notes,
+        barber,
+        recurrence,
+        skipConflicts,
+        holdId,
+        timeZone
+      });
     } else {
       // Create new appointment
-      return await handleCreateClientAppointment(calendar, calendarId, {
+      outcome = await handleCreateClientAppointment(calendar, calendarId, {
         clientPhone,
         clientName,
         serviceType,
+        serviceId,
         startDateTime,
         duration,
         notes,
-        barberId: barber.id
-      }, res);
+        barber,
+        holdId,
+        timeZone
+      });
     }
+
+    return res.status(outcome.status).json(outcome.body);
   } catch (e) {
     console.error('Error in client-appointment endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
@@ -247,76 +229,150 @@ router.post('/update-client-preference', async (req, res) => {
   const { clientPhone, preferredBarberId } = req.body;
   if (!clientPhone || !preferredBarberId) return res.status(400).json({ success: false, error: 'Missing info' });
   try {
-    const { data, error } = await supabase.from('clients').upsert({ phone_number: clientPhone, preferred_barber_id: preferredBarberId, updated_at: new Date() }, { onConflict: 'phone_number' }).select();
-    if (error) throw error;
-    return res.status(200).json({ success: true, client: data[0] });
+    // Only barbers in this shop
+    const barber = await barberOps.getById(preferredBarberId);
+    if (!barber) return res.status(404).json({ success: false, error: 'Barber not found' });
+    const client = await clientOps.createOrUpdate({ phone_number: clientPhone, preferred_barber_id: barber.id });
+    if (!client) throw new Error('Failed to update client');
+    return res.status(200).json({ success: true, client });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Turn a casual phrase ("next tuesday after 3", "tmrw morning") into concrete
+// times in the barber's timezone (or timeZone), relative to referenceTime
+router.post('/parse-datetime', async (req, res) => {
+  const { text, barberId, timeZone: requestedTimeZone, referenceTime } = req.body;
+
+  if (!text) return res.status(400).json({ success: false, error: 'Missing text' });
+  if (requestedTimeZone && !isValidTimeZone(requestedTimeZone)) {
+    return res.status(400).json({ success: false, error: `Invalid timeZone: ${requestedTimeZone}` });
+  }
+
+  try {
+    let barber = null;
+    if (barberId && !requestedTimeZone) {
+      barber = await barberOps.getById(barberId);
+      if (!barber) return res.status(404).json({ success: false, error: 'Barber not found' });
+    }
+    const timeZone = requestedTimeZone || getBarberTimezone(barber);
+
+    let reference;
+    try {
+      reference = getReferenceTime(referenceTime, timeZone);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    const parsed = resolveDateTimeInput(text, timeZone, reference);
+    if (!parsed) return res.status(400).json(unparseableDateTime(text));
+
+    return res.status(200).json({
+      success: true,
+      text,
+      referenceTime: reference.toISOString(),
+      ...describeParsed(parsed, timeZone)
+    });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Set the language a client is texted in; it's kept over the detected one
+router.post('/client-language', async (req, res) => {
+  const { clientPhone, language } = req.body;
+  if (!clientPhone || !language) return res.status(400).json({ success: false, error: 'clientPhone and language are required' });
+
+  const code = normalizeLanguage(language);
+  if (!code) {
+    return res.status(400).json({ success: false, error: `Unsupported language "${language}"`, supportedLanguages: getSupportedLanguages() });
+  }
+
+  try {
+    const client = await clientOps.getByPhoneNumber(clientPhone);
+    if (!client) return res.status(404).json({ success: false, error: 'Client not found' });
+
+    const updated = await setClientLanguage(client, code, 'manual');
+    return res.status(200).json({ success: true, clientPhone, language: getClientLanguage(updated), languageSource: updated.language_source });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message });
   }
 });
 
 router.post('/check-availability', async (req, res) => {
-  const { barberPhoneNumber, barberId, startDateTime, endDateTime, serviceDuration = 30 } = req.body;
+  const { barberPhoneNumber, barberId, startDateTime, endDateTime, serviceType, serviceId, clientPhone, referenceTime, currentTimestamp } = req.body;
+  let { serviceDuration = 30 } = req.body;
   
   if (!barberPhoneNumber && !barberId) return res.status(400).json({ success: false, error: 'Barber identifier required' });
   
   try {
-    const barber = barberPhoneNumber ? await barberOps.getByPhoneNumber(barberPhoneNumber) : (await supabase.from('barbers').select('*').eq('id', barberId).single()).data;
+    const barber = barberPhoneNumber ? await barberOps.getByPhoneNumber(barberPhoneNumber) : await barberOps.getById(barberId);
     if (!barber?.refresh_token) return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
     
-    const oauth2Client = createOAuth2Client(barber.refresh_token);
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    const calendarId = barber.selected_calendar_id || 'primary';
+    const calendar = getCalendarClient(barber);
+    const timeZone = getBarberTimezone(barber);
 
-    // Parse specific start time from request
-    const requestedStart = new Date(startDateTime);
+    // Parse specific start time from request; times without an offset are in the barber's timezone.
+    // A phrase ("tomorrow at 3") works too, as long as it names one time.
+    let parsed;
+    try {
+      if (!startDateTime) throw new Error('Missing startDateTime');
+      parsed = resolveDateTimeInput(startDateTime, timeZone, getReferenceTime(referenceTime || currentTimestamp, timeZone));
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    if (!parsed) return res.status(400).json(unparseableDateTime(startDateTime));
+    if (!parsed.exact) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'DATETIME_NOT_EXACT',
+        error: `"${startDateTime}" covers a range of times; use /find-available-slots to search it`,
+        parsedTime: describeParsed(parsed, timeZone)
+      });
+    }
+    const requestedStart = parsed.start;
+    
+    // A requested service decides the duration and any cleanup buffers
+    let service = null;
+    if (serviceType || serviceId) {
+      const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+      if (resolved.error) return res.status(400).json({ success: false, ...resolved.error });
+      service = resolved.service;
+      if (service) serviceDuration = service.duration;
+    }
     
     // Calculate the end time based on service duration
     const requestedEnd = new Date(requestedStart.getTime() + (serviceDuration * 60000));
     
-    // Use a wider time window to fetch all potentially conflicting events
-    const timeMin = new Date(requestedStart.getTime() - (60 * 60000)); // 1 hour before
-    const timeMax = new Date(requestedEnd.getTime() + (60 * 60000));   // 1 hour after
-
-    const response = await calendar.events.list({
-      calendarId,
-      timeMin: timeMin.toISOString(),
-      timeMax: timeMax.toISOString(),
-      timeZone: 'America/Los_Angeles',
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 100
-    });
-
-    // Check if any existing events overlap with the requested time slot
-    const isAvailable = !response.data.items.some(event => {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      const eventEnd = new Date(event.end.dateTime || event.end.date);
-      
-      // Check for overlap - if either the start or end time falls within an existing event
-      return (
-        (requestedStart < eventEnd && requestedEnd > eventStart) ||
-        (eventStart < requestedEnd && eventEnd > requestedStart)
-      );
-    });
+    // Busy times come from every calendar the barber counts as busy, and
+    // anything outside their working hours is unavailable regardless
+    const { isAvailable, withinWorkingHours, conflicts, buffer } = await checkSlotAvailability(calendar, barber, requestedStart, requestedEnd, { service, clientPhone });
     
     // Set the correct content type explicitly
     res.setHeader('Content-Type', 'application/json');
     
-    // Send a clean, simplified response structure
+    // Send a clean, simplified response structure. Conflicts only say "Busy" so
+    // details of a barber's personal calendars are never passed on to clients.
     const result = {
       success: true,
       isAvailable: isAvailable,
       requestedTimeSlot: {
         start: requestedStart.toISOString(),
         end: requestedEnd.toISOString(),
+        localStart: formatInZone(requestedStart, timeZone),
+        localEnd: formatInZone(requestedEnd, timeZone),
         duration: serviceDuration
       },
-      conflictingEvents: isAvailable ? [] : response.data.items.map(event => ({
-        id: event.id,
-        summary: event.summary || "Untitled",
-        start: event.start?.dateTime || event.start?.date,
-        end: event.end?.dateTime || event.end?.date
+      timeZone,
+      assumptions: parsed.assumptions,
+      bufferMinutes: buffer,
+      outsideWorkingHours: !withinWorkingHours,
+      conflictingEvents: conflicts.map(period => ({
+        calendarId: period.calendarId,
+        summary: period.holdId ? 'Held' : 'Busy',
+        start: period.start.toISOString(),
+        end: period.end.toISOString()
       }))
     };
     
@@ -334,7 +390,7 @@ router.post('/register-client', async (req, res) => {
     let formattedPhone = clientPhone;
     const digits = formattedPhone.replace(/\D/g, '');
     if (!formattedPhone.startsWith('+')) formattedPhone = digits.length === 10 ? `+1${digits}` : `+${digits}`;
-    const { data: barber } = await supabase.from('barbers').select('id, name').ilike('name', `%${preferredBarberName}%`).single();
+    const { data: barber } = await shopTable('barbers').select('id, name').ilike('name', `%${preferredBarberName}%`).single();
     const existingClient = await clientOps.getByPhoneNumber(formattedPhone);
     const updatedClient = await clientOps.createOrUpdate({ phone_number: formattedPhone, name: clientName, preferred_barber_id: barber.id });
     return res.status(200).json({ success: true, message: existingClient ? 'Client updated' : 'Client registered', client: updatedClient, barber });
@@ -355,10 +411,10 @@ router.get('/get-preferred-barber', async (req, res) => {
     if (!client) return res.status(200).json({ success: true, found: false, message: 'Client not found' });
 
     let latestAppointment = null;
-    const { data: appointments, error } = await supabase
-      .from('appointments')
+    const { data: appointments, error } = await shopTable('appointments')
       .select('id, start_time, google_calendar_event_id')
       .eq('client_phone', formattedPhone)
+      .or('status.is.null,status.neq.cancelled')
       .order('start_time', { ascending: false })
       .limit(1);
 
@@ -373,7 +429,9 @@ router.get('/get-preferred-barber', async (req, res) => {
       client: {
         id: client.id,
         name: client.name,
-        phone: client.phone_number
+        phone: client.phone_number,
+        language: getClientLanguage(client),
+        languageSource: client.language_source || null
       },
       latestAppointment
     });
@@ -389,7 +447,9 @@ router.get('/get-preferred-barber', async (req, res) => {
       client: {
         id: client.id,
         name: client.name,
-        phone: client.phone_number
+        phone: client.phone_number,
+        language: getClientLanguage(client),
+        languageSource: client.language_source || null
       },
       latestAppointment
     });
@@ -398,71 +458,78 @@ router.get('/get-preferred-barber', async (req, res) => {
   }
 });
 
-// Helper to find next N available 30-min slots from a given time
-async function findNextAvailableSlots(calendar, calendarId, startFrom, numSlots = 3, slotMinutes = 30) {
-  const results = [];
-  let searchTime = new Date(startFrom);
-  const endTime = new Date(searchTime);
-  endTime.setDate(endTime.getDate() + 7);
-
-  const busyEvents = await calendar.events.list({
-    calendarId,
-    timeMin: searchTime.toISOString(),
-    timeMax: endTime.toISOString(),
-    singleEvents: true,
-    orderBy: 'startTime',
-    maxResults: 250
-  });
-
-  const busy = busyEvents.data.items.map(evt => ({
-    start: new Date(evt.start.dateTime || evt.start.date),
-    end: new Date(evt.end.dateTime || evt.end.date)
-  }));
-
-  while (results.length < numSlots && searchTime < endTime) {
-    const candidateEnd = new Date(searchTime.getTime() + slotMinutes * 60000);
-    const overlaps = busy.some(evt =>
-      (searchTime < evt.end && candidateEnd > evt.start)
-    );
-    if (!overlaps) {
-      results.push({ start: new Date(searchTime), end: new Date(candidateEnd) });
-      searchTime = new Date(candidateEnd);
-    } else {
-      searchTime.setMinutes(searchTime.getMinutes() + slotMinutes);
-    }
-  }
-
-  return results.map(slot => ({
-    start: slot.start.toISOString(),
-    end: slot.end.toISOString()
-  }));
-}
-
 // New endpoint: POST /find-available-slots
 router.post('/find-available-slots', async (req, res) => {
-  const { barberId, currentTimestamp, numSlots = 3, slotDurationMinutes = 30 } = req.body;
+  const { barberId, currentTimestamp, when, referenceTime, numSlots = 3, serviceType, serviceId, clientPhone } = req.body;
+  let { slotDurationMinutes = 30 } = req.body;
 
-  if (!barberId || !currentTimestamp) {
+  if (!barberId || !(currentTimestamp || when)) {
     return res.status(400).json({ success: false, error: 'Missing barberId or currentTimestamp' });
   }
 
+  // barberId "any" searches every barber (who offers the service) for the earliest slots
+  if (isAnyBarber(barberId)) {
+    try {
+      const client = clientPhone ? await clientOps.getByPhoneNumber(clientPhone) : null;
+      const { candidates, error } = await getCandidateBarbers({
+        serviceId,
+        serviceName: serviceType,
+        preferredBarberId: client?.preferred_barber_id
+      });
+      if (error) return res.status(400).json({ success: false, ...error });
+
+      // Phrases are read in the shop's default timezone when no barber is chosen
+      const timeZone = getBarberTimezone(null);
+      const window = resolveSearchWindow({ currentTimestamp, when, referenceTime }, timeZone);
+      if (window.error) return res.status(400).json(window.error);
+
+      const slots = await findSlotsAcrossBarbers(candidates, window.startFrom, numSlots, slotDurationMinutes, { clientPhone, until: window.until });
+
+      return res.status(200).json({
+        success: true,
+        anyBarber: true,
+        barbersSearched: candidates.length,
+        slotsFound: slots.length,
+        slots,
+        parsedWhen: window.parsed ? describeParsed(window.parsed, timeZone) : null
+      });
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+
   try {
-    const { data: barber } = await supabase.from('barbers').select('*').eq('id', barberId).single();
+    const barber = await barberOps.getById(barberId);
     if (!barber?.refresh_token) {
       return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
     }
 
-    const oauth2Client = createOAuth2Client(barber.refresh_token);
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    const calendarId = barber.selected_calendar_id || 'primary';
+    const calendar = getCalendarClient(barber);
+    const timeZone = getBarberTimezone(barber);
+
+    // A requested service decides the slot length
+    let service = null;
+    if (serviceType || serviceId) {
+      const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+      if (resolved.error) return res.status(400).json({ success: false, ...resolved.error });
+      service = resolved.service;
+      if (service) slotDurationMinutes = service.duration;
+    }
+
+    const window = resolveSearchWindow({ currentTimestamp, when, referenceTime }, timeZone);
+    if (window.error) return res.status(400).json(window.error);
 
     // Pass the slotDurationMinutes parameter here
-    const slots = await findNextAvailableSlots(calendar, calendarId, currentTimestamp, numSlots, slotDurationMinutes);
+    const slots = await findNextAvailableSlots(calendar, barber, window.startFrom, numSlots, slotDurationMinutes, { service, clientPhone, until: window.until });
 
     return res.status(200).json({
       success: true,
       slotsFound: slots.length,
       slots,
+      timeZone,
+      parsedWhen: window.parsed ? describeParsed(window.parsed, timeZone) : null,
+      service: service ? toPublicService(service) : null,
+      bufferMinutes: getBufferMinutes(barber, service),
       duration: slotDurationMinutes // Return the duration for clarity
     });
   } catch (e) {
@@ -470,6 +537,112 @@ router.post('/find-available-slots', async (req, res) => {
   }
 });
 
+const MAX_HOLD_MINUTES = 15;
+
+// Hold an offered slot while the client confirms it. Other clients see the slot
+// as busy until the hold is booked, released or expires.
+router.post('/slot-holds', async (req, res) => {
+  const { barberId, clientPhone, startDateTime, serviceType, serviceId, slotDurationMinutes = 30, holdMinutes = 5 } = req.body;
+
+  if (!barberId || !clientPhone || !startDateTime) {
+    return res.status(400).json({ success: false, error: 'barberId, clientPhone and startDateTime are required' });
+  }
+
+  try {
+    const barber = await barberOps.getById(barberId);
+    if (!barber?.refresh_token) {
+      return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
+    }
+
+    const calendar = getCalendarClient(barber);
+    const timeZone = getBarberTimezone(barber);
+
+    let service = null;
+    if (serviceType || serviceId) {
+      const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+      if (resolved.error) return res.status(400).json({ success: false, ...resolved.error });
+      service = resolved.service;
+    }
+    const durationMinutes = service?.duration || parseInt(slotDurationMinutes, 10) || 30;
+
+    let startTime;
+    try {
+      startTime = parseDateTimeInZone(startDateTime, timeZone);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+    const holdLength = Math.min(Math.max(parseInt(holdMinutes, 10) || 5, 1), MAX_HOLD_MINUTES);
+
+    // Expired holds never block anything, this just keeps the table small
+    await holdOps.deleteExpired();
+
+    return await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, [{ start: startTime, end: endTime }], async () => {
+      const availabilityOptions = { service, clientPhone };
+      const availability = await checkSlotAvailability(calendar, barber, startTime, endTime, availabilityOptions);
+      if (!availability.isAvailable) {
+        const unavailable = await slotUnavailable(calendar, barber, startTime, durationMinutes, availability, availabilityOptions);
+        return res.status(unavailable.status).json(unavailable.body);
+      }
+
+      const hold = await holdOps.create({
+        barber_id: barber.id,
+        client_phone: clientPhone,
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        expires_at: new Date(Date.now() + holdLength * 60000).toISOString()
+      });
+
+      if (!hold) {
+        return res.status(500).json({ success: false, error: 'Failed to hold slot' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        holdId: hold.id,
+        start: startTime.toISOString(),
+        end: endTime.toISOString(),
+        localStart: formatInZone(startTime, timeZone),
+        localEnd: formatInZone(endTime, timeZone),
+        timeZone,
+        expiresAt: hold.expires_at
+      });
+    }));
+  } catch (e) {
+    console.error('Error in slot-holds:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/slot-holds/:holdId', async (req, res) => {
+  try {
+    const hold = await holdOps.getById(req.params.holdId);
+
+    if (!hold) {
+      return res.status(404).json({ success: false, error: 'Hold not found or expired' });
+    }
+
+    return res.status(200).json({ success: true, hold });
+  } catch (e) {
+    console.error('Error fetching slot hold:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/slot-holds/:holdId', async (req, res) => {
+  try {
+    const released = await holdOps.release(req.params.holdId);
+
+    return res.status(released ? 200 : 500).json({
+      success: released,
+      message: released ? 'Hold released' : 'Failed to release hold'
+    });
+  } catch (e) {
+    console.error('Error releasing slot hold:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 router.post('/conversation/store-message', async (req, res) => {
   const { phoneNumber, role, content, metadata } = req.body;
   
@@ -482,7 +655,7 @@ router.post('/conversation/store-message', async (req, res) => {
   
   try {
     // Get or create session
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
+    const session = await getCurrentSession(phoneNumber);
     if (!session) {
       return res.status(500).json({ 
         success: false, 
@@ -505,10 +678,16 @@ router.post('/conversation/store-message', async (req, res) => {
       });
     }
     
+    const { client, consent } = role === 'user'
+      ? await answerConsentKeyword(session, phoneNumber, content, message.id)
+      : { client: await clientOps.getByPhoneNumber(phoneNumber), consent: null };
+    
     return res.status(200).json({
       success: true,
       message,
-      sessionId: session.id
+      sessionId: session.id,
+      optedOut: isOptedOut(client),
+      consent
     });
   } catch (e) {
     console.error('Error in store-message:', e);
@@ -519,7 +698,22 @@ router.post('/conversation/store-message', async (req, res) => {
   }
 });
 
-// Get conversation history
+// STOP, START and HELP are answered here rather than by the bot. The answer
+// is stored in the session; consent is null when the message is something else.
+// Other messages update the client's detected language.
+async function answerConsentKeyword(session, phoneNumber, content, messageId = null) {
+  const client = await clientOps.getByPhoneNumber(phoneNumber);
+  const answered = await handleConsentKeyword({ phoneNumber, text: content, client, source: 'api', messageId });
+  if (!answered) return { client: await detectClientLanguage(client, content), consent: null };
+
+  await conversationOps.addMessage(session.id, 'assistant', answered.reply, { consent: answered.action });
+  return {
+    client: answered.client,
+    consent: { action: answered.action, reply: answered.reply, optedOut: isOptedOut(answered.client) }
+  };
+}
+
+// Get the current session's history, plus the summary of the last session
 router.get('/conversation/history', async (req, res) => {
   const { phoneNumber, limit = 10 } = req.query;
   
@@ -531,6 +725,8 @@ router.get('/conversation/history', async (req, res) => {
   }
   
   try {
+    // Starts a new session first if the last one has expired
+    const session = await getCurrentSession(phoneNumber);
     const history = await conversationOps.getConversationHistory(
       phoneNumber, 
       parseInt(limit)
@@ -539,7 +735,9 @@ router.get('/conversation/history', async (req, res) => {
     return res.status(200).json({
       success: true,
       history,
-      count: history.length
+      count: history.length,
+      sessionId: session?.id || null,
+      previousSummary: await getPreviousSummary(phoneNumber)
     });
   } catch (e) {
     console.error('Error in get-history:', e);
@@ -550,6 +748,39 @@ router.get('/conversation/history', async (req, res) => {
   }
 });
 
+// A phone number's sessions, newest first
+router.get('/conversation/sessions', async (req, res) => {
+  const { phoneNumber, limit = 20 } = req.query;
+
+  if (!phoneNumber) {
+    return res.status(400).json({ success: false, error: 'Phone number is required' });
+  }
+
+  try {
+    const sessions = await conversationOps.getSessions(phoneNumber, parseInt(limit, 10) || 20);
+    return res.status(200).json({ success: true, sessions: sessions.map(describeSession), count: sessions.length });
+  } catch (e) {
+    console.error('Error listing sessions:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// One session with its messages
+router.get('/conversation/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await conversationOps.getSessionById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const messages = await conversationOps.getSessionMessages(session.id, parseInt(req.query.limit, 10) || 100);
+    return res.status(200).json({ success: true, session: describeSession(session), messages });
+  } catch (e) {
+    console.error('Error fetching session:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // Clear conversation history
 router.post('/conversation/clear', async (req, res) => {
   const { phoneNumber } = req.body;
@@ -577,8 +808,80 @@ router.post('/conversation/clear', async (req, res) => {
   }
 });
 
-// Add this new endpoint to your webhook.js file
+// Whether a client can be texted, with the history of consent changes
+router.get('/conversation/consent', async (req, res) => {
+  const { phoneNumber } = req.query;
+  if (!phoneNumber) return res.status(400).json({ success: false, error: 'Phone number is required' });
+
+  try {
+    const client = await clientOps.getByPhoneNumber(phoneNumber);
+    return res.status(200).json({ success: true, phoneNumber, ...describeConsent(client) });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
 
+// Record consent given or withdrawn outside SMS (at the shop, on a form)
+router.post('/conversation/consent', async (req, res) => {
+  const { phoneNumber, optedOut, source = 'api' } = req.body;
+  if (!phoneNumber || typeof optedOut !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'phoneNumber and a boolean optedOut are required' });
+  }
+
+  try {
+    const client = await setSmsConsent(phoneNumber, optedOut, { source });
+    if (!client) return res.status(500).json({ success: false, error: 'Failed to update SMS consent' });
+    return res.status(200).json({ success: true, phoneNumber, ...describeConsent(client) });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Answer a client's (aggregated) message with the built-in booking agent and
+// store its reply in the conversation
+router.post('/conversation/agent-reply', async (req, res) => {
+  const { phoneNumber, content, historyLimit = 20 } = req.body;
+
+  if (!phoneNumber || !content) {
+    return res.status(400).json({ success: false, error: 'Phone number and content are required' });
+  }
+
+  if (!getAgentModel()) {
+    return res.status(503).json({ success: false, error: 'The booking agent is not configured' });
+  }
+
+  try {
+    const session = await getCurrentSession(phoneNumber);
+    if (!session) {
+      return res.status(500).json({ success: false, error: 'Failed to get or create session' });
+    }
+
+    const { client: existingClient, consent } = await answerConsentKeyword(session, phoneNumber, content);
+    if (consent) {
+      return res.status(200).json({ success: true, reply: consent.reply, toolCalls: [], consent, sessionId: session.id });
+    }
+    if (isOptedOut(existingClient)) {
+      return res.status(409).json({ success: false, errorCode: 'CLIENT_OPTED_OUT', error: 'The client has opted out of SMS' });
+    }
+
+    const client = existingClient || await clientOps.createOrUpdate({ phone_number: phoneNumber });
+    const history = await conversationOps.getConversationHistory(phoneNumber, parseInt(historyLimit, 10) || 20);
+    const previousSummary = await getPreviousSummary(phoneNumber);
+    const { reply, toolCalls } = await runAgent({ clientPhone: phoneNumber, client, message: content, history, previousSummary });
+
+    await conversationOps.addMessage(session.id, 'assistant', reply, { agent: true, toolCalls });
+
+    return res.status(200).json({ success: true, reply, toolCalls, sessionId: session.id });
+  } catch (e) {
+    console.error('Error in agent-reply:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Store a message right away and add it to the sender's open batch. The
+// batch is handed over once, after the sender has been quiet for timeWindowMs,
+// so this responds without waiting. The reply is texted to the client, or the
+// batch is posted to MESSAGE_BATCH_CALLBACK_URL (see utils/messageBatcher).
 router.post('/conversation/process-message', async (req, res) => {
   const { 
     phoneNumber, 
@@ -596,7 +899,7 @@ router.post('/conversation/process-message', async (req, res) => {
   }
   
   try {
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
+    const session = await getCurrentSession(phoneNumber);
     if (!session) {
       return res.status(500).json({ 
         success: false, 
@@ -612,364 +915,46 @@ router.post('/conversation/process-message', async (req, res) => {
       metadata
     );
     
-    // Wait for the time window to check for additional messages
-    await new Promise(resolve => setTimeout(resolve, timeWindowMs));
-    
-    // Get all messages within the time window
-    // NOTE: We need to account for the fact that we already waited for timeWindowMs
-    const cutoffTime = new Date(Date.now() - (timeWindowMs * 2));
-    const { data: recentMessages, error } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('session_id', session.id)
-      .eq('role', 'user')
-      .gte('created_at', cutoffTime.toISOString())
-      .order('created_at', { ascending: true });
-    
-    if (error) {
-      console.error('Error fetching messages:', error);
+    if (!message) {
       return res.status(500).json({ 
         success: false, 
-        error: 'Failed to fetch recent messages',
-        details: error.message
-      });
-    }
-    
-    console.log('Found messages:', recentMessages.length);
-    console.log('Current message ID:', message.id);
-    console.log('Messages:', recentMessages.map(m => ({ id: m.id, content: m.content, created_at: m.created_at })));
-    
-    // Check if newer messages exist
-    const thisMessageId = message.id;
-    const hasNewerMessages = recentMessages.some(msg => 
-      msg.id !== thisMessageId && new Date(msg.created_at) > new Date(message.created_at)
-    );
-    
-    if (hasNewerMessages) {
-      // Not the final message
-      return res.status(200).json({
-        success: true,
-        isFinalMessage: false,
-        content: content,
-        sessionId: session.id
-      });
-    }
-    
-    // Aggregate all messages including current
-    const aggregatedContent = recentMessages
-      .map(msg => msg.content)
-      .join(' ');
-    
-    // Mark all messages as processed (if metadata exists)
-    if (recentMessages.length > 0) {
-      const messageIds = recentMessages.map(msg => msg.id);
-      await supabase
-        .from('conversation_messages')
-        .update({ metadata: { processed: true } })
-        .in('id', messageIds);
-    }
-    
-    return res.status(200).json({
-      success: true,
-      isFinalMessage: true,
-      content: aggregatedContent || content,
-      sessionId: session.id,
-      messageCount: recentMessages.length
-    });
-  } catch (e) {
-    console.error('Error in process-message:', e);
-    return res.status(500).json({ 
-      success: false, 
-      error: e.message 
-    });
-  }
-});
-
-
-// Add a separate endpoint for checking if a message batch is complete
-router.post('/conversation/check-batch-complete', async (req, res) => {
-  const { phoneNumber, messageId, timeWindowMs = 5000 } = req.body;
-  
-  if (!phoneNumber || !messageId) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Phone number and message ID are required' 
-    });
-  }
-  
-  try {
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
-    
-    // Get the specific message
-    const { data: currentMessage, error: msgError } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('id', messageId)
-      .single();
-    
-    if (msgError || !currentMessage) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Message not found' 
+        error: 'Failed to store message' 
       });
     }
     
-    // Check for newer messages
-    const { data: newerMessages, error } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('session_id', session.id)
-      .eq('role', 'user')
-      .gt('created_at', currentMessage.created_at);
-    
-    if (error) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to check for newer messages' 
-      });
+    // Only the client's own messages are batched
+    if (role !== 'user') {
+      return res.status(200).json({ success: true, queued: false, messageId: message.id, sessionId: session.id });
     }
     
-    const isComplete = newerMessages.length === 0;
-    
-    if (isComplete) {
-      // Get all messages in the batch for aggregation
-      const cutoffTime = new Date(
-        new Date(currentMessage.created_at).getTime() - timeWindowMs
-      );
-      
-      const { data: batchMessages, error: batchError } = await supabase
-        .from('conversation_messages')
-        .select('*')
-        .eq('session_id', session.id)
-        .eq('role', 'user')
-        .gt('created_at', cutoffTime.toISOString())
-        .order('created_at', { ascending: true });
-      
-      if (batchError) {
-        return res.status(500).json({ 
-          success: false, 
-          error: 'Failed to fetch batch messages' 
-        });
-      }
-      
-      const aggregatedContent = batchMessages
-        .map(msg => msg.content)
-        .join(' ');
-      
+    // Keywords are answered right away, and nothing from an opted-out client goes to the bot
+    const { client, consent } = await answerConsentKeyword(session, phoneNumber, content, message.id);
+    if (consent || isOptedOut(client)) {
       return res.status(200).json({
         success: true,
-        isComplete: true,
-        aggregatedContent,
-        messageCount: batchMessages.length
+        queued: false,
+        messageId: message.id,
+        sessionId: session.id,
+        optedOut: isOptedOut(client),
+        consent
       });
     }
     
-    return res.status(200).json({
-      success: true,
-      isComplete: false
-    });
-  } catch (e) {
-    console.error('Error in check-batch-complete:', e);
-    return res.status(500).json({ 
-      success: false, 
-      error: e.message 
-    });
-  }
-});
-
-// Store temporary messages as a conversation
-router.post('/store-temp-messages', async (req, res) => {
-  const { phoneNumber, role = "user", messages, content } = req.body;
-  
-  if (!phoneNumber) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Phone number is required' 
+    const { batchId, messageCount, flushAt } = conversationBatcher.add(phoneNumber, message, {
+      quietMs: Math.max(0, parseInt(timeWindowMs, 10) || 0)
     });
-  }
-  
-  try {
-    // Get or create session
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
-    if (!session) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to get or create session' 
-      });
-    }
-    
-    // Get the most recent message with temp_messages
-    const { data: existingData, error: fetchError } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('session_id', session.id)
-      .filter('metadata->is_temp', 'eq', true)
-      .order('created_at', { ascending: false })
-      .limit(1);
-    
-    if (fetchError) {
-      console.error('Error fetching existing temp messages:', fetchError);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to fetch existing temp messages',
-        details: fetchError.message
-      });
-    }
-    
-    // Initialize conversation array
-    let conversation = [];
-    
-    // If we have existing data, use it as the base
-    if (existingData && existingData.length > 0 && existingData[0].temp_messages) {
-      if (Array.isArray(existingData[0].temp_messages)) {
-        conversation = existingData[0].temp_messages;
-      } else {
-        // If it's not an array, initialize with a single entry
-        conversation = [{ role: "system", content: "Conversation initialized" }];
-      }
-    } else {
-      // Start a new conversation
-      conversation = [{ role: "system", content: "Conversation initialized" }];
-    }
-    
-    // Add the new message to the conversation
-    if (content || messages) {
-      // If it's a direct content string, add it as a message
-      if (content) {
-        conversation.push({
-          role: role,
-          content: content
-        });
-      } 
-      // If it's a messages object, add it
-      else if (messages) {
-        if (typeof messages === 'string') {
-          conversation.push({
-            role: role,
-            content: messages
-          });
-        } else {
-          // If it's already an object or array, try to handle it intelligently
-          if (Array.isArray(messages)) {
-            // If it's an array, append all messages
-            conversation = [...conversation, ...messages];
-          } else if (messages.content) {
-            // If it has content, treat as a single message
-            conversation.push({
-              role: messages.role || role,
-              content: messages.content
-            });
-          } else {
-            // Fallback: just stringify and store
-            conversation.push({
-              role: role,
-              content: JSON.stringify(messages)
-            });
-          }
-        }
-      }
-    }
-    
-    // Store the updated conversation
-    const { data, error } = await supabase
-      .from('conversation_messages')
-      .upsert({ 
-        session_id: session.id,
-        role: 'system', // This is a system message to store the temp conversation
-        content: 'Temporary conversation storage',
-        temp_messages: conversation,
-        metadata: { is_temp: true },
-        created_at: new Date().toISOString() // Use current timestamp
-      });
-    
-    if (error) {
-      console.error('Error storing temp messages:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to store temporary messages',
-        details: error.message
-      });
-    }
-    
-    return res.status(200).json({
-      success: true,
-      message: 'Temporary messages stored successfully',
-      sessionId: session.id,
-      conversationLength: conversation.length
-    });
-  } catch (e) {
-    console.error('Error in store-temp-messages:', e);
-    return res.status(500).json({ 
-      success: false, 
-      error: e.message 
-    });
-  }
-});
-
-// Check temporary messages - formatted for OpenAI context
-router.get('/check-temp-messages', async (req, res) => {
-  const { phoneNumber } = req.query;
-  
-  if (!phoneNumber) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Phone number is required' 
-    });
-  }
-  
-  try {
-    // Get the session
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
-    if (!session) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Session not found' 
-      });
-    }
-    
-    // Get the most recent message with temp_messages
-    const { data, error } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('session_id', session.id)
-      .filter('metadata->is_temp', 'eq', true)
-      .order('created_at', { ascending: false })
-      .limit(1);
-    
-    if (error) {
-      console.error('Error checking temp messages:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to check temporary messages',
-        details: error.message
-      });
-    }
-    
-    // Format the conversation for easy reading
-    let formattedConversation = '';
-    let rawConversation = [];
-    
-    if (data && data.length > 0 && data[0].temp_messages) {
-      rawConversation = data[0].temp_messages;
-      
-      // Skip the first system message in formatting
-      for (let i = 1; i < rawConversation.length; i++) {
-        const msg = rawConversation[i];
-        if (msg.role && msg.content) {
-          // Add a formatted line to the conversation
-          formattedConversation += `${msg.role.toUpperCase()}: ${msg.content}\n\n`;
-        }
-      }
-    }
     
     return res.status(200).json({
       success: true,
-      conversation: formattedConversation.trim(),
-      rawConversation: rawConversation,
-      hasMessages: rawConversation.length > 1 // More than just the system message
+      queued: true,
+      batchId,
+      messageId: message.id,
+      messageCount,
+      flushAt,
+      sessionId: session.id
     });
   } catch (e) {
-    console.error('Error in check-temp-messages:', e);
+    console.error('Error in process-message:', e);
     return res.status(500).json({ 
       success: false, 
       error: e.message 
@@ -1048,59 +1033,6 @@ router.post('/create-client', async (req, res) => {
   }
 });
 
-// Clear temporary messages
-router.post('/clear-temp-messages', async (req, res) => {
-  const { phoneNumber } = req.body;
-  
-  if (!phoneNumber) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Phone number is required' 
-    });
-  }
-  
-  try {
-    // Get the session
-    const session = await conversationOps.getOrCreateSession(phoneNumber);
-    if (!session) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Session not found' 
-      });
-    }
-    
-    // Clear temp messages
-    const { data, error } = await supabase
-      .from('conversation_messages')
-      .update({ 
-        temp_messages: null,
-        metadata: { is_temp: false }
-      })
-      .eq('session_id', session.id)
-      .filter('metadata->is_temp', 'eq', true);  // Changed this line
-    
-    if (error) {
-      console.error('Error clearing temp messages:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to clear temporary messages',
-        details: error.message
-      });
-    }
-    
-    return res.status(200).json({
-      success: true,
-      message: 'Temporary messages cleared successfully'
-    });
-  } catch (e) {
-    console.error('Error in clear-temp-messages:', e);
-    return res.status(500).json({ 
-      success: false, 
-      error: e.message 
-    });
-  }
-});
-
 // Look up barber ID by name
 router.get('/lookup-barber-id', async (req, res) => {
   const { barberName } = req.query;
@@ -1114,8 +1046,7 @@ router.get('/lookup-barber-id', async (req, res) => {
   
   try {
     // Search for barber with similar name (case insensitive)
-    const { data, error } = await supabase
-      .from('barbers')
+    const { data, error } = await shopTable('barbers')
       .select('id, name, phone_number')
       .ilike('name', `%${barberName}%`)
       .limit(1);
@@ -0,0 +1,184 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { setCalendarClientFactory } = require('../utils/booking');
+const { runAgent, TOOL_SCHEMAS } = require('../utils/agent');
+const { t } = require('../utils/i18n');
+
+const CLIENT_PHONE = '+15551230000';
+const barber = {
+  id: 1,
+  name: 'Sam',
+  refresh_token: 'token',
+  selected_calendar_id: 'primary',
+  timezone: 'America/Los_Angeles'
+};
+const client = { id: 5, phone_number: CLIENT_PHONE, name: 'Joe', preferred_barber_id: 1 };
+
+let calendar;
+
+beforeEach(() => {
+  db.reset({
+    barbers: [barber],
+    clients: [client],
+    services: [{ id: 10, name: 'Haircut', duration_minutes: 30, price: 30 }]
+  });
+  calendar = createFakeCalendar();
+  setCalendarClientFactory(() => calendar);
+});
+
+after(() => setCalendarClientFactory(null));
+
+function toolCall(id, name, args) {
+  return { id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } };
+}
+
+// A model that plays back `steps`, each a function of the messages so far
+// returning the next assistant message. Every request is kept for asserts.
+function scriptedModel(steps) {
+  const requests = [];
+  return {
+    requests,
+    async complete({ messages, tools }) {
+      requests.push({ messages: [...messages], tools });
+      const step = steps[requests.length - 1];
+      if (!step) throw new Error(`Model called ${requests.length} times, script has ${steps.length} steps`);
+      return { role: 'assistant', content: null, ...step(messages) };
+    }
+  };
+}
+
+function lastToolOutput(messages) {
+  return JSON.parse(messages[messages.length - 1].content);
+}
+
+test('finds a slot, books it and confirms with the model\'s reply', async () => {
+  const model = scriptedModel([
+    () => ({ tool_calls: [toolCall('a', 'find_available_slots', { barberId: '1', count: 2 })] }),
+    messages => {
+      const { slots } = lastToolOutput(messages);
+      return { tool_calls: [toolCall('b', 'book_appointment', { barberId: '1', startDateTime: slots[0].start, service: 'haircut' })] };
+    },
+    () => ({ content: 'You\'re booked with Sam.' })
+  ]);
+
+  const outcome = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'Can I get a haircut?', model });
+
+  assert.equal(outcome.reply, 'You\'re booked with Sam.');
+  assert.deepEqual(outcome.toolCalls, [
+    { name: 'find_available_slots', success: true },
+    { name: 'book_appointment', success: true }
+  ]);
+
+  const [found] = model.requests[1].messages.filter(message => message.role === 'tool');
+  assert.equal(found.tool_call_id, 'a');
+  const { slots } = JSON.parse(found.content);
+  assert.equal(slots.length, 2);
+
+  const [event] = calendar.called('events.insert');
+  assert.equal(new Date(event.params.resource.start.dateTime).getTime(), new Date(slots[0].start).getTime());
+  assert.equal(db.tables.appointments.length, 1);
+  assert.equal(db.tables.appointments[0].client_phone, CLIENT_PHONE);
+});
+
+test('sends the tool schemas, system prompt and earlier turns to the model', async () => {
+  const model = scriptedModel([() => ({ content: 'Hi Joe!' })]);
+
+  await runAgent({
+    clientPhone: CLIENT_PHONE,
+    client,
+    message: 'hello again',
+    history: [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'hello again' }
+    ],
+    model
+  });
+
+  const [{ messages, tools }] = model.requests;
+  assert.equal(tools, TOOL_SCHEMAS);
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /talking to Joe/);
+  // The unanswered message is sent once, as the new turn
+  assert.deepEqual(messages.slice(1), [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'hello again' }
+  ]);
+});
+
+test('uses the client\'s phone from the context, not from the model', async () => {
+  db.tables.appointments = [
+    { id: 1, barber_id: 1, client_phone: '+15559990000', google_calendar_event_id: 'theirs', start_time: '2026-10-21T17:00:00Z', status: 'confirmed' }
+  ];
+  const model = scriptedModel([
+    () => ({ tool_calls: [toolCall('a', 'cancel_appointment', { eventId: 'theirs', clientPhone: '+15559990000' })] }),
+    () => ({ content: 'Done.' })
+  ]);
+
+  const outcome = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'cancel', model });
+
+  assert.deepEqual(outcome.toolCalls, [{ name: 'cancel_appointment', success: false }]);
+  assert.equal(db.tables.appointments[0].status, 'confirmed');
+  assert.equal(calendar.called('events.patch').length, 0);
+});
+
+test('reports unknown tools and unreadable arguments back to the model', async () => {
+  const model = scriptedModel([
+    () => ({ tool_calls: [toolCall('a', 'make_coffee', {}), toolCall('b', 'lookup_barber', '{"name":')] }),
+    () => ({ content: 'Sorry, let me try that again.' })
+  ]);
+
+  const outcome = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'who is free?', model });
+
+  assert.deepEqual(outcome.toolCalls, [
+    { name: 'make_coffee', success: false },
+    { name: 'lookup_barber', success: false }
+  ]);
+  const outputs = model.requests[1].messages.filter(message => message.role === 'tool').map(message => JSON.parse(message.content));
+  assert.deepEqual(outputs, [
+    { success: false, error: 'Unknown tool make_coffee' },
+    { success: false, error: 'Arguments were not valid JSON' }
+  ]);
+});
+
+test('turns a tool that throws into an error output', async () => {
+  const model = scriptedModel([
+    () => ({ tool_calls: [toolCall('a', 'check_availability', { barberId: '1', startDateTime: 'not a time' })] }),
+    messages => ({ content: lastToolOutput(messages).success ? 'Free' : 'What time did you mean?' })
+  ]);
+
+  const outcome = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'is sam free?', model });
+
+  assert.equal(outcome.reply, 'What time did you mean?');
+  assert.deepEqual(outcome.toolCalls, [{ name: 'check_availability', success: false }]);
+});
+
+test('gives up with the fallback reply after maxSteps', async () => {
+  const lookup = () => ({ tool_calls: [toolCall('a', 'lookup_barber', { name: 'sam' })] });
+  const model = scriptedModel([lookup, lookup, lookup]);
+
+  const outcome = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'hi', model, maxSteps: 3 });
+
+  assert.equal(model.requests.length, 3);
+  assert.equal(outcome.toolCalls.length, 3);
+  assert.equal(outcome.reply, t('en', 'agentFallback'));
+});
+
+test('replies in the client\'s language when the model says nothing', async () => {
+  const model = scriptedModel([() => ({ content: '' })]);
+
+  const english = await runAgent({ clientPhone: CLIENT_PHONE, client, message: 'hi', model: scriptedModel([() => ({ content: '' })]) });
+  const spanish = await runAgent({ clientPhone: CLIENT_PHONE, client: { ...client, language: 'es' }, message: 'hola', model });
+
+  assert.equal(english.reply, t('en', 'agentFallback'));
+  assert.equal(spanish.reply, t('es', 'agentFallback'));
+  assert.match(model.requests[0].messages[0].content, /Reply in Spanish/);
+});
+
+test('needs a model', async () => {
+  await assert.rejects(runAgent({ clientPhone: CLIENT_PHONE, message: 'hi', model: null }), /No agent model/);
+});
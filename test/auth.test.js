@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { startApp } = require('./helpers/http');
+const { setOAuthClientFactory } = require('../utils/googleAuth');
+
+// Each code signs in a different Google account. Slower codes finish later,
+// so two callbacks can overlap.
+const ACCOUNTS = {
+  'code-ana': { email: 'ana@example.com', delay: 40 },
+  'code-ben': { email: 'ben@example.com', delay: 5 },
+  'code-both': { email: 'both@example.com', delay: 0 },
+  'code-unverified': { email: 'ben@example.com', delay: 0, unverified: true }
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createFakeOAuthClient() {
+  return {
+    generateAuthUrl: ({ state }) => `https://accounts.test/auth?state=${state || ''}`,
+    async getToken(code) {
+      await wait(ACCOUNTS[code].delay);
+      return { tokens: { id_token: code, access_token: `access-${code}` } };
+    },
+    setCredentials(tokens) {
+      this.credentials = tokens;
+    },
+    async verifyIdToken({ idToken }) {
+      await wait(ACCOUNTS[idToken].delay);
+      const account = ACCOUNTS[idToken];
+      return { getPayload: () => ({ email: account.email, email_verified: !account.unverified, name: 'Barber' }) };
+    }
+  };
+}
+
+let app;
+
+before(async () => {
+  setOAuthClientFactory(createFakeOAuthClient);
+  app = await startApp(server => {
+    server.use('/', require('../routes/auth'));
+    server.get('/whoami', (req, res) => res.json({ barberId: req.session.barberId || null }));
+  });
+});
+
+after(async () => {
+  setOAuthClientFactory(null);
+  await app.close();
+});
+
+beforeEach(() => {
+  db.reset({
+    shops: [{ id: 'shop-a', name: 'Uptown Cuts' }, { id: 'shop-b', name: 'Downtown Fades' }],
+    barbers: [
+      { id: 1, shop_id: 'shop-a', name: 'Ana', email: 'ana@example.com' },
+      { id: 2, shop_id: 'shop-a', name: 'Ben', email: 'ben@example.com' },
+      { id: 3, shop_id: 'shop-a', name: 'Cy', email: 'both@example.com' },
+      { id: 4, shop_id: 'shop-b', name: 'Cy', email: 'both@example.com' }
+    ]
+  });
+});
+
+// Start /login and come back from Google with the given code
+async function signIn(request, code, query = '') {
+  const started = await request(`/login${query}`);
+  const state = new URL(started.headers.get('location')).searchParams.get('state');
+  return await request(`/auth/google/callback?code=${code}&state=${state}`);
+}
+
+async function whoami(request) {
+  return JSON.parse((await request('/whoami')).text).barberId;
+}
+
+test('signs the barber in by their Google email', async () => {
+  const request = app.agent();
+  const outcome = await signIn(request, 'code-ben');
+
+  assert.equal(outcome.status, 302);
+  assert.equal(outcome.headers.get('location'), '/dashboard');
+  assert.equal(await whoami(request), 2);
+});
+
+test('two sign-ins at once each get their own barber', async () => {
+  const ana = app.agent();
+  const ben = app.agent();
+
+  await Promise.all([signIn(ana, 'code-ana'), signIn(ben, 'code-ben')]);
+
+  assert.equal(await whoami(ana), 1);
+  assert.equal(await whoami(ben), 2);
+});
+
+test('an unverified email doesn\'t sign anyone in', async () => {
+  const request = app.agent();
+  const outcome = await signIn(request, 'code-unverified');
+
+  assert.match(outcome.text, /verified/);
+  assert.equal(await whoami(request), null);
+});
+
+test('an account in two shops picks the shop', async () => {
+  const request = app.agent();
+  const outcome = await signIn(request, 'code-both');
+
+  assert.equal(outcome.status, 200);
+  assert.match(outcome.text, /Uptown Cuts/);
+  assert.match(outcome.text, /Downtown Fades/);
+
+  const chosen = await request('/login/choose', { method: 'POST', form: { barberId: '4' } });
+  assert.equal(chosen.headers.get('location'), '/dashboard');
+  assert.equal(await whoami(request), 4);
+});
+
+test('a shop named on /login signs in to that shop', async () => {
+  const request = app.agent();
+  await signIn(request, 'code-both', '?shop=shop-b');
+
+  assert.equal(await whoami(request), 4);
+});
+
+test('only a barber offered to the account can be chosen', async () => {
+  const request = app.agent();
+  await signIn(request, 'code-both');
+
+  await request('/login/choose', { method: 'POST', form: { barberId: '1' } });
+  assert.equal(await whoami(request), null);
+});
@@ -0,0 +1,48 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { setCalendarClientFactory } = require('../utils/booking');
+const { handleSelectCalendar } = require('../utils/barberSettings');
+
+const CALENDARS = [
+  { id: 'sam@example.com', primary: true, summary: 'Sam', timeZone: 'America/Los_Angeles' },
+  { id: 'nyc-shop', summary: 'NYC shop', timeZone: 'America/New_York' }
+];
+
+function barberWith(fields) {
+  return { id: 1, name: 'Sam', refresh_token: 'token', selected_calendar_id: 'primary', ...fields };
+}
+
+beforeEach(() => {
+  setCalendarClientFactory(() => createFakeCalendar({ calendars: CALENDARS }));
+});
+
+afterEach(() => setCalendarClientFactory(null));
+
+async function select(barber, calendarId) {
+  db.reset({ barbers: [barber], appointments: [] });
+  return await handleSelectCalendar(barber, { calendarId });
+}
+
+test('switching calendars moves bookings to the new calendar\'s timezone', async () => {
+  const outcome = await select(barberWith({ timezone: 'America/Los_Angeles' }), 'nyc-shop');
+
+  assert.equal(outcome.status, 200);
+  assert.equal(db.tables.barbers[0].timezone, 'America/New_York');
+  assert.match(outcome.body.message, /America\/New_York/);
+});
+
+test('a barber without a timezone takes the new calendar\'s', async () => {
+  await select(barberWith({ timezone: null }), 'nyc-shop');
+
+  assert.equal(db.tables.barbers[0].timezone, 'America/New_York');
+});
+
+test('a timezone the barber picked by hand is kept', async () => {
+  const outcome = await select(barberWith({ timezone: 'Europe/London' }), 'nyc-shop');
+
+  assert.equal(outcome.status, 200);
+  assert.equal(db.tables.barbers[0].timezone, 'Europe/London');
+});
@@ -0,0 +1,157 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const {
+  setCalendarClientFactory,
+  handleCancelAppointment,
+  handleRescheduleAppointment
+} = require('../utils/booking');
+const { parseDateTimeInZone, formatInZone } = require('../utils/timezone');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const CLIENT_PHONE = '+15551230000';
+const WEEK = 7 * 86400000;
+const barber = { id: 1, name: 'Sam', refresh_token: 'token', selected_calendar_id: 'primary', timezone: TIME_ZONE };
+
+// 10:00 on the next Tuesday, inside the default working hours
+function nextTuesdayAt10() {
+  const day = new Date(Date.now() + 2 * 86400000);
+  while (new Date(`${formatInZone(day, TIME_ZONE).slice(0, 10)}T12:00:00Z`).getUTCDay() !== 2) {
+    day.setTime(day.getTime() + 86400000);
+  }
+  return parseDateTimeInZone(`${formatInZone(day, TIME_ZONE).slice(0, 10)}T10:00:00`, TIME_ZONE);
+}
+
+function at(date) {
+  return { dateTime: formatInZone(date, TIME_ZONE), timeZone: TIME_ZONE };
+}
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+let calendar;
+let master;
+let visits;
+
+// A weekly four-visit series with its instances and appointment rows
+beforeEach(() => {
+  const firstStart = nextTuesdayAt10();
+  const starts = Array.from({ length: 4 }, (_, i) => new Date(firstStart.getTime() + i * WEEK));
+  const end = start => new Date(start.getTime() + 30 * 60000);
+
+  calendar = createFakeCalendar();
+  setCalendarClientFactory(() => calendar);
+  master = calendar.addEvent({
+    summary: 'Haircut: Joe',
+    start: at(firstStart),
+    end: at(end(firstStart)),
+    recurrence: ['RRULE:FREQ=WEEKLY;COUNT=4']
+  });
+  visits = starts.map(start => calendar.addEvent({
+    summary: 'Haircut: Joe',
+    recurringEventId: master.id,
+    originalStartTime: at(start),
+    start: at(start),
+    end: at(end(start))
+  }));
+
+  db.reset({
+    barbers: [barber],
+    appointment_series: [{
+      id: 9,
+      client_phone: CLIENT_PHONE,
+      barber_id: 1,
+      service_type: 'Haircut',
+      google_recurring_event_id: master.id,
+      start_time: firstStart.toISOString(),
+      duration_minutes: 30,
+      interval_weeks: 1,
+      occurrence_count: 4,
+      until_time: null
+    }],
+    appointments: visits.map((visit, i) => ({
+      id: i + 1,
+      barber_id: 1,
+      client_phone: CLIENT_PHONE,
+      series_id: 9,
+      google_calendar_event_id: visit.id,
+      start_time: starts[i].toISOString(),
+      end_time: end(starts[i]).toISOString(),
+      status: 'pending'
+    }))
+  });
+});
+
+afterEach(() => setCalendarClientFactory(null));
+
+function statuses() {
+  return db.tables.appointments.map(appointment => appointment.status);
+}
+
+test('cancelling a series by its own event id is refused', async () => {
+  const outcome = await handleCancelAppointment(calendar, 'primary', master.id, CLIENT_PHONE, { timeZone: TIME_ZONE, barber });
+
+  assert.equal(outcome.status, 400);
+  assert.equal(calendar.called('events.delete').length, 0);
+  assert.deepEqual(statuses(), ['pending', 'pending', 'pending', 'pending']);
+});
+
+test('cancelling this and following visits cancels their rows', async () => {
+  const outcome = await quietly(() => handleCancelAppointment(calendar, 'primary', visits[2].id, CLIENT_PHONE, {
+    scope: 'following',
+    timeZone: TIME_ZONE,
+    barber
+  }));
+
+  assert.equal(outcome.status, 200);
+  assert.deepEqual(statuses(), ['pending', 'pending', 'cancelled', 'cancelled']);
+  assert.equal(calendar.called('events.patch').length, 1);
+});
+
+test('cancelling from the first visit keeps the ended series as a record', async () => {
+  await quietly(() => handleCancelAppointment(calendar, 'primary', visits[0].id, CLIENT_PHONE, {
+    scope: 'following',
+    timeZone: TIME_ZONE,
+    barber
+  }));
+
+  assert.deepEqual(statuses(), ['cancelled', 'cancelled', 'cancelled', 'cancelled']);
+  assert.equal(db.tables.appointment_series.length, 1);
+  assert.equal(calendar.called('events.delete').length, 1);
+});
+
+test('moving this and following visits releases the client\'s hold', async () => {
+  const newStart = new Date(new Date(visits[2].start.dateTime).getTime() + 60 * 60000);
+  db.tables.slot_holds = [{
+    id: 3,
+    barber_id: 1,
+    client_phone: CLIENT_PHONE,
+    start_time: newStart.toISOString(),
+    end_time: new Date(newStart.getTime() + 30 * 60000).toISOString(),
+    expires_at: new Date(Date.now() + 10 * 60000).toISOString()
+  }];
+
+  const outcome = await quietly(() => handleRescheduleAppointment(calendar, 'primary', {
+    eventId: visits[2].id,
+    newStartDateTime: formatInZone(newStart, TIME_ZONE),
+    clientPhone: CLIENT_PHONE,
+    clientName: 'Joe',
+    barber,
+    holdId: 3,
+    scope: 'following',
+    timeZone: TIME_ZONE
+  }));
+
+  assert.equal(outcome.status, 200);
+  assert.equal(db.tables.slot_holds.length, 0);
+  assert.deepEqual(statuses().slice(0, 4), ['pending', 'pending', 'cancelled', 'cancelled']);
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { withSlotClaim } = require('../utils/bookingLock');
+const { checkSlotAvailability } = require('../utils/availability');
+
+const barber = { id: 1, name: 'Sam', timezone: 'UTC', working_hours: null };
+const start = new Date('2026-11-03T10:00:00Z');
+const end = new Date('2026-11-03T10:30:00Z');
+
+let calendar;
+
+beforeEach(() => {
+  db.reset({ barbers: [barber] });
+  calendar = createFakeCalendar({ timeZone: 'UTC' });
+});
+
+// What one app instance does to book: claim, re-check, insert. Without the
+// in-process lock, as if each ran in its own process.
+function book(clientPhone) {
+  return withSlotClaim(barber.id, clientPhone, [{ start, end }], async () => {
+    const availability = await checkSlotAvailability(calendar, barber, start, end, { clientPhone });
+    if (!availability.isAvailable) return false;
+    await calendar.events.insert({
+      calendarId: 'primary',
+      resource: { start: { dateTime: start.toISOString() }, end: { dateTime: end.toISOString() } }
+    });
+    return true;
+  });
+}
+
+test('two instances booking the same time don\'t both get it', async () => {
+  const outcomes = await Promise.all([book('+15550000001'), book('+15550000002')]);
+
+  assert.ok(outcomes.filter(Boolean).length <= 1);
+  assert.ok(calendar.called('events.insert').length <= 1);
+  // Neither claim outlives its attempt, so a retry can go ahead
+  assert.equal(db.tables.slot_holds.length, 0);
+});
+
+test('a claim is dropped once the booking is done', async () => {
+  assert.equal(await book('+15550000001'), true);
+  assert.equal(db.tables.slot_holds.length, 0);
+});
+
+test('another instance\'s claim blocks the time', async () => {
+  db.tables.slot_holds = [{
+    id: 1,
+    barber_id: 1,
+    client_phone: '+15550000002',
+    start_time: start.toISOString(),
+    end_time: end.toISOString(),
+    expires_at: new Date(Date.now() + 60000).toISOString()
+  }];
+
+  assert.equal(await book('+15550000001'), false);
+  assert.equal(db.tables.slot_holds.length, 1);
+});
+
+test('the claim is dropped when the booking throws', async () => {
+  await assert.rejects(withSlotClaim(barber.id, '+15550000001', [{ start, end }], async () => {
+    throw new Error('Calendar is down');
+  }));
+  assert.equal(db.tables.slot_holds.length, 0);
+});
+
+test('nothing is booked when the time can\'t be claimed', async () => {
+  db.failOnce('slot_holds', 'insert', { message: 'connection refused' });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(book('+15550000001'), /Failed to claim/);
+  } finally {
+    console.error = error;
+  }
+  assert.equal(calendar.called('events.insert').length, 0);
+});
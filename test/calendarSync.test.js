@@ -0,0 +1,247 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { bookingEvents, setCalendarClientFactory } = require('../utils/booking');
+const {
+  startWatch,
+  watchBarberCalendar,
+  renewExpiringWatches,
+  handleNotification,
+  syncWatch
+} = require('../utils/calendarSync');
+
+const NOTIFICATION_URL = 'https://shop.test/webhook/calendar/notifications';
+const barber = { id: 1, name: 'Sam', refresh_token: 'token', selected_calendar_id: 'primary', timezone: 'America/Los_Angeles' };
+
+let calendar;
+let appointmentEvent;
+
+function at(iso) {
+  return { dateTime: iso, timeZone: 'America/Los_Angeles' };
+}
+
+function notification(watch, state = 'exists', overrides = {}) {
+  return {
+    'x-goog-channel-id': watch.id,
+    'x-goog-channel-token': watch.token,
+    'x-goog-resource-id': watch.resource_id,
+    'x-goog-resource-state': state,
+    ...overrides
+  };
+}
+
+// Keeps the sync's console chatter out of the test output
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.log = log;
+    console.warn = warn;
+  });
+}
+
+beforeEach(() => {
+  process.env.CALENDAR_NOTIFICATION_URL = NOTIFICATION_URL;
+  calendar = createFakeCalendar();
+  setCalendarClientFactory(() => calendar);
+
+  appointmentEvent = calendar.addEvent({ summary: 'Haircut - Joe', start: at('2026-11-03T17:00:00Z'), end: at('2026-11-03T17:30:00Z') });
+  calendar.addEvent({ summary: 'Lunch', start: at('2026-11-03T20:00:00Z'), end: at('2026-11-03T21:00:00Z') });
+
+  db.reset({
+    barbers: [barber],
+    appointments: [{
+      id: 1,
+      barber_id: 1,
+      client_phone: '+15551230000',
+      google_calendar_event_id: appointmentEvent.id,
+      start_time: '2026-11-03T17:00:00.000Z',
+      end_time: '2026-11-03T17:30:00.000Z',
+      status: 'confirmed'
+    }]
+  });
+});
+
+afterEach(() => {
+  delete process.env.CALENDAR_NOTIFICATION_URL;
+  setCalendarClientFactory(null);
+});
+
+test('won\'t watch without a notification URL', async () => {
+  delete process.env.CALENDAR_NOTIFICATION_URL;
+  await assert.rejects(startWatch(barber), /CALENDAR_NOTIFICATION_URL/);
+  assert.equal(calendar.called('events.watch').length, 0);
+});
+
+test('opens a channel with a sync token taken first', async () => {
+  const watch = await watchBarberCalendar(barber);
+
+  const [list] = calendar.called('events.list');
+  const [opened] = calendar.called('events.watch');
+  assert.equal(list.params.syncToken, undefined);
+  assert.ok(calendar.calls.indexOf(list) < calendar.calls.indexOf(opened));
+  assert.equal(opened.params.requestBody.address, NOTIFICATION_URL);
+  assert.equal(opened.params.requestBody.id, watch.id);
+
+  assert.deepEqual(db.tables.calendar_watches.map(row => row.id), [watch.id]);
+  assert.equal(watch.barber_id, 1);
+  assert.equal(watch.calendar_id, 'primary');
+  assert.equal(watch.resource_id, 'resource-primary');
+  assert.ok(watch.sync_token);
+  assert.ok(new Date(watch.expiration) > new Date(Date.now() + 6 * 86400000));
+});
+
+test('ignores notifications from unknown channels or with the wrong token', async () => {
+  const watch = await watchBarberCalendar(barber);
+
+  assert.equal((await handleNotification({})).status, 400);
+  assert.equal((await handleNotification(notification({ ...watch, id: 'nope' }))).status, 404);
+  assert.equal((await handleNotification(notification(watch, 'exists', { 'x-goog-channel-token': 'guess' }))).status, 404);
+  assert.equal((await handleNotification(notification(watch, 'exists', { 'x-goog-resource-id': 'other' }))).status, 404);
+  assert.equal(calendar.called('events.list').length, 1);
+});
+
+test('the channel\'s first "sync" notification doesn\'t sync anything', async () => {
+  const watch = await watchBarberCalendar(barber);
+  const outcome = await handleNotification(notification(watch, 'sync'));
+
+  assert.deepEqual(outcome, { status: 200, body: { success: true, state: 'sync' } });
+  assert.equal(calendar.called('events.list').length, 1);
+});
+
+test('moves an appointment that was moved in Google Calendar', async () => {
+  const watch = await watchBarberCalendar(barber);
+  const moved = [];
+  const onMoved = event => moved.push(event.eventId);
+  bookingEvents.on('appointmentMoved', onMoved);
+
+  await calendar.events.patch({
+    calendarId: 'primary',
+    eventId: appointmentEvent.id,
+    resource: { start: at('2026-11-04T18:00:00Z'), end: at('2026-11-04T18:45:00Z') }
+  });
+  let outcome;
+  try {
+    outcome = await quietly(() => handleNotification(notification(watch)));
+  } finally {
+    bookingEvents.off('appointmentMoved', onMoved);
+  }
+
+  assert.deepEqual(outcome.body, { success: true, state: 'exists', updated: 1, cancelled: 0, changes: 1 });
+  const [list] = calendar.called('events.list').slice(-1);
+  assert.equal(list.params.syncToken, watch.sync_token);
+
+  const [row] = db.tables.appointments;
+  assert.equal(row.start_time, '2026-11-04T18:00:00.000Z');
+  assert.equal(row.end_time, '2026-11-04T18:45:00.000Z');
+  assert.deepEqual(moved, [appointmentEvent.id]);
+  assert.notEqual(db.tables.calendar_watches[0].sync_token, watch.sync_token);
+});
+
+test('cancels an appointment deleted in Google Calendar and leaves other events alone', async () => {
+  const watch = await watchBarberCalendar(barber);
+
+  await calendar.events.delete({ calendarId: 'primary', eventId: appointmentEvent.id });
+  calendar.addEvent({ summary: 'Dentist', start: at('2026-11-05T17:00:00Z'), end: at('2026-11-05T18:00:00Z') });
+  const outcome = await quietly(() => handleNotification(notification(watch)));
+
+  assert.deepEqual(outcome.body, { success: true, state: 'exists', updated: 0, cancelled: 1, changes: 2 });
+  assert.equal(db.tables.appointments[0].status, 'cancelled');
+  assert.equal(db.tables.appointments.length, 1);
+});
+
+test('each sync picks up where the last one stopped', async () => {
+  const watch = await watchBarberCalendar(barber);
+
+  await calendar.events.delete({ calendarId: 'primary', eventId: appointmentEvent.id });
+  const first = await quietly(() => syncWatch(watch.id));
+  const second = await quietly(() => syncWatch(watch.id));
+
+  assert.equal(first.cancelled, 1);
+  assert.deepEqual(second, { updated: 0, cancelled: 0, changes: 0 });
+});
+
+test('falls back to a full sync when the sync token has expired', async () => {
+  const watch = await watchBarberCalendar(barber);
+  calendar.expiredSyncTokens.add(watch.sync_token);
+
+  await calendar.events.patch({
+    calendarId: 'primary',
+    eventId: appointmentEvent.id,
+    resource: { start: at('2026-11-03T19:00:00Z'), end: at('2026-11-03T19:30:00Z') }
+  });
+  const outcome = await quietly(() => handleNotification(notification(watch)));
+
+  const lists = calendar.called('events.list').slice(-2);
+  assert.deepEqual(lists.map(list => list.params.syncToken), [watch.sync_token, undefined]);
+  assert.equal(outcome.body.updated, 1);
+  // Every event comes back in a full sync
+  assert.equal(outcome.body.changes, 2);
+  assert.equal(db.tables.appointments[0].start_time, '2026-11-03T19:00:00.000Z');
+
+  const saved = db.tables.calendar_watches[0].sync_token;
+  assert.ok(saved && saved !== watch.sync_token);
+  assert.equal((await quietly(() => syncWatch(watch.id))).changes, 0);
+});
+
+test('other list errors aren\'t mistaken for an expired token', async () => {
+  const watch = await watchBarberCalendar(barber);
+  calendar.events.list = async () => {
+    throw Object.assign(new Error('Rate limit exceeded'), { code: 403 });
+  };
+
+  await assert.rejects(syncWatch(watch.id), /Rate limit/);
+  assert.equal(db.tables.calendar_watches[0].sync_token, watch.sync_token);
+});
+
+test('renews expiring channels and hands the sync token on', async () => {
+  const old = await watchBarberCalendar(barber);
+  db.tables.calendar_watches[0].expiration = new Date(Date.now() + 3600000).toISOString();
+
+  await renewExpiringWatches();
+
+  assert.equal(db.tables.calendar_watches.length, 1);
+  const renewed = db.tables.calendar_watches[0];
+  assert.notEqual(renewed.id, old.id);
+  assert.equal(renewed.sync_token, old.sync_token);
+  assert.deepEqual(calendar.called('channels.stop').map(stop => stop.params), [{ id: old.id, resourceId: old.resource_id }]);
+  // No second full list was needed for the new channel
+  assert.equal(calendar.called('events.list').length, 1);
+});
+
+test('leaves channels alone that aren\'t close to expiring', async () => {
+  const watch = await watchBarberCalendar(barber);
+
+  await renewExpiringWatches();
+
+  assert.deepEqual(db.tables.calendar_watches.map(row => row.id), [watch.id]);
+  assert.equal(calendar.called('events.watch').length, 1);
+});
+
+test('stops expiring channels of barbers who disconnected their calendar', async () => {
+  await watchBarberCalendar(barber);
+  db.tables.calendar_watches[0].expiration = new Date(Date.now() + 3600000).toISOString();
+  db.tables.barbers[0].refresh_token = null;
+
+  await renewExpiringWatches();
+
+  assert.equal(db.tables.calendar_watches.length, 0);
+  assert.equal(calendar.called('events.watch').length, 1);
+  // Without a token there's no client to stop the channel with; it lapses on Google's side
+  assert.equal(calendar.called('channels.stop').length, 0);
+});
+
+test('switching calendars starts from a fresh sync token', async () => {
+  const old = await watchBarberCalendar(barber);
+  const moved = { ...barber, selected_calendar_id: 'shop-calendar' };
+
+  const watch = await watchBarberCalendar(moved);
+
+  assert.equal(watch.calendar_id, 'shop-calendar');
+  assert.notEqual(watch.sync_token, old.sync_token);
+  assert.deepEqual(calendar.called('events.list').map(list => list.params.calendarId), ['primary', 'shop-calendar']);
+  assert.deepEqual(db.tables.calendar_watches.map(row => row.id), [watch.id]);
+});
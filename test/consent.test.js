@@ -0,0 +1,26 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { getConsentAction, handleConsentKeyword } = require('../utils/consent');
+
+const PHONE = '+15551230000';
+
+beforeEach(() => db.reset({ clients: [{ id: 1, phone_number: PHONE, name: 'Joe', sms_opted_out: false }] }));
+
+test('a bare CANCEL opts out, like it does for the carriers', () => {
+  assert.equal(getConsentAction('CANCEL'), 'opt_out');
+  assert.equal(getConsentAction('Cancel all'), 'opt_out');
+  assert.equal(getConsentAction('cancel my appointment'), null);
+});
+
+test('X still cancels the next appointment rather than opting out', () => {
+  assert.equal(getConsentAction('X'), null);
+});
+
+test('texting CANCEL stops all texts to the client', async () => {
+  const outcome = await handleConsentKeyword({ phoneNumber: PHONE, text: 'cancel' });
+
+  assert.equal(outcome.action, 'opt_out');
+  assert.equal(db.tables.clients[0].sms_opted_out, true);
+});
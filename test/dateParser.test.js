@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateTimePhrase, resolveDateTimeInput } = require('../utils/dateParser');
+const { formatInZone } = require('../utils/timezone');
+
+const timeZone = 'America/Los_Angeles';
+// Wednesday Oct 14 2026, 10:00 AM in Los Angeles
+const WEDNESDAY = '2026-10-14T10:00:00-07:00';
+// The Saturdays before DST starts (Mar 8 2026) and ends (Nov 1 2026)
+const BEFORE_SPRING_FORWARD = '2026-03-07T12:00:00-08:00';
+const BEFORE_FALL_BACK = '2026-10-31T12:00:00-07:00';
+
+// [phrase, start, end, exact, assumptions (substrings, in order)] read at WEDNESDAY
+// unless a reference is given. end is null for open-ended phrases.
+const CASES = [
+  // Days
+  ['today', '2026-10-14T00:00:00-07:00', '2026-10-15T00:00:00-07:00', false, []],
+  ['tmrw', '2026-10-15T00:00:00-07:00', '2026-10-16T00:00:00-07:00', false, []],
+  ['day after tomorrow', '2026-10-16T00:00:00-07:00', '2026-10-17T00:00:00-07:00', false, []],
+  ['friday', '2026-10-16T00:00:00-07:00', '2026-10-17T00:00:00-07:00', false, []],
+  ['wednesday', '2026-10-21T00:00:00-07:00', '2026-10-22T00:00:00-07:00', false, ['Wednesday Oct 21, not today']],
+  ['this monday', '2026-10-19T00:00:00-07:00', '2026-10-20T00:00:00-07:00', false, ['"this monday" has passed']],
+  ['this friday', '2026-10-16T00:00:00-07:00', '2026-10-17T00:00:00-07:00', false, []],
+  ['next friday', '2026-10-23T00:00:00-07:00', '2026-10-24T00:00:00-07:00', false, ['Friday Oct 23 (next week), not Friday Oct 16']],
+  ['next monday', '2026-10-19T00:00:00-07:00', '2026-10-20T00:00:00-07:00', false, []],
+  ['friday after next', '2026-10-23T00:00:00-07:00', '2026-10-24T00:00:00-07:00', false, ['Friday Oct 23']],
+  ['next week', '2026-10-19T00:00:00-07:00', '2026-10-26T00:00:00-07:00', false, []],
+  ['later this week', '2026-10-15T00:00:00-07:00', '2026-10-19T00:00:00-07:00', false, []],
+  ['this weekend', '2026-10-17T00:00:00-07:00', '2026-10-19T00:00:00-07:00', false, []],
+  ['next weekend', '2026-10-24T00:00:00-07:00', '2026-10-26T00:00:00-07:00', false, ['Saturday Oct 24 - Sunday Oct 25']],
+  ['in 3 days', '2026-10-17T00:00:00-07:00', '2026-10-18T00:00:00-07:00', false, []],
+
+  // Several days
+  ['mon or tue', '2026-10-19T00:00:00-07:00', '2026-10-21T00:00:00-07:00', false, []],
+  ['sat and sun', '2026-10-17T00:00:00-07:00', '2026-10-19T00:00:00-07:00', false, []],
+  ['mon, tue or thu after 4', '2026-10-15T16:00:00-07:00', '2026-10-21T00:00:00-07:00', false, ['Thursday Oct 15 through Tuesday Oct 20, including the days in between', 'Read "4" as 4:00 PM']],
+  ['fri or mon', '2026-10-16T00:00:00-07:00', '2026-10-20T00:00:00-07:00', false, ['Friday Oct 16 through Monday Oct 19, including the days in between']],
+
+  // Dates
+  ['2026-10-20', '2026-10-20T00:00:00-07:00', '2026-10-21T00:00:00-07:00', false, []],
+  ['dec 25', '2026-12-25T00:00:00-08:00', '2026-12-26T00:00:00-08:00', false, []],
+  ['25th of december', '2026-12-25T00:00:00-08:00', '2026-12-26T00:00:00-08:00', false, []],
+  ['jan 3', '2027-01-03T00:00:00-08:00', '2027-01-04T00:00:00-08:00', false, ['"jan 3" has passed this year, so Sunday Jan 3 2027']],
+  ['oct 1', '2027-10-01T00:00:00-07:00', '2027-10-02T00:00:00-07:00', false, ['"oct 1" has passed this year']],
+  ['11/20', '2026-11-20T00:00:00-08:00', '2026-11-21T00:00:00-08:00', false, []],
+  ['5/6', '2027-05-06T00:00:00-07:00', '2027-05-07T00:00:00-07:00', false, ['as month/day', 'has passed this year']],
+  ['the 3rd', '2026-11-03T00:00:00-08:00', '2026-11-04T00:00:00-08:00', false, ['Tuesday Nov 3']],
+  ['the 20th', '2026-10-20T00:00:00-07:00', '2026-10-21T00:00:00-07:00', false, []],
+
+  // Times
+  ['tomorrow at 3', '2026-10-15T15:00:00-07:00', '2026-10-15T15:00:00-07:00', true, ['Read "3" as 3:00 PM']],
+  ['tomorrow at 9', '2026-10-15T09:00:00-07:00', '2026-10-15T09:00:00-07:00', true, ['Read "9" as 9:00 AM']],
+  ['tomorrow 15:00', '2026-10-15T15:00:00-07:00', '2026-10-15T15:00:00-07:00', true, []],
+  ['friday @ 2:30p', '2026-10-16T14:30:00-07:00', '2026-10-16T14:30:00-07:00', true, []],
+  ['at 8am', '2026-10-15T08:00:00-07:00', '2026-10-15T08:00:00-07:00', true, ['has passed today, so Thursday Oct 15']],
+  ['at 4', '2026-10-14T16:00:00-07:00', '2026-10-14T16:00:00-07:00', true, ['Read "4" as 4:00 PM']],
+  ['noon', '2026-10-14T12:00:00-07:00', '2026-10-14T12:00:00-07:00', true, []],
+  ['in 2 hours', '2026-10-14T12:00:00-07:00', '2026-10-14T12:00:00-07:00', true, []],
+  ['in half an hour', '2026-10-14T10:30:00-07:00', '2026-10-14T10:30:00-07:00', true, []],
+
+  // Windows
+  ['tmrw morning', '2026-10-15T06:00:00-07:00', '2026-10-15T12:00:00-07:00', false, []],
+  ['early afternoon', '2026-10-14T12:00:00-07:00', '2026-10-14T14:30:00-07:00', false, []],
+  ['tonight', '2026-10-14T17:00:00-07:00', '2026-10-14T22:00:00-07:00', false, []],
+  ['after work', '2026-10-14T17:00:00-07:00', '2026-10-14T21:00:00-07:00', false, ['as the evening']],
+  ['friday afternoon at 4', '2026-10-16T16:00:00-07:00', '2026-10-16T16:00:00-07:00', true, []],
+  ['11-1pm', '2026-10-14T11:00:00-07:00', '2026-10-14T13:00:00-07:00', false, []],
+  ['tomorrow between 3 and 5', '2026-10-15T15:00:00-07:00', '2026-10-15T17:00:00-07:00', false, ['Read "3" as 3:00 PM', 'Read "5" as 5:00 PM']],
+  ['after 3', '2026-10-14T15:00:00-07:00', '2026-10-15T00:00:00-07:00', false, ['Read "3" as 3:00 PM']],
+  ['before noon', '2026-10-14T00:00:00-07:00', '2026-10-14T12:00:00-07:00', false, []],
+  ['around 4', '2026-10-14T15:30:00-07:00', '2026-10-14T16:30:00-07:00', false, ['Read "4" as 4:00 PM']],
+  ['later today', '2026-10-14T10:00:00-07:00', '2026-10-15T00:00:00-07:00', false, []],
+  ['asap', '2026-10-14T10:00:00-07:00', null, false, []],
+
+  // DST: Mar 8 2026 has 23 hours and Nov 1 2026 has 25
+  ['tomorrow', '2026-03-08T00:00:00-08:00', '2026-03-09T00:00:00-07:00', false, [], BEFORE_SPRING_FORWARD],
+  ['tomorrow at 3pm', '2026-03-08T15:00:00-07:00', '2026-03-08T15:00:00-07:00', true, [], BEFORE_SPRING_FORWARD],
+  ['tomorrow morning', '2026-03-08T06:00:00-07:00', '2026-03-08T12:00:00-07:00', false, [], BEFORE_SPRING_FORWARD],
+  // 2:30 AM doesn't happen that day; it's read as the hour after
+  ['tomorrow at 2:30am', '2026-03-08T03:30:00-07:00', '2026-03-08T03:30:00-07:00', true, [], BEFORE_SPRING_FORWARD],
+  ['in 24 hours', '2026-03-08T13:00:00-07:00', '2026-03-08T13:00:00-07:00', true, [], BEFORE_SPRING_FORWARD],
+  ['tomorrow', '2026-11-01T00:00:00-07:00', '2026-11-02T00:00:00-08:00', false, [], BEFORE_FALL_BACK],
+  ['tomorrow at 9', '2026-11-01T09:00:00-08:00', '2026-11-01T09:00:00-08:00', true, ['Read "9" as 9:00 AM'], BEFORE_FALL_BACK],
+  // 1:30 AM happens twice that day; the first is taken
+  ['tomorrow at 1:30am', '2026-11-01T01:30:00-07:00', '2026-11-01T01:30:00-07:00', true, [], BEFORE_FALL_BACK],
+  ['in 3 days', '2026-11-03T00:00:00-08:00', '2026-11-04T00:00:00-08:00', false, [], BEFORE_FALL_BACK],
+  ['2026-11-01', '2026-11-01T00:00:00-07:00', '2026-11-02T00:00:00-08:00', false, [], BEFORE_FALL_BACK]
+];
+
+// Phrases that must not be read as anything
+const UNREADABLE = [
+  'hello',
+  '',
+  'tomorrow at 25',
+  'tomorrow at 3:75',
+  'friday after 13pm',
+  '25:00',
+  'feb 30',
+  '13/5',
+  'mon or 2/30',
+  'at 0am'
+];
+
+for (const [phrase, start, end, exact, assumptions, reference = WEDNESDAY] of CASES) {
+  test(`"${phrase}" at ${reference}`, () => {
+    const parsed = parseDateTimePhrase(phrase, { timeZone, reference: new Date(reference) });
+    assert.ok(parsed, 'expected a reading');
+    assert.equal(formatInZone(parsed.start, timeZone), start);
+    assert.equal(parsed.end && formatInZone(parsed.end, timeZone), end);
+    assert.equal(parsed.exact, exact);
+    assert.equal(parsed.assumptions.length, assumptions.length, `assumptions: ${JSON.stringify(parsed.assumptions)}`);
+    assumptions.forEach((expected, i) => assert.ok(parsed.assumptions[i].includes(expected), `"${parsed.assumptions[i]}" should mention "${expected}"`));
+    // Scheduling inputs read the same way, bare ISO dates included
+    assert.deepEqual(resolveDateTimeInput(phrase, timeZone, new Date(reference)), parsed);
+  });
+}
+
+for (const phrase of UNREADABLE) {
+  test(`"${phrase}" is not read`, () => {
+    assert.equal(parseDateTimePhrase(phrase, { timeZone, reference: new Date(WEDNESDAY) }), null);
+  });
+}
+
+test('ISO date-times are read exactly, without assumptions', () => {
+  const parsed = resolveDateTimeInput('2026-10-15T09:30:00', timeZone, new Date(WEDNESDAY));
+  assert.equal(formatInZone(parsed.start, timeZone), '2026-10-15T09:30:00-07:00');
+  assert.equal(parsed.exact, true);
+  assert.deepEqual(parsed.assumptions, []);
+});
+
+test('inPast is set for times already gone', () => {
+  assert.equal(parseDateTimePhrase('today at 9am', { timeZone, reference: new Date(WEDNESDAY) }).inPast, true);
+  assert.equal(parseDateTimePhrase('today at 4pm', { timeZone, reference: new Date(WEDNESDAY) }).inPast, false);
+});
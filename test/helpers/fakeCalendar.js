@@ -0,0 +1,165 @@
+// In-memory stand-in for the Google Calendar client (google.calendar()).
+// Events live in `calendar.events.items`; free/busy is worked out from them.
+// Pass it to setCalendarClientFactory in utils/booking.
+function overlaps(event, timeMin, timeMax) {
+  return new Date(event.start.dateTime) < new Date(timeMax) && new Date(event.end.dateTime) > new Date(timeMin);
+}
+
+function notFound() {
+  return Object.assign(new Error('Not Found'), { code: 404 });
+}
+
+function createFakeCalendar({ timeZone = 'America/Los_Angeles', calendars = null } = {}) {
+  let nextId = 1;
+  let nextSync = 1;
+  const calls = [];
+  // Changes since each sync token was handed out
+  const syncTokens = new Map();
+  const items = [];
+
+  function record(method, params) {
+    calls.push({ method, params });
+  }
+
+  function touch(event) {
+    event.updated = new Date().toISOString();
+    for (const changed of syncTokens.values()) changed.add(event.id);
+  }
+
+  function find(calendarId, eventId) {
+    const event = items.find(item => item.id === eventId && item.calendarId === calendarId);
+    if (!event) throw notFound();
+    return event;
+  }
+
+  function toData({ calendarId, ...event }) {
+    return JSON.parse(JSON.stringify(event));
+  }
+
+  const calendar = {
+    calls,
+    expiredSyncTokens: new Set(),
+
+    // Add an event as if the barber made it in Google Calendar
+    addEvent(event, calendarId = 'primary') {
+      const created = { id: `evt${nextId++}`, status: 'confirmed', calendarId, ...event };
+      items.push(created);
+      touch(created);
+      return created;
+    },
+
+    calendarList: {
+      async list() {
+        record('calendarList.list', {});
+        return { data: { items: calendars || [{ id: 'primary', primary: true, summary: 'Primary', timeZone }] } };
+      }
+    },
+
+    freebusy: {
+      async query({ requestBody }) {
+        record('freebusy.query', requestBody);
+        const result = {};
+        for (const { id } of requestBody.items) {
+          result[id] = {
+            busy: items
+              .filter(event => event.calendarId === id && event.status !== 'cancelled' && event.transparency !== 'transparent')
+              .filter(event => overlaps(event, requestBody.timeMin, requestBody.timeMax))
+              .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }))
+          };
+        }
+        return { data: { calendars: result } };
+      }
+    },
+
+    events: {
+      items,
+
+      async insert({ calendarId, resource, requestBody }) {
+        record('events.insert', { calendarId, resource: resource || requestBody });
+        const event = calendar.addEvent({ htmlLink: `https://calendar.test/${nextId}`, ...(resource || requestBody) }, calendarId);
+        return { data: toData(event) };
+      },
+
+      async get({ calendarId, eventId }) {
+        record('events.get', { calendarId, eventId });
+        return { data: toData(find(calendarId, eventId)) };
+      },
+
+      async update({ calendarId, eventId, resource, requestBody }) {
+        record('events.update', { calendarId, eventId });
+        const event = find(calendarId, eventId);
+        Object.assign(event, resource || requestBody);
+        touch(event);
+        return { data: toData(event) };
+      },
+
+      async patch({ calendarId, eventId, resource, requestBody }) {
+        record('events.patch', { calendarId, eventId });
+        const event = find(calendarId, eventId);
+        Object.assign(event, resource || requestBody);
+        touch(event);
+        return { data: toData(event) };
+      },
+
+      async delete({ calendarId, eventId }) {
+        record('events.delete', { calendarId, eventId });
+        const event = find(calendarId, eventId);
+        event.status = 'cancelled';
+        touch(event);
+        return { data: '' };
+      },
+
+      async instances({ calendarId, eventId }) {
+        record('events.instances', { calendarId, eventId });
+        return {
+          data: {
+            items: items.filter(item => item.calendarId === calendarId && item.recurringEventId === eventId).map(toData)
+          }
+        };
+      },
+
+      // A sync token lists what changed since it was issued; a full list
+      // leaves out cancelled events, like the real API does
+      async list({ calendarId, syncToken, pageToken }) {
+        record('events.list', { calendarId, syncToken, pageToken });
+        if (syncToken && (calendar.expiredSyncTokens.has(syncToken) || !syncTokens.has(syncToken))) {
+          throw Object.assign(new Error('Sync token is no longer valid, a full sync is required.'), { code: 410 });
+        }
+
+        const changed = syncToken ? syncTokens.get(syncToken) : null;
+        const listed = items.filter(item => item.calendarId === calendarId &&
+          (changed ? changed.has(item.id) : item.status !== 'cancelled'));
+
+        const nextSyncToken = `sync${nextSync++}`;
+        syncTokens.set(nextSyncToken, new Set());
+        return { data: { items: listed.map(toData), nextSyncToken } };
+      },
+
+      async watch({ calendarId, requestBody }) {
+        record('events.watch', { calendarId, requestBody });
+        return {
+          data: {
+            id: requestBody.id,
+            resourceId: `resource-${calendarId}`,
+            expiration: String(Date.now() + 7 * 86400000)
+          }
+        };
+      }
+    },
+
+    channels: {
+      async stop({ requestBody }) {
+        record('channels.stop', requestBody);
+        return { data: '' };
+      }
+    },
+
+    called(method) {
+      return calls.filter(call => call.method === method);
+    }
+  };
+
+  return calendar;
+}
+
+module.exports = { createFakeCalendar };
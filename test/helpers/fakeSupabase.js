@@ -0,0 +1,154 @@
+// In-memory stand-in for the parts of the Supabase query builder utils/supabase
+// uses. Load it before anything that requires utils/supabase, then seed
+// tables with `db.tables.<name> = [...]`.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const { supabase } = require('../../utils/supabase');
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+// Values come back from filters as strings; rows may hold numbers or dates
+function same(value, expected) {
+  if (value === null || value === undefined) return expected === null || expected === 'null';
+  return String(value instanceof Date ? value.toISOString() : value) === String(expected);
+}
+
+function timeOrValue(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) || /^\d+$/.test(String(value)) ? value : time;
+}
+
+const OPERATORS = {
+  eq: (value, expected) => same(value, expected),
+  neq: (value, expected) => !same(value, expected),
+  is: (value, expected) => (value ?? null) === (expected === 'null' ? null : expected),
+  in: (value, expected) => expected.some(item => same(value, item)),
+  gt: (value, expected) => value !== null && value !== undefined && timeOrValue(value) > timeOrValue(expected),
+  gte: (value, expected) => value !== null && value !== undefined && timeOrValue(value) >= timeOrValue(expected),
+  lt: (value, expected) => value !== null && value !== undefined && timeOrValue(value) < timeOrValue(expected),
+  lte: (value, expected) => value !== null && value !== undefined && timeOrValue(value) <= timeOrValue(expected),
+  ilike: (value, pattern) => new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i').test(value || '')
+};
+
+// "status.is.null,status.eq.pending" or "repeat.not.is.null,end_time.gt.2026-01-01T00:00:00.000Z"
+function parseOr(filters) {
+  const conditions = filters.split(/,(?![^(]*\))/).map(condition => {
+    const [column, ...rest] = condition.split('.');
+    const negate = rest[0] === 'not';
+    const [operator, ...value] = negate ? rest.slice(1) : rest;
+    return { column, operator, value: value.join('.'), negate };
+  });
+  return row => conditions.some(({ column, operator, value, negate }) => OPERATORS[operator](row[column], value) !== negate);
+}
+
+function createFakeDb() {
+  const db = { tables: {}, nextId: 1000, failNext: null };
+
+  function from(table) {
+    db.tables[table] = db.tables[table] || [];
+    let action = 'select';
+    let payload = null;
+    let onConflict = null;
+    let returning = false;
+    let single = false;
+    let maybeSingle = false;
+    let limit = null;
+    const filters = [];
+    const orders = [];
+
+    function run() {
+      if (db.failNext && db.failNext.table === table && db.failNext.action === action) {
+        const { error } = db.failNext;
+        db.failNext = null;
+        return { data: null, error };
+      }
+
+      const rows = db.tables[table];
+      let data;
+
+      if (action === 'insert' || action === 'upsert') {
+        data = [].concat(payload).map(row => {
+          const keys = onConflict ? onConflict.split(',') : ['id'];
+          const existing = action === 'upsert' && rows.find(other => keys.every(key => row[key] !== undefined && same(other[key], row[key])));
+          if (existing) return Object.assign(existing, row);
+          const created = { id: db.nextId++, created_at: new Date().toISOString(), ...row };
+          rows.push(created);
+          return created;
+        });
+      } else {
+        data = rows.filter(row => filters.every(filter => filter(row)));
+        if (action === 'update') data.forEach(row => Object.assign(row, payload));
+        if (action === 'delete') db.tables[table] = rows.filter(row => !data.includes(row));
+        for (const { column, ascending } of [...orders].reverse()) {
+          data = [...data].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+        }
+        if (limit !== null) data = data.slice(0, limit);
+      }
+
+      data = data.map(row => ({ ...row }));
+      if (action !== 'select' && !returning && !single) return { data: null, error: null };
+      if (single || maybeSingle) {
+        if (data.length === 1) return { data: data[0], error: null };
+        if (maybeSingle && data.length === 0) return { data: null, error: null };
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data, error: null };
+    }
+
+    const query = {
+      select() {
+        if (action !== 'select') returning = true;
+        return query;
+      },
+      insert(rows) { action = 'insert'; payload = rows; return query; },
+      upsert(rows, options = {}) { action = 'upsert'; payload = rows; onConflict = options.onConflict || null; return query; },
+      update(changes) { action = 'update'; payload = changes; return query; },
+      delete() { action = 'delete'; return query; },
+      not(column, operator, value) {
+        filters.push(row => !OPERATORS[operator](row[column], value));
+        return query;
+      },
+      or(conditions) { filters.push(parseOr(conditions)); return query; },
+      order(column, { ascending = true } = {}) { orders.push({ column, ascending }); return query; },
+      limit(count) { limit = count; return query; },
+      single() { single = true; return query; },
+      maybeSingle() { maybeSingle = true; return query; },
+      then(resolve, reject) {
+        try {
+          resolve(run());
+        } catch (e) {
+          reject(e);
+        }
+      }
+    };
+    for (const operator of Object.keys(OPERATORS)) {
+      query[operator] = (column, value) => {
+        filters.push(row => OPERATORS[operator](row[column], value));
+        return query;
+      };
+    }
+    return query;
+  }
+
+  // Make the next `action` on `table` fail with `error`
+  db.failOnce = (table, action, error = { message: 'fake failure' }) => {
+    db.failNext = { table, action, error };
+  };
+  db.reset = (tables = {}) => {
+    db.tables = JSON.parse(JSON.stringify(tables));
+    db.failNext = null;
+  };
+
+  return { db, from };
+}
+
+const { db, from } = createFakeDb();
+supabase.from = from;
+
+module.exports = db;
@@ -0,0 +1,48 @@
+// Serves routers on a local port for route tests. Each agent keeps its own
+// session cookie, like a separate browser.
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+
+async function startApp(mount) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '..', '..', 'views'));
+  mount(app);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  function agent() {
+    let cookie = null;
+    return async function request(url, { method = 'GET', form = null, json = null, headers = {} } = {}) {
+      const response = await fetch(baseUrl + url, {
+        method,
+        redirect: 'manual',
+        headers: {
+          ...(cookie && { cookie }),
+          ...(form && { 'content-type': 'application/x-www-form-urlencoded' }),
+          ...(json && { 'content-type': 'application/json' }),
+          ...headers
+        },
+        body: form ? new URLSearchParams(form).toString() : json ? JSON.stringify(json) : undefined
+      });
+      const setCookie = response.headers.get('set-cookie');
+      if (setCookie) cookie = setCookie.split(';')[0];
+      return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+  }
+
+  return {
+    baseUrl,
+    agent,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,326 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createMessageBatcher, conversationBatcher, batchEvents } = require('../utils/messageBatcher');
+const { setConversationHandler } = require('../utils/conversation');
+const { setSmsSender, createMemorySender } = require('../utils/sms');
+const { runWithShop, getCurrentShopId } = require('../utils/shopContext');
+
+// Timers driven by hand: advance(ms) moves the clock and fires whatever is due
+function createFakeClock(start = 0) {
+  let time = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => time,
+    timers: {
+      setTimeout(fn, delay) {
+        const id = nextId++;
+        timers.set(id, { fn, at: time + delay });
+        return id;
+      },
+      clearTimeout(id) {
+        timers.delete(id);
+      }
+    },
+    pending: () => timers.size,
+    advance(ms) {
+      const until = time + ms;
+      for (;;) {
+        const [id, due] = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= until)
+          .sort(([, a], [, b]) => a.at - b.at)[0] || [];
+        if (!due) break;
+        timers.delete(id);
+        time = due.at;
+        due.fn();
+      }
+      time = until;
+    }
+  };
+}
+
+function setup(options = {}) {
+  const clock = createFakeClock();
+  const batches = [];
+  const batcher = createMessageBatcher({
+    quietMs: 5000,
+    maxWaitMs: 30000,
+    onBatch: batch => batches.push(batch),
+    timers: clock.timers,
+    now: clock.now,
+    ...options
+  });
+  return { clock, batches, batcher };
+}
+
+function message(id, content) {
+  return { id, content };
+}
+
+test('hands over a burst once the sender has been quiet', () => {
+  const { clock, batches, batcher } = setup();
+
+  batcher.add('+1555', message(1, 'hi'));
+  clock.advance(2000);
+  batcher.add('+1555', message(2, 'can I book'));
+  clock.advance(4999);
+  assert.equal(batches.length, 0);
+
+  clock.advance(1);
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].content, 'hi can I book');
+  assert.deepEqual(batches[0].messages.map(m => m.id), [1, 2]);
+  assert.equal(batches[0].startedAt.getTime(), 0);
+  assert.equal(batcher.getPending('+1555'), null);
+  assert.equal(clock.pending(), 0);
+});
+
+test('reports the batch, count and flush time for each message', () => {
+  const { clock, batcher } = setup();
+
+  const first = batcher.add('+1555', message(1, 'a'));
+  clock.advance(1000);
+  const second = batcher.add('+1555', message(2, 'b'));
+
+  assert.equal(second.batchId, first.batchId);
+  assert.equal(second.messageCount, 2);
+  assert.equal(second.flushAt.getTime(), 6000);
+  assert.deepEqual(batcher.getPending('+1555'), { batchId: first.batchId, messageCount: 2 });
+});
+
+test('never holds a batch past maxWaitMs from its first message', () => {
+  const { clock, batches, batcher } = setup();
+
+  // A message every 4s keeps resetting the 5s quiet period
+  for (let i = 0; i < 7; i++) {
+    batcher.add('+1555', message(i, `m${i}`));
+    clock.advance(4000);
+  }
+  assert.equal(batches.length, 0);
+
+  const last = batcher.add('+1555', message(7, 'm7'));
+  assert.equal(last.flushAt.getTime(), 30000);
+  clock.advance(2000);
+
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].messages.length, 8);
+});
+
+test('a message after the cap starts a new batch', () => {
+  const { clock, batches, batcher } = setup({ maxWaitMs: 6000 });
+
+  batcher.add('+1555', message(1, 'a'));
+  clock.advance(4000);
+  batcher.add('+1555', message(2, 'b'));
+  clock.advance(2000);
+  batcher.add('+1555', message(3, 'c'));
+  clock.advance(5000);
+
+  assert.deepEqual(batches.map(batch => batch.content), ['a b', 'c']);
+  assert.notEqual(batches[0].id, batches[1].id);
+});
+
+test('keeps each phone number\'s batch separate', () => {
+  const { clock, batches, batcher } = setup();
+
+  batcher.add('+1555', message(1, 'one'));
+  batcher.add('+1666', message(2, 'two'));
+  clock.advance(3000);
+  batcher.add('+1555', message(3, 'three'));
+  clock.advance(2000);
+
+  assert.deepEqual(batches.map(batch => [batch.phoneNumber, batch.content]), [['+1666', 'two']]);
+  clock.advance(3000);
+  assert.deepEqual(batches.map(batch => [batch.phoneNumber, batch.content]), [['+1666', 'two'], ['+1555', 'one three']]);
+});
+
+test('a message arriving while a batch is handled starts a new batch', async () => {
+  const clock = createFakeClock();
+  const batches = [];
+  let finish;
+  const batcher = createMessageBatcher({
+    timers: clock.timers,
+    now: clock.now,
+    onBatch: batch => {
+      batches.push(batch);
+      return new Promise(resolve => { finish = resolve; });
+    }
+  });
+
+  batcher.add('+1555', message(1, 'first'));
+  clock.advance(5000);
+  assert.equal(batches.length, 1);
+
+  // onBatch hasn't finished yet
+  const added = batcher.add('+1555', message(2, 'second'));
+  assert.notEqual(added.batchId, batches[0].id);
+  assert.equal(added.messageCount, 1);
+  finish();
+
+  clock.advance(5000);
+  assert.deepEqual(batches.map(batch => batch.content), ['first', 'second']);
+});
+
+test('adds made together all land in the same batch', async () => {
+  const { clock, batches, batcher } = setup();
+
+  const added = await Promise.all([1, 2, 3].map(async id => batcher.add('+1555', message(id, `m${id}`))));
+  clock.advance(5000);
+
+  assert.equal(new Set(added.map(a => a.batchId)).size, 1);
+  assert.deepEqual(added.map(a => a.messageCount), [1, 2, 3]);
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].messages.length, 3);
+});
+
+test('flush hands the batch over early and only once', () => {
+  const { clock, batches, batcher } = setup();
+
+  batcher.add('+1555', message(1, 'now please'));
+  const flushed = batcher.flush('+1555');
+  clock.advance(10000);
+
+  assert.equal(flushed.content, 'now please');
+  assert.equal(batches.length, 1);
+  assert.equal(batcher.flush('+1555'), null);
+});
+
+test('texts to two shops are batched and handed over per shop', () => {
+  const shops = [];
+  const { clock, batches, batcher } = setup({
+    onBatch: batch => {
+      shops.push(getCurrentShopId());
+      batches.push(batch);
+    }
+  });
+
+  runWithShop({ id: 'shop-a' }, () => batcher.add('+1555', message(1, 'haircut at uptown?')));
+  runWithShop({ id: 'shop-b' }, () => batcher.add('+1555', message(2, 'beard trim downtown?')));
+  clock.advance(5000);
+
+  assert.deepEqual(batches.map(batch => batch.content), ['haircut at uptown?', 'beard trim downtown?']);
+  assert.deepEqual(shops, ['shop-a', 'shop-b']);
+});
+
+test('a failing onBatch doesn\'t stop later batches', async () => {
+  const clock = createFakeClock();
+  const handled = [];
+  const batcher = createMessageBatcher({
+    timers: clock.timers,
+    now: clock.now,
+    onBatch: batch => {
+      handled.push(batch.content);
+      if (batch.content === 'bad') throw new Error('boom');
+    }
+  });
+
+  const logged = [];
+  const error = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    batcher.add('+1555', message(1, 'bad'));
+    clock.advance(5000);
+    batcher.add('+1555', message(2, 'good'));
+    clock.advance(5000);
+  } finally {
+    console.error = error;
+  }
+
+  assert.deepEqual(handled, ['bad', 'good']);
+  assert.equal(logged.length, 1);
+});
+
+test('stop drops pending batches and their timers', () => {
+  const { clock, batches, batcher } = setup();
+
+  batcher.add('+1555', message(1, 'a'));
+  batcher.stop();
+  clock.advance(60000);
+
+  assert.equal(batches.length, 0);
+  assert.equal(clock.pending(), 0);
+});
+
+// End to end through the app's batcher: stored messages are marked processed
+// without losing their metadata, and the reply is texted back
+async function waitFor(check) {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+}
+
+let sender;
+
+beforeEach(() => {
+  db.reset({
+    clients: [{ id: 1, phone_number: '+15551230000', name: 'Joe' }],
+    conversation_sessions: [{ id: 7, phone_number: '+15551230000', last_active: new Date().toISOString() }],
+    conversation_messages: [
+      { id: 1, session_id: 7, role: 'user', content: 'hi', metadata: { channel: 'web' } },
+      { id: 2, session_id: 7, role: 'user', content: 'any time friday?', metadata: null }
+    ]
+  });
+  sender = createMemorySender();
+  setSmsSender(sender);
+});
+
+afterEach(() => {
+  setSmsSender(null);
+  setConversationHandler(null);
+  delete process.env.MESSAGE_BATCH_CALLBACK_URL;
+});
+
+test('answers a finished batch and texts the reply', async () => {
+  const asked = [];
+  setConversationHandler(async ({ text, client }) => {
+    asked.push([text, client.name]);
+    return 'Friday at 3 is open.';
+  });
+  const emitted = [];
+  batchEvents.once('batch', batch => emitted.push(batch));
+
+  for (const stored of db.tables.conversation_messages) {
+    conversationBatcher.add('+15551230000', stored);
+  }
+  const batch = conversationBatcher.flush('+15551230000');
+  await waitFor(() => sender.messages.length > 0);
+
+  assert.deepEqual(asked, [['hi any time friday?', 'Joe']]);
+  assert.equal(emitted[0].sessionId, 7);
+  assert.deepEqual(sender.messages.map(sent => [sent.to, sent.body]), [['+15551230000', 'Friday at 3 is open.']]);
+
+  const [first, second, reply] = db.tables.conversation_messages;
+  assert.deepEqual(first.metadata, { channel: 'web', processed: true, batchId: batch.id });
+  assert.deepEqual(second.metadata, { processed: true, batchId: batch.id });
+  assert.equal(reply.role, 'assistant');
+  assert.equal(reply.content, 'Friday at 3 is open.');
+});
+
+test('leaves the batch to the callback when one is set', async () => {
+  process.env.MESSAGE_BATCH_CALLBACK_URL = 'http://127.0.0.1:9/batches';
+  let answered = false;
+  setConversationHandler(async () => {
+    answered = true;
+    return 'should not be sent';
+  });
+
+  const logged = [];
+  const error = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    conversationBatcher.add('+15551230000', db.tables.conversation_messages[0]);
+    conversationBatcher.flush('+15551230000');
+    await waitFor(() => logged.length > 0);
+  } finally {
+    console.error = error;
+  }
+
+  assert.match(String(logged[0][0]), /Error posting message batch/);
+  assert.equal(answered, false);
+  assert.equal(sender.messages.length, 0);
+});
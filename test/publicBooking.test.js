@@ -0,0 +1,164 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { setCalendarClientFactory } = require('../utils/booking');
+const { setSmsSender, createMemorySender } = require('../utils/sms');
+const { parseDateTimeInZone, formatInZone } = require('../utils/timezone');
+const {
+  handleStartWebBooking,
+  handleResendWebBookingCode,
+  handleConfirmWebBooking,
+  releasePendingBooking
+} = require('../utils/publicBooking');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const barber = { id: 1, name: 'Sam', refresh_token: 'token', selected_calendar_id: 'primary', timezone: TIME_ZONE };
+
+// 10:00 on the next Tuesday, inside the default working hours
+function nextTuesdayAt10() {
+  const day = new Date(Date.now() + 2 * 86400000);
+  while (new Date(`${formatInZone(day, TIME_ZONE).slice(0, 10)}T12:00:00Z`).getUTCDay() !== 2) {
+    day.setTime(day.getTime() + 86400000);
+  }
+  return `${formatInZone(day, TIME_ZONE).slice(0, 10)}T10:00:00`;
+}
+
+// Limits are kept per number and per IP for the whole process, so each test
+// uses its own
+let nextNumber = 1000;
+function freshPhone() {
+  return `+1555000${nextNumber++}`;
+}
+
+let sender;
+let startDateTime;
+
+beforeEach(() => {
+  db.reset({ barbers: [barber] });
+  setCalendarClientFactory(() => createFakeCalendar());
+  sender = createMemorySender();
+  setSmsSender(sender);
+  startDateTime = nextTuesdayAt10();
+});
+
+afterEach(() => {
+  setCalendarClientFactory(null);
+  setSmsSender(null);
+});
+
+function start(phone, ip, now) {
+  const { log } = console;
+  console.log = () => {};
+  return handleStartWebBooking(barber, { startDateTime, name: 'Joe', phone, ip }, now)
+    .finally(() => { console.log = log; });
+}
+
+// Release each hold straight away so the slot stays open for the next start
+async function startAndRelease(phone, ip, now) {
+  const outcome = await start(phone, ip, now);
+  if (outcome.status === 200) await releasePendingBooking(outcome.body.pendingBooking);
+  return outcome;
+}
+
+test('holds the slot and texts a code', async () => {
+  const phone = freshPhone();
+  const outcome = await start(phone, '10.0.0.1');
+
+  assert.equal(outcome.status, 200);
+  const { pendingBooking } = outcome.body;
+  assert.equal(db.tables.slot_holds.length, 1);
+  assert.equal(pendingBooking.holdId, db.tables.slot_holds[0].id);
+  assert.equal(sender.messages.length, 1);
+  assert.equal(sender.messages[0].to, phone);
+  assert.equal(parseDateTimeInZone(pendingBooking.startDateTime, TIME_ZONE).getTime(),
+    parseDateTimeInZone(startDateTime, TIME_ZONE).getTime());
+});
+
+test('releasing a pending booking frees its slot', async () => {
+  const first = await start(freshPhone(), '10.0.0.2');
+  await releasePendingBooking(first.body.pendingBooking);
+  assert.equal(db.tables.slot_holds.length, 0);
+
+  // Someone else can now hold the same time
+  const second = await start(freshPhone(), '10.0.0.2');
+  assert.equal(second.status, 200);
+});
+
+test('caps the codes texted to one number in an hour', async () => {
+  const phone = freshPhone();
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await startAndRelease(phone, `10.1.0.${i}`)).status, 200);
+  }
+
+  const limited = await start(phone, '10.1.0.99');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.errorCode, 'TOO_MANY_CODES');
+  assert.equal(sender.messages.length, 5);
+  // The hold taken for the refused request isn't left behind
+  assert.equal(db.tables.slot_holds.length, 0);
+
+  const nextHour = new Date(Date.now() + 61 * 60000);
+  assert.equal((await startAndRelease(phone, '10.1.0.99', nextHour)).status, 200);
+});
+
+test('caps the codes texted from one IP address across numbers', async () => {
+  for (let i = 0; i < 20; i++) {
+    assert.equal((await startAndRelease(freshPhone(), '10.2.0.1')).status, 200);
+  }
+
+  assert.equal((await start(freshPhone(), '10.2.0.1')).status, 429);
+  assert.equal((await startAndRelease(freshPhone(), '10.2.0.2')).status, 200);
+});
+
+test('resent codes count toward the limit', async () => {
+  const phone = freshPhone();
+  const { pendingBooking } = (await start(phone, '10.3.0.1')).body;
+  await releasePendingBooking(pendingBooking);
+
+  for (let i = 0; i < 2; i++) {
+    const resent = await handleResendWebBookingCode(pendingBooking, { ip: '10.3.0.1' });
+    assert.equal(resent.status, 200);
+  }
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await startAndRelease(phone, '10.3.0.2')).status, 200);
+  }
+
+  assert.equal((await start(phone, '10.3.0.3')).status, 429);
+});
+
+// Each request works on its own copy of the session's pending booking
+function sessionCopy(pending) {
+  return JSON.parse(JSON.stringify(pending));
+}
+
+test('wrong codes sent at the same time still count toward the limit', async () => {
+  const { pendingBooking } = (await start(freshPhone(), '10.4.0.1')).body;
+  const code = sender.messages[0].body.match(/\d{6}/)[0];
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  const guesses = await Promise.all(Array.from({ length: 8 }, () =>
+    handleConfirmWebBooking(barber, sessionCopy(pendingBooking), wrong)));
+
+  assert.equal(guesses.filter(outcome => outcome.body.errorCode === 'WRONG_CODE').length, 4);
+  assert.equal(guesses.filter(outcome => outcome.status === 429).length, 4);
+
+  const right = await handleConfirmWebBooking(barber, sessionCopy(pendingBooking), code);
+  assert.equal(right.status, 429);
+});
+
+test('the right code within the limit books the time', async () => {
+  const { pendingBooking } = (await start(freshPhone(), '10.4.0.2')).body;
+  const code = sender.messages[0].body.match(/\d{6}/)[0];
+
+  const wrong = await handleConfirmWebBooking(barber, sessionCopy(pendingBooking), code === '000000' ? '111111' : '000000');
+  assert.equal(wrong.body.errorCode, 'WRONG_CODE');
+
+  const { log } = console;
+  console.log = () => {};
+  const right = await handleConfirmWebBooking(barber, sessionCopy(pendingBooking), code)
+    .finally(() => { console.log = log; });
+  assert.equal(right.status, 200);
+  assert.equal(db.tables.slot_holds.length, 0);
+});
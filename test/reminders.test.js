@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { setSmsSender, createMemorySender } = require('../utils/sms');
+const { scheduleRemindersForEvent, processDueReminders } = require('../utils/reminders');
+
+const PHONE = '+15551234567';
+const NOW = new Date('2025-06-14T16:00:00.000Z');
+const START = '2025-06-15T16:00:00.000Z';
+
+const minutesFromNow = minutes => new Date(NOW.getTime() + minutes * 60000).toISOString();
+
+function appointment(changes = {}) {
+  return { id: 1, google_calendar_event_id: 'event-1', barber_id: 1, client_phone: PHONE, service_type: 'Haircut', start_time: START, status: 'confirmed', ...changes };
+}
+
+// The 24-hour reminder for START, due now
+function job(changes = {}) {
+  return {
+    id: 10,
+    google_calendar_event_id: 'event-1',
+    barber_id: 1,
+    client_phone: PHONE,
+    offset_minutes: 1440,
+    appointment_start: START,
+    send_at: NOW.toISOString(),
+    status: 'pending',
+    attempts: 0,
+    updated_at: minutesFromNow(-60),
+    ...changes
+  };
+}
+
+// A sender whose texts never go through
+function createFailingSender() {
+  return { name: 'failing', async send() { throw new Error('carrier down'); } };
+}
+
+let sender;
+
+beforeEach(() => {
+  db.reset({
+    barbers: [{ id: 1, name: 'Sam', timezone: 'America/Los_Angeles' }],
+    clients: [{ id: 1, phone_number: PHONE }],
+    appointments: [appointment()],
+    reminder_jobs: [job()]
+  });
+  sender = createMemorySender();
+  setSmsSender(sender);
+});
+
+afterEach(() => setSmsSender(null));
+
+function quietly(task) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return task().finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+test('a due reminder is claimed and sent once', async () => {
+  const summaries = await Promise.all([processDueReminders(NOW), processDueReminders(NOW)]);
+
+  assert.equal(summaries[0].sent + summaries[1].sent, 1);
+  assert.equal(sender.messages.length, 1);
+  assert.equal(sender.messages[0].to, PHONE);
+  assert.equal(db.tables.reminder_jobs[0].status, 'sent');
+  assert.equal(db.tables.reminder_jobs[0].attempts, 1);
+});
+
+test('a cancelled appointment\'s reminder is skipped', async () => {
+  db.tables.appointments = [appointment({ status: 'cancelled' })];
+
+  const summary = await processDueReminders(NOW);
+
+  assert.deepEqual(summary, { sent: 0, skipped: 1, failed: 0 });
+  assert.equal(sender.messages.length, 0);
+  assert.equal(db.tables.reminder_jobs[0].status, 'skipped');
+});
+
+test('a reminder more than half its offset late is skipped', async () => {
+  db.tables.reminder_jobs = [job({ send_at: minutesFromNow(-721) })];
+
+  await processDueReminders(NOW);
+
+  assert.equal(sender.messages.length, 0);
+  assert.equal(db.tables.reminder_jobs[0].status, 'skipped');
+  assert.equal(db.tables.reminder_jobs[0].last_error, 'Too late to send');
+});
+
+test('a failed send is retried, then given up on', async () => {
+  setSmsSender(createFailingSender());
+
+  await quietly(() => processDueReminders(NOW));
+  const retried = db.tables.reminder_jobs[0];
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.send_at, minutesFromNow(5));
+  assert.equal(retried.last_error, 'carrier down');
+
+  await quietly(() => processDueReminders(new Date(minutesFromNow(5))));
+  await quietly(() => processDueReminders(new Date(minutesFromNow(10))));
+  assert.equal(db.tables.reminder_jobs[0].status, 'failed');
+  assert.equal(db.tables.reminder_jobs[0].attempts, 3);
+});
+
+test('a job left sending by a stopped process is sent again after the timeout', async () => {
+  db.tables.reminder_jobs = [job({ status: 'sending', attempts: 1, updated_at: minutesFromNow(-5) })];
+  await processDueReminders(NOW);
+  assert.equal(db.tables.reminder_jobs[0].status, 'sending');
+  assert.equal(sender.messages.length, 0);
+
+  const later = new Date(minutesFromNow(11));
+  const summary = await processDueReminders(later);
+  assert.equal(summary.sent, 1);
+  assert.equal(db.tables.reminder_jobs[0].status, 'sent');
+  assert.equal(db.tables.reminder_jobs[0].attempts, 2);
+});
+
+test('a stuck job that has used every attempt fails', async () => {
+  db.tables.reminder_jobs = [job({ status: 'sending', attempts: 3, updated_at: minutesFromNow(-30) })];
+
+  const summary = await processDueReminders(NOW);
+
+  assert.deepEqual(summary, { sent: 0, skipped: 0, failed: 1 });
+  assert.equal(sender.messages.length, 0);
+  assert.equal(db.tables.reminder_jobs[0].status, 'failed');
+});
+
+test('moving an appointment re-times its reminders', async () => {
+  db.tables.reminder_jobs = [];
+  await scheduleRemindersForEvent('event-1');
+  assert.deepEqual(db.tables.reminder_jobs.map(row => row.send_at).sort(), ['2025-06-14T16:00:00.000Z', '2025-06-15T14:00:00.000Z']);
+
+  db.tables.reminder_jobs.forEach(row => Object.assign(row, { status: 'sent', attempts: 1 }));
+  db.tables.appointments = [appointment({ start_time: '2099-06-16T16:00:00.000Z' })];
+  await scheduleRemindersForEvent('event-1');
+
+  assert.equal(db.tables.reminder_jobs.length, 2);
+  for (const row of db.tables.reminder_jobs) {
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 0);
+    assert.equal(row.appointment_start, '2099-06-16T16:00:00.000Z');
+  }
+});
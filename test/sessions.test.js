@@ -0,0 +1,53 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { conversationOps } = require('../utils/supabase');
+const { getCurrentSession } = require('../utils/sessions');
+
+const PHONE = '+15551230000';
+const QUIET_SINCE = '2026-10-18T08:00:00.000Z';
+
+beforeEach(() => {
+  db.reset({
+    conversation_sessions: [{ id: 7, phone_number: PHONE, status: 'active', created_at: QUIET_SINCE, last_active: QUIET_SINCE }],
+    conversation_messages: Array.from({ length: 5 }, (_, i) => ({
+      id: i + 1,
+      session_id: 7,
+      role: i % 2 ? 'assistant' : 'user',
+      content: `message ${i + 1}`,
+      created_at: `2026-10-18T08:0${i}:00.000Z`
+    }))
+  });
+});
+
+test('reading the history doesn\'t count as activity', async () => {
+  const history = await conversationOps.getConversationHistory(PHONE, 10);
+  await getCurrentSession(PHONE, new Date('2026-10-18T09:00:00Z'));
+
+  assert.equal(history.length, 5);
+  assert.equal(db.tables.conversation_sessions[0].last_active, QUIET_SINCE);
+});
+
+test('reading the history of a number without a session doesn\'t start one', async () => {
+  assert.deepEqual(await conversationOps.getConversationHistory('+15559990000'), []);
+  assert.equal(db.tables.conversation_sessions.length, 1);
+});
+
+test('adding a message keeps the session active', async () => {
+  await conversationOps.addMessage(7, 'user', 'still there?');
+
+  assert.notEqual(db.tables.conversation_sessions[0].last_active, QUIET_SINCE);
+});
+
+test('session messages are the latest ones, oldest first', async () => {
+  const messages = await conversationOps.getSessionMessages(7, 3);
+
+  assert.deepEqual(messages.map(message => message.content), ['message 3', 'message 4', 'message 5']);
+});
+
+test('the history is the latest messages, oldest first', async () => {
+  const history = await conversationOps.getConversationHistory(PHONE, 2);
+
+  assert.deepEqual(history.map(message => message.content), ['message 4', 'message 5']);
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { getDefaultShop, handleCreateShop } = require('../utils/shops');
+const { shopOps, conversationOps } = require('../utils/supabase');
+const { runWithShop } = require('../utils/shopContext');
+
+const OLDEST = { id: 'shop-a', name: 'Oldest', api_key: 'key-a', created_at: '2026-01-01T00:00:00Z' };
+const NEWER = { id: 'shop-b', name: 'Newer', api_key: 'key-b', created_at: '2026-05-01T00:00:00Z' };
+
+beforeEach(() => db.reset({ shops: [NEWER, OLDEST] }));
+afterEach(() => delete process.env.DEFAULT_SHOP_ID);
+
+test('the default shop is DEFAULT_SHOP_ID when it names a shop', async () => {
+  process.env.DEFAULT_SHOP_ID = 'shop-b';
+  assert.equal((await getDefaultShop()).id, 'shop-b');
+});
+
+test('without DEFAULT_SHOP_ID the oldest shop is the default', async () => {
+  assert.equal((await getDefaultShop()).id, 'shop-a');
+});
+
+test('a DEFAULT_SHOP_ID that matches no shop falls back to the oldest', async () => {
+  process.env.DEFAULT_SHOP_ID = 'gone';
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await getDefaultShop()).id, 'shop-a');
+  } finally {
+    console.error = error;
+  }
+});
+
+test('there is no default shop before any shop exists', async () => {
+  db.reset({ shops: [] });
+  assert.equal(await getDefaultShop(), null);
+});
+
+test('a new shop\'s API key and join code aren\'t returned', async () => {
+  const outcome = await handleCreateShop({ name: 'Fresh Cuts' });
+
+  assert.equal(outcome.status, 200);
+  assert.equal(outcome.body.shop.name, 'Fresh Cuts');
+  assert.equal(outcome.body.shop.apiKey, undefined);
+  assert.equal(outcome.body.shop.joinCode, undefined);
+  assert.ok(db.tables.shops.find(shop => shop.name === 'Fresh Cuts').api_key);
+});
+
+test('marking messages processed only touches the shop\'s own messages', async () => {
+  db.reset({
+    conversation_messages: [
+      { id: 1, shop_id: 'shop-a', session_id: 1, content: 'hi', metadata: null },
+      { id: 2, shop_id: 'shop-b', session_id: 2, content: 'hello', metadata: null }
+    ]
+  });
+
+  await runWithShop(OLDEST, () => conversationOps.markProcessed([1, 2], 'batch-1'));
+
+  assert.equal(db.tables.conversation_messages[0].metadata.processed, true);
+  assert.equal(db.tables.conversation_messages[1].metadata, null);
+});
+
+test('the first shop adopts series, service overrides and messages from before shops', async () => {
+  db.reset({
+    shops: [OLDEST],
+    appointment_series: [{ id: 1, barber_id: 1 }],
+    barber_services: [{ id: 1, barber_id: 1, service_id: 1 }],
+    conversation_messages: [{ id: 1, session_id: 1, content: 'hi' }]
+  });
+
+  await shopOps.adoptUnassigned(OLDEST.id);
+
+  for (const table of ['appointment_series', 'barber_services', 'conversation_messages']) {
+    assert.equal(db.tables[table][0].shop_id, OLDEST.id, table);
+  }
+});
@@ -0,0 +1,33 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { setSmsSender, createMemorySender, sendSms } = require('../utils/sms');
+
+beforeEach(() => db.reset({ clients: [] }));
+afterEach(() => setSmsSender(null));
+
+test('the memory sender only keeps the latest messages', async () => {
+  const sender = createMemorySender({ limit: 3 });
+  for (let i = 1; i <= 5; i++) {
+    await sender.send({ to: '+15551230000', body: `message ${i}` });
+  }
+
+  assert.deepEqual(sender.messages.map(message => message.body), ['message 3', 'message 4', 'message 5']);
+  assert.equal(sender.messages[2].id, 'memory-5');
+});
+
+test('message bodies aren\'t logged', async () => {
+  setSmsSender(createMemorySender());
+  const logged = [];
+  const { log } = console;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    await sendSms('+15551230000', 'Your booking code is 123456');
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.length > 0);
+  assert.ok(logged.every(line => !line.includes('123456')));
+});
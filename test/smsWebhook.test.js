@@ -0,0 +1,146 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { startApp } = require('./helpers/http');
+const { computeSignature } = require('../utils/twilio');
+const { setConversationHandler } = require('../utils/conversation');
+const { setSmsSender, createMemorySender } = require('../utils/sms');
+const { getCurrentShopId } = require('../utils/shopContext');
+
+const AUTH_TOKEN = 'twilio-test-token';
+const CLIENT = '+15551234567';
+const UPTOWN = '+15550001111';
+const DOWNTOWN = '+15550002222';
+
+let app;
+let sender;
+
+before(async () => {
+  app = await startApp(server => server.use('/webhook/sms', require('../routes/sms')));
+});
+
+after(async () => {
+  await app.close();
+});
+
+beforeEach(() => {
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+  db.reset({
+    shops: [
+      { id: 'shop-a', name: 'Uptown Cuts', sms_number: UPTOWN },
+      { id: 'shop-b', name: 'Downtown Fades', sms_number: DOWNTOWN }
+    ],
+    clients: [],
+    conversation_sessions: [],
+    conversation_messages: []
+  });
+  sender = createMemorySender();
+  setSmsSender(sender);
+});
+
+afterEach(() => {
+  delete process.env.TWILIO_AUTH_TOKEN;
+  delete process.env.SMS_REPLY_MODE;
+  setConversationHandler(null);
+  setSmsSender(null);
+});
+
+function quietly(task) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return task().finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+// Post a text the way Twilio does, signed over `signed` (the params by default)
+function inbound(params, { signed = params, signature } = {}) {
+  const form = { From: CLIENT, To: UPTOWN, MessageSid: 'SM1', ...params };
+  const signedForm = { From: CLIENT, To: UPTOWN, MessageSid: 'SM1', ...signed };
+  const url = '/webhook/sms/inbound';
+  const headers = {};
+  if (signature !== null) {
+    headers['X-Twilio-Signature'] = signature || computeSignature(AUTH_TOKEN, app.baseUrl + url, signedForm);
+  }
+  return quietly(() => app.agent()(url, { method: 'POST', form, headers }));
+}
+
+test('a signed STOP is answered in TwiML and opts the client out', async () => {
+  const response = await inbound({ Body: 'STOP' });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/xml/);
+  assert.match(response.text, /^<\?xml version="1\.0" encoding="UTF-8"\?><Response><Message>You have been unsubscribed/);
+
+  const [client] = db.tables.clients;
+  assert.equal(client.phone_number, CLIENT);
+  assert.equal(client.shop_id, 'shop-a');
+  assert.deepEqual(db.tables.conversation_messages.map(message => message.role), ['user', 'assistant']);
+});
+
+test('a tampered body is rejected', async () => {
+  const response = await inbound({ Body: 'STOP' }, { signed: { Body: 'HELP' } });
+
+  assert.equal(response.status, 403);
+  assert.equal(response.text, '<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  assert.equal(db.tables.clients.length, 0);
+  assert.equal(db.tables.conversation_messages.length, 0);
+});
+
+test('a missing or wrong signature is rejected', async () => {
+  assert.equal((await inbound({ Body: 'STOP' }, { signature: null })).status, 403);
+  assert.equal((await inbound({ Body: 'STOP' }, { signature: 'bm90IGEgc2lnbmF0dXJl' })).status, 403);
+  assert.equal(db.tables.clients.length, 0);
+});
+
+test('nothing is accepted without an auth token to check against', async () => {
+  delete process.env.TWILIO_AUTH_TOKEN;
+
+  const response = await inbound({ Body: 'STOP' });
+
+  assert.equal(response.status, 503);
+  assert.equal(db.tables.clients.length, 0);
+});
+
+test('the To number picks the shop the text is handled in', async () => {
+  const shops = [];
+  setConversationHandler(async () => {
+    shops.push(getCurrentShopId());
+    return 'Hi <there> & welcome';
+  });
+
+  const uptown = await inbound({ Body: 'hello', To: UPTOWN });
+  const downtown = await inbound({ Body: 'hello', To: DOWNTOWN });
+
+  assert.deepEqual(shops, ['shop-a', 'shop-b']);
+  assert.match(uptown.text, /<Message>Hi &lt;there&gt; &amp; welcome<\/Message>/);
+  assert.match(downtown.text, /<Message>Hi &lt;there&gt; &amp; welcome<\/Message>/);
+  assert.deepEqual(db.tables.clients.map(client => client.shop_id).sort(), ['shop-a', 'shop-b']);
+});
+
+test('with SMS_REPLY_MODE=send the reply is texted from the shop number', async () => {
+  process.env.SMS_REPLY_MODE = 'send';
+  setConversationHandler(async () => 'See you soon');
+
+  const response = await inbound({ Body: 'hello', To: DOWNTOWN });
+
+  assert.equal(response.text, '<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  assert.equal(sender.messages.length, 1);
+  assert.equal(sender.messages[0].to, CLIENT);
+  assert.equal(sender.messages[0].from, DOWNTOWN);
+  assert.equal(sender.messages[0].body, 'See you soon');
+});
+
+test('a conversation that fails still answers Twilio', async () => {
+  setConversationHandler(async () => {
+    throw new Error('model unavailable');
+  });
+
+  const response = await inbound({ Body: 'hello' });
+
+  assert.equal(response.status, 200);
+  assert.match(response.text, /<Message>Sorry, something went wrong/);
+});
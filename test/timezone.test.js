@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { zonedTimeToUtc, parseDateTimeInZone, formatInZone } = require('../utils/timezone');
+
+const LA = 'America/Los_Angeles';
+
+// Clocks in Los Angeles skip 02:00-03:00 on 9 March 2025 and repeat
+// 01:00-02:00 on 2 November 2025
+const SKIPPED = { year: 2025, month: 3, day: 9, hour: 2, minute: 30 };
+const REPEATED = { year: 2025, month: 11, day: 2, hour: 1, minute: 30 };
+
+test('wall-clock times away from a transition', () => {
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 1, day: 15, hour: 9 }, LA).toISOString(), '2025-01-15T17:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 7, day: 15, hour: 9 }, LA).toISOString(), '2025-07-15T16:00:00.000Z');
+});
+
+test('a time skipped by spring forward', () => {
+  const cases = [
+    ['compatible', '2025-03-09T10:30:00.000Z'],
+    ['later', '2025-03-09T10:30:00.000Z'],
+    ['earlier', '2025-03-09T09:30:00.000Z']
+  ];
+  for (const [disambiguation, expected] of cases) {
+    assert.equal(zonedTimeToUtc(SKIPPED, LA, disambiguation).toISOString(), expected, disambiguation);
+  }
+  assert.throws(() => zonedTimeToUtc(SKIPPED, LA, 'reject'), /does not exist/);
+});
+
+test('a time repeated by fall back', () => {
+  const cases = [
+    ['compatible', '2025-11-02T08:30:00.000Z'],
+    ['earlier', '2025-11-02T08:30:00.000Z'],
+    ['later', '2025-11-02T09:30:00.000Z']
+  ];
+  for (const [disambiguation, expected] of cases) {
+    assert.equal(zonedTimeToUtc(REPEATED, LA, disambiguation).toISOString(), expected, disambiguation);
+  }
+  assert.throws(() => zonedTimeToUtc(REPEATED, LA, 'reject'), /Ambiguous/);
+});
+
+test('local strings are read in the timezone, across transitions too', () => {
+  assert.equal(parseDateTimeInZone('2025-03-09T02:30', LA).toISOString(), '2025-03-09T10:30:00.000Z');
+  assert.equal(parseDateTimeInZone('2025-11-02T01:30', LA, 'later').toISOString(), '2025-11-02T09:30:00.000Z');
+  assert.equal(formatInZone(parseDateTimeInZone('2025-11-02T03:00', LA), LA), '2025-11-02T03:00:00-08:00');
+});
+
+test('strings with an offset are absolute', () => {
+  assert.equal(parseDateTimeInZone('2025-06-14T10:00:00-04:00', LA).toISOString(), '2025-06-14T14:00:00.000Z');
+  assert.equal(parseDateTimeInZone('2025-06-14T10:00:00Z', LA).toISOString(), '2025-06-14T10:00:00.000Z');
+});
+
+test('days that don\'t exist are rejected instead of rolling over', () => {
+  for (const value of ['2025-02-30T10:00', '2025-02-29', '2025-04-31T09:00', '2025-02-30T10:00:00Z', '2025-13-01T10:00']) {
+    assert.throws(() => parseDateTimeInZone(value, LA), /Invalid date/, value);
+  }
+  assert.equal(parseDateTimeInZone('2024-02-29T10:00', LA).toISOString(), '2024-02-29T18:00:00.000Z');
+});
+
+test('impossible times and garbage are rejected', () => {
+  for (const value of ['2025-06-14T24:00', '2025-06-14T10:60', 'tomorrow', '']) {
+    assert.throws(() => parseDateTimeInZone(value, LA), /Invalid date/, value);
+  }
+});
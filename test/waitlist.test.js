@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('./helpers/fakeSupabase');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+const { setCalendarClientFactory } = require('../utils/booking');
+const { setSmsSender, createMemorySender } = require('../utils/sms');
+const { parseDateTimeInZone, formatInZone } = require('../utils/timezone');
+const { offerFreedSlot, acceptOffer, answerOfferReply } = require('../utils/waitlist');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const CLIENT_PHONE = '+15551230000';
+const barber = { id: 1, name: 'Sam', refresh_token: 'token', selected_calendar_id: 'primary', timezone: TIME_ZONE };
+
+// 10:00 on the next Tuesday, inside the default working hours
+function nextTuesdayAt10() {
+  const day = new Date(Date.now() + 2 * 86400000);
+  while (new Date(`${formatInZone(day, TIME_ZONE).slice(0, 10)}T12:00:00Z`).getUTCDay() !== 2) {
+    day.setTime(day.getTime() + 86400000);
+  }
+  return parseDateTimeInZone(`${formatInZone(day, TIME_ZONE).slice(0, 10)}T10:00:00`, TIME_ZONE);
+}
+
+let calendar;
+let sender;
+let slotStart;
+let slotEnd;
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return Promise.resolve().then(fn).finally(() => {
+    console.log = log;
+    console.error = error;
+  });
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+}
+
+beforeEach(() => {
+  slotStart = nextTuesdayAt10();
+  slotEnd = new Date(slotStart.getTime() + 30 * 60000);
+
+  db.reset({
+    barbers: [barber],
+    clients: [{ id: 5, phone_number: CLIENT_PHONE, name: 'Ana', language: 'es' }],
+    waitlist_entries: [{
+      id: 1,
+      barber_id: 1,
+      client_phone: CLIENT_PHONE,
+      client_name: 'Ana',
+      duration_minutes: 30,
+      window_start: new Date(slotStart.getTime() - 86400000).toISOString(),
+      window_end: new Date(slotEnd.getTime() + 86400000).toISOString(),
+      priority: 0,
+      status: 'waiting'
+    }]
+  });
+  calendar = createFakeCalendar();
+  setCalendarClientFactory(() => calendar);
+  sender = createMemorySender();
+  setSmsSender(sender);
+});
+
+afterEach(() => {
+  setCalendarClientFactory(null);
+  setSmsSender(null);
+});
+
+test('texts the client about the slot they\'re offered, in their language', async () => {
+  const offer = await offerFreedSlot(barber, slotStart, slotEnd);
+  await waitFor(() => sender.messages.length > 0);
+
+  assert.equal(offer.entry_id, 1);
+  const [sent] = sender.messages;
+  assert.equal(sent.to, CLIENT_PHONE);
+  assert.match(sent.body, /^¡Buenas noticias! Sam tiene un espacio/);
+  assert.match(sent.body, /15 minutos/);
+  assert.equal(db.tables.waitlist_entries[0].status, 'offered');
+});
+
+test('YES books the offered slot', async () => {
+  await offerFreedSlot(barber, slotStart, slotEnd);
+
+  const reply = await quietly(() => answerOfferReply({ phone_number: CLIENT_PHONE, language: 'es' }, true));
+
+  assert.match(reply, /^Su cita quedó reservada/);
+  assert.equal(db.tables.waitlist_entries[0].status, 'booked');
+  assert.equal(calendar.called('events.insert').length, 1);
+  assert.equal(db.tables.slot_holds.length, 0);
+});
+
+test('NO passes and keeps the client on the waitlist', async () => {
+  const offer = await offerFreedSlot(barber, slotStart, slotEnd);
+
+  const reply = await answerOfferReply({ phone_number: CLIENT_PHONE, language: 'en' }, false);
+
+  assert.equal(reply, 'No problem, you\'re still on the waitlist.');
+  assert.equal(db.tables.waitlist_offers.find(row => row.id === offer.id).status, 'declined');
+  assert.equal(db.tables.waitlist_entries[0].status, 'waiting');
+});
+
+test('a YES without an open offer is left to the conversation', async () => {
+  assert.equal(await answerOfferReply({ phone_number: CLIENT_PHONE }, true), null);
+});
+
+test('a booking that throws rolls the offer back like a failed one', async () => {
+  const offer = await offerFreedSlot(barber, slotStart, slotEnd);
+  calendar.freebusy.query = async () => {
+    throw new Error('Calendar is down');
+  };
+
+  const outcome = await quietly(() => acceptOffer(offer.id, CLIENT_PHONE));
+
+  assert.deepEqual(outcome, { status: 500, body: { success: false, error: 'Failed to book the offered time' } });
+  assert.equal(db.tables.waitlist_offers.find(row => row.id === offer.id).status, 'unavailable');
+  assert.equal(db.tables.waitlist_entries[0].status, 'waiting');
+  assert.equal(db.tables.slot_holds.length, 0);
+});
@@ -0,0 +1,395 @@
+// Booking agent: a tool-calling model that answers a client's messages using
+// the same operations as the webhook routes. The model is pluggable; anything
+// with complete({ messages, tools }) returning an OpenAI-style assistant
+// message works, which is how tests run the loop with a scripted fake.
+const { appointmentOps, barberOps, clientOps, conversationOps } = require('./supabase');
+const { getBarberTimezone, parseDateTimeInZone, formatInZone } = require('./timezone');
+const { checkSlotAvailability, findNextAvailableSlots } = require('./availability');
+const { getServicesForBarber, resolveService, toPublicService } = require('./services');
+const { getStatus } = require('./appointmentStatus');
+const { getPreviousSummary, describeSummary } = require('./sessions');
+const { isAnyBarber, getCandidateBarbers, findSlotsAcrossBarbers, bookWithAnyBarber } = require('./anyBarber');
+const { t, getClientLanguage, getLanguageName } = require('./i18n');
+const {
+  getCalendarClient,
+  handleCreateClientAppointment,
+  handleRescheduleAppointment,
+  handleAppointmentStatus
+} = require('./booking');
+
+const MAX_STEPS = 6;
+const MAX_SLOTS = 5;
+
+function createOpenAIModel({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_MODEL || 'gpt-4o-mini' } = {}) {
+  const OpenAI = require('openai');
+  const client = new OpenAI({ apiKey });
+  return {
+    name: 'openai',
+    async complete({ messages, tools }) {
+      const response = await client.chat.completions.create({ model, messages, tools, tool_choice: 'auto' });
+      return response.choices[0].message;
+    }
+  };
+}
+
+let agentModel = null;
+
+function getAgentModel() {
+  if (!agentModel && process.env.OPENAI_API_KEY) {
+    agentModel = createOpenAIModel();
+  }
+  return agentModel;
+}
+
+function setAgentModel(model) {
+  agentModel = model || null;
+}
+
+async function getBookableBarber(barberId) {
+  const barber = barberId ? await barberOps.getById(barberId) : null;
+  return barber?.refresh_token ? barber : null;
+}
+
+const BARBER_NOT_FOUND = { success: false, error: 'Barber not found or not taking bookings' };
+
+// The client's appointment, or null if the event isn't theirs
+async function getOwnAppointment(eventId, clientPhone) {
+  const [appointment] = await appointmentOps.getByEventIds([String(eventId)]);
+  return appointment && appointment.client_phone === clientPhone ? appointment : null;
+}
+
+// Each tool has an OpenAI function schema and runs with the client's context.
+// The client's phone always comes from the context, never from the model.
+const TOOLS = {
+  list_services: {
+    description: 'List the services the shop offers with their length and price.',
+    parameters: { type: 'object', properties: {} },
+    async run() {
+      const services = (await getServicesForBarber(null)).filter(service => service.offered);
+      return { success: true, services: services.map(toPublicService) };
+    }
+  },
+
+  lookup_barber: {
+    description: 'Find barbers taking bookings by (part of) their name.',
+    parameters: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    },
+    async run({ name }) {
+      const search = String(name || '').trim().toLowerCase();
+      const barbers = await barberOps.getAllAuthorized();
+      const matches = barbers.filter(barber => barber.name?.toLowerCase().includes(search));
+      return { success: true, barbers: matches.map(barber => ({ id: barber.id, name: barber.name })) };
+    }
+  },
+
+  get_preferred_barber: {
+    description: 'Get the client\'s preferred barber, if they have one.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, { clientPhone }) {
+      const client = await clientOps.getByPhoneNumber(clientPhone);
+      const barber = client?.preferred_barber;
+      return { success: true, found: !!barber, barber: barber ? { id: barber.id, name: barber.name } : null };
+    }
+  },
+
+  check_availability: {
+    description: 'Check whether a barber is free at a specific time. Times without an offset are in the barber\'s timezone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        barberId: { type: 'string' },
+        startDateTime: { type: 'string', description: 'e.g. 2025-06-03T14:30:00' },
+        service: { type: 'string', description: 'Service name' }
+      },
+      required: ['barberId', 'startDateTime']
+    },
+    async run({ barberId, startDateTime, service: serviceName }, { clientPhone }) {
+      const barber = await getBookableBarber(barberId);
+      if (!barber) return BARBER_NOT_FOUND;
+      const timeZone = getBarberTimezone(barber);
+
+      const resolved = serviceName ? await resolveService({ serviceName, barberId: barber.id }) : { service: null };
+      if (resolved.error) return { success: false, ...resolved.error };
+      const duration = resolved.service?.duration || 30;
+
+      const start = parseDateTimeInZone(startDateTime, timeZone);
+      const end = new Date(start.getTime() + duration * 60000);
+      const availability = await checkSlotAvailability(getCalendarClient(barber), barber, start, end, {
+        service: resolved.service,
+        clientPhone
+      });
+
+      return {
+        success: true,
+        isAvailable: availability.isAvailable,
+        outsideWorkingHours: !availability.withinWorkingHours,
+        start: formatInZone(start, timeZone),
+        end: formatInZone(end, timeZone),
+        timeZone
+      };
+    }
+  },
+
+  find_available_slots: {
+    description: 'Find the next open times with a barber, or with any barber when barberId is "any".',
+    parameters: {
+      type: 'object',
+      properties: {
+        barberId: { type: 'string', description: 'A barber id, or "any"' },
+        after: { type: 'string', description: 'Only times after this; defaults to now' },
+        service: { type: 'string', description: 'Service name' },
+        count: { type: 'integer', description: `At most ${MAX_SLOTS}` }
+      },
+      required: ['barberId']
+    },
+    async run({ barberId, after, service: serviceName, count }, { clientPhone, client }) {
+      const numSlots = Math.min(Math.max(parseInt(count, 10) || 3, 1), MAX_SLOTS);
+
+      if (isAnyBarber(barberId)) {
+        const { candidates, error } = await getCandidateBarbers({
+          serviceName,
+          preferredBarberId: client?.preferred_barber_id
+        });
+        if (error) return { success: false, ...error };
+        const from = after ? parseDateTimeInZone(after, getBarberTimezone(null)) : new Date();
+        const slots = await findSlotsAcrossBarbers(candidates, from, numSlots, 30, { clientPhone });
+        return { success: true, slots };
+      }
+
+      const barber = await getBookableBarber(barberId);
+      if (!barber) return BARBER_NOT_FOUND;
+      const timeZone = getBarberTimezone(barber);
+
+      const resolved = serviceName ? await resolveService({ serviceName, barberId: barber.id }) : { service: null };
+      if (resolved.error) return { success: false, ...resolved.error };
+
+      const from = after ? parseDateTimeInZone(after, timeZone) : new Date();
+      const slots = await findNextAvailableSlots(getCalendarClient(barber), barber, from, numSlots, resolved.service?.duration || 30, {
+        service: resolved.service,
+        clientPhone
+      });
+      return { success: true, slots, timeZone };
+    }
+  },
+
+  book_appointment: {
+    description: 'Book the client in. Use barberId "any" to book whichever barber is free at that time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        barberId: { type: 'string', description: 'A barber id, or "any"' },
+        startDateTime: { type: 'string' },
+        service: { type: 'string', description: 'Service name' },
+        notes: { type: 'string' }
+      },
+      required: ['barberId', 'startDateTime']
+    },
+    async run({ barberId, startDateTime, service: serviceName, notes }, { clientPhone, client }) {
+      const clientName = client?.name || 'New Client';
+
+      if (isAnyBarber(barberId)) {
+        const outcome = await bookWithAnyBarber({
+          clientPhone,
+          clientName,
+          serviceType: serviceName,
+          startDateTime,
+          notes,
+          preferredBarberId: client?.preferred_barber_id
+        });
+        return outcome.body;
+      }
+
+      const barber = await getBookableBarber(barberId);
+      if (!barber) return BARBER_NOT_FOUND;
+
+      const outcome = await handleCreateClientAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+        clientPhone,
+        clientName,
+        serviceType: serviceName,
+        startDateTime,
+        notes,
+        barber,
+        timeZone: getBarberTimezone(barber)
+      });
+      return outcome.body;
+    }
+  },
+
+  list_upcoming_appointments: {
+    description: 'List the client\'s upcoming appointments with their event ids.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, { clientPhone }) {
+      const appointments = await appointmentOps.findByClientPhone(clientPhone, { startAfter: new Date().toISOString() });
+      const upcoming = appointments
+        .filter(appointment => ['pending', 'confirmed'].includes(getStatus(appointment)))
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+      const described = [];
+      for (const appointment of upcoming) {
+        const barber = await barberOps.getById(appointment.barber_id);
+        const timeZone = getBarberTimezone(barber);
+        described.push({
+          eventId: appointment.google_calendar_event_id,
+          barberId: appointment.barber_id,
+          barberName: barber?.name || null,
+          service: appointment.service_type,
+          status: getStatus(appointment),
+          start: formatInZone(new Date(appointment.start_time), timeZone),
+          timeZone
+        });
+      }
+      return { success: true, appointments: described };
+    }
+  },
+
+  reschedule_appointment: {
+    description: 'Move one of the client\'s appointments to a new time with the same barber.',
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string' },
+        newStartDateTime: { type: 'string' }
+      },
+      required: ['eventId', 'newStartDateTime']
+    },
+    async run({ eventId, newStartDateTime }, { clientPhone, client }) {
+      const appointment = await getOwnAppointment(eventId, clientPhone);
+      if (!appointment) return { success: false, error: 'Appointment not found' };
+
+      const barber = await getBookableBarber(appointment.barber_id);
+      if (!barber) return BARBER_NOT_FOUND;
+
+      const outcome = await handleRescheduleAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+        eventId: appointment.google_calendar_event_id,
+        newStartDateTime,
+        clientPhone,
+        clientName: client?.name || 'New Client',
+        barber,
+        timeZone: getBarberTimezone(barber)
+      });
+      return outcome.body;
+    }
+  },
+
+  cancel_appointment: {
+    description: 'Cancel one of the client\'s appointments. Only after the client has clearly asked to cancel.',
+    parameters: {
+      type: 'object',
+      properties: { eventId: { type: 'string' } },
+      required: ['eventId']
+    },
+    async run({ eventId }, { clientPhone }) {
+      const outcome = await handleAppointmentStatus(String(eventId), 'cancelled', { clientPhone });
+      return outcome.body;
+    }
+  }
+};
+
+const TOOL_SCHEMAS = Object.entries(TOOLS).map(([name, tool]) => ({
+  type: 'function',
+  function: { name, description: tool.description, parameters: tool.parameters }
+}));
+
+function buildSystemPrompt(client, now, previousSummary) {
+  const timeZone = getBarberTimezone(null);
+  const name = client?.name && client.name !== 'New Client' ? client.name : null;
+  return [
+    'You are the text-message booking assistant for a barber shop.',
+    `It is now ${formatInZone(now, timeZone)} (${timeZone}).`,
+    name ? `You are talking to ${name}.` : 'You don\'t know the client\'s name yet.',
+    describeSummary(previousSummary),
+    'Use the tools to check times and make, move or cancel bookings; never say something is booked unless a tool confirmed it.',
+    'If the client has no barber in mind, check their preferred barber or use "any".',
+    'Keep replies short and friendly, suitable for SMS, and give times in the barber\'s local time.',
+    `Reply in ${getLanguageName(getClientLanguage(client), { english: true })}.`
+  ].filter(Boolean).join(' ');
+}
+
+// Stored turns as chat messages. User messages after the last reply are left
+// out because they're the ones being answered now.
+function toChatHistory(history) {
+  const turns = history.filter(message => ['user', 'assistant'].includes(message.role) && message.content);
+  let lastReply = turns.length - 1;
+  while (lastReply >= 0 && turns[lastReply].role !== 'assistant') lastReply--;
+  return turns.slice(0, lastReply + 1).map(message => ({ role: message.role, content: message.content }));
+}
+
+async function runTool(call, context) {
+  const tool = TOOLS[call.function?.name];
+  if (!tool) return { success: false, error: `Unknown tool ${call.function?.name}` };
+
+  let args;
+  try {
+    args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+  } catch (e) {
+    return { success: false, error: 'Arguments were not valid JSON' };
+  }
+
+  try {
+    return await tool.run(args, context);
+  } catch (e) {
+    console.error(`Agent tool ${call.function.name} failed:`, e);
+    return { success: false, error: e.message };
+  }
+}
+
+// Answer a client's message. Returns the reply text and the tool calls made
+// along the way; nothing is stored here.
+async function runAgent({
+  clientPhone,
+  client = null,
+  message,
+  history = [],
+  previousSummary = null,
+  model = getAgentModel(),
+  maxSteps = MAX_STEPS,
+  now = new Date()
+}) {
+  if (!model) throw new Error('No agent model is configured (set OPENAI_API_KEY)');
+
+  const context = { clientPhone, client };
+  const fallbackReply = t(getClientLanguage(client), 'agentFallback');
+  const toolCalls = [];
+  const messages = [
+    { role: 'system', content: buildSystemPrompt(client, now, previousSummary) },
+    ...toChatHistory(history),
+    { role: 'user', content: message }
+  ];
+
+  for (let step = 0; step < maxSteps; step++) {
+    const reply = await model.complete({ messages, tools: TOOL_SCHEMAS });
+    messages.push(reply);
+
+    if (!reply.tool_calls || reply.tool_calls.length === 0) {
+      return { reply: reply.content || fallbackReply, toolCalls };
+    }
+
+    for (const call of reply.tool_calls) {
+      const output = await runTool(call, context);
+      toolCalls.push({ name: call.function?.name, success: output?.success !== false });
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+    }
+  }
+
+  return { reply: fallbackReply, toolCalls };
+}
+
+// Conversation handler for inbound SMS (see setConversationHandler)
+async function agentConversation({ phoneNumber, text, client }) {
+  const history = await conversationOps.getConversationHistory(phoneNumber, 20);
+  const previousSummary = await getPreviousSummary(phoneNumber);
+  const { reply } = await runAgent({ clientPhone: phoneNumber, client, message: text, history, previousSummary });
+  return reply;
+}
+
+module.exports = {
+  TOOL_SCHEMAS,
+  createOpenAIModel,
+  getAgentModel,
+  setAgentModel,
+  runAgent,
+  agentConversation
+};
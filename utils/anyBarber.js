@@ -0,0 +1,146 @@
+// "Any barber" mode: search every authorized barber for the earliest slot and
+// book whoever can take the requested time
+const { barberOps, holdOps } = require('./supabase');
+const { getBarberTimezone, parseDateTimeInZone } = require('./timezone');
+const { checkSlotAvailability, findNextAvailableSlots } = require('./availability');
+const { resolveService, toPublicService } = require('./services');
+const { getCalendarClient, handleCreateClientAppointment } = require('./booking');
+
+const ANY_BARBER = 'any';
+
+function isAnyBarber(barberId) {
+  return String(barberId ?? '').trim().toLowerCase() === ANY_BARBER;
+}
+
+function result(status, body) {
+  return { status, body };
+}
+
+// Authorized barbers who offer the requested service, each paired with the
+// service as that barber offers it. The client's preferred barber comes first
+// so they win ties. When nobody offers the service, the first barber's service
+// error is returned so the caller can list the valid options.
+async function getCandidateBarbers({ serviceId, serviceName, preferredBarberId = null }) {
+  const barbers = await barberOps.getAllAuthorized();
+  const ordered = [
+    ...barbers.filter(barber => String(barber.id) === String(preferredBarberId)),
+    ...barbers.filter(barber => String(barber.id) !== String(preferredBarberId))
+  ];
+
+  if (!serviceId && !serviceName) {
+    return { candidates: ordered.map(barber => ({ barber, service: null })) };
+  }
+
+  const candidates = [];
+  let error = null;
+  for (const barber of ordered) {
+    const resolved = await resolveService({ serviceId, serviceName, barberId: barber.id });
+    if (resolved.error) {
+      error = error || resolved.error;
+      continue;
+    }
+    candidates.push({ barber, service: resolved.service });
+  }
+
+  return { candidates, error: candidates.length === 0 ? error : null };
+}
+
+// Earliest slots across all candidates, merged and tagged with the barber.
+// A barber whose calendar can't be read is left out rather than failing the search.
+async function findSlotsAcrossBarbers(candidates, startFrom, numSlots = 3, slotMinutes = 30, options = {}) {
+  const { clientPhone = null, until = null } = options;
+
+  const perBarber = await Promise.all(candidates.map(async ({ barber, service }, rank) => {
+    const duration = service?.duration || slotMinutes;
+    try {
+      const slots = await findNextAvailableSlots(getCalendarClient(barber), barber, startFrom, numSlots, duration, { service, clientPhone, until });
+      return slots.map(slot => ({
+        ...slot,
+        barberId: barber.id,
+        barberName: barber.name,
+        timeZone: getBarberTimezone(barber),
+        service: service ? toPublicService(service) : null,
+        duration,
+        rank
+      }));
+    } catch (e) {
+      console.error(`Skipping barber ${barber.id} in any-barber search:`, e.message);
+      return [];
+    }
+  }));
+
+  return perBarber
+    .flat()
+    .sort((a, b) => new Date(a.start) - new Date(b.start) || a.rank - b.rank)
+    .slice(0, numSlots)
+    .map(({ rank, ...slot }) => slot);
+}
+
+// Book the requested time with the first candidate who is free then. Each
+// booking re-checks under that barber's lock, so a barber taken in the
+// meantime is skipped and the next one tried.
+async function bookWithAnyBarber(data) {
+  const { clientPhone, serviceType, serviceId, startDateTime, duration, holdId, preferredBarberId } = data;
+  if (!startDateTime) return result(400, { success: false, error: 'Start date-time is required' });
+
+  const { candidates: allCandidates, error } = await getCandidateBarbers({ serviceId, serviceName: serviceType, preferredBarberId });
+  if (error) return result(400, { success: false, ...error });
+
+  // A held slot already belongs to one barber
+  const hold = holdId ? await holdOps.getById(holdId) : null;
+  const candidates = hold
+    ? allCandidates.filter(({ barber }) => String(barber.id) === String(hold.barber_id))
+    : allCandidates;
+
+  if (candidates.length === 0) {
+    return result(404, { success: false, error: 'No barbers are available for booking' });
+  }
+
+  for (const { barber, service } of candidates) {
+    const timeZone = getBarberTimezone(barber);
+    let startTime;
+    try {
+      startTime = parseDateTimeInZone(startDateTime, timeZone);
+    } catch (e) {
+      return result(400, { success: false, error: e.message });
+    }
+
+    const endTime = new Date(startTime.getTime() + (service?.duration || duration || 30) * 60000);
+    const calendar = getCalendarClient(barber);
+
+    try {
+      const availability = await checkSlotAvailability(calendar, barber, startTime, endTime, { service, clientPhone });
+      if (!availability.isAvailable) continue;
+    } catch (e) {
+      console.error(`Skipping barber ${barber.id} for any-barber booking:`, e.message);
+      continue;
+    }
+
+    const booking = await handleCreateClientAppointment(calendar, barber.selected_calendar_id || 'primary', {
+      ...data,
+      barber,
+      holdId: hold ? holdId : undefined,
+      timeZone
+    });
+
+    if (booking.status !== 409) {
+      return result(booking.status, { ...booking.body, barberId: barber.id, barberName: barber.name });
+    }
+  }
+
+  const alternativeSlots = await findSlotsAcrossBarbers(candidates, startDateTime, 3, duration || 30, { clientPhone });
+  return result(409, {
+    success: false,
+    errorCode: 'SLOT_UNAVAILABLE',
+    error: 'No barber is free at that time',
+    alternativeSlots
+  });
+}
+
+module.exports = {
+  ANY_BARBER,
+  isAnyBarber,
+  getCandidateBarbers,
+  findSlotsAcrossBarbers,
+  bookWithAnyBarber
+};
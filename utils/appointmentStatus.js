@@ -0,0 +1,69 @@
+// Appointment status lifecycle and how each status shows on the Google event.
+// Rows booked before statuses existed have no status and count as pending.
+const { appointmentOps } = require('./supabase');
+
+const STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'];
+
+// Cancelled is final; completed and no-show can be swapped to fix a mistake
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'completed', 'no_show'],
+  confirmed: ['pending', 'cancelled', 'completed', 'no_show'],
+  completed: ['no_show'],
+  no_show: ['completed'],
+  cancelled: []
+};
+
+// Statuses that only make sense once the appointment has started
+const AFTER_START = ['completed', 'no_show'];
+
+// Title prefix and Google Calendar color id, so the barber sees the status on their phone
+const EVENT_DISPLAY = {
+  pending: { label: null, colorId: null },
+  confirmed: { label: 'Confirmed', colorId: '10' },
+  completed: { label: 'Completed', colorId: '8' },
+  no_show: { label: 'No-show', colorId: '11' }
+};
+
+const LABEL_PREFIX = /^\[(confirmed|completed|no-show)\]\s*/i;
+
+function getStatus(appointment) {
+  return appointment?.status || 'pending';
+}
+
+// Accepts "no-show" and any case for "no_show"
+function normalizeStatus(status) {
+  const normalized = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return STATUSES.includes(normalized) ? normalized : null;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// The summary and color an event should have for a status
+function statusEventFields(summary, status) {
+  const display = EVENT_DISPLAY[status] || EVENT_DISPLAY.pending;
+  const title = String(summary || '').replace(LABEL_PREFIX, '');
+  return {
+    summary: display.label ? `[${display.label}] ${title}` : title,
+    colorId: display.colorId
+  };
+}
+
+// The client's next appointment that hasn't been cancelled
+async function findUpcomingAppointment(clientPhone, now = new Date()) {
+  const appointments = await appointmentOps.findByClientPhone(clientPhone, { startAfter: now.toISOString() });
+  return appointments
+    .filter(appointment => ['pending', 'confirmed'].includes(getStatus(appointment)))
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))[0] || null;
+}
+
+module.exports = {
+  STATUSES,
+  AFTER_START,
+  getStatus,
+  normalizeStatus,
+  canTransition,
+  statusEventFields,
+  findUpcomingAppointment
+};
@@ -0,0 +1,226 @@
+const { holdOps } = require('./supabase');
+const { getBarberTimezone, parseDateTimeInZone, formatInZone } = require('./timezone');
+const { getBarberWorkingHours, getWorkingIntervals, isWithinWorkingHours } = require('./workingHours');
+
+// Calendars whose events block bookings: the booking calendar plus any extra
+// calendars the barber marked as busy on the select-calendar page
+function getBusyCalendarIds(barber) {
+  const bookingCalendarId = barber.selected_calendar_id || 'primary';
+  const extraCalendarIds = Array.isArray(barber.busy_calendar_ids) ? barber.busy_calendar_ids : [];
+  return [...new Set([bookingCalendarId, ...extraCalendarIds])];
+}
+
+// Busy periods across all of a barber's busy calendars. Free/busy already leaves
+// out transparent ("free") events and invitations the barber declined.
+async function getBusyIntervals(calendar, barber, timeMin, timeMax) {
+  const bookingCalendarId = barber.selected_calendar_id || 'primary';
+  const calendarIds = getBusyCalendarIds(barber);
+
+  const response = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: new Date(timeMin).toISOString(),
+      timeMax: new Date(timeMax).toISOString(),
+      timeZone: getBarberTimezone(barber),
+      items: calendarIds.map(id => ({ id }))
+    }
+  });
+
+  const busy = [];
+  for (const [calendarId, result] of Object.entries(response.data.calendars || {})) {
+    if (result.errors?.length) {
+      // Never treat the booking calendar as free just because we couldn't read it
+      if (calendarId === bookingCalendarId) {
+        throw new Error(`Could not read busy times for calendar ${calendarId}: ${result.errors[0].reason}`);
+      }
+      console.error(`Skipping busy calendar ${calendarId}:`, result.errors);
+      continue;
+    }
+
+    for (const period of result.busy || []) {
+      busy.push({ calendarId, start: new Date(period.start), end: new Date(period.end) });
+    }
+  }
+
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+// Remove an interval (e.g. the appointment being rescheduled) from one calendar's busy periods
+function subtractInterval(busy, ignore) {
+  const ignoreStart = new Date(ignore.start);
+  const ignoreEnd = new Date(ignore.end);
+
+  return busy.flatMap(period => {
+    if (period.calendarId !== ignore.calendarId || period.end <= ignoreStart || period.start >= ignoreEnd) {
+      return [period];
+    }
+    const pieces = [];
+    if (period.start < ignoreStart) pieces.push({ ...period, end: ignoreStart });
+    if (period.end > ignoreEnd) pieces.push({ ...period, start: ignoreEnd });
+    return pieces;
+  });
+}
+
+// Everything that blocks a booking: calendar busy periods plus unexpired holds.
+// A client's own holds don't block them, and `ignore` (one interval or a list)
+// drops existing bookings from the busy periods so they can be moved onto
+// overlapping time.
+async function getBlockingIntervals(calendar, barber, timeMin, timeMax, options = {}) {
+  const { clientPhone = null, ignore = null } = options;
+
+  const [calendarBusy, holds] = await Promise.all([
+    getBusyIntervals(calendar, barber, timeMin, timeMax),
+    holdOps.getActiveForBarber(barber.id, timeMin, timeMax)
+  ]);
+
+  const busy = [].concat(ignore || []).reduce(subtractInterval, calendarBusy);
+  const heldPeriods = holds
+    .filter(hold => !clientPhone || hold.client_phone !== clientPhone)
+    .map(hold => ({ calendarId: null, holdId: hold.id, start: new Date(hold.start_time), end: new Date(hold.end_time) }));
+
+  return [...busy, ...heldPeriods].sort((a, b) => a.start - b.start);
+}
+
+// Cleanup time kept clear around a booking. A service's own buffers win over
+// the barber's defaults. Buffers only affect overlap checks and are never
+// written into the calendar event.
+function getBufferMinutes(barber, service = null) {
+  return {
+    before: service?.bufferBefore ?? barber.buffer_before_minutes ?? 0,
+    after: service?.bufferAfter ?? barber.buffer_after_minutes ?? 0
+  };
+}
+
+// Check one requested slot against working hours and every busy calendar.
+// start/end are the client-facing times; buffers are added around them.
+async function checkSlotAvailability(calendar, barber, start, end, options = {}) {
+  const { service = null, clientPhone = null, ignore = null } = options;
+  const timeZone = getBarberTimezone(barber);
+  const buffer = getBufferMinutes(barber, service);
+  const requestedStart = new Date(start);
+  const requestedEnd = new Date(end);
+  const blockedStart = new Date(requestedStart.getTime() - buffer.before * 60000);
+  const blockedEnd = new Date(requestedEnd.getTime() + buffer.after * 60000);
+
+  const withinWorkingHours = isWithinWorkingHours(getBarberWorkingHours(barber), requestedStart, requestedEnd, timeZone);
+  const busy = await getBlockingIntervals(calendar, barber, blockedStart, blockedEnd, { clientPhone, ignore });
+  const conflicts = busy.filter(period => blockedStart < period.end && blockedEnd > period.start);
+
+  return {
+    isAvailable: withinWorkingHours && conflicts.length === 0,
+    withinWorkingHours,
+    conflicts,
+    buffer
+  };
+}
+
+// Check many slots at once (e.g. every visit of a recurring booking), reading
+// busy times in month-sized windows rather than once per slot
+async function checkSlotsAvailability(calendar, barber, slots, options = {}) {
+  const { service = null, clientPhone = null, ignore = null } = options;
+  const timeZone = getBarberTimezone(barber);
+  const workingHours = getBarberWorkingHours(barber);
+  const buffer = getBufferMinutes(barber, service);
+  const windowMs = 30 * 86400000;
+  const sorted = slots
+    .map((slot, index) => ({ index, start: new Date(slot.start), end: new Date(slot.end) }))
+    .sort((a, b) => a.start - b.start);
+  const results = new Array(slots.length);
+
+  for (let i = 0; i < sorted.length;) {
+    const windowStart = sorted[i].start.getTime() - buffer.before * 60000;
+    const windowSlots = [];
+    while (i < sorted.length && sorted[i].end.getTime() - windowStart <= windowMs) {
+      windowSlots.push(sorted[i++]);
+    }
+    if (windowSlots.length === 0) windowSlots.push(sorted[i++]);
+
+    const windowEnd = windowSlots[windowSlots.length - 1].end.getTime() + buffer.after * 60000;
+    const busy = await getBlockingIntervals(calendar, barber, new Date(windowStart), new Date(windowEnd), { clientPhone, ignore });
+
+    for (const slot of windowSlots) {
+      const blockedStart = slot.start.getTime() - buffer.before * 60000;
+      const blockedEnd = slot.end.getTime() + buffer.after * 60000;
+      const withinWorkingHours = isWithinWorkingHours(workingHours, slot.start, slot.end, timeZone);
+      const conflicts = busy.filter(period => blockedStart < period.end.getTime() && blockedEnd > period.start.getTime());
+      results[slot.index] = {
+        start: slot.start,
+        end: slot.end,
+        isAvailable: withinWorkingHours && conflicts.length === 0,
+        withinWorkingHours,
+        conflicts
+      };
+    }
+  }
+
+  return results;
+}
+
+// Helper to find next N available 30-min slots from a given time, within the barber's working hours.
+// `until` ends the search early, so only slots finishing by then are offered.
+async function findNextAvailableSlots(calendar, barber, startFrom, numSlots = 3, slotMinutes = 30, options = {}) {
+  const { service = null, clientPhone = null, ignore = null, until = null } = options;
+  const timeZone = getBarberTimezone(barber);
+  const workingHours = getBarberWorkingHours(barber);
+  const buffer = getBufferMinutes(barber, service);
+  const beforeMs = buffer.before * 60000;
+  const afterMs = buffer.after * 60000;
+  const results = [];
+  const searchStart = parseDateTimeInZone(startFrom, timeZone);
+  let endTime = new Date(searchStart);
+  endTime.setDate(endTime.getDate() + 7);
+  const limit = until ? new Date(until) : null;
+  if (limit && limit < endTime) endTime = limit;
+
+  const busy = await getBlockingIntervals(
+    calendar,
+    barber,
+    new Date(searchStart.getTime() - beforeMs),
+    new Date(endTime.getTime() + afterMs),
+    { clientPhone, ignore }
+  );
+
+  // Look back a day so a shift already in progress keeps its slot grid.
+  // Candidates are spaced by the slot plus its buffers, the cadence of back-to-back bookings.
+  const slotMs = slotMinutes * 60000;
+  const stepMs = slotMs + beforeMs + afterMs;
+  const shifts = getWorkingIntervals(workingHours, new Date(searchStart.getTime() - 86400000), endTime, timeZone)
+    .filter(shift => shift.end > searchStart);
+
+  for (const shift of shifts) {
+    let searchTime = new Date(shift.start);
+
+    const shiftEnd = limit ? Math.min(shift.end.getTime(), limit.getTime()) : shift.end.getTime();
+
+    while (results.length < numSlots && searchTime.getTime() + slotMs <= shiftEnd) {
+      const candidateEnd = new Date(searchTime.getTime() + slotMs);
+      const blockedStart = searchTime.getTime() - beforeMs;
+      const blockedEnd = candidateEnd.getTime() + afterMs;
+      const overlaps = busy.some(evt =>
+        (blockedStart < evt.end.getTime() && blockedEnd > evt.start.getTime())
+      );
+      if (searchTime >= searchStart && !overlaps) {
+        results.push({ start: new Date(searchTime), end: new Date(candidateEnd) });
+      }
+      searchTime = new Date(searchTime.getTime() + stepMs);
+    }
+
+    if (results.length >= numSlots) break;
+  }
+
+  return results.map(slot => ({
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    localStart: formatInZone(slot.start, timeZone),
+    localEnd: formatInZone(slot.end, timeZone)
+  }));
+}
+
+module.exports = {
+  getBufferMinutes,
+  getBusyCalendarIds,
+  getBusyIntervals,
+  getBlockingIntervals,
+  checkSlotAvailability,
+  checkSlotsAvailability,
+  findNextAvailableSlots
+};
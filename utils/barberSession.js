@@ -0,0 +1,64 @@
+// Signed-in barbers. /login puts the barber's id in the session; dashboard
+// and settings pages load the barber from it on every request, then run the
+// rest of the request inside the barber's shop.
+const { barberOps } = require('./supabase');
+const { runWithShop, getCurrentShop } = require('./shopContext');
+const { runForShop } = require('./shops');
+
+// API callers send or ask for JSON; browsers get pages and redirects
+function wantsJson(req) {
+  return !!req.is('json') || req.accepts(['html', 'json']) === 'json';
+}
+
+// Middleware: sets req.barber, or sends the visitor to sign in
+async function requireBarber(req, res, next) {
+  try {
+    // Nothing is scoped to a shop until we know which barber this is
+    const barber = req.session.barberId
+      ? await runWithShop(null, () => barberOps.getById(req.session.barberId))
+      : null;
+    if (!barber) {
+      delete req.session.barberId;
+      if (wantsJson(req)) return res.status(401).json({ success: false, error: 'Sign in required' });
+      if (req.method === 'GET') return res.redirect('/login');
+      return res.status(401).render('error', { message: 'Your session has ended. Please sign in again.' });
+    }
+    req.barber = barber;
+    await runForShop(barber.shop_id, () => {
+      req.shop = getCurrentShop();
+      next();
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+// The outcome of a form post, shown once on the next page
+function setNotice(req, outcome) {
+  req.session.notice = outcome.status === 200
+    ? { type: 'success', message: outcome.body.message }
+    : { type: 'danger', message: outcome.body.error };
+}
+
+function popNotice(req) {
+  const notice = req.session.notice || null;
+  delete req.session.notice;
+  return notice;
+}
+
+// JSON for API callers; pages get the outcome as a notice on the next page
+function respond(req, res, outcome, redirectTo) {
+  if (wantsJson(req)) {
+    return res.status(outcome.status).json(outcome.body);
+  }
+  setNotice(req, outcome);
+  res.redirect(redirectTo);
+}
+
+module.exports = {
+  wantsJson,
+  requireBarber,
+  setNotice,
+  popNotice,
+  respond
+};
@@ -0,0 +1,280 @@
+// Barbers change their own profile, phone number and Google connection here
+// rather than registering again. Every change is made by barber id, so a new
+// phone number updates the barber instead of creating a second one.
+const { google } = require('googleapis');
+const { barberOps, appointmentOps } = require('./supabase');
+const { isValidTimeZone, getBarberTimezone } = require('./timezone');
+const { normalizePhoneNumber } = require('./phoneNumber');
+const { withKeyedLock } = require('./bookingLock');
+const { getStatus } = require('./appointmentStatus');
+const { getCalendarClient } = require('./booking');
+const { getNotificationUrl, watchBarberCalendar, unwatchBarberCalendar } = require('./calendarSync');
+const { refreshBarberDropdown } = require('./googleForms');
+
+// How far ahead booked appointments follow the barber to a new calendar
+const MOVE_APPOINTMENTS_DAYS = 365;
+
+function result(status, body) {
+  return { status, body };
+}
+
+function describeBarberSettings(barber) {
+  return {
+    id: barber.id,
+    name: barber.name,
+    phoneNumber: barber.phone_number,
+    timeZone: getBarberTimezone(barber),
+    bufferBeforeMinutes: barber.buffer_before_minutes ?? 0,
+    bufferAfterMinutes: barber.buffer_after_minutes ?? 0,
+    google: {
+      connected: !!barber.refresh_token,
+      email: barber.email || null,
+      calendarId: barber.selected_calendar_id || 'primary',
+      busyCalendarIds: barber.busy_calendar_ids || []
+    }
+  };
+}
+
+// Name, timezone and time between appointments. Fields left out are unchanged.
+async function handleUpdateProfile(barber, { name, timeZone, bufferBeforeMinutes, bufferAfterMinutes }) {
+  const update = {};
+
+  if (name !== undefined) {
+    update.name = String(name).trim();
+    if (!update.name) {
+      return result(400, { success: false, error: 'Name can\'t be empty' });
+    }
+  }
+
+  if (timeZone !== undefined) {
+    if (!isValidTimeZone(timeZone)) {
+      return result(400, { success: false, error: `Unknown timezone: ${timeZone}` });
+    }
+    update.timezone = timeZone;
+  }
+
+  for (const [column, value] of [['buffer_before_minutes', bufferBeforeMinutes], ['buffer_after_minutes', bufferAfterMinutes]]) {
+    if (value === undefined || value === '') continue;
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      return result(400, { success: false, error: 'Time between appointments must be zero or more whole minutes' });
+    }
+    update[column] = minutes;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return result(400, { success: false, error: 'Nothing to update' });
+  }
+
+  const updated = await barberOps.update(barber.id, update);
+  if (!updated) {
+    return result(500, { success: false, error: 'Failed to update profile' });
+  }
+
+  // The booking form lists barbers by name
+  if (update.name && update.name !== barber.name) {
+    try {
+      await refreshBarberDropdown(updated.refresh_token);
+    } catch (e) {
+      console.error('Failed to update form dropdown:', e);
+    }
+  }
+
+  return result(200, { success: true, barber: describeBarberSettings(updated), message: 'Profile updated' });
+}
+
+async function handleChangePhoneNumber(barber, phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized || normalized.length < 9) {
+    return result(400, { success: false, error: 'Enter a valid phone number' });
+  }
+  if (normalized === barber.phone_number) {
+    return result(200, { success: true, barber: describeBarberSettings(barber), message: 'Phone number unchanged' });
+  }
+
+  // Two barbers moving to the same number can't both pass the check
+  return await withKeyedLock(`phone:${normalized}`, async () => {
+    const existing = await barberOps.getByPhoneNumber(normalized);
+    if (existing && existing.id !== barber.id) {
+      return result(409, {
+        success: false,
+        errorCode: 'PHONE_NUMBER_IN_USE',
+        error: 'Another barber is already registered with that phone number'
+      });
+    }
+
+    const updated = await barberOps.update(barber.id, { phone_number: normalized });
+    if (!updated) {
+      return result(500, { success: false, error: 'Failed to update phone number' });
+    }
+
+    return result(200, { success: true, barber: describeBarberSettings(updated), message: 'Phone number updated' });
+  });
+}
+
+// The calendars on the barber's Google account, listed with their stored token
+async function listBarberCalendars(barber) {
+  const { data } = await getCalendarClient(barber).calendarList.list();
+  return (data.items || []).map(cal => ({
+    id: cal.id,
+    summary: cal.summary,
+    primary: !!cal.primary,
+    timeZone: cal.timeZone || null
+  }));
+}
+
+// Move upcoming appointments to the new booking calendar so they can still be
+// changed from here. Google keeps each event's id when it moves. Visits from
+// a recurring series can't move one at a time, so they're left where they are.
+async function moveUpcomingAppointments(barber, fromCalendarId, toCalendarId) {
+  const now = new Date();
+  const until = new Date(now.getTime() + MOVE_APPOINTMENTS_DAYS * 86400000);
+  const appointments = (await appointmentOps.getForBarber(barber.id, now.toISOString(), until.toISOString()))
+    .filter(appointment => getStatus(appointment) !== 'cancelled');
+
+  const calendar = getCalendarClient(barber);
+  let moved = 0;
+  let left = 0;
+  for (const appointment of appointments) {
+    if (appointment.series_id) {
+      left++;
+      continue;
+    }
+    try {
+      await calendar.events.move({
+        calendarId: fromCalendarId,
+        eventId: appointment.google_calendar_event_id,
+        destination: toCalendarId
+      });
+      moved++;
+    } catch (e) {
+      console.error(`Error moving event ${appointment.google_calendar_event_id}:`, e.message);
+      left++;
+    }
+  }
+  return { moved, left };
+}
+
+// Switch the calendar bookings go to, and which other calendars block times
+async function handleSelectCalendar(barber, { calendarId, busyCalendarIds }) {
+  if (!barber.refresh_token) {
+    return result(409, { success: false, errorCode: 'GOOGLE_NOT_CONNECTED', error: 'Connect Google Calendar first' });
+  }
+  if (!calendarId) {
+    return result(400, { success: false, error: 'calendarId is required' });
+  }
+
+  let calendars;
+  try {
+    calendars = await listBarberCalendars(barber);
+  } catch (e) {
+    console.error('Error listing calendars:', e);
+    return result(502, { success: false, error: `Couldn't list your Google calendars: ${e.message}` });
+  }
+
+  const knownCalendarIds = calendars.map(cal => cal.id);
+  if (calendarId !== 'primary' && !knownCalendarIds.includes(calendarId)) {
+    return result(400, { success: false, error: 'That calendar isn\'t on your Google account' });
+  }
+
+  // 'primary' and the primary calendar's own id are the same calendar
+  const primaryCalendarId = calendars.find(cal => cal.primary)?.id || 'primary';
+  const previousCalendarId = barber.selected_calendar_id && barber.selected_calendar_id !== 'primary'
+    ? barber.selected_calendar_id
+    : primaryCalendarId;
+  const busy = [].concat(busyCalendarIds || [])
+    .filter(id => id !== calendarId && knownCalendarIds.includes(id));
+
+  // Bookings follow the new calendar's timezone, unless the barber picked a
+  // timezone by hand (one that isn't the old calendar's)
+  const calendarZone = id => calendars.find(cal => cal.id === (id === 'primary' ? primaryCalendarId : id))?.timeZone;
+  const newTimeZone = calendarZone(calendarId);
+  const followsCalendar = !barber.timezone || barber.timezone === calendarZone(previousCalendarId);
+  const timezoneUpdate = followsCalendar && isValidTimeZone(newTimeZone) && newTimeZone !== barber.timezone
+    ? { timezone: newTimeZone }
+    : {};
+
+  // Hold the barber's lock so nothing is booked onto the old calendar mid-move
+  return await withKeyedLock(barber.id, async () => {
+    let appointments = { moved: 0, left: 0 };
+    if (previousCalendarId !== (calendarId === 'primary' ? primaryCalendarId : calendarId)) {
+      appointments = await moveUpcomingAppointments(barber, previousCalendarId, calendarId);
+      // Appointments that stayed behind still have to block their times. After
+      // reconnecting a different Google account the old calendar isn't readable.
+      if (appointments.left > 0 && knownCalendarIds.includes(previousCalendarId) && !busy.includes(previousCalendarId)) {
+        busy.push(previousCalendarId);
+      }
+    }
+
+    const updated = await barberOps.update(barber.id, { selected_calendar_id: calendarId, busy_calendar_ids: busy, ...timezoneUpdate });
+    if (!updated) {
+      return result(500, { success: false, error: 'Failed to save calendar' });
+    }
+
+    // Follow changes made in Google on the new calendar instead of the old one
+    if (getNotificationUrl()) {
+      try {
+        await watchBarberCalendar(updated);
+      } catch (e) {
+        console.error('Error watching calendar:', e);
+      }
+    }
+
+    const note = (appointments.left > 0
+      ? ` ${appointments.left} upcoming appointment(s) stayed on your old calendar.`
+      : '') + (timezoneUpdate.timezone ? ` Bookings now use ${timezoneUpdate.timezone} time.` : '');
+    return result(200, {
+      success: true,
+      barber: describeBarberSettings(updated),
+      movedAppointments: appointments.moved,
+      appointmentsLeftBehind: appointments.left,
+      message: `Calendar updated.${note}`
+    });
+  });
+}
+
+// Stop booking into the barber's calendar and give up access to their Google
+// account. They can still sign in, and reconnect from settings.
+async function handleDisconnectGoogle(barber) {
+  if (!barber.refresh_token) {
+    return result(200, { success: true, barber: describeBarberSettings(barber), message: 'Google Calendar is not connected' });
+  }
+
+  try {
+    await unwatchBarberCalendar(barber);
+  } catch (e) {
+    console.error('Error stopping calendar watch:', e);
+  }
+
+  try {
+    const oauth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.REDIRECT_URI
+    );
+    await oauth2Client.revokeToken(barber.refresh_token);
+  } catch (e) {
+    // The barber may have already removed access from their Google account
+    console.error('Error revoking Google token:', e.message);
+  }
+
+  const updated = await barberOps.update(barber.id, { refresh_token: null });
+  if (!updated) {
+    return result(500, { success: false, error: 'Failed to disconnect Google Calendar' });
+  }
+
+  return result(200, {
+    success: true,
+    barber: describeBarberSettings(updated),
+    message: 'Google Calendar disconnected. Clients can\'t book with you until you reconnect it.'
+  });
+}
+
+module.exports = {
+  describeBarberSettings,
+  handleUpdateProfile,
+  handleChangePhoneNumber,
+  listBarberCalendars,
+  handleSelectCalendar,
+  handleDisconnectGoogle
+};
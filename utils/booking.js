@@ -0,0 +1,671 @@
+// Booking, cancellation and rescheduling against a barber's Google Calendar.
+// Handlers return { status, body } so they can be used by any route (the bot
+// webhook, the waitlist) without being tied to an Express response.
+const EventEmitter = require('events');
+const { google } = require('googleapis');
+const { appointmentOps, barberOps, holdOps, seriesOps } = require('./supabase');
+const { getBarberTimezone, parseDateTimeInZone, formatInZone, parseEventTime } = require('./timezone');
+const { checkSlotAvailability, checkSlotsAvailability, findNextAvailableSlots } = require('./availability');
+const { resolveService, toPublicService } = require('./services');
+const { withKeyedLock, withSlotClaim } = require('./bookingLock');
+const { MAX_OCCURRENCES, parseRecurrence, buildOccurrences, buildRecurrenceLines, truncateRecurrenceLines } = require('./recurrence');
+const { STATUSES, AFTER_START, getStatus, normalizeStatus, canTransition, statusEventFields } = require('./appointmentStatus');
+
+// Lets other features follow bookings without the handlers knowing about them:
+//   'slotFreed'                { barber, calendarId, start, end }  time opened up on a calendar
+//   'appointmentBooked'        { barber, eventId, clientPhone, start, end }
+//   'appointmentMoved'         { barber, eventId, start, end }
+//   'appointmentCancelled'     { barber, eventId }
+//   'appointmentStatusChanged' { barber, eventId, status, previousStatus }
+const bookingEvents = new EventEmitter();
+
+function result(status, body) {
+  return { status, body };
+}
+
+function emitSlotFreed(barber, calendarId, start, end) {
+  if (!barber) return;
+  bookingEvents.emit('slotFreed', { barber, calendarId, start: new Date(start), end: new Date(end) });
+}
+
+const createOAuth2Client = (refreshToken) => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+  oauth2Client.setCredentials({ refresh_token: refreshToken });
+  return oauth2Client;
+};
+
+function createCalendarClient(barber) {
+  return google.calendar({ version: 'v3', auth: createOAuth2Client(barber.refresh_token) });
+}
+
+// Every Calendar API call goes through this factory so a local fake of the
+// API can be swapped in for tests and development
+let calendarClientFactory = createCalendarClient;
+
+function setCalendarClientFactory(factory) {
+  calendarClientFactory = factory || createCalendarClient;
+}
+
+function getCalendarClient(barber) {
+  return calendarClientFactory(barber);
+}
+
+// Refuse a booking whose slot is taken, offering the next open times instead
+async function slotUnavailable(calendar, barber, startTime, durationMinutes, availability, options = {}) {
+  const alternativeSlots = await findNextAvailableSlots(calendar, barber, startTime, 3, durationMinutes, options);
+  return result(409, {
+    success: false,
+    errorCode: 'SLOT_UNAVAILABLE',
+    error: availability.withinWorkingHours
+      ? 'That time is no longer available'
+      : 'That time is outside the barber\'s working hours',
+    alternativeSlots,
+    timeZone: getBarberTimezone(barber)
+  });
+}
+
+async function handleCreateClientAppointment(calendar, calendarId, data) {
+  const { clientPhone, clientName, serviceType, serviceId, startDateTime, duration, notes, barber, holdId, timeZone } = data;
+  if (!startDateTime) return result(400, { success: false, error: 'Start date-time is required' });
+
+  // Look the service up in the catalog so the booking gets the right length
+  const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+  if (resolved.error) return result(400, { success: false, ...resolved.error });
+  const serviceName = resolved.service?.name || serviceType || 'Appointment';
+  const serviceDuration = resolved.service?.duration || duration || 30;
+
+  let startTime;
+  try {
+    startTime = parseDateTimeInZone(startDateTime, timeZone);
+  } catch (e) {
+    return result(400, { success: false, error: e.message });
+  }
+  const endTime = new Date(startTime.getTime() + (serviceDuration * 60000));
+  const eventDetails = {
+    summary: `${serviceName}: ${clientName}`,
+    description: `Client: ${clientName}\nPhone: ${clientPhone}\n${notes || ''}`,
+    start: { dateTime: formatInZone(startTime, timeZone), timeZone },
+    end: { dateTime: formatInZone(endTime, timeZone), timeZone }
+  };
+
+  // Re-check and insert under the barber's lock and a claim on the time so two
+  // clients can't both get the slot
+  return await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, [{ start: startTime, end: endTime }], async () => {
+    const availabilityOptions = { service: resolved.service, clientPhone };
+    const availability = await checkSlotAvailability(calendar, barber, startTime, endTime, availabilityOptions);
+    if (!availability.isAvailable) {
+      return await slotUnavailable(calendar, barber, startTime, serviceDuration, availability, availabilityOptions);
+    }
+
+    const event = await calendar.events.insert({ calendarId, resource: eventDetails, sendUpdates: 'all' });
+    if (event.data?.id) {
+      try {
+        await appointmentOps.create({ client_phone: clientPhone, barber_id: barber.id, service_type: serviceName, service_id: resolved.service?.id || null, start_time: startTime.toISOString(), end_time: endTime.toISOString(), google_calendar_event_id: event.data.id, status: 'pending', notes });
+      } catch (e) { console.error('DB store error:', e); }
+      bookingEvents.emit('appointmentBooked', { barber, eventId: event.data.id, clientPhone, start: startTime, end: endTime });
+    }
+    if (holdId) await holdOps.release(holdId);
+
+    return result(200, { success: true, action: 'create', eventId: event.data.id, eventLink: event.data.htmlLink, start: formatInZone(startTime, timeZone), end: formatInZone(endTime, timeZone), timeZone, service: resolved.service ? toPublicService(resolved.service) : null, duration: serviceDuration, message: 'Appointment added to calendar' });
+  }));
+}
+
+function describeOccurrence(check, timeZone) {
+  return {
+    start: check.start.toISOString(),
+    localStart: formatInZone(check.start, timeZone),
+    reason: check.withinWorkingHours ? 'busy' : 'outside_working_hours'
+  };
+}
+
+// Insert a recurring event plus its series row and one appointment row per visit
+async function insertRecurringSeries(calendar, calendarId, details) {
+  const { barber, clientPhone, clientName, serviceName, service, notes, startTime, durationMinutes, recurrence, excludedStarts = [], timeZone } = details;
+  const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+
+  const event = await calendar.events.insert({
+    calendarId,
+    resource: {
+      summary: `${serviceName}: ${clientName}`,
+      description: `Client: ${clientName}\nPhone: ${clientPhone}\n${notes || ''}`,
+      start: { dateTime: formatInZone(startTime, timeZone), timeZone },
+      end: { dateTime: formatInZone(endTime, timeZone), timeZone },
+      recurrence: buildRecurrenceLines(recurrence, excludedStarts, timeZone)
+    },
+    sendUpdates: 'all'
+  });
+
+  const series = await seriesOps.create({
+    client_phone: clientPhone,
+    barber_id: barber.id,
+    service_type: serviceName,
+    service_id: service?.id || null,
+    google_recurring_event_id: event.data.id,
+    start_time: startTime.toISOString(),
+    duration_minutes: durationMinutes,
+    interval_weeks: recurrence.intervalWeeks,
+    occurrence_count: recurrence.count,
+    until_time: recurrence.untilTime ? recurrence.untilTime.toISOString() : null
+  });
+
+  // Each visit gets its own row keyed by the instance's event id so it can be
+  // cancelled or moved on its own later
+  const instances = await calendar.events.instances({ calendarId, eventId: event.data.id, maxResults: MAX_OCCURRENCES + 1 });
+  const occurrences = [];
+  for (const instance of instances.data.items || []) {
+    const start = parseEventTime(instance.start, timeZone);
+    const end = parseEventTime(instance.end, timeZone);
+    try {
+      await appointmentOps.create({ client_phone: clientPhone, barber_id: barber.id, service_type: serviceName, service_id: service?.id || null, start_time: start.toISOString(), end_time: end.toISOString(), google_calendar_event_id: instance.id, series_id: series?.id || null, status: 'pending', notes });
+    } catch (e) { console.error('DB store error:', e); }
+    bookingEvents.emit('appointmentBooked', { barber, eventId: instance.id, clientPhone, start, end });
+    occurrences.push({ eventId: instance.id, start: start.toISOString(), localStart: formatInZone(start, timeZone), localEnd: formatInZone(end, timeZone) });
+  }
+
+  return { event: event.data, series, occurrences };
+}
+
+// Create a recurring booking. Conflicting visits are reported with a 409 unless
+// the caller asks to skip them, in which case they're left out of the series.
+async function handleCreateRecurringAppointment(calendar, calendarId, data) {
+  const { clientPhone, clientName, serviceType, serviceId, startDateTime, duration, notes, barber, recurrence: recurrenceInput, skipConflicts, holdId, timeZone } = data;
+  if (!startDateTime) return result(400, { success: false, error: 'Start date-time is required' });
+
+  const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+  if (resolved.error) return result(400, { success: false, ...resolved.error });
+  const serviceName = resolved.service?.name || serviceType || 'Appointment';
+  const serviceDuration = resolved.service?.duration || duration || 30;
+
+  let startTime, recurrence, occurrences;
+  try {
+    startTime = parseDateTimeInZone(startDateTime, timeZone);
+    recurrence = parseRecurrence(recurrenceInput, timeZone);
+    occurrences = buildOccurrences(startTime, recurrence, timeZone);
+  } catch (e) {
+    return result(400, { success: false, error: e.message });
+  }
+
+  const visits = occurrences.map(start => ({ start, end: new Date(start.getTime() + serviceDuration * 60000) }));
+
+  return await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, visits, async () => {
+    const checks = await checkSlotsAvailability(calendar, barber, visits, { service: resolved.service, clientPhone });
+    const conflicting = checks.filter(check => !check.isAvailable);
+
+    if (conflicting.length > 0 && (!skipConflicts || conflicting.length === checks.length)) {
+      return result(409, {
+        success: false,
+        errorCode: 'OCCURRENCE_CONFLICTS',
+        error: `${conflicting.length} of ${checks.length} visits conflict with existing bookings or working hours`,
+        totalOccurrences: checks.length,
+        conflictingOccurrences: conflicting.map(check => describeOccurrence(check, timeZone)),
+        timeZone
+      });
+    }
+
+    const created = await insertRecurringSeries(calendar, calendarId, {
+      barber,
+      clientPhone,
+      clientName,
+      serviceName,
+      service: resolved.service,
+      notes,
+      startTime,
+      durationMinutes: serviceDuration,
+      recurrence,
+      excludedStarts: conflicting.map(check => check.start),
+      timeZone
+    });
+    if (holdId) await holdOps.release(holdId);
+
+    return result(200, {
+      success: true,
+      action: 'create',
+      recurring: true,
+      seriesId: created.series?.id || null,
+      eventId: created.event.id,
+      eventLink: created.event.htmlLink,
+      occurrences: created.occurrences,
+      skippedOccurrences: conflicting.map(check => describeOccurrence(check, timeZone)),
+      timeZone,
+      service: resolved.service ? toPublicService(resolved.service) : null,
+      duration: serviceDuration,
+      message: 'Recurring appointment added to calendar'
+    });
+  }));
+}
+
+// End a recurring series just before the given visit, or remove it entirely if
+// that visit is the first one. Also cancels the matching appointment rows.
+async function endSeriesBefore(calendar, calendarId, master, fromTime, timeZone) {
+  const seriesStart = parseEventTime(master.start, timeZone);
+  const series = await seriesOps.getByRecurringEventId(master.id);
+  const endsEverything = fromTime <= seriesStart;
+
+  if (endsEverything) {
+    await calendar.events.delete({ calendarId, eventId: master.id, sendUpdates: 'all' });
+  } else {
+    await calendar.events.patch({
+      calendarId,
+      eventId: master.id,
+      resource: { recurrence: truncateRecurrenceLines(master.recurrence || [], fromTime) },
+      sendUpdates: 'all'
+    });
+  }
+
+  // The series row is ended rather than deleted so the cancelled rows still
+  // point at it
+  if (series) {
+    await appointmentOps.cancelSeriesFrom(series.id, fromTime);
+    await seriesOps.update(series.id, { occurrence_count: null, until_time: new Date(fromTime.getTime() - 1000).toISOString() });
+  }
+
+  return series;
+}
+
+async function handleCancelAppointment(calendar, calendarId, eventId, clientPhone, options = {}) {
+  const { scope = 'single', timeZone, barber = null } = options;
+
+  if (!eventId) {
+    return result(400, { success: false, error: 'Event ID is required for cancellation' });
+  }
+
+  try {
+    const { data: event } = await calendar.events.get({ calendarId, eventId });
+
+    // "This and following" on a recurring visit ends the series from that visit on
+    if (scope === 'following' && event?.recurringEventId) {
+      const { data: master } = await calendar.events.get({ calendarId, eventId: event.recurringEventId });
+      const fromTime = parseEventTime(event.originalStartTime, timeZone);
+      const { data: freedInstances } = await calendar.events.instances({
+        calendarId,
+        eventId: master.id,
+        timeMin: fromTime.toISOString(),
+        maxResults: MAX_OCCURRENCES + 1
+      });
+      const series = await endSeriesBefore(calendar, calendarId, master, fromTime, timeZone);
+
+      for (const item of freedInstances.items || []) {
+        emitSlotFreed(barber, calendarId, parseEventTime(item.start, timeZone), parseEventTime(item.end, timeZone));
+        bookingEvents.emit('appointmentCancelled', { barber, eventId: item.id });
+      }
+
+      return result(200, {
+        success: true,
+        action: 'cancel',
+        scope: 'following',
+        eventId,
+        seriesId: series?.id || null,
+        message: 'This and all following appointments were cancelled'
+      });
+    }
+
+    // Deleting the series' own event would cancel every visit at once
+    if (event?.recurrence) {
+      return result(400, {
+        success: false,
+        error: 'Use the eventId of a single visit to cancel part of a recurring booking'
+      });
+    }
+
+    // Delete from Google Calendar
+    await calendar.events.delete({
+      calendarId,
+      eventId,
+      sendUpdates: 'all' // Notify attendees
+    });
+
+    // Keep the row as a record of the cancellation
+    const updateResult = await appointmentOps.updateByEventId(eventId, { status: 'cancelled', status_changed_at: new Date() });
+    if (!updateResult.success && updateResult.error) {
+      console.error('Error cancelling appointment in database:', updateResult.error);
+    }
+
+    if (event) {
+      emitSlotFreed(barber, calendarId, parseEventTime(event.start, timeZone), parseEventTime(event.end, timeZone));
+    }
+    bookingEvents.emit('appointmentCancelled', { barber, eventId });
+
+    return result(200, {
+      success: true,
+      action: 'cancel',
+      eventId,
+      message: 'Appointment successfully cancelled'
+    });
+  } catch (e) {
+    console.error('Error cancelling appointment:', e);
+    return result(500, {
+      success: false,
+      error: `Failed to cancel appointment: ${e.message}`
+    });
+  }
+}
+
+// Move a recurring visit and every visit after it: the old series ends before
+// that visit and a new series starts at the new time with the visits left
+async function handleRescheduleFollowing(calendar, calendarId, data, instance) {
+  const { newStartDateTime, clientPhone, clientName, serviceType, serviceId, duration, notes, barber, holdId, skipConflicts, timeZone } = data;
+
+  const { data: master } = await calendar.events.get({ calendarId, eventId: instance.recurringEventId });
+  const series = await seriesOps.getByRecurringEventId(master.id);
+  if (!series) {
+    return result(404, { success: false, error: 'Recurring series not found' });
+  }
+
+  let service = null;
+  if (serviceType || serviceId) {
+    const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+    if (resolved.error) return result(400, { success: false, ...resolved.error });
+    service = resolved.service;
+  }
+  const newDuration = service?.duration || duration || series.duration_minutes || 30;
+  const serviceName = service?.name || serviceType || series.service_type;
+
+  const fromTime = parseEventTime(instance.originalStartTime, timeZone);
+  const fullRecurrence = {
+    intervalWeeks: series.interval_weeks,
+    count: series.occurrence_count,
+    untilTime: series.until_time ? new Date(series.until_time) : null
+  };
+
+  let newStartTime, remaining, occurrences;
+  try {
+    newStartTime = parseDateTimeInZone(newStartDateTime, timeZone);
+    const visitsBefore = buildOccurrences(new Date(series.start_time), fullRecurrence, timeZone)
+      .filter(occurrence => occurrence < fromTime).length;
+    remaining = {
+      ...fullRecurrence,
+      count: fullRecurrence.count ? fullRecurrence.count - visitsBefore : null
+    };
+    occurrences = remaining.count === 0 ? [] : buildOccurrences(newStartTime, remaining, timeZone);
+  } catch (e) {
+    return result(400, { success: false, error: e.message });
+  }
+
+  if (occurrences.length === 0) {
+    return result(400, { success: false, error: 'No visits left in the series to reschedule' });
+  }
+
+  // The visits being moved don't count against their own new times
+  const { data: currentInstances } = await calendar.events.instances({
+    calendarId,
+    eventId: master.id,
+    timeMin: fromTime.toISOString(),
+    maxResults: MAX_OCCURRENCES + 1
+  });
+  const ignore = (currentInstances.items || []).map(item => ({
+    calendarId,
+    start: parseEventTime(item.start, timeZone),
+    end: parseEventTime(item.end, timeZone)
+  }));
+
+  const visits = occurrences.map(start => ({ start, end: new Date(start.getTime() + newDuration * 60000) }));
+
+  return await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, visits, async () => {
+    const checks = await checkSlotsAvailability(calendar, barber, visits, { service, clientPhone, ignore });
+    const conflicting = checks.filter(check => !check.isAvailable);
+
+    if (conflicting.length > 0 && (!skipConflicts || conflicting.length === checks.length)) {
+      return result(409, {
+        success: false,
+        errorCode: 'OCCURRENCE_CONFLICTS',
+        error: `${conflicting.length} of ${checks.length} visits conflict with existing bookings or working hours`,
+        totalOccurrences: checks.length,
+        conflictingOccurrences: conflicting.map(check => describeOccurrence(check, timeZone)),
+        timeZone
+      });
+    }
+
+    await endSeriesBefore(calendar, calendarId, master, fromTime, timeZone);
+    for (const interval of ignore) {
+      emitSlotFreed(barber, calendarId, interval.start, interval.end);
+    }
+    for (const item of currentInstances.items || []) {
+      bookingEvents.emit('appointmentCancelled', { barber, eventId: item.id });
+    }
+    const created = await insertRecurringSeries(calendar, calendarId, {
+      barber,
+      clientPhone,
+      clientName,
+      serviceName,
+      service,
+      notes,
+      startTime: newStartTime,
+      durationMinutes: newDuration,
+      recurrence: remaining,
+      excludedStarts: conflicting.map(check => check.start),
+      timeZone
+    });
+    if (holdId) await holdOps.release(holdId);
+
+    return result(200, {
+      success: true,
+      action: 'reschedule',
+      scope: 'following',
+      recurring: true,
+      seriesId: created.series?.id || null,
+      eventId: created.event.id,
+      eventLink: created.event.htmlLink,
+      occurrences: created.occurrences,
+      skippedOccurrences: conflicting.map(check => describeOccurrence(check, timeZone)),
+      timeZone,
+      service: service ? toPublicService(service) : null,
+      duration: newDuration,
+      message: 'This and all following appointments were rescheduled'
+    });
+  }));
+}
+
+async function handleRescheduleAppointment(calendar, calendarId, data) {
+  const { eventId, newStartDateTime, clientPhone, clientName, serviceType, serviceId, duration, notes, barber, holdId, scope = 'single', timeZone } = data;
+  
+  if (!eventId || !newStartDateTime) {
+    return result(400, { 
+      success: false, 
+      error: 'Event ID and new start date-time are required for rescheduling' 
+    });
+  }
+
+  try {
+    // Get existing event first to preserve any other data
+    const existingEvent = await calendar.events.get({
+      calendarId,
+      eventId
+    });
+
+    if (!existingEvent.data) {
+      return result(404, {
+        success: false,
+        error: 'Appointment not found in calendar'
+      });
+    }
+
+    if (scope === 'following' && existingEvent.data.recurringEventId) {
+      return await handleRescheduleFollowing(calendar, calendarId, data, existingEvent.data);
+    }
+
+    // Moving the series' own event would move every visit at once
+    if (existingEvent.data.recurrence) {
+      return result(400, {
+        success: false,
+        error: 'Use the eventId of a single visit to reschedule part of a recurring booking'
+      });
+    }
+
+    // Only look up the service when the client is changing it; otherwise keep the original length
+    let service = null;
+    if (serviceType || serviceId) {
+      const resolved = await resolveService({ serviceId, serviceName: serviceType, barberId: barber.id });
+      if (resolved.error) return result(400, { success: false, ...resolved.error });
+      service = resolved.service;
+    }
+    
+    const existingStart = parseEventTime(existingEvent.data.start, timeZone);
+    const existingEnd = parseEventTime(existingEvent.data.end, timeZone);
+    const existingDuration = Math.round((existingEnd - existingStart) / 60000);
+    const newDuration = service?.duration || duration || existingDuration || 30;
+    const serviceName = service?.name || serviceType;
+
+    // Parse new start time and calculate new end time
+    let newStartTime;
+    try {
+      newStartTime = parseDateTimeInZone(newStartDateTime, timeZone);
+    } catch (e) {
+      return result(400, { success: false, error: e.message });
+    }
+    const newEndTime = new Date(newStartTime.getTime() + (newDuration * 60000));
+
+    // The appointment's current time doesn't count against its new time
+    const availabilityOptions = {
+      service,
+      clientPhone,
+      ignore: { calendarId, start: existingStart, end: existingEnd }
+    };
+
+    // Re-check and move the event under the barber's lock and a claim on the new time
+    return await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, [{ start: newStartTime, end: newEndTime }], async () => {
+      const availability = await checkSlotAvailability(calendar, barber, newStartTime, newEndTime, availabilityOptions);
+      if (!availability.isAvailable) {
+        return await slotUnavailable(calendar, barber, newStartTime, newDuration, availability, availabilityOptions);
+      }
+
+      // Update the event in Google Calendar. A moved appointment needs confirming again.
+      const updatedEvent = await calendar.events.update({
+        calendarId,
+        eventId,
+        resource: {
+          ...existingEvent.data,
+          ...statusEventFields(serviceName ? `${serviceName}: ${clientName}` : existingEvent.data.summary, 'pending'),
+          start: { dateTime: formatInZone(newStartTime, timeZone), timeZone },
+          end: { dateTime: formatInZone(newEndTime, timeZone), timeZone }
+        },
+        sendUpdates: 'all' // Notify attendees
+      });
+
+      // Update the appointment in the database
+      const updateResult = await appointmentOps.updateByEventId(eventId, {
+        start_time: newStartTime.toISOString(),
+        end_time: newEndTime.toISOString(),
+        service_type: serviceName || undefined, // Only update if provided
+        service_id: service?.id || undefined,
+        status: 'pending'
+      });
+      if (holdId) await holdOps.release(holdId);
+      emitSlotFreed(barber, calendarId, existingStart, existingEnd);
+      bookingEvents.emit('appointmentMoved', { barber, eventId, start: newStartTime, end: newEndTime });
+
+      return result(200, {
+        success: true,
+        action: 'reschedule',
+        eventId: updatedEvent.data.id,
+        eventLink: updatedEvent.data.htmlLink,
+        start: formatInZone(newStartTime, timeZone),
+        end: formatInZone(newEndTime, timeZone),
+        timeZone,
+        service: service ? toPublicService(service) : null,
+        duration: newDuration,
+        message: 'Appointment successfully rescheduled'
+      });
+    }));
+  } catch (e) {
+    console.error('Error rescheduling appointment:', e);
+    return result(500, {
+      success: false,
+      error: `Failed to reschedule appointment: ${e.message}`
+    });
+  }
+}
+
+// Move an appointment through its status lifecycle. Cancelling goes through
+// the normal cancellation; other statuses are saved and shown on the Google
+// event. Pass clientPhone to only allow the client's own appointment.
+async function handleAppointmentStatus(eventId, requestedStatus, options = {}) {
+  const { clientPhone = null } = options;
+  const status = normalizeStatus(requestedStatus);
+
+  if (!status) {
+    return result(400, { success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+
+  const [appointment] = await appointmentOps.getByEventIds([eventId]);
+  if (!appointment || (clientPhone && appointment.client_phone !== clientPhone)) {
+    return result(404, { success: false, error: 'Appointment not found' });
+  }
+
+  const previousStatus = getStatus(appointment);
+  if (previousStatus === status) {
+    return result(200, { success: true, eventId, status, previousStatus, message: `Appointment is already ${status}` });
+  }
+  if (!canTransition(previousStatus, status)) {
+    return result(409, {
+      success: false,
+      errorCode: 'INVALID_STATUS_TRANSITION',
+      error: `A ${previousStatus} appointment can't be marked ${status}`
+    });
+  }
+  if (AFTER_START.includes(status) && new Date(appointment.start_time) > new Date()) {
+    return result(409, {
+      success: false,
+      errorCode: 'INVALID_STATUS_TRANSITION',
+      error: `An appointment can't be marked ${status} before it starts`
+    });
+  }
+
+  const barber = await barberOps.getById(appointment.barber_id);
+  if (!barber?.refresh_token) {
+    return result(409, { success: false, error: 'The barber\'s calendar is not connected' });
+  }
+  const calendar = getCalendarClient(barber);
+  const calendarId = barber.selected_calendar_id || 'primary';
+  const timeZone = getBarberTimezone(barber);
+
+  if (status === 'cancelled') {
+    const outcome = await handleCancelAppointment(calendar, calendarId, eventId, appointment.client_phone, { timeZone, barber });
+    if (outcome.status !== 200) return outcome;
+    bookingEvents.emit('appointmentStatusChanged', { barber, eventId, status, previousStatus });
+    return result(200, { ...outcome.body, status, previousStatus });
+  }
+
+  // Only the first of two concurrent changes wins
+  const updated = await appointmentOps.transitionStatus(eventId, previousStatus, status);
+  if (!updated) {
+    return result(409, { success: false, error: 'The appointment was changed by someone else, please try again' });
+  }
+
+  try {
+    const { data: event } = await calendar.events.get({ calendarId, eventId });
+    await calendar.events.patch({ calendarId, eventId, resource: statusEventFields(event.summary, status) });
+  } catch (e) {
+    // The status is saved either way; the calendar just won't show it
+    console.error(`Error showing status on event ${eventId}:`, e.message);
+  }
+
+  bookingEvents.emit('appointmentStatusChanged', { barber, eventId, status, previousStatus });
+
+  return result(200, {
+    success: true,
+    eventId,
+    status,
+    previousStatus,
+    start: formatInZone(new Date(appointment.start_time), timeZone),
+    timeZone,
+    message: `Appointment marked ${status}`
+  });
+}
+
+module.exports = {
+  bookingEvents,
+  createOAuth2Client,
+  getCalendarClient,
+  setCalendarClientFactory,
+  emitSlotFreed,
+  slotUnavailable,
+  handleCreateClientAppointment,
+  handleCreateRecurringAppointment,
+  handleCancelAppointment,
+  handleRescheduleAppointment,
+  handleAppointmentStatus
+};
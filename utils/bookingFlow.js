@@ -0,0 +1,409 @@
+// One booking flow per client: collecting_barber → collecting_service →
+// collecting_time → confirming → booked. The state is worked out from what's
+// been captured so far, and both are kept on the client (last_booking_state)
+// so a conversation can pick up mid-booking. A flow left alone for longer than
+// BOOKING_FLOW_TIMEOUT_MINUTES starts over.
+const { barberOps, bookingStateOps, clientOps } = require('./supabase');
+const { getBarberTimezone, formatInZone } = require('./timezone');
+const { checkSlotAvailability } = require('./availability');
+const { resolveService } = require('./services');
+const { withKeyedLock } = require('./bookingLock');
+const { getCalendarClient, handleCreateClientAppointment } = require('./booking');
+const { ANY_BARBER, isAnyBarber, bookWithAnyBarber } = require('./anyBarber');
+const { resolveDateTimeInput, describeParsed } = require('./dateParser');
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+const FLOW_STATES = ['idle', 'collecting_barber', 'collecting_service', 'collecting_time', 'confirming', 'booked'];
+
+// Any flow can also be reset to idle. Texted slot offers book straight from
+// collecting_time, since picking an offered time is the confirmation.
+const TRANSITIONS = {
+  idle: ['collecting_barber', 'collecting_service', 'collecting_time', 'confirming'],
+  collecting_barber: ['collecting_service', 'collecting_time', 'confirming'],
+  collecting_service: ['collecting_barber', 'collecting_time', 'confirming'],
+  collecting_time: ['collecting_barber', 'collecting_service', 'confirming', 'booked'],
+  confirming: ['collecting_barber', 'collecting_service', 'collecting_time', 'booked'],
+  booked: ['collecting_barber', 'collecting_service', 'collecting_time', 'confirming']
+};
+
+const EMPTY_SLOTS = {
+  barberId: null,
+  barberName: null,
+  timeZone: null,
+  serviceId: null,
+  serviceName: null,
+  duration: null,
+  start: null,
+  offeredSlots: null,
+  rescheduleEventId: null
+};
+
+function result(status, body) {
+  return { status, body };
+}
+
+function getFlowTimeoutMs() {
+  const minutes = parseFloat(process.env.BOOKING_FLOW_TIMEOUT_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_TIMEOUT_MINUTES) * 60000;
+}
+
+function newFlow() {
+  return { state: 'idle', slots: { ...EMPTY_SLOTS }, booking: null, startedAt: null, updatedAt: null, expiresAt: null, version: 0 };
+}
+
+// Stored states from before the flow existed read as a fresh flow
+function normalizeFlow(stored) {
+  if (!stored || !FLOW_STATES.includes(stored.state)) {
+    return { ...newFlow(), version: stored?.version || 0 };
+  }
+  return { ...newFlow(), ...stored, slots: { ...EMPTY_SLOTS, ...stored.slots } };
+}
+
+function isInProgress(flow) {
+  return flow.state !== 'idle' && flow.state !== 'booked';
+}
+
+function isFlowExpired(flow, now = new Date()) {
+  return isInProgress(flow) && !!flow.expiresAt && now > new Date(flow.expiresAt);
+}
+
+// The first thing still missing decides the state
+function nextState(slots) {
+  if (!slots.barberId) return 'collecting_barber';
+  if (!slots.duration) return 'collecting_service';
+  if (!slots.start) return 'collecting_time';
+  return 'confirming';
+}
+
+function canTransition(from, to) {
+  return from === to || to === 'idle' || TRANSITIONS[from].includes(to);
+}
+
+function describeFlow(flow) {
+  const { slots } = flow;
+  const missing = {
+    collecting_barber: ['barber', 'service', 'time', 'confirmation'],
+    collecting_service: ['service', 'time', 'confirmation'],
+    collecting_time: ['time', 'confirmation'],
+    confirming: ['confirmation']
+  }[flow.state] || [];
+
+  return {
+    state: flow.state,
+    slots: {
+      ...slots,
+      localStart: slots.start ? formatInZone(slots.start, slots.timeZone || getBarberTimezone(null)) : null
+    },
+    missing,
+    booking: flow.booking,
+    startedAt: flow.startedAt,
+    updatedAt: flow.updatedAt,
+    expiresAt: flow.expiresAt,
+    version: flow.version
+  };
+}
+
+async function saveFlow(clientPhone, flow, previous, now) {
+  const stamped = {
+    ...flow,
+    startedAt: isInProgress(previous) ? previous.startedAt : now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: isInProgress(flow) ? new Date(now.getTime() + getFlowTimeoutMs()).toISOString() : null,
+    version: (previous.version || 0) + 1
+  };
+  const saved = await bookingStateOps.saveBookingState(clientPhone, stamped);
+  return saved ? normalizeFlow(saved) : null;
+}
+
+// Load the client's flow, starting it over if it timed out. Call under the flow lock.
+async function loadFlow(clientPhone, now) {
+  const flow = normalizeFlow(await bookingStateOps.getBookingState(clientPhone));
+  if (!isFlowExpired(flow, now)) return { flow, expired: null };
+
+  const reset = await saveFlow(clientPhone, newFlow(), flow, now);
+  return { flow: reset || newFlow(), expired: describeFlow(flow) };
+}
+
+// Change a client's flow under their lock. `change` gets the current flow and
+// returns { flow } to save it, { error } to leave it as is, or both to save
+// the flow and still report the error.
+async function changeBookingFlow(clientPhone, change, now = new Date()) {
+  return await withKeyedLock(`flow:${clientPhone}`, async () => {
+    const { flow: current, expired } = await loadFlow(clientPhone, now);
+    const outcome = await change(current);
+
+    let flow = current;
+    if (outcome.flow) {
+      if (!canTransition(current.state, outcome.flow.state)) {
+        return result(409, {
+          success: false,
+          errorCode: 'INVALID_FLOW_TRANSITION',
+          error: `Can't go from ${current.state} to ${outcome.flow.state}`,
+          flow: describeFlow(current)
+        });
+      }
+      flow = await saveFlow(clientPhone, outcome.flow, current, now);
+      if (!flow) return result(500, { success: false, error: 'Failed to save booking flow' });
+    }
+
+    if (outcome.error) {
+      return result(outcome.error.status, { ...outcome.error.body, flow: describeFlow(flow) });
+    }
+    return result(200, { success: true, flow: describeFlow(flow), expiredFlow: expired, ...outcome.extra });
+  });
+}
+
+// The client's current flow; { flow, expiredFlow } where expiredFlow is the
+// flow that just timed out, if any
+async function getBookingFlow(clientPhone, now = new Date()) {
+  const outcome = await withKeyedLock(`flow:${clientPhone}`, () => loadFlow(clientPhone, now));
+  return { flow: outcome.flow, expiredFlow: outcome.expired };
+}
+
+async function resetBookingFlow(clientPhone, now = new Date()) {
+  return await changeBookingFlow(clientPhone, async () => ({ flow: newFlow() }), now);
+}
+
+// Start a new flow with these slots filled in (e.g. times offered by text)
+async function startBookingFlow(clientPhone, slots, now = new Date()) {
+  return await changeBookingFlow(clientPhone, async () => {
+    const filled = { ...EMPTY_SLOTS, ...slots };
+    return { flow: { ...newFlow(), slots: filled, state: nextState(filled) } };
+  }, now);
+}
+
+// Record a finished booking ({ eventId, barberId, start }) on the flow
+async function completeBookingFlow(clientPhone, booking, now = new Date()) {
+  return await changeBookingFlow(clientPhone, async current => ({
+    flow: {
+      ...current,
+      state: 'booked',
+      slots: { ...current.slots, barberId: booking.barberId, start: booking.start, offeredSlots: null },
+      booking
+    }
+  }), now);
+}
+
+async function captureBarber(slots, barberId) {
+  if (isAnyBarber(barberId)) {
+    return { slots: { ...slots, barberId: ANY_BARBER, barberName: null, timeZone: getBarberTimezone(null) } };
+  }
+
+  const barber = await barberOps.getById(barberId);
+  if (!barber?.refresh_token) {
+    return { error: result(404, { success: false, error: 'Barber not found or unauthorized' }) };
+  }
+  return { slots: { ...slots, barberId: barber.id, barberName: barber.name, timeZone: getBarberTimezone(barber) } };
+}
+
+async function captureService(slots, { serviceId, serviceType, duration }) {
+  const resolved = await resolveService({
+    serviceId,
+    serviceName: serviceType,
+    barberId: isAnyBarber(slots.barberId) ? null : slots.barberId
+  });
+  if (resolved.error) return { error: result(400, { success: false, ...resolved.error }) };
+
+  const service = resolved.service;
+  return {
+    slots: {
+      ...slots,
+      serviceId: service?.id || null,
+      serviceName: service?.name || serviceType || null,
+      duration: service?.duration || parseInt(duration, 10) || 30
+    },
+    service
+  };
+}
+
+async function captureTime(slots, clientPhone, { startDateTime, referenceTime }, now) {
+  const timeZone = slots.timeZone || getBarberTimezone(null);
+  let parsed;
+  try {
+    parsed = resolveDateTimeInput(startDateTime, timeZone, referenceTime ? new Date(referenceTime) : now);
+  } catch (e) {
+    return { error: result(400, { success: false, error: e.message }) };
+  }
+
+  if (!parsed) {
+    return { error: result(400, { success: false, errorCode: 'UNPARSEABLE_DATETIME', error: `Could not understand "${startDateTime}" as a date or time` }) };
+  }
+  if (!parsed.exact) {
+    return {
+      error: result(400, {
+        success: false,
+        errorCode: 'DATETIME_NOT_EXACT',
+        error: `"${startDateTime}" covers a range of times; pick one time`,
+        parsedTime: describeParsed(parsed, timeZone)
+      })
+    };
+  }
+  if (parsed.inPast) {
+    return { error: result(400, { success: false, errorCode: 'DATETIME_IN_PAST', error: 'That time has already passed' }) };
+  }
+
+  // A named barber's calendar is checked now; "any" is settled at booking
+  if (!isAnyBarber(slots.barberId)) {
+    const barber = await barberOps.getById(slots.barberId);
+    const { service } = slots.serviceId ? await resolveService({ serviceId: slots.serviceId, barberId: barber.id }) : { service: null };
+    const end = new Date(parsed.start.getTime() + slots.duration * 60000);
+    const { isAvailable } = await checkSlotAvailability(getCalendarClient(barber), barber, parsed.start, end, { service, clientPhone });
+    if (!isAvailable) {
+      return { error: result(409, { success: false, errorCode: 'SLOT_UNAVAILABLE', error: 'That time is not available' }) };
+    }
+  }
+
+  return { slots: { ...slots, start: parsed.start.toISOString(), offeredSlots: null }, assumptions: parsed.assumptions };
+}
+
+// Fill in whatever the input carries, in flow order. A new barber or service
+// clears the time, since it may no longer fit.
+async function captureInput(flow, input, clientPhone, now) {
+  let slots = flow.slots;
+  let assumptions = [];
+
+  if (input.barberId !== undefined && input.barberId !== null) {
+    const captured = await captureBarber(slots, input.barberId);
+    if (captured.error) return captured;
+    if (String(captured.slots.barberId) !== String(slots.barberId)) {
+      slots = { ...captured.slots, start: null, offeredSlots: null };
+      // Re-check a chosen service against the new barber's catalog
+      if (slots.serviceId) {
+        const recheck = await captureService(slots, { serviceId: slots.serviceId });
+        slots = recheck.error ? { ...slots, serviceId: null, serviceName: null, duration: null } : recheck.slots;
+      }
+    }
+  }
+
+  if (input.serviceId || input.serviceType || input.duration) {
+    if (!slots.barberId) {
+      return { error: result(400, { success: false, errorCode: 'FLOW_OUT_OF_ORDER', error: 'Choose a barber before a service' }) };
+    }
+    const captured = await captureService(slots, input);
+    if (captured.error) return captured;
+    if (captured.slots.serviceId !== slots.serviceId || captured.slots.duration !== slots.duration) {
+      slots = { ...captured.slots, start: null, offeredSlots: null };
+    }
+  }
+
+  // Without a catalog there's no service to choose
+  if (slots.barberId && !slots.duration) {
+    const resolved = await resolveService({ barberId: isAnyBarber(slots.barberId) ? null : slots.barberId });
+    if (resolved.catalogEmpty) slots = { ...slots, duration: 30 };
+  }
+
+  if (input.startDateTime) {
+    if (!slots.barberId || !slots.duration) {
+      return { error: result(400, { success: false, errorCode: 'FLOW_OUT_OF_ORDER', error: 'Choose a barber and service before a time' }) };
+    }
+    const captured = await captureTime(slots, clientPhone, input, now);
+    if (captured.error) return captured;
+    slots = captured.slots;
+    assumptions = captured.assumptions;
+  }
+
+  return { flow: { ...flow, slots, state: nextState(slots) }, assumptions };
+}
+
+async function bookFlow(flow, client, notes) {
+  const { slots } = flow;
+  const data = {
+    clientPhone: client.phone_number,
+    clientName: client.name,
+    serviceType: slots.serviceName,
+    serviceId: slots.serviceId,
+    startDateTime: slots.start,
+    duration: slots.duration,
+    notes: notes || ''
+  };
+
+  if (isAnyBarber(slots.barberId)) {
+    const booking = await bookWithAnyBarber({ ...data, preferredBarberId: client.preferred_barber_id });
+    return { booking, barberId: booking.body.barberId, barberName: booking.body.barberName };
+  }
+
+  const barber = await barberOps.getById(slots.barberId);
+  if (!barber?.refresh_token) {
+    return { booking: result(404, { success: false, error: 'Barber not found or unauthorized' }) };
+  }
+  const booking = await handleCreateClientAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+    ...data,
+    barber,
+    timeZone: getBarberTimezone(barber)
+  });
+  return { booking, barberId: barber.id, barberName: barber.name };
+}
+
+// Capture what the input carries and move the flow on. `confirm: true` books
+// a flow that's confirming; `confirm: false` goes back to choosing a time.
+// `expectedState` guards against acting on a flow that moved on meanwhile.
+async function advanceBookingFlow(clientPhone, input = {}, now = new Date()) {
+  const client = await clientOps.getByPhoneNumber(clientPhone) ||
+    await clientOps.createOrUpdate({ phone_number: clientPhone, name: input.clientName });
+  if (!client) return result(500, { success: false, error: 'Failed to get or create client' });
+
+  return await changeBookingFlow(clientPhone, async current => {
+    if (input.expectedState && input.expectedState !== current.state) {
+      return {
+        error: result(409, {
+          success: false,
+          errorCode: 'STALE_FLOW_STATE',
+          error: `The booking flow is ${current.state}, not ${input.expectedState}`
+        })
+      };
+    }
+
+    // Anything after a finished booking starts the next one
+    const base = current.state === 'booked' ? newFlow() : current;
+    const captured = await captureInput(base, input, clientPhone, now);
+    if (captured.error) return captured;
+
+    let flow = captured.flow;
+    const extra = { assumptions: captured.assumptions };
+
+    if (input.confirm === false && flow.state === 'confirming') {
+      const slots = { ...flow.slots, start: null };
+      return { flow: { ...flow, slots, state: nextState(slots) }, extra };
+    }
+
+    if (input.confirm !== true) return { flow, extra };
+
+    if (flow.state !== 'confirming') {
+      return {
+        flow,
+        error: result(409, { success: false, errorCode: 'FLOW_NOT_READY', error: `Can't confirm while ${flow.state}` })
+      };
+    }
+
+    const { booking, barberId, barberName } = await bookFlow(flow, client, input.notes);
+    if (booking.status === 409) {
+      // Taken in the meantime: back to choosing a time
+      const slots = { ...flow.slots, start: null };
+      return { flow: { ...flow, slots, state: nextState(slots) }, error: booking };
+    }
+    if (booking.status !== 200) return { flow, error: booking };
+
+    return {
+      flow: {
+        ...flow,
+        state: 'booked',
+        slots: { ...flow.slots, barberId, barberName },
+        booking: { eventId: booking.body.eventId, barberId, start: flow.slots.start }
+      },
+      extra: { ...extra, appointment: booking.body }
+    };
+  }, now);
+}
+
+module.exports = {
+  FLOW_STATES,
+  getFlowTimeoutMs,
+  canTransition,
+  describeFlow,
+  getBookingFlow,
+  resetBookingFlow,
+  startBookingFlow,
+  completeBookingFlow,
+  advanceBookingFlow
+};
@@ -0,0 +1,55 @@
+const { holdOps } = require('./supabase');
+
+// A keyed mutex: tasks with the same key run one after the other. Booking
+// work is keyed by barber id, so the availability re-check and the calendar
+// insert happen as one step; other read-modify-write steps are keyed by what
+// they change ("consent:<phone>", "session:<phone>", ...).
+// It only covers this process. Anything that has to hold across app instances
+// needs the database as well, as bookings do with withSlotClaim; there the
+// lock just saves two requests in one process from refusing each other.
+const queues = new Map();
+
+async function withKeyedLock(barberId, task) {
+  const key = String(barberId);
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  queues.set(key, tail);
+
+  await previous;
+  try {
+    return await task();
+  } finally {
+    release();
+    if (queues.get(key) === tail) queues.delete(key);
+  }
+}
+
+// Long enough for a re-check and a calendar insert. A crashed instance's claim
+// blocks the time for no longer than this.
+const CLAIM_SECONDS = 120;
+
+// Write short-lived holds for the times being booked before the task re-checks
+// availability, and drop them once it's done. Availability counts other
+// clients' holds, so of two instances booking the same time at once at least
+// one sees the other's claim and refuses; the worst case is that both do.
+async function withSlotClaim(barberId, clientPhone, intervals, task) {
+  const expiresAt = new Date(Date.now() + CLAIM_SECONDS * 1000).toISOString();
+  const claims = await holdOps.createMany(intervals.map(({ start, end }) => ({
+    barber_id: barberId,
+    client_phone: clientPhone,
+    start_time: new Date(start).toISOString(),
+    end_time: new Date(end).toISOString(),
+    expires_at: expiresAt
+  })));
+  if (!claims) throw new Error('Failed to claim the time for booking');
+
+  try {
+    return await task();
+  } finally {
+    await holdOps.releaseMany(claims.map(claim => claim.id));
+  }
+}
+
+module.exports = { withKeyedLock, withSlotClaim };
@@ -0,0 +1,294 @@
+// Two-way sync: Google Calendar push notifications tell us a barber's booking
+// calendar changed, and an incremental sync (with sync tokens) brings the
+// appointments table in line when an appointment was moved or deleted in Google.
+const crypto = require('crypto');
+const { appointmentOps, barberOps, watchOps, timeOffOps } = require('./supabase');
+const { getBarberTimezone, parseEventTime } = require('./timezone');
+const { withKeyedLock } = require('./bookingLock');
+const { bookingEvents, getCalendarClient, emitSlotFreed } = require('./booking');
+const { runForBarberShop } = require('./shops');
+const { releaseBlockedTime } = require('./timeOff');
+
+// Channels are asked to live a week and renewed when they have a day left
+const WATCH_TTL_SECONDS = 7 * 86400;
+const RENEW_BEFORE_MS = 86400000;
+const RENEW_CHECK_MS = 60 * 60000;
+const EVENT_ID_BATCH = 100;
+
+function result(status, body) {
+  return { status, body };
+}
+
+// Public HTTPS address of the notifications endpoint, e.g.
+// https://example.com/webhook/calendar/notifications
+function getNotificationUrl() {
+  return process.env.CALENDAR_NOTIFICATION_URL || null;
+}
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(actual || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Every changed event since the sync token, or every event when there isn't one.
+// Single events so each visit of a recurring booking comes through with its own id.
+async function listChanges(calendar, calendarId, syncToken) {
+  const events = [];
+  let pageToken;
+  let nextSyncToken = null;
+
+  do {
+    const { data } = await calendar.events.list({
+      calendarId,
+      singleEvents: true,
+      showDeleted: true,
+      maxResults: 250,
+      ...(syncToken && { syncToken }),
+      ...(pageToken && { pageToken })
+    });
+    events.push(...(data.items || []));
+    pageToken = data.nextPageToken;
+    nextSyncToken = data.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { events, nextSyncToken };
+}
+
+// Update or cancel the appointments behind changed events. Events the app
+// didn't book have no row and are ignored.
+async function applyChanges(barber, calendarId, events) {
+  const timeZone = getBarberTimezone(barber);
+  const summary = { updated: 0, cancelled: 0 };
+
+  for (let i = 0; i < events.length; i += EVENT_ID_BATCH) {
+    const batch = events.slice(i, i + EVENT_ID_BATCH);
+    const rows = await appointmentOps.getByEventIds(batch.map(event => event.id));
+    const byEventId = new Map(rows.map(row => [row.google_calendar_event_id, row]));
+
+    for (const event of batch) {
+      const row = byEventId.get(event.id);
+      if (!row || row.status === 'cancelled') continue;
+
+      const oldStart = new Date(row.start_time);
+      const oldEnd = new Date(row.end_time);
+
+      if (event.status === 'cancelled') {
+        await appointmentOps.updateByEventId(event.id, { status: 'cancelled' });
+        emitSlotFreed(barber, calendarId, oldStart, oldEnd);
+        bookingEvents.emit('appointmentCancelled', { barber, eventId: event.id });
+        summary.cancelled++;
+        continue;
+      }
+
+      const start = parseEventTime(event.start, timeZone);
+      const end = parseEventTime(event.end, timeZone);
+      if (start.getTime() === oldStart.getTime() && end.getTime() === oldEnd.getTime()) continue;
+
+      await appointmentOps.updateByEventId(event.id, {
+        start_time: start.toISOString(),
+        end_time: end.toISOString()
+      });
+      emitSlotFreed(barber, calendarId, oldStart, oldEnd);
+      bookingEvents.emit('appointmentMoved', { barber, eventId: event.id, start, end });
+      summary.updated++;
+    }
+  }
+
+  await removeDeletedTimeOff(barber, events.filter(event => event.status === 'cancelled'));
+  return summary;
+}
+
+// Time off deleted straight from Google Calendar stops showing on the dashboard
+async function removeDeletedTimeOff(barber, cancelledEvents) {
+  for (let i = 0; i < cancelledEvents.length; i += EVENT_ID_BATCH) {
+    const batch = cancelledEvents.slice(i, i + EVENT_ID_BATCH);
+    const blocks = await timeOffOps.getByEventIds(batch.map(event => event.id));
+
+    for (const block of blocks) {
+      if (await timeOffOps.delete(block.id)) releaseBlockedTime(barber, block);
+    }
+  }
+}
+
+async function syncBarberCalendar(watch) {
+  const barber = await barberOps.getById(watch.barber_id);
+  if (!barber?.refresh_token) return null;
+
+  const calendar = getCalendarClient(barber);
+  let changes;
+  try {
+    changes = await listChanges(calendar, watch.calendar_id, watch.sync_token);
+  } catch (e) {
+    // Google invalidates sync tokens from time to time; start over with a full sync
+    if ((e.code || e.response?.status) !== 410) throw e;
+    console.warn(`Sync token expired for calendar ${watch.calendar_id}, running a full sync`);
+    changes = await listChanges(calendar, watch.calendar_id, null);
+  }
+
+  const summary = await applyChanges(barber, watch.calendar_id, changes.events);
+  if (changes.nextSyncToken) {
+    await watchOps.update(watch.id, { sync_token: changes.nextSyncToken });
+  }
+
+  return { ...summary, changes: changes.events.length };
+}
+
+// Pull and apply everything that changed since the watch's sync token. Syncs
+// for one channel run one at a time so each picks up the token the last one saved.
+async function syncWatch(watchId) {
+  return await withKeyedLock(`sync:${watchId}`, async () => {
+    const watch = await watchOps.getByChannelId(watchId);
+    if (!watch) return null;
+
+    // Changes are applied inside the barber's shop, however the sync started
+    return await runForBarberShop(watch.barber_id, () => syncBarberCalendar(watch));
+  });
+}
+
+async function stopWatch(watch, calendar = null) {
+  try {
+    if (!calendar) {
+      const barber = await barberOps.getById(watch.barber_id);
+      calendar = barber?.refresh_token ? getCalendarClient(barber) : null;
+    }
+    if (calendar) {
+      await calendar.channels.stop({ requestBody: { id: watch.id, resourceId: watch.resource_id } });
+    }
+  } catch (e) {
+    // The channel may already have expired on Google's side
+    console.error(`Error stopping calendar watch ${watch.id}:`, e.message);
+  }
+  await watchOps.delete(watch.id);
+}
+
+// Open a notification channel on the barber's booking calendar. The sync token
+// is taken before the channel opens so no change can slip in between.
+async function startWatch(barber, syncToken = null) {
+  const address = getNotificationUrl();
+  if (!address) throw new Error('CALENDAR_NOTIFICATION_URL is not set');
+
+  const calendar = getCalendarClient(barber);
+  const calendarId = barber.selected_calendar_id || 'primary';
+  const startingToken = syncToken || (await listChanges(calendar, calendarId, null)).nextSyncToken;
+
+  const channelId = crypto.randomUUID();
+  const token = crypto.randomBytes(24).toString('hex');
+  const { data } = await calendar.events.watch({
+    calendarId,
+    requestBody: {
+      id: channelId,
+      type: 'web_hook',
+      address,
+      token,
+      params: { ttl: String(WATCH_TTL_SECONDS) }
+    }
+  });
+
+  const watch = await watchOps.create({
+    id: channelId,
+    barber_id: barber.id,
+    calendar_id: calendarId,
+    resource_id: data.resourceId,
+    token,
+    expiration: new Date(Number(data.expiration) || Date.now() + WATCH_TTL_SECONDS * 1000).toISOString(),
+    sync_token: startingToken
+  });
+
+  if (!watch) {
+    await calendar.channels.stop({ requestBody: { id: channelId, resourceId: data.resourceId } });
+    throw new Error('Failed to save calendar watch');
+  }
+
+  return watch;
+}
+
+// Watch the barber's current booking calendar, replacing any older channels.
+// A channel on the same calendar hands its sync token on so no changes are missed.
+async function watchBarberCalendar(barber) {
+  const calendarId = barber.selected_calendar_id || 'primary';
+  const existing = await watchOps.getByBarberId(barber.id);
+  const sameCalendar = existing.find(watch => watch.calendar_id === calendarId && watch.sync_token);
+
+  const watch = await startWatch(barber, sameCalendar?.sync_token || null);
+  for (const old of existing) {
+    await stopWatch(old, getCalendarClient(barber));
+  }
+  return watch;
+}
+
+async function unwatchBarberCalendar(barber) {
+  const existing = await watchOps.getByBarberId(barber.id);
+  for (const watch of existing) {
+    await stopWatch(watch, getCalendarClient(barber));
+  }
+  return existing.length;
+}
+
+async function renewExpiringWatches() {
+  const expiring = await watchOps.getExpiringBefore(Date.now() + RENEW_BEFORE_MS);
+
+  // One new channel per barber replaces all of their expiring ones
+  for (const barberId of new Set(expiring.map(watch => watch.barber_id))) {
+    try {
+      const barber = await barberOps.getById(barberId);
+      if (!barber?.refresh_token) {
+        for (const watch of expiring.filter(watch => watch.barber_id === barberId)) {
+          await stopWatch(watch);
+        }
+        continue;
+      }
+      await watchBarberCalendar(barber);
+    } catch (e) {
+      console.error(`Error renewing calendar watch for barber ${barberId}:`, e.message);
+    }
+  }
+}
+
+// Renew channels in the background; does nothing until a notification URL is configured
+function scheduleWatchRenewal() {
+  if (!getNotificationUrl()) return null;
+
+  const run = () => renewExpiringWatches().catch(e => console.error('Error renewing calendar watches:', e));
+  run();
+  const timer = setInterval(run, RENEW_CHECK_MS);
+  timer.unref();
+  return timer;
+}
+
+// Handle a push notification from Google. The channel token proves it came
+// from a channel we opened; "sync" is Google's hello when a channel starts.
+async function handleNotification(headers) {
+  const channelId = headers['x-goog-channel-id'];
+  const resourceState = headers['x-goog-resource-state'];
+
+  if (!channelId) {
+    return result(400, { success: false, error: 'Missing channel ID' });
+  }
+
+  const watch = await watchOps.getByChannelId(channelId);
+  if (!watch || !tokensMatch(watch.token, headers['x-goog-channel-token']) || watch.resource_id !== headers['x-goog-resource-id']) {
+    return result(404, { success: false, error: 'Unknown notification channel' });
+  }
+
+  if (resourceState === 'sync') {
+    return result(200, { success: true, state: 'sync' });
+  }
+
+  const summary = await syncWatch(watch.id);
+  return result(200, { success: true, state: resourceState, ...summary });
+}
+
+module.exports = {
+  getNotificationUrl,
+  listChanges,
+  applyChanges,
+  syncWatch,
+  startWatch,
+  stopWatch,
+  watchBarberCalendar,
+  unwatchBarberCalendar,
+  renewExpiringWatches,
+  scheduleWatchRenewal,
+  handleNotification
+};
@@ -0,0 +1,132 @@
+// SMS consent. STOP-style keywords opt a client out of all texts, START opts
+// them back in and HELP gets the shop's help message. Every change is kept in
+// the client's sms_consent_history, and sendSms refuses to text anyone opted out.
+//
+// A bare "cancel" opts out too. Twilio and the carriers treat it as an opt-out
+// and stop delivering our texts, so clients cancel an appointment with X.
+const { clientOps } = require('./supabase');
+const { withKeyedLock } = require('./bookingLock');
+const { t, getClientLanguage } = require('./i18n');
+const { getCurrentShop } = require('./shopContext');
+
+const CONSENT_KEYWORDS = {
+  stop: 'opt_out',
+  stopall: 'opt_out',
+  'stop all': 'opt_out',
+  unsubscribe: 'opt_out',
+  cancel: 'opt_out',
+  'cancel all': 'opt_out',
+  cancelall: 'opt_out',
+  end: 'opt_out',
+  quit: 'opt_out',
+  optout: 'opt_out',
+  'opt out': 'opt_out',
+  revoke: 'opt_out',
+  start: 'opt_in',
+  unstop: 'opt_in',
+  subscribe: 'opt_in',
+  help: 'help',
+  info: 'help',
+  parar: 'opt_out',
+  ayuda: 'help'
+};
+
+// Keywords that only make sense in one language are answered in it
+const KEYWORD_LANGUAGES = {
+  parar: 'es',
+  ayuda: 'es'
+};
+
+// SMS_HELP_MESSAGE is the shop's help text, sent as is; SMS_HELP_MESSAGE_ES
+// and so on override it per language. Otherwise it names the client's shop.
+function getHelpMessage(language = 'en') {
+  const configured = process.env[`SMS_HELP_MESSAGE_${language.toUpperCase()}`] ||
+    (language === 'en' ? process.env.SMS_HELP_MESSAGE : null);
+  if (configured) return configured;
+
+  const shopName = getCurrentShop()?.name || process.env.SHOP_NAME || t(language, 'defaultShop');
+  return t(language, 'help', { shop: shopName });
+}
+
+function normalizeKeyword(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The consent action a whole message asks for, if it's one of the keywords.
+// "Yes" ("sí") also opts back in, but only for a client who has opted out.
+function getConsentAction(text, client = null) {
+  const normalized = normalizeKeyword(text);
+  if ((normalized === 'yes' || normalized === 'si') && isOptedOut(client)) return 'opt_in';
+  return CONSENT_KEYWORDS[normalized] || null;
+}
+
+function isOptedOut(client) {
+  return !!client?.sms_opted_out;
+}
+
+// Whether a phone number may be texted. Numbers without a client record have
+// never opted out.
+async function canTextPhoneNumber(phoneNumber) {
+  const client = await clientOps.getByPhoneNumber(phoneNumber);
+  return !isOptedOut(client);
+}
+
+// Opt a phone number out (optedOut true) or back in. `source` and `keyword`
+// say where the change came from for the audit trail.
+async function setSmsConsent(phoneNumber, optedOut, { source = 'api', keyword = null, messageId = null } = {}) {
+  return await withKeyedLock(`consent:${phoneNumber}`, async () => {
+    const client = await clientOps.getByPhoneNumber(phoneNumber) || await clientOps.createOrUpdate({ phone_number: phoneNumber });
+    if (!client) throw new Error('Failed to get or create client');
+
+    return await clientOps.updateSmsConsent(phoneNumber, optedOut, {
+      action: optedOut ? 'opt_out' : 'opt_in',
+      at: new Date().toISOString(),
+      source,
+      keyword,
+      messageId,
+      previouslyOptedOut: isOptedOut(client)
+    });
+  });
+}
+
+// Handle a message that's a consent keyword. Returns { action, reply, client }
+// or null when the message is something else.
+async function handleConsentKeyword({ phoneNumber, text, client = null, source = 'sms', messageId = null }) {
+  const action = getConsentAction(text, client);
+  if (!action) return null;
+
+  const language = KEYWORD_LANGUAGES[normalizeKeyword(text)] || getClientLanguage(client);
+  if (action === 'help') {
+    return { action, reply: getHelpMessage(language), client };
+  }
+
+  const optedOut = action === 'opt_out';
+  const updated = await setSmsConsent(phoneNumber, optedOut, { source, keyword: String(text).trim(), messageId });
+  if (!updated) throw new Error('Failed to update SMS consent');
+
+  return { action, reply: t(language, optedOut ? 'optedOut' : 'optedIn'), client: updated };
+}
+
+function describeConsent(client) {
+  return {
+    optedOut: isOptedOut(client),
+    updatedAt: client?.sms_consent_updated_at || null,
+    history: client?.sms_consent_history || []
+  };
+}
+
+module.exports = {
+  getHelpMessage,
+  getConsentAction,
+  isOptedOut,
+  canTextPhoneNumber,
+  setSmsConsent,
+  handleConsentKeyword,
+  describeConsent
+};
@@ -0,0 +1,318 @@
+// Inbound message handling: store the message, run the conversation and store
+// the reply. The conversation itself is pluggable; the built-in one below is a
+// small booking flow ("book" lists open times, a number books one). Replies of
+// C, R or X confirm, reschedule or cancel the client's next appointment
+// whichever conversation is plugged in. STOP, START and HELP are answered
+// before anything else, and clients who opted out get no other replies.
+// Replies are in the client's language, which follows the language they text
+// in unless they've chosen one (by texting "español" or "english").
+const { barberOps, clientOps, conversationOps } = require('./supabase');
+const { getBarberTimezone } = require('./timezone');
+const { getServicesForBarber, normalizeServiceName } = require('./services');
+const { ANY_BARBER, getCandidateBarbers, findSlotsAcrossBarbers } = require('./anyBarber');
+const { findUpcomingAppointment } = require('./appointmentStatus');
+const { getCurrentSession } = require('./sessions');
+const { handleConsentKeyword, isOptedOut } = require('./consent');
+const { sendSms } = require('./sms');
+const { answerOfferReply } = require('./waitlist');
+const { getBookingFlow, startBookingFlow, completeBookingFlow } = require('./bookingFlow');
+const { t, formatTime, getClientLanguage, getLanguageKeyword, setClientLanguage, detectClientLanguage } = require('./i18n');
+const {
+  getCalendarClient,
+  handleCreateClientAppointment,
+  handleRescheduleAppointment,
+  handleAppointmentStatus
+} = require('./booking');
+
+const BOOKING_KEYWORDS = /\b(book|booking|appointment|appt|available|availability|openings?|slots?|schedule|cita|citas|reservar|agendar|disponibles?|horarios?)\b/i;
+const SLOTS_OFFERED = 3;
+const REPLY_KEYWORDS = {
+  c: 'confirm',
+  confirm: 'confirm',
+  r: 'reschedule',
+  reschedule: 'reschedule',
+  x: 'cancel',
+  confirmar: 'confirm',
+  cambiar: 'reschedule',
+  cancelar: 'cancel'
+};
+
+// Answers to a waitlist offer text ("Reply YES to book it or NO to pass")
+const OFFER_REPLIES = {
+  yes: true,
+  y: true,
+  'sí': true,
+  si: true,
+  no: false,
+  n: false
+};
+
+// The catalog service named anywhere in the message, if any
+function findServiceInText(services, text) {
+  const normalized = ` ${normalizeServiceName(text)} `;
+  return services.find(service =>
+    [service.name, ...service.aliases].some(name => normalized.includes(` ${normalizeServiceName(name)} `))
+  );
+}
+
+async function offerSlots(client, text) {
+  const language = getClientLanguage(client);
+  const catalog = (await getServicesForBarber(null)).filter(service => service.offered);
+  const service = catalog.length > 0 ? findServiceInText(catalog, text) : null;
+
+  if (catalog.length > 0 && !service) {
+    return t(language, 'chooseService', {
+      services: catalog.map(item => item.name).join(', '),
+      example: catalog[0].name.toUpperCase()
+    });
+  }
+
+  const { candidates } = await getCandidateBarbers({
+    serviceId: service?.id,
+    preferredBarberId: client.preferred_barber_id
+  });
+  const preferred = candidates.filter(({ barber }) => String(barber.id) === String(client.preferred_barber_id));
+  const slots = await findSlotsAcrossBarbers(preferred.length > 0 ? preferred : candidates, new Date(), SLOTS_OFFERED, 30, {
+    clientPhone: client.phone_number
+  });
+
+  if (slots.length === 0) {
+    return t(language, 'noOpenTimes');
+  }
+
+  await startBookingFlow(client.phone_number, {
+    barberId: preferred.length > 0 ? preferred[0].barber.id : ANY_BARBER,
+    serviceId: service?.id || null,
+    serviceName: service?.name || null,
+    duration: service?.duration || 30,
+    offeredSlots: slots.map(slot => ({ barberId: slot.barberId, start: slot.start, duration: slot.duration }))
+  });
+
+  const lines = slots.map((slot, i) => t(language, 'slotWithBarber', {
+    number: i + 1,
+    time: formatTime(slot.start, slot.timeZone, language),
+    barber: slot.barberName
+  }));
+  const heading = service ? t(language, 'openTimesForService', { service: service.name }) : t(language, 'openTimes');
+  return [heading, ...lines, t(language, 'replyNumberToBook')].join('\n');
+}
+
+async function bookOfferedSlot(client, slot, serviceId) {
+  const language = getClientLanguage(client);
+  const barber = await barberOps.getById(slot.barberId);
+  if (!barber?.refresh_token) {
+    return t(language, 'barberNotBooking');
+  }
+
+  const timeZone = getBarberTimezone(barber);
+  const booking = await handleCreateClientAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+    clientPhone: client.phone_number,
+    clientName: client.name,
+    serviceId,
+    startDateTime: slot.start,
+    duration: slot.duration,
+    notes: 'Booked by text message',
+    barber,
+    timeZone
+  });
+
+  if (booking.status === 409) {
+    return t(language, 'slotTaken');
+  }
+  if (booking.status !== 200) {
+    return t(language, 'bookingFailed');
+  }
+
+  await completeBookingFlow(client.phone_number, { eventId: booking.body.eventId, barberId: barber.id, start: slot.start });
+  return t(language, 'booked', { time: formatTime(slot.start, timeZone, language), barber: barber.name });
+}
+
+// Offer the next open times with the same barber for an appointment being moved
+async function offerRescheduleSlots(client, appointment, barber) {
+  const language = getClientLanguage(client);
+  const duration = Math.round((new Date(appointment.end_time) - new Date(appointment.start_time)) / 60000) || 30;
+  const slots = await findSlotsAcrossBarbers([{ barber, service: null }], new Date(), SLOTS_OFFERED, duration, {
+    clientPhone: client.phone_number
+  });
+
+  if (slots.length === 0) {
+    return t(language, 'noOtherTimes');
+  }
+
+  await startBookingFlow(client.phone_number, {
+    barberId: barber.id,
+    barberName: barber.name,
+    timeZone: getBarberTimezone(barber),
+    duration,
+    rescheduleEventId: appointment.google_calendar_event_id,
+    offeredSlots: slots.map(slot => ({ barberId: slot.barberId, start: slot.start, duration: slot.duration }))
+  });
+
+  const lines = slots.map((slot, i) => t(language, 'slot', { number: i + 1, time: formatTime(slot.start, slot.timeZone, language) }));
+  return [t(language, 'openTimesWithBarber', { barber: barber.name }), ...lines, t(language, 'replyNumberToMove')].join('\n');
+}
+
+async function rescheduleToOfferedSlot(client, slot, eventId) {
+  const language = getClientLanguage(client);
+  const barber = await barberOps.getById(slot.barberId);
+  if (!barber?.refresh_token) {
+    return t(language, 'moveUnavailable');
+  }
+
+  const timeZone = getBarberTimezone(barber);
+  const outcome = await handleRescheduleAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+    eventId,
+    newStartDateTime: slot.start,
+    clientPhone: client.phone_number,
+    clientName: client.name,
+    barber,
+    timeZone
+  });
+
+  if (outcome.status === 409) {
+    return t(language, 'slotTakenReschedule');
+  }
+  if (outcome.status !== 200) {
+    return t(language, 'moveFailed');
+  }
+
+  await completeBookingFlow(client.phone_number, { eventId, barberId: barber.id, start: slot.start });
+  return t(language, 'moved', { time: formatTime(slot.start, timeZone, language), barber: barber.name });
+}
+
+// C, R or X in reply to a reminder, for the client's next appointment
+async function handleAppointmentReply(client, action) {
+  const language = getClientLanguage(client);
+  const appointment = await findUpcomingAppointment(client.phone_number);
+  if (!appointment) {
+    return t(language, 'noUpcomingAppointment');
+  }
+
+  const barber = await barberOps.getById(appointment.barber_id);
+  const when = formatTime(appointment.start_time, getBarberTimezone(barber), language);
+
+  if (action === 'reschedule') {
+    if (!barber?.refresh_token) return t(language, 'noOtherTimesCallShop');
+    return await offerRescheduleSlots(client, appointment, barber);
+  }
+
+  const outcome = await handleAppointmentStatus(
+    appointment.google_calendar_event_id,
+    action === 'confirm' ? 'confirmed' : 'cancelled',
+    { clientPhone: client.phone_number }
+  );
+  if (outcome.status !== 200) {
+    return t(language, 'updateFailed');
+  }
+
+  return t(language, action === 'confirm' ? 'appointmentConfirmed' : 'appointmentCancelled', { time: when });
+}
+
+async function bookingConversation({ text, client }) {
+  const choice = text.match(/^([1-9])$/);
+  const { flow } = choice ? await getBookingFlow(client.phone_number) : { flow: null };
+  const offered = flow?.state === 'collecting_time' ? flow.slots.offeredSlots || [] : [];
+
+  if (choice && offered.length > 0) {
+    const slot = offered[Number(choice[1]) - 1];
+    if (!slot) return t(getClientLanguage(client), 'pickNumber', { count: offered.length });
+    if (flow.slots.rescheduleEventId) {
+      return await rescheduleToOfferedSlot(client, slot, flow.slots.rescheduleEventId);
+    }
+    return await bookOfferedSlot(client, slot, flow.slots.serviceId);
+  }
+
+  if (BOOKING_KEYWORDS.test(text)) {
+    return await offerSlots(client, text);
+  }
+
+  return client.name && client.name !== 'New Client'
+    ? t(getClientLanguage(client), 'greeting', { name: client.name })
+    : t(getClientLanguage(client), 'greetingNoName');
+}
+
+let conversationHandler = bookingConversation;
+
+// Replace the conversation (e.g. with an agent, or a scripted fake in tests).
+// A handler gets { phoneNumber, text, client, session } and returns the reply text.
+function setConversationHandler(handler) {
+  conversationHandler = handler || bookingConversation;
+}
+
+// Appointment keywords ("C", "R", ...) and answers to a waitlist offer are
+// handled directly, anything else goes to the conversation handler
+async function converse({ phoneNumber, text, client, session }) {
+  const speaker = await detectClientLanguage(client, text);
+
+  const offerAnswer = OFFER_REPLIES[text.toLowerCase().replace(/[.!]+$/, '')];
+  const offerReply = offerAnswer !== undefined ? await answerOfferReply(speaker, offerAnswer) : null;
+  if (offerReply) return offerReply;
+
+  const keyword = REPLY_KEYWORDS[text.toLowerCase()];
+  return keyword
+    ? await handleAppointmentReply(speaker, keyword)
+    : await conversationHandler({ phoneNumber, text, client: speaker, session });
+}
+
+// Store an inbound message, run the conversation and store the reply.
+// Returns the reply text, or null when there's nothing to say.
+async function handleInboundMessage({ from, to, body, messageId = null }) {
+  const text = String(body || '').trim();
+
+  const session = await getCurrentSession(from);
+  if (!session) throw new Error('Failed to get or create session');
+
+  await conversationOps.addMessage(session.id, 'user', text, { channel: 'sms', to, messageId });
+
+  const client = await clientOps.getByPhoneNumber(from) || await clientOps.createOrUpdate({ phone_number: from });
+  if (!client) throw new Error('Failed to get or create client');
+
+  const consent = await handleConsentKeyword({ phoneNumber: from, text, client, source: 'sms', messageId });
+  if (consent) {
+    await conversationOps.addMessage(session.id, 'assistant', consent.reply, { channel: 'sms', consent: consent.action });
+    return consent.reply;
+  }
+
+  if (isOptedOut(client)) return null;
+
+  const chosenLanguage = getLanguageKeyword(text);
+  if (chosenLanguage) {
+    await setClientLanguage(client, chosenLanguage, 'manual');
+    const reply = t(chosenLanguage, 'languageChanged');
+    await conversationOps.addMessage(session.id, 'assistant', reply, { channel: 'sms' });
+    return reply;
+  }
+
+  const reply = await converse({ phoneNumber: from, text, client, session });
+  if (reply) {
+    await conversationOps.addMessage(session.id, 'assistant', reply, { channel: 'sms' });
+  }
+
+  return reply || null;
+}
+
+// Answer a finished batch from /conversation/process-message (see
+// utils/messageBatcher) the way an inbound text is answered, then text the
+// reply. Consent keywords were already handled as each message arrived.
+async function answerMessageBatch({ id, phoneNumber, content }) {
+  const session = await getCurrentSession(phoneNumber);
+  if (!session) throw new Error('Failed to get or create session');
+
+  const client = await clientOps.getByPhoneNumber(phoneNumber) || await clientOps.createOrUpdate({ phone_number: phoneNumber });
+  if (!client) throw new Error('Failed to get or create client');
+  if (isOptedOut(client)) return null;
+
+  const reply = await converse({ phoneNumber, text: String(content || '').trim(), client, session });
+  if (!reply) return null;
+
+  await conversationOps.addMessage(session.id, 'assistant', reply, { channel: 'sms', batchId: id });
+  await sendSms(phoneNumber, reply);
+  return reply;
+}
+
+module.exports = {
+  bookingConversation,
+  setConversationHandler,
+  handleInboundMessage,
+  answerMessageBatch
+};
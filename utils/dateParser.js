@@ -0,0 +1,479 @@
+// Casual date/time phrases ("next tuesday after 3", "tmrw morning") turned into
+// concrete ranges in a barber's timezone, relative to a reference time.
+//
+// Ambiguous phrases get one reading, and each reading taken is listed in
+// `assumptions` so the caller can confirm it with the client:
+//   - bare hours 7-11 are AM and 12-6 are PM ("at 3" is 3:00 PM)
+//   - a bare weekday is its next occurrence after today ("friday" on a Friday is a week out)
+//   - "this <weekday>" is that day in the current week, or next week's once it has passed
+//   - "next <weekday>" is that day in next week; weeks start on Monday
+//   - a time with no day is today, or tomorrow once it has passed
+//   - numeric dates are month/day, and a date without a year is the next one to come
+//   - several days ("mon or tue") are searched from the first through the last
+const { getZonedParts, zonedTimeToUtc, parseDateTimeInZone, formatInZone } = require('./timezone');
+
+const DAY_MINUTES = 1440;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:s|nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)';
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+
+// [from, to] in minutes after local midnight
+const PARTS_OF_DAY = {
+  morning: [6 * 60, 12 * 60],
+  lunch: [11 * 60, 14 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 21 * 60],
+  night: [17 * 60, 22 * 60]
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, couple: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const SOON = /\b(?:asap|as soon as possible|right now|right away|now|soonest|earliest|first available|next available|whenever)\b/;
+
+function normalize(phrase) {
+  return ` ${String(phrase).toLowerCase()} `
+    .replace(/['’]/g, '')
+    .replace(/\b([ap])\.m\b\.?/g, '$1m')
+    .replace(/\b(tmrw|tmrow|tmr|tmw|tomoro|tomorow|tommorow|tommorrow|2morrow|2moro|2mrw)\b/g, 'tomorrow')
+    .replace(/\b(tonite|2nite)\b/g, 'tonight')
+    .replace(/\bnxt\b/g, 'next')
+    .replace(/\b(wknd|wkend)\b/g, 'weekend')
+    .replace(/\boclock\b/g, ' ')
+    .replace(/\b(midday|mid day|noontime)\b/g, 'noon')
+    .replace(/\bnoon\b/g, '12pm')
+    .replace(/\blunch ?time\b/g, 'lunch')
+    .replace(/\btonight\b/g, 'today night')
+    .replace(/\bthis coming\b/g, 'coming')
+    .replace(/(\d)\.(\d{2})\b/g, '$1:$2')
+    .replace(/\b(\d{1,2}(?::\d{2})?)([ap])\b/g, '$1$2m')
+    .replace(/[,!?]/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+// Find a pattern in what's left of the phrase and blank it out so later
+// patterns don't read the same words twice
+function take(state, pattern) {
+  const match = state.text.match(pattern);
+  if (match) {
+    state.text = state.text.slice(0, match.index) + ' '.repeat(match[0].length) + state.text.slice(match.index + match[0].length);
+  }
+  return match;
+}
+
+// Local calendar days are { year, month, day }
+function toLocalDay(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return { year, month, day };
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function makeDay(year, month, day) {
+  const made = addDays({ year, month, day }, 0);
+  return made.month === month && made.day === day ? made : null;
+}
+
+function describeDay(day) {
+  return `${WEEKDAY_NAMES[weekdayOf(day)]} ${MONTHS[day.month - 1].replace(/^./, c => c.toUpperCase())} ${day.day}`;
+}
+
+function describeClock(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour % 12 || 12}:${minute} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function atTime(day, minutes, timeZone) {
+  return zonedTimeToUtc({ ...day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+}
+
+function single(day) {
+  return { first: day, last: day };
+}
+
+// The day in the given week (0 = this week, 1 = next) falling on a weekday
+function dayInWeek(today, weeks, weekday) {
+  const monday = addDays(today, -((weekdayOf(today) + 6) % 7));
+  return addDays(monday, weeks * 7 + (weekday + 6) % 7);
+}
+
+function weekdayIndex(name) {
+  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3));
+}
+
+function parseNumberWord(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word] || null;
+}
+
+// "in 2 hours", "in half an hour", "in 3 days", "in a week"
+function takeRelative(state) {
+  if (take(state, /\bin half an? hour\b/)) return { minutes: 30 };
+
+  const match = take(state, /\bin (?:a )?(\d+|an?|one|two|couple(?: of)?|three|four|five|six|seven|eight|nine|ten|eleven|twelve) (minutes?|mins?|hours?|hrs?|days?|weeks?)\b/);
+  if (!match) return null;
+
+  const amount = parseNumberWord(match[1].replace(/ of$/, ''));
+  const unit = match[2];
+  if (/^(minute|min)/.test(unit)) return { minutes: amount };
+  if (/^(hour|hr)/.test(unit)) return { minutes: amount * 60 };
+  return { days: /^week/.test(unit) ? amount * 7 : amount };
+}
+
+// Resolve a year-less date to the next one to come
+function upcomingDate(state, today, month, dayOfMonth, year, label) {
+  if (year) return makeDay(year < 100 ? 2000 + year : year, month, dayOfMonth);
+
+  const thisYear = makeDay(today.year, month, dayOfMonth);
+  if (thisYear && compareDays(thisYear, today) >= 0) return thisYear;
+
+  const nextYear = makeDay(today.year + 1, month, dayOfMonth);
+  if (nextYear) state.assumptions.push(`"${label}" has passed this year, so ${describeDay(nextYear)} ${nextYear.year}`);
+  return nextYear;
+}
+
+function resolveWeekday(state, today, match, weekOffset) {
+  const [, modifier, name, afterNext] = match;
+  const weekday = weekdayIndex(name);
+  const label = match[0].trim();
+  const todayIndex = weekdayOf(today);
+
+  if (weekOffset !== null) return dayInWeek(today, weekOffset, weekday);
+
+  if (afterNext) {
+    const day = addDays(today, ((weekday - todayIndex + 7) % 7 || 7) + 7);
+    state.assumptions.push(`Read "${label}" as ${describeDay(day)}`);
+    return day;
+  }
+
+  if (modifier === 'this') {
+    const day = dayInWeek(today, 0, weekday);
+    if (compareDays(day, today) >= 0) return day;
+    const nextWeek = dayInWeek(today, 1, weekday);
+    state.assumptions.push(`"${label}" has passed, so ${describeDay(nextWeek)}`);
+    return nextWeek;
+  }
+
+  if (modifier === 'next') {
+    const day = dayInWeek(today, 1, weekday);
+    const upcoming = addDays(today, (weekday - todayIndex + 7) % 7 || 7);
+    if (compareDays(day, upcoming) !== 0) {
+      state.assumptions.push(`Read "${label}" as ${describeDay(day)} (next week), not ${describeDay(upcoming)}`);
+    }
+    return day;
+  }
+
+  const day = addDays(today, (weekday - todayIndex + 7) % 7 || 7);
+  if (weekday === todayIndex) {
+    state.assumptions.push(`Read "${label}" as ${describeDay(day)}, not today`);
+  }
+  return day;
+}
+
+// The day or days a phrase refers to: { first, last }, null when it names no
+// day, or { invalid: true } for a date that doesn't exist
+function takeDays(state, today) {
+  if (take(state, /\bday after tomorrow\b/)) return single(addDays(today, 2));
+  if (take(state, /\btoday\b/)) return single(today);
+  if (take(state, /\btomorrow\b/)) return single(addDays(today, 1));
+
+  if (take(state, /\blater this week\b/)) {
+    const sunday = dayInWeek(today, 0, 0);
+    return compareDays(sunday, today) > 0 ? { first: addDays(today, 1), last: sunday } : single(today);
+  }
+
+  const weekOffset = take(state, /\bnext week\b/) ? 1 : take(state, /\bthis week\b/) ? 0 : null;
+
+  const weekday = take(state, new RegExp(`\\b(?:(this|next|coming|on) )?${WEEKDAY}\\b(?: (after next))?`));
+  if (weekday) return single(resolveWeekday(state, today, weekday, weekOffset));
+
+  if (weekOffset === 1) return { first: dayInWeek(today, 1, 1), last: dayInWeek(today, 1, 0) };
+  if (weekOffset === 0) return { first: today, last: dayInWeek(today, 0, 0) };
+
+  const weekend = take(state, /\b(?:(this|next|coming) )?weekend\b/);
+  if (weekend) {
+    const weeks = weekend[1] === 'next' ? 1 : 0;
+    const saturday = dayInWeek(today, weeks, 6);
+    const sunday = dayInWeek(today, weeks, 0);
+    if (weekend[1] === 'next') state.assumptions.push(`Read "next weekend" as ${describeDay(saturday)} - ${describeDay(sunday)}`);
+    return { first: compareDays(saturday, today) > 0 ? saturday : today, last: sunday };
+  }
+
+  let match = take(state, /\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) {
+    const day = makeDay(+match[1], +match[2], +match[3]);
+    return day ? single(day) : { invalid: true };
+  }
+
+  match = take(state, new RegExp(`\\b${MONTH}\\.? (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b(?! ?(?:am|pm|:))`));
+  if (match) {
+    const day = upcomingDate(state, today, MONTHS.indexOf(match[1].slice(0, 3)) + 1, +match[2], match[3] && +match[3], match[0].trim());
+    return day ? single(day) : { invalid: true };
+  }
+
+  match = take(state, new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}\\b(?: (\\d{4}))?`));
+  if (match) {
+    const day = upcomingDate(state, today, MONTHS.indexOf(match[2].slice(0, 3)) + 1, +match[1], match[3] && +match[3], match[0].trim());
+    return day ? single(day) : { invalid: true };
+  }
+
+  match = take(state, /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/);
+  if (match) {
+    const [, month, dayOfMonth, year] = match;
+    if (+month <= 12 && +dayOfMonth <= 12 && +month !== +dayOfMonth) {
+      state.assumptions.push(`Read "${match[0]}" as month/day`);
+    }
+    const day = upcomingDate(state, today, +month, +dayOfMonth, year && +year, match[0]);
+    return day ? single(day) : { invalid: true };
+  }
+
+  // "the 3rd": this month, or next month once it has passed
+  match = take(state, /\b(?:on )?(?:the )?(\d{1,2})(?:st|nd|rd|th)\b/);
+  if (match) {
+    const dayOfMonth = +match[1];
+    let day = makeDay(today.year, today.month, dayOfMonth);
+    if (!day || compareDays(day, today) < 0) {
+      const nextMonth = addDays({ year: today.year, month: today.month, day: 1 }, 32);
+      day = makeDay(nextMonth.year, nextMonth.month, dayOfMonth);
+      if (day) state.assumptions.push(`Read "${match[0].trim()}" as ${describeDay(day)}`);
+    }
+    return day ? single(day) : { invalid: true };
+  }
+
+  return null;
+}
+
+function dayCount(days) {
+  return Math.round(compareDays(days.last, days.first) / 86400000) + 1;
+}
+
+// More days joined on with "or"/"and" ("mon or tue", "sat and sun") widen the
+// range to cover them all
+function takeMoreDays(state, today, days) {
+  if (!/\b(?:or|and)\b/.test(state.text)) return days;
+
+  const named = [days];
+  let merged = days;
+
+  for (let more = takeDays(state, today); more; more = takeDays(state, today)) {
+    if (more.invalid) return more;
+
+    named.push(more);
+    merged = {
+      first: compareDays(more.first, merged.first) < 0 ? more.first : merged.first,
+      last: compareDays(more.last, merged.last) > 0 ? more.last : merged.last
+    };
+  }
+
+  if (named.length > 1 && named.reduce((total, range) => total + dayCount(range), 0) < dayCount(merged)) {
+    state.assumptions.push(`Searching ${describeDay(merged.first)} through ${describeDay(merged.last)}, including the days in between`);
+  }
+  return merged;
+}
+
+// "morning", "early afternoon", "after work"
+function takePartOfDay(state) {
+  if (take(state, /\bafter work\b/)) {
+    state.assumptions.push('Read "after work" as the evening');
+    return { name: 'evening', from: PARTS_OF_DAY.evening[0], to: PARTS_OF_DAY.evening[1] };
+  }
+
+  const match = take(state, /\b(?:in the |this )?(?:(early|late|mid) ?-?)?(morning|lunch|afternoon|evening|night)\b/);
+  if (!match) return null;
+
+  const [from, to] = PARTS_OF_DAY[match[2]];
+  const middle = Math.round((from + to) / 2);
+  const quarter = Math.round((to - from) / 4);
+  const bounds = {
+    early: [from, middle],
+    late: [middle, to],
+    mid: [from + quarter, to - quarter]
+  }[match[1]] || [from, to];
+
+  return { name: match[2], from: bounds[0], to: bounds[1] };
+}
+
+// One clock time in minutes after midnight, or null if it isn't a time
+function readClock(state, hourText, minuteText, meridiem, part) {
+  let hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    return ((hour % 12) + (meridiem === 'pm' ? 12 : 0)) * 60 + minute;
+  }
+
+  // 24-hour times ("15:00", "09:30") need no guessing
+  if (hour === 0 || hour >= 13 || /^0\d/.test(hourText)) return hour * 60 + minute;
+
+  if (part) {
+    const pm = ['afternoon', 'evening', 'night'].includes(part.name) || (part.name === 'lunch' && hour < 7);
+    return ((pm && hour < 12) ? hour + 12 : hour) * 60 + minute;
+  }
+
+  if (hour < 7) hour += 12;
+  const minutes = hour * 60 + minute;
+  state.assumptions.push(`Read "${minuteText ? `${hourText}:${minuteText}` : hourText}" as ${describeClock(minutes)}`);
+  return minutes;
+}
+
+// A time that can't be on a clock ("at 25", "3:75")
+const INVALID_TIME = { invalid: true };
+
+// The time of day: an exact time or a window, in minutes after midnight, or
+// INVALID_TIME when the phrase names an impossible one
+function takeTime(state, part) {
+  const dayStart = part ? part.from : 0;
+  const dayEnd = part ? part.to : DAY_MINUTES;
+
+  const range = take(state, new RegExp(`\\bbetween ${TIME} ?(?:and|-|to) ?${TIME}\\b`)) ||
+    take(state, new RegExp(`\\b(?:from )?${TIME} ?(?:-|to|till|til|until) ?${TIME}\\b`));
+  if (range) {
+    const [, h1, m1, mer1, h2, m2, mer2] = range;
+    let from = readClock(state, h1, m1, mer1 || mer2, part);
+    const to = readClock(state, h2, m2, mer2, part);
+    if (to === null || from === null) return INVALID_TIME;
+    // "11-1pm" is 11 AM to 1 PM
+    if (!mer1 && mer2 && from >= to) from = readClock(state, h1, m1, mer2 === 'pm' ? 'am' : 'pm', part);
+    return { from, to: to <= from && to < 12 * 60 ? to + 12 * 60 : to, exact: false };
+  }
+
+  const after = take(state, new RegExp(`\\b(?:any ?time after|after|from|past|no earlier than|not before) ${TIME}\\b`)) ||
+    take(state, new RegExp(`\\b${TIME} (?:or later|and later|onwards?|on)\\b`));
+  if (after) {
+    const from = readClock(state, after[1], after[2], after[3], part);
+    return from === null ? INVALID_TIME : { from, to: Math.max(dayEnd, from), exact: false };
+  }
+
+  const before = take(state, new RegExp(`\\b(?:before|by|until|till|no later than) ${TIME}\\b`));
+  if (before) {
+    const to = readClock(state, before[1], before[2], before[3], part);
+    return to === null ? INVALID_TIME : { from: Math.min(dayStart, to), to, exact: false };
+  }
+
+  const around = take(state, new RegExp(`\\b(?:around|about|approx(?:imately)?|roughly|ish) ${TIME}\\b`)) ||
+    take(state, new RegExp(`\\b${TIME} ?-?ish\\b`));
+  if (around) {
+    const at = readClock(state, around[1], around[2], around[3], part);
+    return at === null ? INVALID_TIME : { from: Math.max(0, at - 30), to: Math.min(DAY_MINUTES, at + 30), exact: false };
+  }
+
+  const exact = take(state, new RegExp(`(?:\\bat |@ ?)?\\b${TIME}\\b`));
+  if (exact) {
+    const at = readClock(state, exact[1], exact[2], exact[3], part);
+    return at === null ? INVALID_TIME : { from: at, to: at, exact: true };
+  }
+
+  return part ? { from: part.from, to: part.to, exact: false } : null;
+}
+
+// Parse a phrase into { start, end, exact, inPast, assumptions }, where start
+// and end are instants (end is null for "asap"), or null if it can't be read.
+// Exact results name one time; the rest are windows to search within.
+function parseDateTimePhrase(phrase, { timeZone, reference = new Date() } = {}) {
+  const now = new Date(reference);
+  const state = { text: normalize(phrase), assumptions: [] };
+  if (!state.text.trim()) return null;
+
+  const today = toLocalDay(now, timeZone);
+  const nowParts = getZonedParts(now, timeZone);
+  const nowMinutes = nowParts.hour * 60 + nowParts.minute;
+
+  const finish = (start, end, exact) => ({
+    start,
+    end,
+    exact,
+    inPast: (end || start) < now,
+    assumptions: state.assumptions
+  });
+
+  if (take(state, /\blater today\b/)) {
+    return finish(now, atTime(addDays(today, 1), 0, timeZone), false);
+  }
+
+  const soon = take(state, SOON);
+  const relative = takeRelative(state);
+  if (relative?.minutes) {
+    const at = new Date(now.getTime() + relative.minutes * 60000);
+    return finish(at, at, true);
+  }
+
+  let days = takeDays(state, today);
+  if (days && !days.invalid) days = takeMoreDays(state, today, days);
+  if (days?.invalid) return null;
+  if (!days && relative?.days) days = single(addDays(today, relative.days));
+
+  const part = takePartOfDay(state);
+  const time = takeTime(state, part);
+  if (time?.invalid || (!time && /\d/.test(state.text))) return null;
+
+  if (!days && !time) {
+    return soon ? finish(now, null, false) : null;
+  }
+
+  if (!days) {
+    // A time with no day is today, or tomorrow once it has passed
+    const passed = time.exact ? time.from <= nowMinutes : time.to <= nowMinutes;
+    days = single(passed ? addDays(today, 1) : today);
+    if (passed) state.assumptions.push(`That time has passed today, so ${describeDay(days.first)}`);
+  }
+
+  const from = time ? time.from : 0;
+  const to = time ? time.to : DAY_MINUTES;
+  const exact = !!time?.exact && compareDays(days.first, days.last) === 0;
+  const start = atTime(days.first, from, timeZone);
+  return finish(start, exact ? start : atTime(days.last, to, timeZone), exact);
+}
+
+const BARE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Scheduling inputs may be ISO date-times (read exactly, as before) or phrases.
+// A bare ISO date is a whole day, the same as "June 14".
+function resolveDateTimeInput(value, timeZone, reference = new Date()) {
+  if (BARE_DATE.test(String(value).trim())) {
+    return parseDateTimePhrase(value, { timeZone, reference });
+  }
+
+  try {
+    const start = parseDateTimeInZone(value, timeZone);
+    return { start, end: start, exact: true, inPast: start < new Date(reference), assumptions: [] };
+  } catch (e) {
+    return parseDateTimePhrase(value, { timeZone, reference });
+  }
+}
+
+function describeParsed(parsed, timeZone) {
+  return {
+    start: parsed.start.toISOString(),
+    end: parsed.end ? parsed.end.toISOString() : null,
+    localStart: formatInZone(parsed.start, timeZone),
+    localEnd: parsed.end ? formatInZone(parsed.end, timeZone) : null,
+    exact: parsed.exact,
+    inPast: parsed.inPast,
+    assumptions: parsed.assumptions,
+    timeZone
+  };
+}
+
+module.exports = {
+  parseDateTimePhrase,
+  resolveDateTimeInput,
+  describeParsed
+};
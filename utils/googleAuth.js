@@ -0,0 +1,46 @@
+// Google sign-in. Every request gets its own OAuth client: tokens set on a
+// shared one could be picked up by a sign-in running at the same time.
+const { google } = require('googleapis');
+
+function createGoogleOAuthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+}
+
+// Swapped for a fake in tests, like the Calendar client in utils/booking
+let oauthClientFactory = createGoogleOAuthClient;
+
+function setOAuthClientFactory(factory) {
+  oauthClientFactory = factory || createGoogleOAuthClient;
+}
+
+function createOAuthClient() {
+  return oauthClientFactory();
+}
+
+// Trade the callback's code for tokens on a new client. The account comes from
+// the signed ID token, and its email only counts once Google has verified it.
+async function exchangeAuthCode(code) {
+  const client = createOAuthClient();
+  const { tokens } = await client.getToken(code);
+  client.setCredentials(tokens);
+
+  const ticket = await client.verifyIdToken({ idToken: tokens.id_token, audience: process.env.GOOGLE_CLIENT_ID });
+  const payload = ticket.getPayload() || {};
+
+  return {
+    client,
+    tokens,
+    email: payload.email_verified ? payload.email : null,
+    name: payload.name || null
+  };
+}
+
+module.exports = {
+  createOAuthClient,
+  setOAuthClientFactory,
+  exchangeAuthCode
+};
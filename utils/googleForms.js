@@ -0,0 +1,122 @@
+// The Google Form clients book through lists every barber in a dropdown,
+// kept in step with the barbers table. Each shop has its own form.
+const { google } = require('googleapis');
+const { barberOps } = require('./supabase');
+const { getCurrentShop } = require('./shopContext');
+
+// The current shop's form, or the env settings from before there were shops
+function getFormSettings() {
+  const shop = getCurrentShop();
+  return shop
+    ? { formId: shop.google_form_id, questionId: shop.google_form_barber_question_id }
+    : { formId: process.env.GOOGLE_FORM_ID, questionId: process.env.GOOGLE_FORM_BARBER_QUESTION_ID };
+}
+
+// Replace the form's barber dropdown with the current list of barbers
+async function updateFormBarberDropdown(refreshToken) {
+  const { formId } = getFormSettings();
+  try {
+    // Create new OAuth client with the refresh token
+    const formOAuth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.REDIRECT_URI
+    );
+    
+    formOAuth2Client.setCredentials({
+      refresh_token: refreshToken
+    });
+    
+    // Create Forms API client
+    const forms = google.forms({
+      version: 'v1',
+      auth: formOAuth2Client
+    });
+    
+    // Get all barbers from database
+    const allBarbers = await barberOps.getAllBarbers();
+    
+    if (!allBarbers || allBarbers.length === 0) {
+      console.log('No barbers found to update form dropdown');
+      return;
+    }
+    
+    // Get current form structure
+    const form = await forms.forms.get({
+      formId
+    });
+    
+    // Find the target question (barber selection dropdown) by looking for the first dropdown in the form
+    // or you could search by title if your dropdown has a specific title
+    const targetQuestion = form.data.items.find(item => 
+      item.questionItem && 
+      item.questionItem.question.choiceQuestion &&
+      item.questionItem.question.choiceQuestion.type === 'DROP_DOWN'
+    );
+    
+    if (!targetQuestion) {
+      console.error('Target question not found in form');
+      return;
+    }
+    
+    // Prepare barber names for dropdown
+    const barberNames = allBarbers.map(barber => barber.name).sort();
+    
+    // Update the dropdown options
+    const updateRequest = {
+      requests: [{
+        updateItem: {
+          item: {
+            itemId: targetQuestion.itemId,
+            questionItem: {
+              question: {
+                questionId: targetQuestion.questionItem.question.questionId,
+                choiceQuestion: {
+                  type: 'DROP_DOWN',
+                  options: barberNames.map(name => ({
+                    value: name
+                  }))
+                }
+              }
+            }
+          },
+          location: {
+            index: targetQuestion.location.index
+          },
+          updateMask: 'questionItem.question.choiceQuestion.options'
+        }
+      }]
+    };
+    
+    // Perform the update
+    await forms.forms.batchUpdate({
+      formId,
+      requestBody: updateRequest
+    });
+    
+    console.log('Successfully updated form dropdown with barbers:', barberNames);
+    return true;
+  } catch (error) {
+    console.error('Error updating form dropdown:', error);
+    throw error;
+  }
+}
+
+// Refresh the dropdown after a barber joins or is renamed. Does nothing when
+// the form isn't configured.
+async function refreshBarberDropdown(refreshToken = null) {
+  const { formId, questionId } = getFormSettings();
+  if (!formId || !questionId) return false;
+
+  if (!refreshToken) {
+    const { data: barber } = await barberOps.getFirstWithRefreshToken();
+    refreshToken = barber?.refresh_token;
+    if (!refreshToken) return false;
+  }
+  return await updateFormBarberDropdown(refreshToken);
+}
+
+module.exports = {
+  updateFormBarberDropdown,
+  refreshBarberDropdown
+};
@@ -0,0 +1,108 @@
+// Client-facing text in the client's language. Each language is a file in
+// locales/ (named by its code, e.g. es.json) holding its message templates,
+// the words that switch to it and the words that suggest it when detecting.
+// A message missing from a locale falls back to English.
+const fs = require('fs');
+const path = require('path');
+const { clientOps } = require('./supabase');
+const { formatFriendly } = require('./timezone');
+
+const DEFAULT_LANGUAGE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+const locales = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+function getSupportedLanguages() {
+  return Object.keys(locales);
+}
+
+// "es", "ES" and "es-MX" are all Spanish; unsupported languages are null
+function normalizeLanguage(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return locales[code] ? code : null;
+}
+
+function getClientLanguage(client) {
+  return normalizeLanguage(client?.language) || DEFAULT_LANGUAGE;
+}
+
+function getLanguageName(language, { english = false } = {}) {
+  const info = locales[normalizeLanguage(language) || DEFAULT_LANGUAGE].language;
+  return english ? info.englishName : info.name;
+}
+
+// A message in the given language with {placeholders} filled in
+function t(language, key, params = {}) {
+  const template = locales[normalizeLanguage(language) || DEFAULT_LANGUAGE].messages[key] ??
+    locales[DEFAULT_LANGUAGE].messages[key] ??
+    key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+function formatTime(date, timeZone, language) {
+  const locale = locales[normalizeLanguage(language) || DEFAULT_LANGUAGE].language.intlLocale;
+  return formatFriendly(date, timeZone, locale);
+}
+
+function wordsOf(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+}
+
+// The language a message is most likely written in, or null when it's too
+// short or mixed to tell (a lone "C" or "2" says nothing)
+function detectLanguage(text) {
+  const words = wordsOf(text);
+  const scores = Object.entries(locales).map(([code, locale]) => {
+    const known = new Set(locale.detection.words);
+    const characters = [...(locale.detection.characters || '')];
+    const score = words.filter(word => known.has(word)).length +
+      (characters.some(character => String(text).toLowerCase().includes(character)) ? 1 : 0);
+    return { code, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  return best.score >= 2 && best.score > (runnerUp?.score || 0) ? best.code : null;
+}
+
+// The language a whole message asks to switch to ("español", "english")
+function getLanguageKeyword(text) {
+  const normalized = String(text || '').toLowerCase().trim().replace(/[.!]+$/, '');
+  return Object.keys(locales).find(code => locales[code].language.keywords.includes(normalized)) || null;
+}
+
+// Set the client's language. A language the client or staff chose ('manual')
+// sticks; detection only updates clients who never chose one.
+async function setClientLanguage(client, language, source) {
+  const code = normalizeLanguage(language);
+  if (!client || !code) return client;
+  if (source === 'detected' && client.language_source === 'manual') return client;
+  if (client.language === code && client.language_source === source) return client;
+
+  const updated = await clientOps.updateLanguage(client.phone_number, code, source);
+  return updated ? { ...client, ...updated } : client;
+}
+
+// Follow the language of an inbound message
+async function detectClientLanguage(client, text) {
+  const detected = detectLanguage(text);
+  if (!detected || detected === client?.language) return client;
+  return await setClientLanguage(client, detected, 'detected');
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getSupportedLanguages,
+  normalizeLanguage,
+  getClientLanguage,
+  getLanguageName,
+  t,
+  formatTime,
+  detectLanguage,
+  getLanguageKeyword,
+  setClientLanguage,
+  detectClientLanguage
+};
@@ -0,0 +1,139 @@
+// Groups a client's burst of messages into one batch. Messages are stored as
+// they arrive; a per-phone timer restarts on every message and, once the
+// client has been quiet for a while, the whole batch is handed over exactly
+// once. Batching lives in this process, so run a single instance. A client
+// texting two shops gets a batch per shop, each handed over in its own shop.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { conversationOps } = require('./supabase');
+const { answerMessageBatch } = require('./conversation');
+const { runWithShop, getCurrentShop, getCurrentShopId } = require('./shopContext');
+
+const QUIET_MS = 5000;
+const MAX_WAIT_MS = 30000;
+
+// onBatch gets { id, phoneNumber, messages, content, startedAt }. Timers and
+// the clock are injectable so tests can drive batches with fake timers.
+function createMessageBatcher({
+  quietMs = QUIET_MS,
+  maxWaitMs = MAX_WAIT_MS,
+  onBatch,
+  timers = { setTimeout, clearTimeout },
+  now = () => Date.now()
+} = {}) {
+  const pending = new Map();
+
+  // Batches are per shop (the one the caller is running in) and phone
+  function batchKey(phoneNumber) {
+    return `${getCurrentShopId() || ''}:${phoneNumber}`;
+  }
+
+  // Take the batch out before handing it over, so a message arriving while
+  // onBatch runs starts a new batch instead of joining this one
+  function emitBatch(key) {
+    const batch = pending.get(key);
+    if (!batch) return null;
+
+    pending.delete(key);
+    timers.clearTimeout(batch.timer);
+    const { phoneNumber } = batch;
+
+    const ready = {
+      id: batch.id,
+      phoneNumber,
+      messages: batch.messages,
+      content: batch.messages.map(message => message.content).join(' '),
+      startedAt: new Date(batch.startedAt)
+    };
+
+    // The timer runs in whichever request set it last, so the shop is put back
+    try {
+      Promise.resolve(runWithShop(batch.shop, () => onBatch(ready)))
+        .catch(e => console.error(`Error handling message batch ${batch.id}:`, e));
+    } catch (e) {
+      console.error(`Error handling message batch ${batch.id}:`, e);
+    }
+    return ready;
+  }
+
+  function emit(phoneNumber) {
+    return emitBatch(batchKey(phoneNumber));
+  }
+
+  // Add a message to the phone's open batch (or start one) and restart its
+  // quiet period. A batch is never held past maxWaitMs from its first message.
+  function add(phoneNumber, message, options = {}) {
+    const key = batchKey(phoneNumber);
+    let batch = pending.get(key);
+    if (!batch) {
+      batch = { id: crypto.randomUUID(), phoneNumber, shop: getCurrentShop(), startedAt: now(), messages: [], timer: null };
+      pending.set(key, batch);
+    }
+    batch.messages.push(message);
+
+    const wait = options.quietMs ?? quietMs;
+    const delay = Math.max(0, Math.min(wait, batch.startedAt + maxWaitMs - now()));
+
+    timers.clearTimeout(batch.timer);
+    batch.timer = timers.setTimeout(() => {
+      if (pending.get(key) === batch) emitBatch(key);
+    }, delay);
+    if (batch.timer?.unref) batch.timer.unref();
+
+    return { batchId: batch.id, messageCount: batch.messages.length, flushAt: new Date(now() + delay) };
+  }
+
+  function getPending(phoneNumber) {
+    const batch = pending.get(batchKey(phoneNumber));
+    return batch ? { batchId: batch.id, messageCount: batch.messages.length } : null;
+  }
+
+  function stop() {
+    for (const batch of pending.values()) timers.clearTimeout(batch.timer);
+    pending.clear();
+  }
+
+  return { add, flush: emit, getPending, stop };
+}
+
+// Finished conversation batches: 'batch' { id, phoneNumber, sessionId, messages, content }
+const batchEvents = new EventEmitter();
+
+// Mark the batch's messages processed and tell listeners. With
+// MESSAGE_BATCH_CALLBACK_URL set the batch is posted there for an outside flow
+// to answer; otherwise it's answered here by the SMS conversation (the agent
+// when SMS_CONVERSATION=agent) and the reply is texted to the client.
+async function handleConversationBatch(batch) {
+  const ready = { ...batch, sessionId: batch.messages[0]?.session_id || null };
+
+  await conversationOps.markProcessed(batch.messages.map(message => message.id), batch.id);
+  batchEvents.emit('batch', ready);
+
+  const callbackUrl = process.env.MESSAGE_BATCH_CALLBACK_URL;
+  if (!callbackUrl) {
+    await answerMessageBatch(ready);
+    return;
+  }
+
+  try {
+    await axios.post(callbackUrl, {
+      batchId: ready.id,
+      phoneNumber: ready.phoneNumber,
+      sessionId: ready.sessionId,
+      content: ready.content,
+      messageIds: ready.messages.map(message => message.id),
+      messageCount: ready.messages.length
+    });
+  } catch (e) {
+    console.error(`Error posting message batch ${ready.id}:`, e.message);
+  }
+}
+
+const conversationBatcher = createMessageBatcher({ onBatch: handleConversationBatch });
+
+module.exports = {
+  createMessageBatcher,
+  batchEvents,
+  conversationBatcher
+};
@@ -0,0 +1,11 @@
+// Phone numbers are stored in E.164. Ten-digit numbers are taken to be US numbers.
+function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (!digits) return null;
+  if (digits.length === 10) return '+1' + digits;
+  return '+' + digits;
+}
+
+module.exports = {
+  normalizePhoneNumber
+};
@@ -0,0 +1,343 @@
+// Public web booking. Clients pick a service and an open time on a barber's
+// page, then confirm they own the phone number with a texted code before the
+// appointment is booked. The slot is held while they enter the code.
+const crypto = require('crypto');
+const { clientOps, holdOps } = require('./supabase');
+const { getCurrentShop } = require('./shopContext');
+const { getBarberTimezone, getZonedParts, zonedTimeToUtc, parseDateTimeInZone, formatInZone } = require('./timezone');
+const { checkSlotAvailability, findNextAvailableSlots } = require('./availability');
+const { getServicesForBarber, resolveService, toPublicService } = require('./services');
+const { withKeyedLock, withSlotClaim } = require('./bookingLock');
+const { getCalendarClient, slotUnavailable, handleCreateClientAppointment } = require('./booking');
+const { normalizePhoneNumber } = require('./phoneNumber');
+const { sendSms } = require('./sms');
+const { t, getClientLanguage } = require('./i18n');
+
+// The code and the hold on the slot last the same time
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODE_SENDS = 3;
+// Codes texted to one number, or from one IP address, in a rolling hour.
+// Counted in this process, so each instance keeps its own tally.
+const SEND_WINDOW_MS = 60 * 60000;
+const MAX_SENDS_PER_PHONE = 5;
+const MAX_SENDS_PER_IP = 20;
+const BOOKING_DAYS_AHEAD = 60;
+// Enough for a full day of 30-minute slots
+const SLOTS_PER_DAY = 32;
+
+function result(status, body) {
+  return { status, body };
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+const recentSends = new Map();
+
+function sendsInWindow(key, now) {
+  const since = now.getTime() - SEND_WINDOW_MS;
+  const times = (recentSends.get(key) || []).filter(time => time > since);
+  if (times.length === 0) recentSends.delete(key);
+  else recentSends.set(key, times);
+  return times;
+}
+
+// Count a code about to be sent to `phone` from `ip`. False (and nothing
+// counted) when either has already had its share this hour.
+function takeSend(phone, ip, now) {
+  const limits = [[`phone:${phone}`, MAX_SENDS_PER_PHONE]];
+  if (ip) limits.push([`ip:${ip}`, MAX_SENDS_PER_IP]);
+
+  if (limits.some(([key, max]) => sendsInWindow(key, now).length >= max)) return false;
+  for (const [key] of limits) recentSends.set(key, [...sendsInWindow(key, now), now.getTime()]);
+  return true;
+}
+
+function tooManySends() {
+  return result(429, {
+    success: false,
+    errorCode: 'TOO_MANY_CODES',
+    error: 'Too many codes have been sent. Please wait an hour and try again.'
+  });
+}
+
+function codesMatch(expectedHash, code) {
+  const a = Buffer.from(String(expectedHash || ''));
+  const b = Buffer.from(hashCode(String(code || '').replace(/\D/g, '')));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// "+15551234567" -> "(•••) •••-4567"
+function maskPhoneNumber(phone) {
+  return `(•••) •••-${String(phone).slice(-4)}`;
+}
+
+function getShopName() {
+  return getCurrentShop()?.name || process.env.SHOP_NAME || null;
+}
+
+// Services a barber offers, for the service picker
+async function getBookableServices(barber) {
+  const services = await getServicesForBarber(barber.id);
+  return services.filter(service => service.offered).map(toPublicService);
+}
+
+// Local midnight at the start of `date` (YYYY-MM-DD) and the day after
+function getDayWindow(date, timeZone) {
+  const start = parseDateTimeInZone(`${date}T00:00:00`, timeZone);
+  const local = getZonedParts(start, timeZone);
+  return { start, end: zonedTimeToUtc({ ...local, day: local.day + 1 }, timeZone) };
+}
+
+// Open times on one day, found the same way as /find-available-slots. With
+// none left that day, nextOpenSlot is the first opening in the week after.
+async function findOpenSlots(barber, { serviceId, date }, now = new Date()) {
+  const timeZone = getBarberTimezone(barber);
+  const today = formatInZone(now, timeZone).slice(0, 10);
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) ? date : today;
+
+  const resolved = await resolveService({ serviceId, barberId: barber.id });
+  if (resolved.error) return result(400, { success: false, ...resolved.error });
+  const service = resolved.service;
+  const duration = service?.duration || 30;
+
+  const window = getDayWindow(day, timeZone);
+  if (window.end <= now) {
+    return result(400, { success: false, errorCode: 'DATETIME_IN_PAST', error: 'That day has already passed' });
+  }
+  if (window.start > new Date(now.getTime() + BOOKING_DAYS_AHEAD * 86400000)) {
+    return result(400, { success: false, error: `Appointments can be booked up to ${BOOKING_DAYS_AHEAD} days ahead` });
+  }
+
+  const calendar = getCalendarClient(barber);
+  const startFrom = window.start > now ? window.start : now;
+  const slots = await findNextAvailableSlots(calendar, barber, startFrom, SLOTS_PER_DAY, duration, { service, until: window.end });
+  const [nextOpenSlot = null] = slots.length === 0
+    ? await findNextAvailableSlots(calendar, barber, window.end, 1, duration, { service })
+    : [];
+
+  return result(200, {
+    success: true,
+    date: day,
+    today,
+    lastDay: formatInZone(new Date(now.getTime() + BOOKING_DAYS_AHEAD * 86400000), timeZone).slice(0, 10),
+    timeZone,
+    service: service ? toPublicService(service) : null,
+    duration,
+    slots,
+    nextOpenSlot
+  });
+}
+
+async function sendCode(phone, code) {
+  const client = await clientOps.getByPhoneNumber(phone);
+  const language = getClientLanguage(client);
+  return await sendSms(phone, t(language, 'webBookingCode', {
+    code,
+    shop: getShopName() || t(language, 'defaultShop'),
+    minutes: CODE_TTL_MINUTES
+  }));
+}
+
+function codeNotSent(sent) {
+  return sent.optedOut
+    ? result(400, { success: false, errorCode: 'SMS_OPTED_OUT', error: 'This number has opted out of texts from the shop. Text START to the shop, then try again.' })
+    : result(502, { success: false, error: 'We couldn\'t text a code to that number. Check it and try again.' });
+}
+
+// Hold the chosen slot and text a code to the phone number. The returned
+// pendingBooking is kept server-side (in the session) until the code is entered.
+// `ip` is the visitor's address, for the per-IP limit on texted codes.
+async function handleStartWebBooking(barber, { serviceId, startDateTime, name, phone, ip }, now = new Date()) {
+  if (!barber?.refresh_token) {
+    return result(404, { success: false, error: 'This barber isn\'t taking online bookings' });
+  }
+
+  const clientName = String(name || '').trim().slice(0, 80);
+  const clientPhone = normalizePhoneNumber(phone);
+  if (!clientName) {
+    return result(400, { success: false, error: 'Enter your name' });
+  }
+  if (!clientPhone || !/^\+\d{10,15}$/.test(clientPhone)) {
+    return result(400, { success: false, error: 'Enter a valid mobile number' });
+  }
+  if (!startDateTime) {
+    return result(400, { success: false, error: 'Pick a time' });
+  }
+
+  const timeZone = getBarberTimezone(barber);
+  const resolved = await resolveService({ serviceId, barberId: barber.id });
+  if (resolved.error) return result(400, { success: false, ...resolved.error });
+  const service = resolved.service;
+  const duration = service?.duration || 30;
+
+  let startTime;
+  try {
+    startTime = parseDateTimeInZone(startDateTime, timeZone);
+  } catch (e) {
+    return result(400, { success: false, error: e.message });
+  }
+  if (startTime <= now) {
+    return result(400, { success: false, errorCode: 'DATETIME_IN_PAST', error: 'That time has already passed' });
+  }
+  const endTime = new Date(startTime.getTime() + duration * 60000);
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * 60000);
+
+  // Expired holds never block anything, this just keeps the table small
+  await holdOps.deleteExpired();
+
+  const held = await withKeyedLock(barber.id, () => withSlotClaim(barber.id, clientPhone, [{ start: startTime, end: endTime }], async () => {
+    const calendar = getCalendarClient(barber);
+    const availabilityOptions = { service, clientPhone };
+    const availability = await checkSlotAvailability(calendar, barber, startTime, endTime, availabilityOptions);
+    if (!availability.isAvailable) {
+      return { unavailable: await slotUnavailable(calendar, barber, startTime, duration, availability, availabilityOptions) };
+    }
+
+    return {
+      hold: await holdOps.create({
+        barber_id: barber.id,
+        client_phone: clientPhone,
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        expires_at: expiresAt.toISOString()
+      })
+    };
+  }));
+  if (held.unavailable) return held.unavailable;
+  const { hold } = held;
+  if (!hold) return result(500, { success: false, error: 'Failed to hold that time' });
+
+  if (!takeSend(clientPhone, ip, now)) {
+    await holdOps.release(hold.id);
+    return tooManySends();
+  }
+
+  const code = generateCode();
+  const sent = await sendCode(clientPhone, code);
+  if (!sent.success) {
+    await holdOps.release(hold.id);
+    return codeNotSent(sent);
+  }
+
+  return result(200, {
+    success: true,
+    message: `We texted a code to ${maskPhoneNumber(clientPhone)}`,
+    pendingBooking: {
+      barberId: barber.id,
+      shopId: barber.shop_id || null,
+      serviceId: service?.id || null,
+      startDateTime: formatInZone(startTime, timeZone),
+      clientName,
+      clientPhone,
+      holdId: hold.id,
+      codeHash: hashCode(code),
+      attempts: 0,
+      sends: 1,
+      expiresAt: expiresAt.toISOString()
+    }
+  });
+}
+
+function checkPending(pending, now) {
+  if (!pending) {
+    return result(400, { success: false, error: 'Pick a time to book first' });
+  }
+  if (new Date(pending.expiresAt) <= now) {
+    return result(410, { success: false, errorCode: 'CODE_EXPIRED', error: 'Your code has expired. Pick a time again.' });
+  }
+  return null;
+}
+
+// Text a new code for the same booking. The hold isn't extended.
+async function handleResendWebBookingCode(pending, { ip } = {}, now = new Date()) {
+  const invalid = checkPending(pending, now);
+  if (invalid) return invalid;
+  if (pending.sends >= MAX_CODE_SENDS) {
+    return result(429, { success: false, error: 'Too many codes sent. Pick a time again in a few minutes.' });
+  }
+  if (!takeSend(pending.clientPhone, ip, now)) return tooManySends();
+
+  const code = generateCode();
+  const sent = await sendCode(pending.clientPhone, code);
+  if (!sent.success) return codeNotSent(sent);
+
+  pending.codeHash = hashCode(code);
+  pending.attempts = 0;
+  pending.sends++;
+  return result(200, { success: true, message: `We texted a new code to ${maskPhoneNumber(pending.clientPhone)}` });
+}
+
+// Let go of the slot held for a booking that won't be confirmed, e.g. when
+// the client picks another time before entering the code
+async function releasePendingBooking(pending) {
+  if (pending?.holdId) await holdOps.release(pending.holdId);
+}
+
+// Check the code, then book through the same path as /client-appointment.
+// Attempts are counted on the hold rather than in the session, which parallel
+// requests would each read before any of them wrote it back.
+async function handleConfirmWebBooking(barber, pending, code, now = new Date()) {
+  const invalid = checkPending(pending, now);
+  if (invalid) return invalid;
+
+  const attempts = await holdOps.takeCodeAttempt(pending.holdId, MAX_CODE_ATTEMPTS);
+  if (attempts === null) {
+    return result(429, { success: false, error: 'Too many wrong codes. Pick a time again.' });
+  }
+
+  pending.attempts = attempts;
+  if (!codesMatch(pending.codeHash, code)) {
+    if (attempts < MAX_CODE_ATTEMPTS) {
+      return result(400, { success: false, errorCode: 'WRONG_CODE', error: 'That code doesn\'t match. Check the text and try again.' });
+    }
+    await holdOps.release(pending.holdId);
+    return result(429, { success: false, error: 'Too many wrong codes. Pick a time again.' });
+  }
+
+  if (!barber?.refresh_token) {
+    return result(404, { success: false, error: 'This barber isn\'t taking online bookings' });
+  }
+
+  // The phone is confirmed, so the client record can be created or updated.
+  // An existing client keeps the barber they already prefer.
+  const existing = await clientOps.getByPhoneNumber(pending.clientPhone);
+  await clientOps.createOrUpdate({
+    phone_number: pending.clientPhone,
+    name: pending.clientName,
+    preferred_barber_id: existing?.preferred_barber_id ? null : barber.id
+  });
+
+  const outcome = await handleCreateClientAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+    clientPhone: pending.clientPhone,
+    clientName: pending.clientName,
+    serviceId: pending.serviceId,
+    startDateTime: pending.startDateTime,
+    notes: 'Booked online',
+    barber,
+    holdId: pending.holdId,
+    timeZone: getBarberTimezone(barber)
+  });
+
+  // Only a successful booking releases the hold
+  if (outcome.status !== 200) await holdOps.release(pending.holdId);
+  return outcome;
+}
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  maskPhoneNumber,
+  getShopName,
+  getBookableServices,
+  findOpenSlots,
+  handleStartWebBooking,
+  handleResendWebBookingCode,
+  handleConfirmWebBooking,
+  releasePendingBooking
+};
@@ -0,0 +1,108 @@
+const { getZonedParts, zonedTimeToUtc, parseDateTimeInZone } = require('./timezone');
+
+// Keeps a single booking request to about a year of weekly visits
+const MAX_OCCURRENCES = 52;
+
+// Validate the recurrence sent with a booking: every N weeks, until a date or for a count
+function parseRecurrence(input, timeZone) {
+  if (!input) return null;
+
+  const recurrence = typeof input === 'string' ? JSON.parse(input) : input;
+  const intervalWeeks = parseInt(recurrence.intervalWeeks, 10);
+  const count = recurrence.count !== undefined && recurrence.count !== '' ? parseInt(recurrence.count, 10) : null;
+  const until = recurrence.until || null;
+
+  if (!(intervalWeeks >= 1 && intervalWeeks <= 12)) {
+    throw new Error('recurrence.intervalWeeks must be between 1 and 12');
+  }
+  if (!count && !until) {
+    throw new Error('recurrence needs either a count or an until date');
+  }
+  if (count && until) {
+    throw new Error('recurrence takes a count or an until date, not both');
+  }
+  if (count !== null && !(count >= 1 && count <= MAX_OCCURRENCES)) {
+    throw new Error(`recurrence.count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+
+  let untilTime = null;
+  if (until) {
+    // A bare date means "through the end of that day" in the barber's timezone
+    untilTime = /^\d{4}-\d{2}-\d{2}$/.test(until)
+      ? parseDateTimeInZone(`${until}T23:59:59`, timeZone)
+      : parseDateTimeInZone(until, timeZone);
+  }
+
+  return { intervalWeeks, count, untilTime };
+}
+
+// Every occurrence start, stepping whole weeks in local time so DST doesn't shift the hour
+function buildOccurrences(startTime, recurrence, timeZone) {
+  const { intervalWeeks, count, untilTime } = recurrence;
+  const local = getZonedParts(startTime, timeZone);
+  const occurrences = [];
+
+  for (let i = 0; occurrences.length < (count || MAX_OCCURRENCES + 1); i++) {
+    const occurrence = zonedTimeToUtc({
+      year: local.year,
+      month: local.month,
+      day: local.day + i * intervalWeeks * 7,
+      hour: local.hour,
+      minute: local.minute,
+      second: local.second
+    }, timeZone);
+
+    if (untilTime && occurrence > untilTime) break;
+    occurrences.push(occurrence);
+  }
+
+  if (occurrences.length > MAX_OCCURRENCES) {
+    throw new Error(`A recurring booking can cover at most ${MAX_OCCURRENCES} visits`);
+  }
+
+  return occurrences;
+}
+
+function formatRRuleUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatRRuleLocal(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+// Google Calendar recurrence lines for a weekly series, skipping any excluded starts
+function buildRecurrenceLines(recurrence, excludedStarts = [], timeZone) {
+  const { intervalWeeks, count, untilTime } = recurrence;
+  const rule = [`FREQ=WEEKLY`, `INTERVAL=${intervalWeeks}`];
+  if (count) rule.push(`COUNT=${count}`);
+  if (untilTime) rule.push(`UNTIL=${formatRRuleUtc(untilTime)}`);
+
+  const lines = [`RRULE:${rule.join(';')}`];
+  if (excludedStarts.length > 0) {
+    lines.push(`EXDATE;TZID=${timeZone}:${excludedStarts.map(start => formatRRuleLocal(start, timeZone)).join(',')}`);
+  }
+  return lines;
+}
+
+// End an existing series just before the given occurrence
+function truncateRecurrenceLines(lines, beforeTime) {
+  const until = formatRRuleUtc(new Date(new Date(beforeTime).getTime() - 1000));
+  return lines.map(line => {
+    if (!line.startsWith('RRULE:')) return line;
+    const parts = line.slice('RRULE:'.length).split(';')
+      .filter(part => !part.startsWith('COUNT=') && !part.startsWith('UNTIL='));
+    return `RRULE:${[...parts, `UNTIL=${until}`].join(';')}`;
+  });
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrence,
+  buildOccurrences,
+  buildRecurrenceLines,
+  truncateRecurrenceLines,
+  formatRRuleUtc
+};
@@ -0,0 +1,199 @@
+// Appointment reminders. Each booking gets one persisted job per reminder
+// offset; an in-process loop sends the due ones through the SMS sender.
+// Jobs follow the booking: moving an appointment re-times them and cancelling
+// it skips them.
+const { appointmentOps, barberOps, clientOps, reminderOps } = require('./supabase');
+const { getBarberTimezone } = require('./timezone');
+const { bookingEvents } = require('./booking');
+const { sendSms } = require('./sms');
+const { t, formatTime, getClientLanguage } = require('./i18n');
+const { runForShop } = require('./shops');
+
+const DEFAULT_OFFSETS_MINUTES = [24 * 60, 2 * 60];
+const CHECK_INTERVAL_MS = 60000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60000;
+// A job still 'sending' after this was dropped by a process that stopped
+const SENDING_TIMEOUT_MS = 10 * 60000;
+
+// REMINDER_OFFSETS_MINUTES="1440,120" sends reminders 24 hours and 2 hours before
+function getReminderOffsets() {
+  const configured = String(process.env.REMINDER_OFFSETS_MINUTES || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_OFFSETS_MINUTES;
+}
+
+// Create or re-time an appointment's reminders from its current row.
+// Reminders whose time has already passed are recorded as skipped.
+async function scheduleRemindersForEvent(eventId) {
+  const [appointment] = await appointmentOps.getByEventIds([eventId]);
+  if (!appointment || appointment.status === 'cancelled') {
+    await reminderOps.skipPendingForEvent(eventId);
+    return [];
+  }
+
+  const start = new Date(appointment.start_time);
+  const now = Date.now();
+
+  return await reminderOps.upsertForAppointment(getReminderOffsets().map(offset => {
+    const sendAt = new Date(start.getTime() - offset * 60000);
+    return {
+      google_calendar_event_id: eventId,
+      client_phone: appointment.client_phone,
+      barber_id: appointment.barber_id,
+      offset_minutes: offset,
+      appointment_start: start.toISOString(),
+      send_at: sendAt.toISOString(),
+      status: sendAt.getTime() > now ? 'pending' : 'skipped'
+    };
+  }));
+}
+
+function buildReminderMessage(appointment, barber, language) {
+  return t(language, 'reminder', {
+    service: appointment.service_type || t(language, 'defaultService'),
+    barber: barber?.name || t(language, 'defaultBarber'),
+    time: formatTime(appointment.start_time, getBarberTimezone(barber), language)
+  });
+}
+
+// Send one claimed job, or skip it if it no longer makes sense to send
+async function sendReminder(job, now) {
+  const [appointment] = await appointmentOps.getByEventIds([job.google_calendar_event_id]);
+
+  if (!appointment || appointment.status === 'cancelled' || new Date(appointment.start_time) <= now) {
+    return await reminderOps.transition(job.id, 'sending', { status: 'skipped' });
+  }
+
+  // The appointment moved without us hearing about it; re-time rather than send the old time
+  if (new Date(appointment.start_time).getTime() !== new Date(job.appointment_start).getTime()) {
+    await reminderOps.transition(job.id, 'sending', { status: 'skipped' });
+    await scheduleRemindersForEvent(job.google_calendar_event_id);
+    return null;
+  }
+
+  // After downtime, don't send a reminder so late that a later one is about to go out
+  if (now - new Date(job.send_at) > job.offset_minutes * 60000 / 2) {
+    return await reminderOps.transition(job.id, 'sending', { status: 'skipped', last_error: 'Too late to send' });
+  }
+
+  const barber = await barberOps.getById(appointment.barber_id);
+  const client = await clientOps.getByPhoneNumber(job.client_phone);
+  const sent = await sendSms(job.client_phone, buildReminderMessage(appointment, barber, getClientLanguage(client)));
+
+  if (sent.success) {
+    return await reminderOps.transition(job.id, 'sending', {
+      status: 'sent',
+      sent_at: now.toISOString(),
+      message_id: sent.id
+    });
+  }
+
+  if (sent.optedOut) {
+    return await reminderOps.transition(job.id, 'sending', { status: 'skipped', last_error: sent.error });
+  }
+
+  // Retry a few times before giving up
+  return await reminderOps.transition(job.id, 'sending', job.attempts < MAX_ATTEMPTS
+    ? { status: 'pending', send_at: new Date(now.getTime() + RETRY_DELAY_MS).toISOString(), last_error: sent.error }
+    : { status: 'failed', last_error: sent.error });
+}
+
+// Claim a job for this run: pending -> sending, or take over one stuck in
+// sending. A stuck job has used up an attempt, so one that has used them all fails.
+async function claimReminder(job, stuckBefore) {
+  const attempts = (job.attempts || 0) + 1;
+  if (job.status === 'pending') {
+    return await reminderOps.transition(job.id, 'pending', { status: 'sending', attempts });
+  }
+  return await reminderOps.reclaim(job, stuckBefore, (job.attempts || 0) < MAX_ATTEMPTS
+    ? { status: 'sending', attempts }
+    : { status: 'failed', last_error: 'Stopped while sending' });
+}
+
+// Send every due reminder. Each job is claimed (pending -> sending) before it
+// is sent, so overlapping runs or processes never send the same one twice.
+// Jobs stuck in sending are picked up again once SENDING_TIMEOUT_MS has passed.
+async function processDueReminders(now = new Date()) {
+  const stuckBefore = new Date(now.getTime() - SENDING_TIMEOUT_MS);
+  const due = [...await reminderOps.getStuck(stuckBefore), ...await reminderOps.getDue(now)];
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+
+  for (const job of due) {
+    const claimed = await claimReminder(job, stuckBefore);
+    if (!claimed) continue;
+    if (claimed.status === 'failed') {
+      summary.failed++;
+      continue;
+    }
+
+    try {
+      // Due reminders come from every shop; each is sent from inside its own
+      const updated = await runForShop(claimed.shop_id, () => sendReminder(claimed, now));
+      if (updated?.status === 'sent') summary.sent++;
+      else if (updated?.status === 'failed') summary.failed++;
+      else summary.skipped++;
+    } catch (e) {
+      console.error(`Error sending reminder ${job.id}:`, e);
+      await reminderOps.transition(job.id, 'sending', { status: 'failed', last_error: e.message });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+let schedulerTimer = null;
+
+function startReminderScheduler(intervalMs = CHECK_INTERVAL_MS) {
+  if (schedulerTimer) return schedulerTimer;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueReminders();
+    } catch (e) {
+      console.error('Error processing reminders:', e);
+    } finally {
+      running = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref();
+  tick();
+  return schedulerTimer;
+}
+
+function stopReminderScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+function logReminderError(e) {
+  console.error('Error updating reminders:', e);
+}
+
+bookingEvents.on('appointmentBooked', ({ eventId }) => {
+  scheduleRemindersForEvent(eventId).catch(logReminderError);
+});
+
+bookingEvents.on('appointmentMoved', ({ eventId }) => {
+  scheduleRemindersForEvent(eventId).catch(logReminderError);
+});
+
+bookingEvents.on('appointmentCancelled', ({ eventId }) => {
+  reminderOps.skipPendingForEvent(eventId).catch(logReminderError);
+});
+
+module.exports = {
+  getReminderOffsets,
+  scheduleRemindersForEvent,
+  processDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,99 @@
+const { serviceOps } = require('./supabase');
+
+// Lowercase and collapse punctuation so "Fade + Beard" matches "fade and beard"
+function normalizeServiceName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[&+]/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Merge a barber's override (if any) onto the shop-wide service definition
+function applyBarberOverride(service, override) {
+  return {
+    id: service.id,
+    name: service.name,
+    aliases: service.aliases || [],
+    duration: override?.duration_minutes || service.duration_minutes,
+    price: override?.price ?? service.price,
+    bufferBefore: service.buffer_before_minutes ?? null,
+    bufferAfter: service.buffer_after_minutes ?? null,
+    offered: override ? override.offered !== false : true
+  };
+}
+
+function toPublicService(service) {
+  return {
+    id: service.id,
+    name: service.name,
+    duration: service.duration,
+    price: service.price
+  };
+}
+
+async function getServicesForBarber(barberId) {
+  const services = await serviceOps.getAll();
+  const overrides = barberId ? await serviceOps.getBarberOverrides(barberId) : [];
+
+  return services.map(service =>
+    applyBarberOverride(service, overrides.find(override => override.service_id === service.id))
+  );
+}
+
+function matchService(services, identifier) {
+  const key = String(identifier).trim();
+  const byId = services.find(service => String(service.id) === key);
+  if (byId) return byId;
+
+  const normalized = normalizeServiceName(key);
+  return services.find(service =>
+    [service.name, ...service.aliases].some(name => normalizeServiceName(name) === normalized)
+  );
+}
+
+function serviceError(errorCode, message, validServices, requestedService = null) {
+  return {
+    error: message,
+    errorCode,
+    requestedService,
+    validServices: validServices.map(toPublicService)
+  };
+}
+
+// Resolve a service by id or name for a barber. Returns { service } on success,
+// { error } with the valid options when the service can't be booked, or
+// { service: null, catalogEmpty: true } when no catalog has been set up yet.
+async function resolveService({ serviceId, serviceName, barberId }) {
+  const services = await getServicesForBarber(barberId);
+
+  if (services.length === 0) {
+    return { service: null, catalogEmpty: true };
+  }
+
+  const offered = services.filter(service => service.offered);
+  const identifier = serviceId || serviceName;
+
+  if (!identifier) {
+    return { error: serviceError('SERVICE_REQUIRED', 'A service is required', offered) };
+  }
+
+  const service = matchService(services, identifier);
+
+  if (!service) {
+    return { error: serviceError('UNKNOWN_SERVICE', `Unknown service "${identifier}"`, offered, identifier) };
+  }
+
+  if (!service.offered) {
+    return { error: serviceError('SERVICE_NOT_OFFERED', `${service.name} is not offered by this barber`, offered, identifier) };
+  }
+
+  return { service };
+}
+
+module.exports = {
+  normalizeServiceName,
+  getServicesForBarber,
+  resolveService,
+  toPublicService
+};
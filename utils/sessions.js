@@ -0,0 +1,169 @@
+// Conversation session lifecycle. A session ends after a stretch of inactivity;
+// the next message starts a new one, and the old one is archived with a short
+// summary that's handed to the next session as context.
+const { appointmentOps, clientOps, conversationOps } = require('./supabase');
+const { withKeyedLock } = require('./bookingLock');
+const { getStatus } = require('./appointmentStatus');
+const { getZonedParts } = require('./timezone');
+const { runForShop } = require('./shops');
+
+const DEFAULT_TIMEOUT_HOURS = 24;
+const ARCHIVE_CHECK_MS = 60 * 60000;
+const LAST_REQUEST_LENGTH = 160;
+
+// CONVERSATION_SESSION_TIMEOUT_HOURS sets how long a session survives without messages
+function getSessionTimeoutMs() {
+  const hours = parseFloat(process.env.CONVERSATION_SESSION_TIMEOUT_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TIMEOUT_HOURS) * 3600000;
+}
+
+function isExpired(session, now = new Date()) {
+  const lastActive = new Date(session.last_active || session.created_at);
+  return now - lastActive > getSessionTimeoutMs();
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values.filter(Boolean)) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// In the shop's default timezone
+function partOfDay(date) {
+  const { hour } = getZonedParts(date);
+  return hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+}
+
+// Key facts about the client as of the end of a session
+async function summarizeSession(session) {
+  const messages = await conversationOps.getSessionMessages(session.id);
+  const client = await clientOps.getByPhoneNumber(session.phone_number);
+  const appointments = (await appointmentOps.findByClientPhone(session.phone_number))
+    .filter(appointment => getStatus(appointment) !== 'cancelled')
+    .sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+  const lastBooking = appointments[0] || null;
+  const lastRequest = [...messages].reverse().find(message => message.role === 'user')?.content || null;
+
+  return {
+    messageCount: messages.length,
+    clientName: client?.name && client.name !== 'New Client' ? client.name : null,
+    preferredBarber: client?.preferred_barber ? { id: client.preferred_barber.id, name: client.preferred_barber.name } : null,
+    preferredService: mostCommon(appointments.map(appointment => appointment.service_type)),
+    usualTime: mostCommon(appointments.map(appointment => partOfDay(new Date(appointment.start_time)))),
+    lastBooking: lastBooking ? {
+      eventId: lastBooking.google_calendar_event_id,
+      service: lastBooking.service_type,
+      barberId: lastBooking.barber_id,
+      start: lastBooking.start_time,
+      status: getStatus(lastBooking)
+    } : null,
+    lastRequest: lastRequest ? lastRequest.slice(0, LAST_REQUEST_LENGTH) : null
+  };
+}
+
+let sessionSummarizer = summarizeSession;
+
+// Replace how closed sessions are summarized (e.g. with a model-written summary)
+function setSessionSummarizer(summarizer) {
+  sessionSummarizer = summarizer || summarizeSession;
+}
+
+async function archiveSession(session) {
+  let summary = null;
+  try {
+    summary = await sessionSummarizer(session);
+  } catch (e) {
+    // Archive anyway; a missing summary only means less context next time
+    console.error(`Error summarizing session ${session.id}:`, e);
+  }
+  return await conversationOps.archiveSession(session.id, summary);
+}
+
+// The phone number's current session, archiving an expired one and starting
+// a new one as needed. One lookup per phone number at a time, so concurrent
+// messages can't each start their own session.
+async function getCurrentSession(phoneNumber, now = new Date()) {
+  return await withKeyedLock(`session:${phoneNumber}`, async () => {
+    const session = await conversationOps.getActiveSession(phoneNumber);
+    if (session && isExpired(session, now)) {
+      await archiveSession(session);
+    }
+    return await conversationOps.getOrCreateSession(phoneNumber);
+  });
+}
+
+// The summary of the client's last closed session, if any
+async function getPreviousSummary(phoneNumber) {
+  const previous = await conversationOps.getLastArchivedSession(phoneNumber);
+  return previous?.summary || null;
+}
+
+// One line of context for a model or an operator
+function describeSummary(summary) {
+  if (!summary) return null;
+
+  const parts = [];
+  if (summary.preferredService) parts.push(`usually books ${summary.preferredService}`);
+  if (summary.preferredBarber) parts.push(`prefers ${summary.preferredBarber.name}`);
+  if (summary.usualTime) parts.push(`usually comes in the ${summary.usualTime}`);
+  if (summary.lastBooking) {
+    parts.push(`last booking ${summary.lastBooking.service || 'appointment'} on ${summary.lastBooking.start} (${summary.lastBooking.status})`);
+  }
+  if (summary.lastRequest) parts.push(`last asked: "${summary.lastRequest}"`);
+
+  return parts.length > 0 ? `Previous conversation: ${parts.join('; ')}.` : null;
+}
+
+// Archive sessions that went quiet without a follow-up message
+async function archiveInactiveSessions(now = new Date()) {
+  const inactive = await conversationOps.getInactiveSessions(new Date(now.getTime() - getSessionTimeoutMs()));
+  let archived = 0;
+
+  for (const session of inactive) {
+    // Re-check under the lock in case a message came in since the lookup.
+    // Summaries read the client's appointments, so run inside their shop.
+    const closed = await runForShop(session.shop_id, () => withKeyedLock(`session:${session.phone_number}`, async () => {
+      const current = await conversationOps.getSessionById(session.id);
+      return current && isExpired(current, now) ? await archiveSession(current) : null;
+    }));
+    if (closed) archived++;
+  }
+
+  return { archived };
+}
+
+let archiveTimer = null;
+
+function scheduleSessionArchival(intervalMs = ARCHIVE_CHECK_MS) {
+  if (archiveTimer) return archiveTimer;
+
+  archiveTimer = setInterval(() => {
+    archiveInactiveSessions().catch(e => console.error('Error archiving sessions:', e));
+  }, intervalMs);
+  archiveTimer.unref();
+  return archiveTimer;
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    phoneNumber: session.phone_number,
+    status: session.status || 'active',
+    createdAt: session.created_at,
+    lastActive: session.last_active,
+    endedAt: session.ended_at || null,
+    summary: session.summary || null
+  };
+}
+
+module.exports = {
+  getSessionTimeoutMs,
+  summarizeSession,
+  setSessionSummarizer,
+  getCurrentSession,
+  getPreviousSummary,
+  describeSummary,
+  describeSession,
+  archiveInactiveSessions,
+  scheduleSessionArchival
+};
@@ -0,0 +1,26 @@
+// The shop the current request (or background job) is working for. Requests
+// set it once (see utils/shops); everything they call, down to the queries in
+// utils/supabase, reads it from here instead of passing a shop id along.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run task for a shop. A null shop runs it outside any shop, e.g. for jobs
+// that look across all shops before picking one.
+function runWithShop(shop, task) {
+  return storage.run(shop || null, task);
+}
+
+function getCurrentShop() {
+  return storage.getStore() || null;
+}
+
+function getCurrentShopId() {
+  return getCurrentShop()?.id || null;
+}
+
+module.exports = {
+  runWithShop,
+  getCurrentShop,
+  getCurrentShopId
+};
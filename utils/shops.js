@@ -0,0 +1,263 @@
+// Shops sharing this deployment. Every request is matched to one shop and runs
+// inside it (see utils/shopContext), so a shop only ever sees its own barbers,
+// clients, services and appointments.
+//
+// Webhook callers name their shop with its API key in the X-Shop-Key header;
+// inbound texts are matched by the number they were sent to. Calls without a
+// key go to DEFAULT_SHOP_ID, or else the oldest shop, so single-shop
+// deployments keep working. Before any shop exists they run outside a shop.
+const crypto = require('crypto');
+const { shopOps, barberOps } = require('./supabase');
+const { runWithShop } = require('./shopContext');
+const { isValidTimeZone } = require('./timezone');
+const { normalizeWorkingHours, buildWorkingHoursFromForm } = require('./workingHours');
+const { normalizePhoneNumber } = require('./phoneNumber');
+const { refreshBarberDropdown } = require('./googleForms');
+
+const ROLES = ['owner', 'admin', 'barber'];
+const MANAGER_ROLES = ['owner', 'admin'];
+
+function result(status, body) {
+  return { status, body };
+}
+
+function generateApiKey() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function generateJoinCode() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// The shop to use when a request doesn't name one: DEFAULT_SHOP_ID, else the
+// oldest shop. Null only while there are no shops yet.
+async function getDefaultShop() {
+  const defaultShopId = process.env.DEFAULT_SHOP_ID;
+  if (defaultShopId) {
+    const shop = await shopOps.getById(defaultShopId);
+    if (shop) return shop;
+    console.error(`DEFAULT_SHOP_ID ${defaultShopId} doesn't match a shop, using the oldest shop`);
+  }
+
+  const [oldest = null] = await shopOps.getAll({ limit: 1 });
+  return oldest;
+}
+
+// Middleware: run the rest of the request inside the shop it's for
+async function requireShop(req, res, next) {
+  if (req.shop) return next();
+
+  try {
+    const apiKey = req.get('X-Shop-Key');
+    const shop = apiKey ? await shopOps.getByApiKey(apiKey) : await getDefaultShop();
+
+    if (apiKey && !shop) {
+      return res.status(401).json({ success: false, errorCode: 'INVALID_SHOP_KEY', error: 'Unknown shop API key' });
+    }
+
+    req.shop = shop;
+    runWithShop(shop, next);
+  } catch (e) {
+    next(e);
+  }
+}
+
+// The shop an inbound text belongs to, from the number it was sent to
+async function findShopForSmsNumber(to) {
+  const normalized = normalizePhoneNumber(to);
+  return (normalized && await shopOps.getBySmsNumber(normalized)) || await getDefaultShop();
+}
+
+// Run a background task inside a shop. Rows from before shops existed have
+// no shop and run outside one.
+async function runForShop(shopId, task) {
+  const shop = shopId ? await shopOps.getById(shopId) : null;
+  return await runWithShop(shop, task);
+}
+
+async function runForBarberShop(barberId, task) {
+  const barber = await runWithShop(null, () => barberOps.getById(barberId));
+  return await runForShop(barber?.shop_id, task);
+}
+
+function getRole(barber) {
+  return ROLES.includes(barber?.role) ? barber.role : 'barber';
+}
+
+function canManageShop(barber) {
+  return MANAGER_ROLES.includes(getRole(barber));
+}
+
+function describeShop(shop, { includeSecrets = false } = {}) {
+  return {
+    id: shop.id,
+    name: shop.name,
+    timeZone: shop.timezone || null,
+    workingHours: shop.working_hours || null,
+    branding: {
+      logoUrl: shop.branding?.logoUrl || null,
+      color: shop.branding?.color || null
+    },
+    smsNumber: shop.sms_number || null,
+    googleFormId: shop.google_form_id || null,
+    googleFormBarberQuestionId: shop.google_form_barber_question_id || null,
+    ...(includeSecrets && { apiKey: shop.api_key, joinCode: shop.join_code })
+  };
+}
+
+// Check shop settings from a form or API call. Fields left out are unchanged.
+async function buildShopUpdate(input, shopId = null) {
+  const update = {};
+
+  if (input.name !== undefined) {
+    update.name = String(input.name).trim();
+    if (!update.name) return { error: 'Shop name can\'t be empty' };
+  }
+
+  if (input.timeZone !== undefined) {
+    if (!isValidTimeZone(input.timeZone)) return { error: `Unknown timezone: ${input.timeZone}` };
+    update.timezone = input.timeZone;
+  }
+
+  if (input.workingHours !== undefined || input.hours !== undefined) {
+    try {
+      update.working_hours = input.hours
+        ? buildWorkingHoursFromForm(input.hours)
+        : normalizeWorkingHours(input.workingHours);
+    } catch (e) {
+      return { error: `Invalid working hours: ${e.message}` };
+    }
+  }
+
+  if (input.logoUrl !== undefined || input.color !== undefined) {
+    const logoUrl = String(input.logoUrl || '').trim() || null;
+    const color = String(input.color || '').trim() || null;
+    if (logoUrl && !/^https:\/\//i.test(logoUrl)) return { error: 'The logo must be an https:// URL' };
+    if (color && !/^#[0-9a-f]{6}$/i.test(color)) return { error: 'The color must look like #1a2b3c' };
+    update.branding = { logoUrl, color };
+  }
+
+  if (input.smsNumber !== undefined) {
+    update.sms_number = input.smsNumber ? normalizePhoneNumber(input.smsNumber) : null;
+    if (update.sms_number) {
+      const existing = await shopOps.getBySmsNumber(update.sms_number);
+      if (existing && existing.id !== shopId) {
+        return { status: 409, errorCode: 'SMS_NUMBER_IN_USE', error: 'Another shop already texts from that number' };
+      }
+    }
+  }
+
+  if (input.googleFormId !== undefined) update.google_form_id = String(input.googleFormId).trim() || null;
+  if (input.googleFormBarberQuestionId !== undefined) {
+    update.google_form_barber_question_id = String(input.googleFormBarberQuestionId).trim() || null;
+  }
+
+  return { update };
+}
+
+// Create a shop. The first shop on a deployment takes over the data (and the
+// env settings) from before there were shops, which is why routes/shops only
+// lets the operator (with SHOP_SIGNUP_KEY) create shops. The API key isn't
+// returned; the owner finds it in shop settings once they've registered.
+async function handleCreateShop(input) {
+  if (!input.name) {
+    return result(400, { success: false, error: 'Shop name is required' });
+  }
+
+  const { update, error, status = 400, errorCode } = await buildShopUpdate(input);
+  if (error) return result(status, { success: false, errorCode, error });
+
+  const isFirstShop = (await shopOps.getAll({ limit: 1 })).length === 0;
+  const shop = await shopOps.create({
+    ...(isFirstShop && {
+      sms_number: normalizePhoneNumber(process.env.TWILIO_PHONE_NUMBER),
+      google_form_id: process.env.GOOGLE_FORM_ID || null,
+      google_form_barber_question_id: process.env.GOOGLE_FORM_BARBER_QUESTION_ID || null
+    }),
+    ...update,
+    api_key: generateApiKey(),
+    join_code: generateJoinCode()
+  });
+  if (!shop) {
+    return result(500, { success: false, error: 'Failed to create shop' });
+  }
+
+  if (isFirstShop && !(await shopOps.adoptUnassigned(shop.id))) {
+    console.error(`Shop ${shop.id} was created but existing data could not be assigned to it`);
+  }
+
+  return result(200, { success: true, shop: describeShop(shop), message: 'Shop created' });
+}
+
+async function handleUpdateShop(shop, input) {
+  const { update, error, status = 400, errorCode } = await buildShopUpdate(input, shop.id);
+  if (error) return result(status, { success: false, errorCode, error });
+  if (Object.keys(update).length === 0) {
+    return result(400, { success: false, error: 'Nothing to update' });
+  }
+
+  const updated = await shopOps.update(shop.id, update);
+  if (!updated) {
+    return result(500, { success: false, error: 'Failed to update shop' });
+  }
+
+  // A newly linked form should list the shop's barbers straight away
+  if (update.google_form_id && update.google_form_id !== shop.google_form_id) {
+    try {
+      await runWithShop(updated, () => refreshBarberDropdown());
+    } catch (e) {
+      console.error('Failed to update form dropdown:', e);
+    }
+  }
+
+  return result(200, { success: true, shop: describeShop(updated, { includeSecrets: true }), message: 'Shop settings saved' });
+}
+
+// A new key stops the old one working straight away
+async function handleRotateApiKey(shop) {
+  const updated = await shopOps.update(shop.id, { api_key: generateApiKey() });
+  if (!updated) {
+    return result(500, { success: false, error: 'Failed to create a new API key' });
+  }
+  return result(200, { success: true, shop: describeShop(updated, { includeSecrets: true }), message: 'New API key created. Update your integrations to use it.' });
+}
+
+// Owners make barbers admins (or owners); admins can't change roles
+async function handleSetBarberRole(actor, barberId, role) {
+  if (getRole(actor) !== 'owner') {
+    return result(403, { success: false, error: 'Only the shop owner can change roles' });
+  }
+  if (!ROLES.includes(role)) {
+    return result(400, { success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  const barber = await barberOps.getById(barberId);
+  if (!barber) {
+    return result(404, { success: false, error: 'Barber not found' });
+  }
+  if (String(barber.id) === String(actor.id) && role !== 'owner') {
+    return result(409, { success: false, error: 'Make someone else the owner before giving up your own role' });
+  }
+
+  const updated = await barberOps.update(barber.id, { role });
+  if (!updated) {
+    return result(500, { success: false, error: 'Failed to change role' });
+  }
+  return result(200, { success: true, barberId: updated.id, role, message: `${updated.name} is now ${role === 'admin' ? 'an admin' : `a ${role}`}` });
+}
+
+module.exports = {
+  ROLES,
+  getDefaultShop,
+  requireShop,
+  findShopForSmsNumber,
+  runForShop,
+  runForBarberShop,
+  getRole,
+  canManageShop,
+  describeShop,
+  handleCreateShop,
+  handleUpdateShop,
+  handleRotateApiKey,
+  handleSetBarberRole
+};
@@ -0,0 +1,78 @@
+// Outbound SMS through a pluggable sender. Twilio is used when it's configured;
+// otherwise the latest messages are kept in memory, which is also what tests
+// swap in with setSmsSender(createMemorySender()). Message bodies are never
+// logged since they carry booking codes.
+const { createTwilioSender } = require('./twilio');
+const { canTextPhoneNumber } = require('./consent');
+const { getCurrentShop } = require('./shopContext');
+
+// A long-running server without Twilio would otherwise keep every text it sent
+const MAX_MEMORY_MESSAGES = 100;
+
+function createMemorySender({ limit = MAX_MEMORY_MESSAGES } = {}) {
+  const messages = [];
+  let sentCount = 0;
+  return {
+    name: 'memory',
+    messages,
+    async send({ to, from, body }) {
+      sentCount++;
+      const message = { id: `memory-${sentCount}`, to, from, body, sentAt: new Date().toISOString() };
+      messages.push(message);
+      if (messages.length > limit) messages.splice(0, messages.length - limit);
+      return { id: message.id, status: 'sent' };
+    }
+  };
+}
+
+let sender = null;
+
+function getSmsSender() {
+  if (!sender) {
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+      sender = createTwilioSender();
+    } else {
+      console.warn('Twilio is not configured, outbound SMS will not be sent');
+      sender = createMemorySender();
+    }
+  }
+  return sender;
+}
+
+function setSmsSender(newSender) {
+  sender = newSender || null;
+}
+
+// Send one message. Returns { success, id } and never throws, so a failed text
+// doesn't undo the booking or reminder that triggered it. Clients who opted out
+// are never texted ({ success: false, optedOut: true }); allowOptedOut is only
+// for answering their own STOP or HELP.
+async function sendSms(to, body, options = {}) {
+  if (!to || !body) {
+    return { success: false, error: 'A recipient and a message body are required' };
+  }
+
+  const activeSender = getSmsSender();
+  try {
+    if (!options.allowOptedOut && !(await canTextPhoneNumber(to))) {
+      console.log(`Not texting ${to}: they have opted out of SMS`);
+      return { success: false, optedOut: true, error: 'The recipient has opted out of SMS' };
+    }
+
+    // Each shop texts from its own number
+    const from = options.from || getCurrentShop()?.sms_number || process.env.TWILIO_PHONE_NUMBER;
+    const sent = await activeSender.send({ to, from, body });
+    if (activeSender.name === 'memory') console.log(`SMS to ${to} kept in memory, Twilio is not configured`);
+    return { success: true, id: sent.id };
+  } catch (e) {
+    console.error(`Error sending SMS to ${to}:`, e.response?.data || e.message);
+    return { success: false, error: e.message };
+  }
+}
+
+module.exports = {
+  createMemorySender,
+  getSmsSender,
+  setSmsSender,
+  sendSms
+};
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const { getCurrentShopId } = require('./shopContext');
 require('dotenv').config();
 
 // Create Supabase client
@@ -12,11 +13,163 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Tables whose rows belong to one shop. Inside a shop (see utils/shopContext)
+// they're read and written through shopTable, which keeps every query to that
+// shop's rows and stamps new rows with it.
+const SHOP_TABLES = [
+  'barbers',
+  'clients',
+  'services',
+  'appointments',
+  'slot_holds',
+  'waitlist_entries',
+  'waitlist_offers',
+  'conversation_sessions',
+  'conversation_messages',
+  'reminder_jobs',
+  'time_off_blocks',
+  'barber_services',
+  'appointment_series'
+];
+
+function withShopId(rows, shopId) {
+  return Array.isArray(rows) ? rows.map(row => ({ shop_id: shopId, ...row })) : { shop_id: shopId, ...rows };
+}
+
+function shopTable(table) {
+  const query = supabase.from(table);
+  const shopId = getCurrentShopId();
+  if (!shopId) return query;
+
+  return {
+    select: (...args) => query.select(...args).eq('shop_id', shopId),
+    update: (...args) => query.update(...args).eq('shop_id', shopId),
+    delete: (...args) => query.delete(...args).eq('shop_id', shopId),
+    insert: (rows, ...args) => query.insert(withShopId(rows, shopId), ...args),
+    upsert: (rows, ...args) => query.upsert(withShopId(rows, shopId), ...args)
+  };
+}
+
+// Shop operations
+const shopOps = {
+  async getById(shopId) {
+    const { data, error } = await supabase
+      .from('shops')
+      .select('*')
+      .eq('id', shopId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching shop:', error);
+    }
+    return data;
+  },
+  
+  // Each shop's webhook calls carry its API key
+  async getByApiKey(apiKey) {
+    const { data, error } = await supabase
+      .from('shops')
+      .select('*')
+      .eq('api_key', apiKey)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching shop by API key:', error);
+    }
+    return data;
+  },
+  
+  // Inbound texts are routed by the number they were sent to
+  async getBySmsNumber(smsNumber) {
+    const { data, error } = await supabase
+      .from('shops')
+      .select('*')
+      .eq('sms_number', smsNumber)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching shop by SMS number:', error);
+    }
+    return data;
+  },
+  
+  // Barbers join a shop with its join code
+  async getByJoinCode(joinCode) {
+    const { data, error } = await supabase
+      .from('shops')
+      .select('*')
+      .eq('join_code', joinCode)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching shop by join code:', error);
+    }
+    return data;
+  },
+  
+  async getAll({ limit } = {}) {
+    let query = supabase
+      .from('shops')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (limit) query = query.limit(limit);
+    
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error fetching shops:', error);
+      return [];
+    }
+    return data;
+  },
+  
+  async create(shopData) {
+    const { data, error } = await supabase
+      .from('shops')
+      .insert(shopData)
+      .select();
+      
+    if (error) {
+      console.error('Error creating shop:', error);
+      return null;
+    }
+    return data[0];
+  },
+  
+  async update(shopId, updateData) {
+    const { data, error } = await supabase
+      .from('shops')
+      .update({ ...updateData, updated_at: new Date() })
+      .eq('id', shopId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating shop:', error);
+      return null;
+    }
+    return data[0] || null;
+  },
+  
+  // Give rows from before shops existed to a shop (the first one created)
+  async adoptUnassigned(shopId) {
+    for (const table of SHOP_TABLES) {
+      const { error } = await supabase
+        .from(table)
+        .update({ shop_id: shopId })
+        .is('shop_id', null);
+        
+      if (error) {
+        console.error(`Error assigning ${table} to shop:`, error);
+        return false;
+      }
+    }
+    return true;
+  }
+};
+
 // Barber operations
 const barberOps = {
   async getByPhoneNumber(phoneNumber) {
-    const { data, error } = await supabase
-      .from('barbers')
+    const { data, error } = await shopTable('barbers')
       .select('*')
       .eq('phone_number', phoneNumber)
       .single();
@@ -27,21 +180,61 @@ const barberOps = {
     return data;
   },
   
+  async getById(barberId) {
+    const { data, error } = await shopTable('barbers')
+      .select('*')
+      .eq('id', barberId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching barber:', error);
+    }
+    return data;
+  },
+  
+  // Barbers sign in to the dashboard with the Google account they registered
+  // with. The same account can be a barber in more than one shop.
+  async getAllByEmail(email) {
+    const { data, error } = await shopTable('barbers')
+      .select('*')
+      .eq('email', email)
+      .order('id', { ascending: true });
+      
+    if (error) {
+      console.error('Error fetching barbers by email:', error);
+      return [];
+    }
+    return data;
+  },
+  
   async updateOrCreate(barberData) {
-    const { phone_number, name, email, refresh_token, selected_calendar_id } = barberData;
+    const { 
+      phone_number, 
+      name, 
+      email, 
+      refresh_token, 
+      selected_calendar_id, 
+      working_hours, 
+      timezone, 
+      buffer_before_minutes, 
+      buffer_after_minutes 
+    } = barberData;
     
     // Check if barber exists
     const existingBarber = await this.getByPhoneNumber(phone_number);
     
     if (existingBarber) {
       // Update existing barber
-      const { data, error } = await supabase
-        .from('barbers')
+      const { data, error } = await shopTable('barbers')
         .update({
           name: name || existingBarber.name,
           email: email || existingBarber.email,
           refresh_token: refresh_token || existingBarber.refresh_token,
           selected_calendar_id: selected_calendar_id || existingBarber.selected_calendar_id,
+          working_hours: working_hours || existingBarber.working_hours,
+          timezone: timezone || existingBarber.timezone,
+          buffer_before_minutes: buffer_before_minutes ?? existingBarber.buffer_before_minutes,
+          buffer_after_minutes: buffer_after_minutes ?? existingBarber.buffer_after_minutes,
           updated_at: new Date()
         })
         .eq('phone_number', phone_number)
@@ -55,14 +248,17 @@ const barberOps = {
       return data[0];
     } else {
       // Create new barber
-      const { data, error } = await supabase
-        .from('barbers')
+      const { data, error } = await shopTable('barbers')
         .insert({
           phone_number,
           name: name || 'New Barber',
           email,
           refresh_token,
-          selected_calendar_id: selected_calendar_id || 'primary'
+          selected_calendar_id: selected_calendar_id || 'primary',
+          working_hours,
+          timezone,
+          buffer_before_minutes: buffer_before_minutes ?? 0,
+          buffer_after_minutes: buffer_after_minutes ?? 0
         })
         .select();
         
@@ -75,11 +271,28 @@ const barberOps = {
     }
   },
   
-  async updateCalendarId(phoneNumber, calendarId) {
-    const { data, error } = await supabase
-      .from('barbers')
+  // Update a barber by id, so changing their phone number can't create a second barber
+  async update(barberId, updateData) {
+    const { data, error } = await shopTable('barbers')
+      .update({ ...updateData, updated_at: new Date() })
+      .eq('id', barberId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating barber:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+  
+  async updateCalendarId(phoneNumber, calendarId, busyCalendarIds, timezone) {
+    const { data, error } = await shopTable('barbers')
       .update({
         selected_calendar_id: calendarId,
+        // Extra calendars whose events block bookings; only replaced when provided
+        ...(busyCalendarIds !== undefined && { busy_calendar_ids: busyCalendarIds }),
+        ...(timezone && { timezone }),
         updated_at: new Date()
       })
       .eq('phone_number', phoneNumber)
@@ -94,9 +307,8 @@ const barberOps = {
   },
 
   async getAllBarbers() {
-    const { data, error } = await supabase
-      .from('barbers')
-      .select('id, name')
+    const { data, error } = await shopTable('barbers')
+      .select('id, name, phone_number, role')
       .order('name', { ascending: true });
       
     if (error) {
@@ -107,9 +319,23 @@ const barberOps = {
     return data;
   },
   
+  // Barbers who have connected Google Calendar and can take bookings
+  async getAllAuthorized() {
+    const { data, error } = await shopTable('barbers')
+      .select('*')
+      .not('refresh_token', 'is', null)
+      .order('name', { ascending: true });
+      
+    if (error) {
+      console.error('Error fetching authorized barbers:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
   async getFirstWithRefreshToken() {
-    const { data, error } = await supabase
-      .from('barbers')
+    const { data, error } = await shopTable('barbers')
       .select('*')
       .not('refresh_token', 'is', null)
       .limit(1);
@@ -126,8 +352,7 @@ const barberOps = {
 // Client operations
 const clientOps = {
   async getByPhoneNumber(phoneNumber) {
-    const { data, error } = await supabase
-      .from('clients')
+    const { data, error } = await shopTable('clients')
       .select(`
         *,
         preferred_barber:barbers(id, name, phone_number)
@@ -141,9 +366,22 @@ const clientOps = {
     return data;
   },
 
+  async getByPhoneNumbers(phoneNumbers) {
+    if (!phoneNumbers.length) return [];
+
+    const { data, error } = await shopTable('clients')
+      .select('*')
+      .in('phone_number', phoneNumbers);
+
+    if (error) {
+      console.error('Error fetching clients:', error);
+      return [];
+    }
+    return data;
+  },
+
   async updatePreferredBarber(clientPhone, preferredBarberId) {
-    const { data, error } = await supabase
-      .from('clients')
+    const { data, error } = await shopTable('clients')
       .update({
         preferred_barber_id: preferredBarberId,
         updated_at: new Date()
@@ -172,8 +410,7 @@ const clientOps = {
     
     if (existingClient) {
       // Update existing client
-      const { data, error } = await supabase
-        .from('clients')
+      const { data, error } = await shopTable('clients')
         .update({
           name: name || existingClient.name,
           email: email || existingClient.email,
@@ -191,8 +428,7 @@ const clientOps = {
       return data[0];
     } else {
       // Create new client
-      const { data, error } = await supabase
-        .from('clients')
+      const { data, error } = await shopTable('clients')
         .insert({
           phone_number,
           name: name || 'New Client',
@@ -208,6 +444,50 @@ const clientOps = {
       
       return data[0];
     }
+  },
+
+  // source is 'detected' (from their messages) or 'manual' (they or staff chose it)
+  async updateLanguage(phoneNumber, language, source) {
+    const { data, error } = await shopTable('clients')
+      .update({
+        language,
+        language_source: source,
+        updated_at: new Date()
+      })
+      .eq('phone_number', phoneNumber)
+      .select();
+
+    if (error) {
+      console.error('Error updating client language:', error);
+      return null;
+    }
+
+    return data[0];
+  },
+
+  // Set whether the client gets texts and add the change to their consent
+  // history. Callers serialize changes per phone number (see utils/consent).
+  async updateSmsConsent(phoneNumber, optedOut, change) {
+    const existingClient = await this.getByPhoneNumber(phoneNumber);
+    if (!existingClient) return null;
+
+    const history = Array.isArray(existingClient.sms_consent_history) ? existingClient.sms_consent_history : [];
+    const { data, error } = await shopTable('clients')
+      .update({
+        sms_opted_out: optedOut,
+        sms_consent_updated_at: change.at,
+        sms_consent_history: [...history, change],
+        updated_at: new Date()
+      })
+      .eq('phone_number', phoneNumber)
+      .select();
+
+    if (error) {
+      console.error('Error updating client SMS consent:', error);
+      return null;
+    }
+
+    return data[0];
   }
 };
 
@@ -219,21 +499,26 @@ const appointmentOps = {
       client_phone, 
       barber_id, 
       service_type, 
+      service_id,
       start_time, 
       end_time, 
       google_calendar_event_id,
+      series_id,
+      status,
       notes 
     } = appointmentData;
     
-    const { data, error } = await supabase
-      .from('appointments')
+    const { data, error } = await shopTable('appointments')
       .insert({
         client_phone,
         barber_id,
         service_type,
+        service_id,
         start_time,
         end_time,
         google_calendar_event_id,
+        series_id,
+        status,
         notes
       })
       .select();
@@ -246,13 +531,27 @@ const appointmentOps = {
     return data[0];
   },
   
+  async getByEventIds(eventIds) {
+    if (eventIds.length === 0) return [];
+    
+    const { data, error } = await shopTable('appointments')
+      .select('*')
+      .in('google_calendar_event_id', eventIds);
+      
+    if (error) {
+      console.error('Error fetching appointments by event ID:', error);
+      throw new Error('Failed to read appointments');
+    }
+    
+    return data;
+  },
+  
   // Add this new method for updating appointments
   async updateByEventId(eventId, updateData) {
     console.log(`Attempting to update appointment with event ID: ${eventId}`);
     console.log('Update data:', updateData);
     
-    const { data, error } = await supabase
-      .from('appointments')
+    const { data, error } = await shopTable('appointments')
       .update({
         ...updateData,
         updated_at: new Date()
@@ -273,11 +572,71 @@ const appointmentOps = {
     console.log('Successfully updated appointment:', data);
     return { success: true, data: data[0] };
   },
+
+  // Change an appointment's status only if it's still in the status we read.
+  // Rows without a status are pending.
+  async transitionStatus(eventId, fromStatus, toStatus) {
+    let query = shopTable('appointments')
+      .update({
+        status: toStatus,
+        status_changed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('google_calendar_event_id', eventId);
+
+    query = fromStatus === 'pending'
+      ? query.or('status.is.null,status.eq.pending')
+      : query.eq('status', fromStatus);
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      console.error('Error updating appointment status:', error);
+      return null;
+    }
+
+    return data[0] || null;
+  },
+
+  // Cancel a series' appointments starting at or after the given time. The
+  // rows stay as a record of the cancellation, like single visits.
+  async cancelSeriesFrom(seriesId, fromTime) {
+    const { error } = await shopTable('appointments')
+      .update({
+        status: 'cancelled',
+        status_changed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('series_id', seriesId)
+      .gte('start_time', new Date(fromTime).toISOString());
+      
+    if (error) {
+      console.error('Error cancelling series appointments:', error);
+      return false;
+    }
+    
+    return true;
+  },
   
+  // A barber's appointments starting in [startFrom, startBefore), earliest first
+  async getForBarber(barberId, startFrom, startBefore) {
+    const { data, error } = await shopTable('appointments')
+      .select('*')
+      .eq('barber_id', barberId)
+      .gte('start_time', startFrom)
+      .lt('start_time', startBefore)
+      .order('start_time', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching barber appointments:', error);
+      return [];
+    }
+    return data;
+  },
+
   // Add this method to find appointments by client phone and date range
   async findByClientPhone(clientPhone, startTimeRange) {
-    let query = supabase
-      .from('appointments')
+    let query = shopTable('appointments')
       .select('*')
       .eq('client_phone', clientPhone);
     
@@ -305,111 +664,1016 @@ const appointmentOps = {
   }
 };
 
-const bookingStateOps = {
-  async updateBookingState(clientPhone, stateData) {
-    const { status, appointmentDetails = null } = stateData;
+// Service catalog operations
+const serviceOps = {
+  async getAll({ includeInactive = false } = {}) {
+    let query = shopTable('services')
+      .select('*')
+      .order('name', { ascending: true });
     
-    if (!clientPhone || !status) {
-      console.error('Missing required parameters for updating booking state');
-      return null;
+    if (!includeInactive) {
+      query = query.eq('active', true);
     }
     
-    // Check if client exists
-    const existingClient = await clientOps.getByPhoneNumber(clientPhone);
+    const { data, error } = await query;
     
-    if (!existingClient) {
-      console.error(`Client with phone ${clientPhone} not found`);
-      return null;
+    if (error) {
+      console.error('Error fetching services:', error);
+      return [];
     }
     
-    // Get current booking state
-    const currentState = existingClient.last_booking_state || {
-      status: 'not_started',
-      appointmentDetails: null,
-      lastUpdated: null
-    };
-    
-    // Prepare updated state
-    const updatedState = {
-      status,
-      appointmentDetails: appointmentDetails || currentState.appointmentDetails,
-      lastUpdated: new Date().toISOString()
-    };
+    return data;
+  },
+  
+  async getById(serviceId) {
+    const { data, error } = await shopTable('services')
+      .select('*')
+      .eq('id', serviceId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching service:', error);
+    }
+    return data;
+  },
+  
+  async create(serviceData) {
+    const { 
+      name, 
+      aliases = [], 
+      duration_minutes, 
+      price = null, 
+      buffer_before_minutes = null, 
+      buffer_after_minutes = null, 
+      active = true 
+    } = serviceData;
     
-    // Update client record
-    const { data, error } = await supabase
-      .from('clients')
-      .update({ 
-        last_booking_state: updatedState,
-        updated_at: new Date()
+    const { data, error } = await shopTable('services')
+      .insert({
+        name,
+        aliases,
+        duration_minutes,
+        price,
+        buffer_before_minutes,
+        buffer_after_minutes,
+        active
       })
-      .eq('phone_number', clientPhone)
       .select();
       
     if (error) {
-      console.error('Error updating booking state:', error);
+      console.error('Error creating service:', error);
       return null;
     }
     
     return data[0];
   },
   
-  async getBookingState(clientPhone) {
-    if (!clientPhone) {
-      console.error('Client phone number is required');
-      return null;
-    }
-    
-    const existingClient = await clientOps.getByPhoneNumber(clientPhone);
+  async update(serviceId, updateData) {
+    const allowed = ['name', 'aliases', 'duration_minutes', 'price', 'buffer_before_minutes', 'buffer_after_minutes', 'active'];
+    const changes = Object.fromEntries(
+      Object.entries(updateData).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+    );
     
-    if (!existingClient) {
+    const { data, error } = await shopTable('services')
+      .update({
+        ...changes,
+        updated_at: new Date()
+      })
+      .eq('id', serviceId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating service:', error);
       return null;
     }
     
-    return existingClient.last_booking_state || {
-      status: 'not_started',
-      appointmentDetails: null,
-      lastUpdated: null
-    };
-  }
-};
-
-const conversationOps = {
-  async getOrCreateSession(phoneNumber) {
-    // Check if session exists
-    let { data: session, error } = await supabase
-      .from('conversation_sessions')
-      .select('*')
-      .eq('phone_number', phoneNumber)
-      .single();
-    
-    if (error && error.code === 'PGRST116') {
-      // Session doesn't exist, create it
-      const { data: newSession, error: createError } = await supabase
-        .from('conversation_sessions')
-        .insert({ phone_number: phoneNumber })
-        .select()
-        .single();
+    return data[0];
+  },
+  
+  async delete(serviceId) {
+    const { error } = await shopTable('services')
+      .delete()
+      .eq('id', serviceId);
       
-      if (createError) {
-        console.error('Error creating session:', createError);
+    if (error) {
+      console.error('Error deleting service:', error);
+      return false;
+    }
+    
+    return true;
+  },
+  
+  async getBarberOverrides(barberId) {
+    const { data, error } = await shopTable('barber_services')
+      .select('*')
+      .eq('barber_id', barberId);
+      
+    if (error) {
+      console.error('Error fetching barber service overrides:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async upsertBarberOverride(barberId, serviceId, overrideData) {
+    const { duration_minutes = null, price = null, offered = true } = overrideData;
+    
+    const { data, error } = await shopTable('barber_services')
+      .upsert({
+        barber_id: barberId,
+        service_id: serviceId,
+        duration_minutes,
+        price,
+        offered,
+        updated_at: new Date()
+      }, { onConflict: 'barber_id,service_id' })
+      .select();
+      
+    if (error) {
+      console.error('Error saving barber service override:', error);
+      return null;
+    }
+    
+    return data[0];
+  }
+};
+
+// Recurring appointment series, one row per recurring Google Calendar event
+const seriesOps = {
+  async create(seriesData) {
+    const { 
+      client_phone, 
+      barber_id, 
+      service_type, 
+      service_id, 
+      google_recurring_event_id, 
+      start_time, 
+      duration_minutes, 
+      interval_weeks, 
+      occurrence_count, 
+      until_time 
+    } = seriesData;
+    
+    const { data, error } = await shopTable('appointment_series')
+      .insert({
+        client_phone,
+        barber_id,
+        service_type,
+        service_id,
+        google_recurring_event_id,
+        start_time,
+        duration_minutes,
+        interval_weeks,
+        occurrence_count,
+        until_time
+      })
+      .select();
+      
+    if (error) {
+      console.error('Error creating appointment series:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async getByRecurringEventId(recurringEventId) {
+    const { data, error } = await shopTable('appointment_series')
+      .select('*')
+      .eq('google_recurring_event_id', recurringEventId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching appointment series:', error);
+    }
+    return data;
+  },
+  
+  async update(seriesId, updateData) {
+    const { data, error } = await shopTable('appointment_series')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', seriesId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating appointment series:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async delete(seriesId) {
+    const { error } = await shopTable('appointment_series')
+      .delete()
+      .eq('id', seriesId);
+      
+    if (error) {
+      console.error('Error deleting appointment series:', error);
+      return false;
+    }
+    
+    return true;
+  }
+};
+
+// Time a barber has blocked off. Each block is one busy event (recurring
+// blocks have a recurrence) on the barber's booking calendar.
+const timeOffOps = {
+  async create(blockData) {
+    const { data, error } = await shopTable('time_off_blocks')
+      .insert(blockData)
+      .select();
+      
+    if (error) {
+      console.error('Error creating time off:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async getById(blockId) {
+    const { data, error } = await shopTable('time_off_blocks')
+      .select('*')
+      .eq('id', blockId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching time off:', error);
+    }
+    return data;
+  },
+  
+  async getByEventIds(eventIds) {
+    if (eventIds.length === 0) return [];
+    
+    const { data, error } = await shopTable('time_off_blocks')
+      .select('*')
+      .in('google_calendar_event_id', eventIds);
+      
+    if (error) {
+      console.error('Error fetching time off by event:', error);
+      return [];
+    }
+    return data;
+  },
+  
+  // Blocks still in effect at `from`: ones ending later, and recurring blocks
+  // that haven't run out
+  async getForBarber(barberId, from = new Date()) {
+    const fromTime = new Date(from);
+    const { data, error } = await shopTable('time_off_blocks')
+      .select('*')
+      .eq('barber_id', barberId)
+      .or(`repeat.not.is.null,end_time.gt.${fromTime.toISOString()}`)
+      .order('start_time', { ascending: true });
+      
+    if (error) {
+      console.error('Error fetching time off:', error);
+      return [];
+    }
+    return data.filter(block => !block.until_time || new Date(block.until_time) > fromTime);
+  },
+  
+  async delete(blockId) {
+    const { error } = await shopTable('time_off_blocks')
+      .delete()
+      .eq('id', blockId);
+      
+    if (error) {
+      console.error('Error deleting time off:', error);
+      return false;
+    }
+    return true;
+  }
+};
+
+// Short-lived slot holds while a client confirms an offered time
+const holdOps = {
+  async create(holdData) {
+    const { barber_id, client_phone, start_time, end_time, expires_at } = holdData;
+    
+    const { data, error } = await shopTable('slot_holds')
+      .insert({
+        barber_id,
+        client_phone,
+        start_time,
+        end_time,
+        expires_at,
+        code_attempts: 0
+      })
+      .select();
+      
+    if (error) {
+      console.error('Error creating slot hold:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+
+  // Insert several holds in one statement; null if any of them failed
+  async createMany(holds) {
+    const { data, error } = await shopTable('slot_holds')
+      .insert(holds.map(({ barber_id, client_phone, start_time, end_time, expires_at }) => ({
+        barber_id,
+        client_phone,
+        start_time,
+        end_time,
+        expires_at
+      })))
+      .select();
+
+    if (error) {
+      console.error('Error creating slot holds:', error);
+      return null;
+    }
+
+    return data;
+  },
+
+  async getById(holdId) {
+    const { data, error } = await shopTable('slot_holds')
+      .select('*')
+      .eq('id', holdId)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching slot hold:', error);
+    }
+    return data;
+  },
+  
+  // Unexpired holds for a barber that overlap the given range
+  async getActiveForBarber(barberId, timeMin, timeMax) {
+    const { data, error } = await shopTable('slot_holds')
+      .select('*')
+      .eq('barber_id', barberId)
+      .gt('expires_at', new Date().toISOString())
+      .lt('start_time', new Date(timeMax).toISOString())
+      .gt('end_time', new Date(timeMin).toISOString());
+      
+    if (error) {
+      console.error('Error fetching slot holds:', error);
+      throw new Error('Failed to read slot holds');
+    }
+    
+    return data;
+  },
+  
+  async release(holdId) {
+    const { error } = await shopTable('slot_holds')
+      .delete()
+      .eq('id', holdId);
+      
+    if (error) {
+      console.error('Error releasing slot hold:', error);
+      return false;
+    }
+
+    return true;
+  },
+
+  // Count a code entered for the booking this hold is for, unless it already
+  // has maxAttempts. Compare-and-set on the count, so guesses sent at the same
+  // time can't all read the same count. Returns the new count, or null when
+  // no attempts are left, the hold is gone or the count kept changing under us.
+  async takeCodeAttempt(holdId, maxAttempts) {
+    for (let tries = 0; tries < maxAttempts * 2; tries++) {
+      const { data: hold, error } = await shopTable('slot_holds')
+        .select('id, code_attempts')
+        .eq('id', holdId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error reading code attempts:', error);
         return null;
       }
-      session = newSession;
+      const attempts = hold?.code_attempts || 0;
+      if (!hold || attempts >= maxAttempts) return null;
+
+      const { data: updated, error: updateError } = await shopTable('slot_holds')
+        .update({ code_attempts: attempts + 1 })
+        .eq('id', holdId)
+        .eq('code_attempts', attempts)
+        .select('id');
+
+      if (updateError) {
+        console.error('Error counting code attempt:', updateError);
+        return null;
+      }
+      // Someone else counted an attempt in between; read the count again
+      if (updated.length > 0) return attempts + 1;
+    }
+    return null;
+  },
+
+  async releaseMany(holdIds) {
+    const { error } = await shopTable('slot_holds')
+      .delete()
+      .in('id', holdIds);
+
+    if (error) {
+      console.error('Error releasing slot holds:', error);
+      return false;
+    }
+
+    return true;
+  },
+  
+  async deleteExpired() {
+    const { error } = await shopTable('slot_holds')
+      .delete()
+      .lte('expires_at', new Date().toISOString());
+      
+    if (error) {
+      console.error('Error deleting expired slot holds:', error);
+    }
+  }
+};
+
+// Waitlist entries (a client waiting for a time window with a barber) and the
+// claim offers made to them when a matching slot frees up
+const waitlistOps = {
+  async createEntry(entryData) {
+    const { 
+      barber_id, 
+      client_phone, 
+      client_name, 
+      service_type, 
+      service_id, 
+      duration_minutes, 
+      window_start, 
+      window_end, 
+      priority 
+    } = entryData;
+    
+    const { data, error } = await shopTable('waitlist_entries')
+      .insert({
+        barber_id,
+        client_phone,
+        client_name,
+        service_type,
+        service_id,
+        duration_minutes,
+        window_start,
+        window_end,
+        priority: priority || 0,
+        status: 'waiting'
+      })
+      .select();
+      
+    if (error) {
+      console.error('Error creating waitlist entry:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async getEntryById(entryId) {
+    const { data, error } = await shopTable('waitlist_entries')
+      .select('*')
+      .eq('id', entryId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching waitlist entry:', error);
+    }
+    return data;
+  },
+  
+  async getEntries({ barberId, clientPhone, statuses = ['waiting', 'offered'] } = {}) {
+    let query = shopTable('waitlist_entries')
+      .select('*')
+      .in('status', statuses)
+      .order('window_start', { ascending: true });
+      
+    if (barberId) query = query.eq('barber_id', barberId);
+    if (clientPhone) query = query.eq('client_phone', clientPhone);
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error fetching waitlist entries:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  // Waiting entries whose window overlaps the slot, highest priority first, then first come
+  async getMatchingEntries(barberId, startTime, endTime) {
+    const { data, error } = await shopTable('waitlist_entries')
+      .select('*')
+      .eq('barber_id', barberId)
+      .eq('status', 'waiting')
+      .lt('window_start', new Date(endTime).toISOString())
+      .gt('window_end', new Date(startTime).toISOString())
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+      
+    if (error) {
+      console.error('Error fetching matching waitlist entries:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async updateEntry(entryId, updateData) {
+    const { data, error } = await shopTable('waitlist_entries')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', entryId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating waitlist entry:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async createOffer(offerData) {
+    const { entry_id, barber_id, client_phone, hold_id, slot_start, slot_end, start_time, end_time, expires_at } = offerData;
+    
+    const { data, error } = await shopTable('waitlist_offers')
+      .insert({
+        entry_id,
+        barber_id,
+        client_phone,
+        hold_id,
+        slot_start,
+        slot_end,
+        start_time,
+        end_time,
+        expires_at,
+        status: 'pending'
+      })
+      .select();
+      
+    if (error) {
+      console.error('Error creating waitlist offer:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async getOfferById(offerId) {
+    const { data, error } = await shopTable('waitlist_offers')
+      .select('*')
+      .eq('id', offerId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching waitlist offer:', error);
+    }
+    return data;
+  },
+  
+  async getPendingOffersForClient(clientPhone) {
+    const { data, error } = await shopTable('waitlist_offers')
+      .select('*')
+      .eq('client_phone', clientPhone)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('start_time', { ascending: true });
+      
+    if (error) {
+      console.error('Error fetching waitlist offers:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  // Every offer already made for a freed slot, so each entry is asked at most once
+  async getOffersForSlot(barberId, slotStart) {
+    const { data, error } = await shopTable('waitlist_offers')
+      .select('*')
+      .eq('barber_id', barberId)
+      .eq('slot_start', new Date(slotStart).toISOString());
+      
+    if (error) {
+      console.error('Error fetching waitlist offers for slot:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async getExpiredPendingOffers() {
+    const { data, error } = await shopTable('waitlist_offers')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('expires_at', new Date().toISOString());
+      
+    if (error) {
+      console.error('Error fetching expired waitlist offers:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  // Only moves an offer out of `fromStatus`, so two requests can't both settle it
+  async updateOffer(offerId, updateData, fromStatus = 'pending') {
+    const { data, error } = await shopTable('waitlist_offers')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', offerId)
+      .eq('status', fromStatus)
+      .select();
+      
+    if (error) {
+      console.error('Error updating waitlist offer:', error);
+      return null;
     }
     
-    // Update last_active
-    await supabase
-      .from('conversation_sessions')
-      .update({ last_active: new Date() })
-      .eq('id', session.id);
+    return data[0] || null;
+  }
+};
+
+// Google Calendar push-notification channels, one per barber's booking calendar
+const watchOps = {
+  async create(watchData) {
+    const { id, barber_id, calendar_id, resource_id, token, expiration, sync_token } = watchData;
+    
+    const { data, error } = await supabase
+      .from('calendar_watches')
+      .insert({
+        id,
+        barber_id,
+        calendar_id,
+        resource_id,
+        token,
+        expiration,
+        sync_token
+      })
+      .select();
+      
+    if (error) {
+      console.error('Error creating calendar watch:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async getByChannelId(channelId) {
+    const { data, error } = await supabase
+      .from('calendar_watches')
+      .select('*')
+      .eq('id', channelId)
+      .single();
+      
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching calendar watch:', error);
+    }
+    return data;
+  },
+  
+  async getByBarberId(barberId) {
+    const { data, error } = await supabase
+      .from('calendar_watches')
+      .select('*')
+      .eq('barber_id', barberId);
+      
+    if (error) {
+      console.error('Error fetching calendar watches:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async getExpiringBefore(time) {
+    const { data, error } = await supabase
+      .from('calendar_watches')
+      .select('*')
+      .lte('expiration', new Date(time).toISOString());
+      
+    if (error) {
+      console.error('Error fetching expiring calendar watches:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async update(channelId, updateData) {
+    const { data, error } = await supabase
+      .from('calendar_watches')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', channelId)
+      .select();
+      
+    if (error) {
+      console.error('Error updating calendar watch:', error);
+      return null;
+    }
+    
+    return data[0];
+  },
+  
+  async delete(channelId) {
+    const { error } = await supabase
+      .from('calendar_watches')
+      .delete()
+      .eq('id', channelId);
+      
+    if (error) {
+      console.error('Error deleting calendar watch:', error);
+      return false;
+    }
+    
+    return true;
+  }
+};
+
+// Scheduled reminder texts, one row per appointment and reminder offset so a
+// restart never sends the same reminder twice
+const reminderOps = {
+  // Create or re-time the reminders for an appointment; re-timed reminders go back to pending
+  async upsertForAppointment(jobs) {
+    if (jobs.length === 0) return [];
+    
+    const { data, error } = await shopTable('reminder_jobs')
+      .upsert(
+        jobs.map(job => ({ ...job, status: job.status || 'pending', attempts: 0, last_error: null, updated_at: new Date() })),
+        { onConflict: 'google_calendar_event_id,offset_minutes' }
+      )
+      .select();
+      
+    if (error) {
+      console.error('Error saving reminder jobs:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  async getDue(now = new Date(), limit = 50) {
+    const { data, error } = await shopTable('reminder_jobs')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('send_at', new Date(now).toISOString())
+      .order('send_at', { ascending: true })
+      .limit(limit);
+      
+    if (error) {
+      console.error('Error fetching due reminders:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  // Jobs left in 'sending' since before `before`, by a process that stopped mid-send
+  async getStuck(before, limit = 50) {
+    const { data, error } = await shopTable('reminder_jobs')
+      .select('*')
+      .eq('status', 'sending')
+      .lt('updated_at', new Date(before).toISOString())
+      .order('updated_at', { ascending: true })
+      .limit(limit);
+      
+    if (error) {
+      console.error('Error fetching stuck reminders:', error);
+      return [];
+    }
+    
+    return data;
+  },
+  
+  // Take over a stuck job. Every claim bumps attempts, so matching on them
+  // means only one process wins it.
+  async reclaim(job, before, updateData) {
+    const { data, error } = await shopTable('reminder_jobs')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', job.id)
+      .eq('status', 'sending')
+      .eq('attempts', job.attempts || 0)
+      .lt('updated_at', new Date(before).toISOString())
+      .select();
+      
+    if (error) {
+      console.error('Error reclaiming reminder job:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+  
+  // Move a job from one status to another, only if nobody else has moved it first
+  async transition(jobId, fromStatus, updateData) {
+    const { data, error } = await shopTable('reminder_jobs')
+      .update({
+        ...updateData,
+        updated_at: new Date()
+      })
+      .eq('id', jobId)
+      .eq('status', fromStatus)
+      .select();
+      
+    if (error) {
+      console.error('Error updating reminder job:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+  
+  async skipPendingForEvent(eventId) {
+    const { error } = await shopTable('reminder_jobs')
+      .update({ status: 'skipped', updated_at: new Date() })
+      .eq('google_calendar_event_id', eventId)
+      .eq('status', 'pending');
+      
+    if (error) {
+      console.error('Error skipping reminders:', error);
+      return false;
+    }
+    
+    return true;
+  }
+};
+
+// The client's booking flow (see utils/bookingFlow), kept on the client record
+const bookingStateOps = {
+  async getBookingState(clientPhone) {
+    const existingClient = await clientOps.getByPhoneNumber(clientPhone);
+    return existingClient?.last_booking_state || null;
+  },
+
+  async saveBookingState(clientPhone, state) {
+    const { data, error } = await shopTable('clients')
+      .update({
+        last_booking_state: state,
+        updated_at: new Date()
+      })
+      .eq('phone_number', clientPhone)
+      .select();
+
+    if (error) {
+      console.error('Error saving booking state:', error);
+      return null;
+    }
+
+    return data[0] ? data[0].last_booking_state : null;
+  }
+};
+
+// A phone number has one active session at a time; expired ones are archived
+// with a summary (see utils/sessions). Rows from before archiving have no status.
+const conversationOps = {
+  async getActiveSession(phoneNumber) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .or('status.is.null,status.eq.active')
+      .order('last_active', { ascending: false })
+      .limit(1);
+    
+    if (error) {
+      console.error('Error fetching session:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+
+  // last_active only moves when a message is added (see addMessage), so
+  // looking a session up doesn't keep it from expiring
+  async getOrCreateSession(phoneNumber) {
+    const session = await this.getActiveSession(phoneNumber);
+    if (session) return session;
+
+    const { data: newSession, error: createError } = await shopTable('conversation_sessions')
+      .insert({ phone_number: phoneNumber, status: 'active', last_active: new Date() })
+      .select()
+      .single();
+    
+    if (createError) {
+      console.error('Error creating session:', createError);
+      return null;
+    }
+    
+    return newSession;
+  },
+
+  async getSessionById(sessionId) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching session:', error);
+    }
+    return data;
+  },
+
+  // Newest first
+  async getSessions(phoneNumber, limit = 20) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .order('created_at', { ascending: false })
+      .limit(limit);
     
-    return session;
+    if (error) {
+      console.error('Error fetching sessions:', error);
+      return [];
+    }
+    
+    return data;
+  },
+
+  async getLastArchivedSession(phoneNumber) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .eq('status', 'archived')
+      .order('ended_at', { ascending: false })
+      .limit(1);
+    
+    if (error) {
+      console.error('Error fetching archived session:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+
+  async getInactiveSessions(inactiveSince, limit = 100) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .select('*')
+      .or('status.is.null,status.eq.active')
+      .lt('last_active', new Date(inactiveSince).toISOString())
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching inactive sessions:', error);
+      return [];
+    }
+    
+    return data;
+  },
+
+  // Close a session with its summary, only if it's still active
+  async archiveSession(sessionId, summary) {
+    const { data, error } = await shopTable('conversation_sessions')
+      .update({ status: 'archived', ended_at: new Date(), summary })
+      .eq('id', sessionId)
+      .or('status.is.null,status.eq.active')
+      .select();
+    
+    if (error) {
+      console.error('Error archiving session:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  },
+
+  // The latest `limit` messages, oldest first
+  async getSessionMessages(sessionId, limit = 100) {
+    const { data, error } = await shopTable('conversation_messages')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching session messages:', error);
+      return [];
+    }
+    
+    return data.reverse();
   },
 
   async addMessage(sessionId, role, content, metadata = null) {
-    const { data, error } = await supabase
-      .from('conversation_messages')
+    const { data, error } = await shopTable('conversation_messages')
       .insert({
         session_id: sessionId,
         role,
@@ -423,17 +1687,23 @@ const conversationOps = {
       return null;
     }
     
+    const { error: touchError } = await shopTable('conversation_sessions')
+      .update({ last_active: new Date() })
+      .eq('id', sessionId);
+    if (touchError) {
+      console.error('Error updating session activity:', touchError);
+    }
+    
     return data[0];
   },
 
+  // Read-only: doesn't start a session or count as activity
   async getConversationHistory(phoneNumber, limit = 10) {
-    // Get session
-    const session = await this.getOrCreateSession(phoneNumber);
+    const session = await this.getActiveSession(phoneNumber);
     if (!session) return [];
     
     // Get messages
-    const { data, error } = await supabase
-      .from('conversation_messages')
+    const { data, error } = await shopTable('conversation_messages')
       .select('*')
       .eq('session_id', session.id)
       .order('created_at', { ascending: false })
@@ -448,12 +1718,39 @@ const conversationOps = {
     return data.reverse();
   },
 
+  // Adds to each message's metadata rather than replacing it, so whatever the
+  // message was stored with (channel, consent, ...) is kept
+  async markProcessed(messageIds, batchId = null) {
+    if (messageIds.length === 0) return true;
+
+    const { data: messages, error: fetchError } = await shopTable('conversation_messages')
+      .select('id, metadata')
+      .in('id', messageIds);
+
+    if (fetchError) {
+      console.error('Error fetching messages to mark processed:', fetchError);
+      return false;
+    }
+
+    for (const message of messages) {
+      const { error } = await shopTable('conversation_messages')
+        .update({ metadata: { ...(message.metadata || {}), processed: true, batchId } })
+        .eq('id', message.id);
+
+      if (error) {
+        console.error('Error marking message processed:', error);
+        return false;
+      }
+    }
+
+    return true;
+  },
+
   async clearSession(phoneNumber) {
     const session = await this.getOrCreateSession(phoneNumber);
     if (!session) return false;
     
-    const { error } = await supabase
-      .from('conversation_messages')
+    const { error } = await shopTable('conversation_messages')
       .delete()
       .eq('session_id', session.id);
     
@@ -469,9 +1766,18 @@ const conversationOps = {
 // Export the new operations
 module.exports = {
   supabase,
+  shopTable,
+  shopOps,
   barberOps,
   clientOps,
   appointmentOps,
+  serviceOps,
+  seriesOps,
+  timeOffOps,
+  holdOps,
+  waitlistOps,
+  watchOps,
+  reminderOps,
   bookingStateOps,
   conversationOps  // Add this
 };
\ No newline at end of file
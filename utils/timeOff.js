@@ -0,0 +1,346 @@
+// Time off and blocked time ("off next Friday", "lunch 1-2 PM daily"). Each
+// block is a busy event on the barber's booking calendar, so free/busy keeps
+// clients out of it everywhere availability is checked.
+const { timeOffOps, appointmentOps, clientOps } = require('./supabase');
+const { getBarberTimezone, getZonedParts, zonedTimeToUtc, parseDateTimeInZone, formatInZone } = require('./timezone');
+const { resolveDateTimeInput } = require('./dateParser');
+const { formatRRuleUtc } = require('./recurrence');
+const { getCalendarClient, emitSlotFreed } = require('./booking');
+const { withKeyedLock } = require('./bookingLock');
+const { getStatus, findUpcomingAppointment } = require('./appointmentStatus');
+const { sendSms } = require('./sms');
+const { t, formatTime, getClientLanguage } = require('./i18n');
+
+const REPEATS = {
+  daily: 'FREQ=DAILY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  weekly: 'FREQ=WEEKLY'
+};
+
+const MAX_BLOCK_DAYS = 31;
+// How far ahead a repeating block is checked against booked appointments
+const AFFECTED_HORIZON_DAYS = 90;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function result(status, body) {
+  return { status, body };
+}
+
+function addLocalDays(date, days, timeZone) {
+  const local = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ ...local, day: local.day + days }, timeZone);
+}
+
+// A bare date starts at midnight, or as an end runs through the whole day
+function parseBound(value, timeZone, isEnd) {
+  if (DATE_ONLY.test(String(value))) {
+    const midnight = parseDateTimeInZone(`${value}T00:00:00`, timeZone);
+    return isEnd ? addLocalDays(midnight, 1, timeZone) : midnight;
+  }
+  return parseDateTimeInZone(value, timeZone);
+}
+
+// start/end, or one phrase: "next friday" is the whole day, "tomorrow 1-2pm" just that hour
+function resolveBlockTimes({ when, start, end }, timeZone, now) {
+  if (start) {
+    if (!end && !DATE_ONLY.test(String(start))) {
+      return { error: 'end is required when start has a time' };
+    }
+    return { start: parseBound(start, timeZone, false), end: parseBound(end || start, timeZone, true) };
+  }
+
+  const parsed = resolveDateTimeInput(when, timeZone, now);
+  if (!parsed) {
+    return { error: `Could not understand "${when}" as a date or time`, errorCode: 'UNPARSEABLE_DATETIME' };
+  }
+  if (parsed.end > parsed.start) return { start: parsed.start, end: parsed.end };
+
+  const local = getZonedParts(parsed.start, timeZone);
+  if (local.hour === 0 && local.minute === 0) {
+    return { start: parsed.start, end: addLocalDays(parsed.start, 1, timeZone) };
+  }
+  return { error: `"${when}" is a single time. Say when the time off ends too, e.g. "friday 1-2pm".` };
+}
+
+// Each time the block happens, up to `horizon`. Repeats step in local days so
+// DST doesn't move the hour.
+function listOccurrences(block, timeZone, horizon) {
+  const start = new Date(block.start_time);
+  const end = new Date(block.end_time);
+  if (!block.repeat) return [{ start, end }];
+
+  const durationMs = end - start;
+  const untilTime = block.until_time ? new Date(block.until_time) : null;
+  const local = getZonedParts(start, timeZone);
+  const occurrences = [];
+
+  for (let i = 0; ; i++) {
+    const occurrenceStart = zonedTimeToUtc({ ...local, day: local.day + i }, timeZone);
+    if (occurrenceStart > horizon || (untilTime && occurrenceStart > untilTime)) break;
+
+    const weekday = (local.weekday + i) % 7;
+    if (block.repeat === 'weekly' && i % 7 !== 0) continue;
+    if (block.repeat === 'weekdays' && i > 0 && (weekday === 0 || weekday === 6)) continue;
+    occurrences.push({ start: occurrenceStart, end: new Date(occurrenceStart.getTime() + durationMs) });
+  }
+
+  return occurrences;
+}
+
+// Booked appointments that fall in the block from now on
+async function findAffectedAppointments(barber, block, now = new Date()) {
+  const timeZone = getBarberTimezone(barber);
+  const horizon = new Date(now.getTime() + AFFECTED_HORIZON_DAYS * 86400000);
+  const occurrences = listOccurrences(block, timeZone, horizon).filter(occurrence => occurrence.end > now);
+  if (occurrences.length === 0) return [];
+
+  // Starting a day early catches appointments already running when the block starts
+  const appointments = await appointmentOps.getForBarber(
+    barber.id,
+    new Date(occurrences[0].start.getTime() - 86400000).toISOString(),
+    occurrences[occurrences.length - 1].end.toISOString()
+  );
+
+  return appointments.filter(appointment => {
+    const start = new Date(appointment.start_time);
+    const end = new Date(appointment.end_time);
+    return ['pending', 'confirmed'].includes(getStatus(appointment)) &&
+      end > now &&
+      occurrences.some(occurrence => start < occurrence.end && end > occurrence.start);
+  });
+}
+
+async function describeAffectedAppointments(appointments, timeZone) {
+  const clients = await clientOps.getByPhoneNumbers([...new Set(appointments.map(appointment => appointment.client_phone))]);
+  const names = new Map(clients.map(client => [client.phone_number, client.name]));
+
+  return appointments.map(appointment => ({
+    eventId: appointment.google_calendar_event_id,
+    clientPhone: appointment.client_phone,
+    clientName: names.get(appointment.client_phone) || null,
+    service: appointment.service_type,
+    status: getStatus(appointment),
+    start: formatInZone(new Date(appointment.start_time), timeZone),
+    end: formatInZone(new Date(appointment.end_time), timeZone)
+  }));
+}
+
+function describeTimeOff(block, timeZone) {
+  return {
+    id: block.id,
+    label: block.label,
+    start: formatInZone(new Date(block.start_time), timeZone),
+    end: formatInZone(new Date(block.end_time), timeZone),
+    repeat: block.repeat || null,
+    until: block.until_time ? formatInZone(new Date(block.until_time), timeZone) : null,
+    eventId: block.google_calendar_event_id,
+    timeZone
+  };
+}
+
+// Ask each client to pick a new time. R only reschedules a client's next
+// appointment, so anyone booked later is asked to call instead.
+async function notifyAffectedClients(barber, appointments) {
+  const timeZone = getBarberTimezone(barber);
+  let notified = 0;
+
+  for (const appointment of appointments) {
+    try {
+      const client = await clientOps.getByPhoneNumber(appointment.client_phone);
+      const language = getClientLanguage(client);
+      const upcoming = await findUpcomingAppointment(appointment.client_phone);
+      const key = upcoming?.google_calendar_event_id === appointment.google_calendar_event_id
+        ? 'barberUnavailable'
+        : 'barberUnavailableCallShop';
+
+      const sent = await sendSms(appointment.client_phone, t(language, key, {
+        barber: barber.name || t(language, 'defaultBarber'),
+        time: formatTime(appointment.start_time, timeZone, language)
+      }));
+      if (sent.success) notified++;
+    } catch (e) {
+      console.error(`Error notifying client about appointment ${appointment.google_calendar_event_id}:`, e);
+    }
+  }
+
+  return notified;
+}
+
+function affectedMessage(affected, notified) {
+  if (affected.length === 0) return '';
+  const asked = notified > 0 ? ` ${notified} client(s) were asked to reschedule.` : '';
+  return ` ${affected.length} booked appointment(s) fall in this time.${asked}`;
+}
+
+async function handleCreateTimeOff(barber, { when, start, end, label, repeat, until, notifyClients }) {
+  if (!barber?.refresh_token) {
+    return result(404, { success: false, error: 'Barber not found or unauthorized' });
+  }
+  if (!when && !start) {
+    return result(400, { success: false, error: 'when (e.g. "next friday") or start and end are required' });
+  }
+  if (repeat && !REPEATS[repeat]) {
+    return result(400, { success: false, error: `repeat must be one of: ${Object.keys(REPEATS).join(', ')}` });
+  }
+  if (until && !repeat) {
+    return result(400, { success: false, error: 'until only applies to repeating time off' });
+  }
+
+  const timeZone = getBarberTimezone(barber);
+  const now = new Date();
+  let times, untilTime = null;
+  try {
+    times = resolveBlockTimes({ when, start, end }, timeZone, now);
+    if (until) untilTime = parseBound(until, timeZone, true);
+  } catch (e) {
+    return result(400, { success: false, error: e.message });
+  }
+  if (times.error) {
+    return result(400, { success: false, errorCode: times.errorCode, error: times.error });
+  }
+
+  const durationMs = times.end - times.start;
+  if (durationMs <= 0) {
+    return result(400, { success: false, error: 'Time off has to end after it starts' });
+  }
+  if (times.end <= now) {
+    return result(400, { success: false, errorCode: 'DATETIME_IN_PAST', error: 'That time has already passed' });
+  }
+  if (durationMs > MAX_BLOCK_DAYS * 86400000) {
+    return result(400, { success: false, error: `Time off can last at most ${MAX_BLOCK_DAYS} days at a time` });
+  }
+  if (repeat && durationMs > 86400000) {
+    return result(400, { success: false, error: 'Repeating time off can last at most a day each time' });
+  }
+  if (untilTime && untilTime <= times.start) {
+    return result(400, { success: false, error: 'until has to be after the first time off' });
+  }
+
+  const title = String(label || '').trim() || (repeat ? 'Blocked' : 'Time off');
+  const calendarId = barber.selected_calendar_id || 'primary';
+
+  // Under the barber's lock so nothing is booked into the time as it's blocked
+  return await withKeyedLock(barber.id, async () => {
+    const event = await getCalendarClient(barber).events.insert({
+      calendarId,
+      resource: {
+        summary: `Blocked: ${title}`,
+        description: 'Time off added from the barber dashboard. Clients can\'t book during this time.',
+        start: { dateTime: formatInZone(times.start, timeZone), timeZone },
+        end: { dateTime: formatInZone(times.end, timeZone), timeZone },
+        transparency: 'opaque',
+        extendedProperties: { private: { timeOff: 'true' } },
+        ...(repeat && {
+          recurrence: [`RRULE:${REPEATS[repeat]}${untilTime ? `;UNTIL=${formatRRuleUtc(untilTime)}` : ''}`]
+        })
+      }
+    });
+
+    const block = await timeOffOps.create({
+      barber_id: barber.id,
+      google_calendar_event_id: event.data.id,
+      calendar_id: calendarId,
+      label: title,
+      start_time: times.start.toISOString(),
+      end_time: times.end.toISOString(),
+      repeat: repeat || null,
+      until_time: untilTime ? untilTime.toISOString() : null
+    });
+    if (!block) {
+      // Don't leave a block on the calendar that can't be managed from here
+      await getCalendarClient(barber).events.delete({ calendarId, eventId: event.data.id })
+        .catch(e => console.error('Error removing time off event:', e.message));
+      return result(500, { success: false, error: 'Failed to save time off' });
+    }
+
+    const affected = await findAffectedAppointments(barber, block, now);
+    const notified = notifyClients && affected.length > 0 ? await notifyAffectedClients(barber, affected) : 0;
+
+    return result(200, {
+      success: true,
+      timeOff: describeTimeOff(block, timeZone),
+      affectedAppointments: await describeAffectedAppointments(affected, timeZone),
+      notifiedClients: notified,
+      message: `Time off added.${affectedMessage(affected, notified)}`
+    });
+  });
+}
+
+async function getBarberBlock(barber, blockId) {
+  const block = blockId ? await timeOffOps.getById(blockId) : null;
+  return block && String(block.barber_id) === String(barber.id) ? block : null;
+}
+
+// Upcoming time off, each with the appointments booked during it
+async function listTimeOff(barber, now = new Date()) {
+  const timeZone = getBarberTimezone(barber);
+  const blocks = await timeOffOps.getForBarber(barber.id, now);
+
+  const described = [];
+  for (const block of blocks) {
+    const affected = await findAffectedAppointments(barber, block, now);
+    described.push({
+      ...describeTimeOff(block, timeZone),
+      affectedAppointments: await describeAffectedAppointments(affected, timeZone)
+    });
+  }
+  return described;
+}
+
+async function handleNotifyTimeOffClients(barber, blockId) {
+  const block = await getBarberBlock(barber, blockId);
+  if (!block) {
+    return result(404, { success: false, error: 'Time off not found' });
+  }
+
+  const affected = await findAffectedAppointments(barber, block);
+  if (affected.length === 0) {
+    return result(200, { success: true, notifiedClients: 0, message: 'No booked appointments fall in this time' });
+  }
+
+  const notified = await notifyAffectedClients(barber, affected);
+  return result(200, {
+    success: true,
+    notifiedClients: notified,
+    message: `${notified} of ${affected.length} client(s) were asked to reschedule`
+  });
+}
+
+// Clients waiting for a slot can have the rest of a removed one-off block back
+function releaseBlockedTime(barber, block) {
+  if (block.repeat || new Date(block.end_time) <= new Date()) return;
+  const start = new Date(Math.max(new Date(block.start_time).getTime(), Date.now()));
+  emitSlotFreed(barber, block.calendar_id, start, new Date(block.end_time));
+}
+
+async function handleDeleteTimeOff(barber, blockId) {
+  const block = await getBarberBlock(barber, blockId);
+  if (!block) {
+    return result(404, { success: false, error: 'Time off not found' });
+  }
+
+  try {
+    await getCalendarClient(barber).events.delete({ calendarId: block.calendar_id, eventId: block.google_calendar_event_id });
+  } catch (e) {
+    // Already deleted in Google Calendar
+    if (![404, 410].includes(e.code || e.response?.status)) throw e;
+  }
+
+  if (!(await timeOffOps.delete(block.id))) {
+    return result(500, { success: false, error: 'Failed to remove time off' });
+  }
+
+  releaseBlockedTime(barber, block);
+  return result(200, { success: true, message: 'Time off removed' });
+}
+
+module.exports = {
+  REPEATS,
+  listOccurrences,
+  findAffectedAppointments,
+  listTimeOff,
+  handleCreateTimeOff,
+  handleNotifyTimeOffClients,
+  handleDeleteTimeOff,
+  releaseBlockedTime
+};
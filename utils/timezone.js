@@ -0,0 +1,196 @@
+// Timezone helpers built on Intl so we can reason about a barber's local wall-clock time
+const { getCurrentShop } = require('./shopContext');
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Barbers without a timezone of their own use their shop's
+function getBarberTimezone(barber) {
+  if (isValidTimeZone(barber?.timezone)) return barber.timezone;
+  const shopTimeZone = getCurrentShop()?.timezone;
+  return isValidTimeZone(shopTimeZone) ? shopTimeZone : DEFAULT_TIMEZONE;
+}
+
+// Break an instant into the wall-clock fields seen in the given timezone
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    second: +parts.second,
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+  const time = new Date(date).getTime();
+  const p = getZonedParts(time, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (time - (((time % 1000) + 1000) % 1000));
+}
+
+// Convert a wall-clock time in the given timezone to the matching UTC instant.
+//
+// Around DST transitions a wall-clock time can happen twice (fall back) or not
+// at all (spring forward). `disambiguation` picks the behaviour:
+//   'compatible' - earlier of two matches; skipped times move forward by the gap (default)
+//   'earlier' / 'later' - pick that match; skipped times resolve before / after the gap
+//   'reject' - throw for ambiguous or skipped times
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = DEFAULT_TIMEZONE, disambiguation = 'compatible') {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+  // The offsets either side of the wall-clock time cover any transition nearby
+  const offsetBefore = getTimezoneOffset(wallClock - 86400000, timeZone);
+  const offsetAfter = getTimezoneOffset(wallClock + 86400000, timeZone);
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset)
+    .filter(instant => wallClock - getTimezoneOffset(instant, timeZone) === instant)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 1) return new Date(candidates[0]);
+
+  if (candidates.length > 1) {
+    if (disambiguation === 'reject') {
+      throw new Error(`Ambiguous local time in ${timeZone}: ${new Date(wallClock).toISOString().slice(0, 19)}`);
+    }
+    return new Date(disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0]);
+  }
+
+  if (disambiguation === 'reject') {
+    throw new Error(`Local time does not exist in ${timeZone}: ${new Date(wallClock).toISOString().slice(0, 19)}`);
+  }
+
+  // Skipped time: using the pre-transition offset lands after the gap, the
+  // post-transition offset lands before it
+  return new Date(wallClock - (disambiguation === 'earlier' ? offsetAfter : offsetBefore));
+}
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DATE_PREFIX = /^(\d{4})-(\d{2})-(\d{2})/;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?$/;
+
+// Whether the day exists in that month. Date.UTC rolls Feb 30 over to
+// March 2, so the day only exists if it comes back unchanged.
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Parse an API date-time string. Strings carrying an offset (or Z) are absolute
+// instants; bare local strings such as "2025-03-09T14:30" are read as wall-clock
+// time in the given timezone.
+function parseDateTimeInZone(dateTimeString, timeZone = DEFAULT_TIMEZONE, disambiguation = 'compatible') {
+  if (dateTimeString instanceof Date) {
+    if (isNaN(dateTimeString.getTime())) throw new Error('Invalid date');
+    return new Date(dateTimeString);
+  }
+
+  const value = String(dateTimeString || '').trim();
+
+  if (OFFSET_PATTERN.test(value)) {
+    const date = new Date(value);
+    const dateParts = value.match(DATE_PREFIX);
+    if (isNaN(date.getTime()) || (dateParts && !isCalendarDate(+dateParts[1], +dateParts[2], +dateParts[3]))) {
+      throw new Error(`Invalid date format: ${dateTimeString}`);
+    }
+    return date;
+  }
+
+  const match = value.match(LOCAL_PATTERN);
+  if (!match) throw new Error(`Invalid date format: ${dateTimeString}`);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = ''] = match;
+  if (!isCalendarDate(+year, +month, +day) || +hour > 23 || +minute > 59 || +second > 59) {
+    throw new Error(`Invalid date format: ${dateTimeString}`);
+  }
+
+  return zonedTimeToUtc({
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: +hour,
+    minute: +minute,
+    second: +second,
+    millisecond: +fraction.padEnd(3, '0').slice(0, 3)
+  }, timeZone, disambiguation);
+}
+
+// Format an instant as local ISO time with its offset, e.g. 2025-03-09T14:30:00-07:00
+function formatInZone(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getTimezoneOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const pad = n => String(n).padStart(2, '0');
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+}
+
+// Human-friendly local time for messages to clients, e.g. "Tue, Nov 3, 10:00 AM"
+// ("mar, 3 de nov, 10:00 a.m." in es-US)
+function formatFriendly(date, timeZone = DEFAULT_TIMEZONE, locale = 'en-US') {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(new Date(date));
+}
+
+// Start/end of a Google Calendar event time; all-day dates begin at local midnight
+function parseEventTime(eventTime, timeZone = DEFAULT_TIMEZONE) {
+  if (eventTime?.dateTime) return new Date(eventTime.dateTime);
+  return parseDateTimeInZone(eventTime.date, eventTime.timeZone || timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getBarberTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  parseDateTimeInZone,
+  formatInZone,
+  formatFriendly,
+  parseEventTime
+};
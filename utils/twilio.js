@@ -0,0 +1,65 @@
+// Twilio specifics: request signatures, TwiML replies and the REST sender
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Twilio signs the full URL it posted to followed by every form field, sorted
+// by name, as name+value, with HMAC-SHA1 keyed by the account's auth token
+function computeSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + [].concat(params[key]).join(''), url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+function validateSignature(authToken, signature, url, params) {
+  if (!authToken || !signature) return false;
+  const expected = Buffer.from(computeSignature(authToken, url, params));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// <Response> with one <Message> per reply; no replies gives an empty response
+function buildTwiml(messages = []) {
+  const body = [].concat(messages)
+    .filter(Boolean)
+    .map(message => `<Message>${escapeXml(message)}</Message>`)
+    .join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+}
+
+function createTwilioSender({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  defaultFrom = process.env.TWILIO_PHONE_NUMBER
+} = {}) {
+  return {
+    name: 'twilio',
+    async send({ to, from, body }) {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: from || defaultFrom, Body: body }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }
+      );
+      return { id: response.data.sid, status: response.data.status };
+    }
+  };
+}
+
+module.exports = {
+  computeSignature,
+  validateSignature,
+  buildTwiml,
+  createTwilioSender
+};
@@ -0,0 +1,330 @@
+// Waitlist backfill: when a cancellation or reschedule frees time on a barber's
+// calendar, offer it to waiting clients one at a time with a short claim window
+const EventEmitter = require('events');
+const { barberOps, clientOps, holdOps, waitlistOps } = require('./supabase');
+const { getBarberTimezone, formatInZone } = require('./timezone');
+const { checkSlotAvailability } = require('./availability');
+const { resolveService } = require('./services');
+const { withKeyedLock, withSlotClaim } = require('./bookingLock');
+const { bookingEvents, getCalendarClient, handleCreateClientAppointment } = require('./booking');
+const { sendSms } = require('./sms');
+const { t, formatTime, getClientLanguage } = require('./i18n');
+
+// How long a waitlisted client has to claim a freed slot before it moves on
+const CLAIM_MINUTES = 15;
+
+// Emits 'offer' ({ offer, entry, barber }) when a freed slot is offered; the
+// client is texted from the listener at the bottom of this file
+const waitlistEvents = new EventEmitter();
+
+const expiryTimers = new Map();
+
+function result(status, body) {
+  return { status, body };
+}
+
+function describeEntry(entry, timeZone) {
+  return {
+    entryId: entry.id,
+    barberId: entry.barber_id,
+    clientPhone: entry.client_phone,
+    clientName: entry.client_name,
+    serviceType: entry.service_type,
+    serviceId: entry.service_id,
+    duration: entry.duration_minutes,
+    windowStart: formatInZone(entry.window_start, timeZone),
+    windowEnd: formatInZone(entry.window_end, timeZone),
+    priority: entry.priority,
+    status: entry.status,
+    timeZone
+  };
+}
+
+function describeOffer(offer, timeZone) {
+  return {
+    offerId: offer.id,
+    entryId: offer.entry_id,
+    barberId: offer.barber_id,
+    start: new Date(offer.start_time).toISOString(),
+    end: new Date(offer.end_time).toISOString(),
+    localStart: formatInZone(offer.start_time, timeZone),
+    localEnd: formatInZone(offer.end_time, timeZone),
+    expiresAt: offer.expires_at,
+    status: offer.status,
+    timeZone
+  };
+}
+
+function clearExpiry(offerId) {
+  clearTimeout(expiryTimers.get(offerId));
+  expiryTimers.delete(offerId);
+}
+
+// Pass the offer on once its claim window runs out. Offers outliving a restart
+// are picked up by sweepExpiredOffers instead.
+function scheduleExpiry(offer) {
+  const timer = setTimeout(() => {
+    expiryTimers.delete(offer.id);
+    passOffer(offer, 'expired').catch(e => console.error('Error expiring waitlist offer:', e));
+  }, Math.max(new Date(offer.expires_at) - Date.now(), 0) + 1000);
+  timer.unref();
+  expiryTimers.set(offer.id, timer);
+}
+
+// The part of a freed slot an entry could take: from the later of the two
+// starts, for the entry's duration, if that still fits both the slot and the window
+function fitEntry(entry, slotStart, slotEnd) {
+  const start = new Date(Math.max(slotStart.getTime(), new Date(entry.window_start).getTime(), Date.now()));
+  const end = new Date(start.getTime() + entry.duration_minutes * 60000);
+  const latestEnd = Math.min(slotEnd.getTime(), new Date(entry.window_end).getTime());
+  return end.getTime() <= latestEnd ? { start, end } : null;
+}
+
+// Offer a freed slot to the first waiting client it suits who hasn't already
+// been offered it. Runs under the barber's booking lock, with the time claimed
+// around each check, so nobody books it between the check and the hold.
+async function offerFreedSlot(barber, start, end) {
+  const slotStart = new Date(start);
+  const slotEnd = new Date(end);
+  if (slotEnd <= new Date()) return null;
+
+  return await withKeyedLock(barber.id, async () => {
+    const [entries, previousOffers] = await Promise.all([
+      waitlistOps.getMatchingEntries(barber.id, slotStart, slotEnd),
+      waitlistOps.getOffersForSlot(barber.id, slotStart)
+    ]);
+
+    // Someone is already deciding on this slot
+    if (previousOffers.some(offer => offer.status === 'pending')) return null;
+
+    const alreadyAsked = new Set(previousOffers.map(offer => offer.entry_id));
+    const calendar = getCalendarClient(barber);
+
+    for (const entry of entries) {
+      if (alreadyAsked.has(entry.id)) continue;
+
+      const fit = fitEntry(entry, slotStart, slotEnd);
+      if (!fit) continue;
+
+      const resolved = await resolveService({ serviceId: entry.service_id, serviceName: entry.service_type, barberId: barber.id });
+      if (resolved.error) continue;
+
+      const expiresAt = new Date(Date.now() + CLAIM_MINUTES * 60000).toISOString();
+      const held = await withSlotClaim(barber.id, entry.client_phone, [fit], async () => {
+        const availability = await checkSlotAvailability(calendar, barber, fit.start, fit.end, {
+          service: resolved.service,
+          clientPhone: entry.client_phone
+        });
+        if (!availability.isAvailable) return { unavailable: true };
+
+        return {
+          hold: await holdOps.create({
+            barber_id: barber.id,
+            client_phone: entry.client_phone,
+            start_time: fit.start.toISOString(),
+            end_time: fit.end.toISOString(),
+            expires_at: expiresAt
+          })
+        };
+      });
+      if (held.unavailable) continue;
+      const { hold } = held;
+      if (!hold) return null;
+
+      const offer = await waitlistOps.createOffer({
+        entry_id: entry.id,
+        barber_id: barber.id,
+        client_phone: entry.client_phone,
+        hold_id: hold.id,
+        slot_start: slotStart.toISOString(),
+        slot_end: slotEnd.toISOString(),
+        start_time: fit.start.toISOString(),
+        end_time: fit.end.toISOString(),
+        expires_at: expiresAt
+      });
+      if (!offer) {
+        await holdOps.release(hold.id);
+        return null;
+      }
+
+      await waitlistOps.updateEntry(entry.id, { status: 'offered' });
+      scheduleExpiry(offer);
+      waitlistEvents.emit('offer', { offer, entry, barber });
+      return offer;
+    }
+
+    return null;
+  });
+}
+
+// Close a pending offer and release its hold. Returns null if it was already settled.
+async function closeOffer(offer, status) {
+  const closed = await waitlistOps.updateOffer(offer.id, { status });
+  if (!closed) return null;
+
+  clearExpiry(offer.id);
+  if (offer.hold_id) await holdOps.release(offer.hold_id);
+  return closed;
+}
+
+// A declined or expired offer puts the client back in line and moves the slot
+// on to the next waiting client
+async function passOffer(offer, status) {
+  const closed = await closeOffer(offer, status);
+  if (!closed) return null;
+
+  await waitlistOps.updateEntry(offer.entry_id, { status: 'waiting' });
+
+  const barber = await barberOps.getById(offer.barber_id);
+  if (barber?.refresh_token) {
+    await offerFreedSlot(barber, offer.slot_start, offer.slot_end);
+  }
+  return closed;
+}
+
+async function sweepExpiredOffers() {
+  const expired = await waitlistOps.getExpiredPendingOffers();
+  for (const offer of expired) {
+    await passOffer(offer, 'expired');
+  }
+}
+
+// Book the offered slot for the client. The offer is claimed first so a second
+// accept can't book it twice; if the booking fails the client goes back in line.
+async function acceptOffer(offerId, clientPhone) {
+  const offer = await waitlistOps.getOfferById(offerId);
+  if (!offer || offer.client_phone !== clientPhone) {
+    return result(404, { success: false, error: 'Offer not found' });
+  }
+
+  if (offer.status === 'pending' && new Date(offer.expires_at) <= new Date()) {
+    await passOffer(offer, 'expired');
+    return result(409, { success: false, errorCode: 'OFFER_CLOSED', error: 'This offer has expired' });
+  }
+
+  const claimed = await waitlistOps.updateOffer(offer.id, { status: 'accepted' });
+  if (!claimed) {
+    return result(409, { success: false, errorCode: 'OFFER_CLOSED', error: `This offer is ${offer.status}` });
+  }
+  clearExpiry(offer.id);
+
+  const [entry, barber] = await Promise.all([
+    waitlistOps.getEntryById(offer.entry_id),
+    barberOps.getById(offer.barber_id)
+  ]);
+  if (!entry || !barber?.refresh_token) {
+    await waitlistOps.updateOffer(offer.id, { status: 'unavailable' }, 'accepted');
+    return result(404, { success: false, error: 'Barber or waitlist entry not found' });
+  }
+
+  const timeZone = getBarberTimezone(barber);
+  let booking;
+  try {
+    booking = await handleCreateClientAppointment(getCalendarClient(barber), barber.selected_calendar_id || 'primary', {
+      clientPhone,
+      clientName: entry.client_name,
+      serviceType: entry.service_type,
+      serviceId: entry.service_id,
+      startDateTime: new Date(offer.start_time),
+      duration: entry.duration_minutes,
+      notes: 'Booked from the waitlist',
+      barber,
+      holdId: offer.hold_id,
+      timeZone
+    });
+  } catch (e) {
+    console.error(`Error booking waitlist offer ${offer.id}:`, e);
+    booking = result(500, { success: false, error: 'Failed to book the offered time' });
+  }
+
+  if (booking.status === 200) {
+    await waitlistOps.updateEntry(entry.id, { status: 'booked', google_calendar_event_id: booking.body.eventId });
+    return result(200, { ...booking.body, offerId: offer.id, entryId: entry.id });
+  }
+
+  await waitlistOps.updateOffer(offer.id, { status: 'unavailable' }, 'accepted');
+  if (offer.hold_id) await holdOps.release(offer.hold_id);
+  await waitlistOps.updateEntry(entry.id, { status: 'waiting' });
+  return booking;
+}
+
+async function declineOffer(offerId, clientPhone) {
+  const offer = await waitlistOps.getOfferById(offerId);
+  if (!offer || offer.client_phone !== clientPhone) {
+    return result(404, { success: false, error: 'Offer not found' });
+  }
+
+  const declined = await passOffer(offer, 'declined');
+  if (!declined) {
+    return result(409, { success: false, errorCode: 'OFFER_CLOSED', error: `This offer is ${offer.status}` });
+  }
+
+  return result(200, { success: true, offerId: offer.id, message: 'Offer declined, you are still on the waitlist' });
+}
+
+// Take an entry off the waitlist, passing on any slot it was being offered
+async function leaveWaitlist(entry) {
+  const pending = (await waitlistOps.getPendingOffersForClient(entry.client_phone))
+    .filter(offer => offer.entry_id === entry.id);
+
+  const updated = await waitlistOps.updateEntry(entry.id, { status: 'cancelled' });
+  for (const offer of pending) {
+    const closed = await closeOffer(offer, 'declined');
+    const barber = closed && await barberOps.getById(offer.barber_id);
+    if (barber?.refresh_token) await offerFreedSlot(barber, offer.slot_start, offer.slot_end);
+  }
+  return updated;
+}
+
+// A client's YES or NO to the slot they were texted about. Null when they
+// have no open offer, so the reply is handled like any other message.
+async function answerOfferReply(client, accept) {
+  const [offer] = await waitlistOps.getPendingOffersForClient(client.phone_number);
+  if (!offer) return null;
+
+  const language = getClientLanguage(client);
+  if (!accept) {
+    const outcome = await declineOffer(offer.id, client.phone_number);
+    return t(language, outcome.status === 200 ? 'waitlistOfferDeclined' : 'waitlistOfferGone');
+  }
+
+  const outcome = await acceptOffer(offer.id, client.phone_number);
+  if (outcome.status !== 200) return t(language, 'waitlistOfferGone');
+
+  const barber = await barberOps.getById(offer.barber_id);
+  return t(language, 'booked', {
+    time: formatTime(offer.start_time, getBarberTimezone(barber), language),
+    barber: barber?.name || t(language, 'defaultBarber')
+  });
+}
+
+async function textOffer({ offer, entry, barber }) {
+  const client = await clientOps.getByPhoneNumber(entry.client_phone);
+  const language = getClientLanguage(client);
+  await sendSms(entry.client_phone, t(language, 'waitlistOffer', {
+    barber: barber.name || t(language, 'defaultBarber'),
+    time: formatTime(offer.start_time, getBarberTimezone(barber), language),
+    minutes: CLAIM_MINUTES
+  }));
+}
+
+bookingEvents.on('slotFreed', ({ barber, start, end }) => {
+  offerFreedSlot(barber, start, end).catch(e => console.error('Error offering freed slot to the waitlist:', e));
+});
+
+waitlistEvents.on('offer', offered => {
+  textOffer(offered).catch(e => console.error('Error texting waitlist offer:', e));
+});
+
+module.exports = {
+  CLAIM_MINUTES,
+  waitlistEvents,
+  describeEntry,
+  describeOffer,
+  offerFreedSlot,
+  sweepExpiredOffers,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  answerOfferReply
+};
@@ -0,0 +1,184 @@
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { getCurrentShop } = require('./shopContext');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used for barbers who registered before working hours existed
+const DEFAULT_WORKING_HOURS = {
+  sunday: [],
+  monday: [{ start: '09:00', end: '18:00' }],
+  tuesday: [{ start: '09:00', end: '18:00' }],
+  wednesday: [{ start: '09:00', end: '18:00' }],
+  thursday: [{ start: '09:00', end: '18:00' }],
+  friday: [{ start: '09:00', end: '18:00' }],
+  saturday: [{ start: '09:00', end: '18:00' }]
+};
+
+function toMinutes(time) {
+  const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = +match[1];
+  const minutes = +match[2];
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Validate a weekly schedule and return it with every weekday present and
+// each day's shifts sorted and merged. Throws on malformed input.
+function normalizeWorkingHours(workingHours) {
+  if (!workingHours || typeof workingHours !== 'object' || Array.isArray(workingHours)) {
+    throw new Error('Working hours must be an object keyed by weekday');
+  }
+
+  const unknownDays = Object.keys(workingHours).filter(day => !WEEKDAYS.includes(day.toLowerCase()));
+  if (unknownDays.length > 0) {
+    throw new Error(`Unknown weekday in working hours: ${unknownDays.join(', ')}`);
+  }
+
+  const normalized = {};
+  for (const day of WEEKDAYS) {
+    const key = Object.keys(workingHours).find(k => k.toLowerCase() === day);
+    const shifts = key ? workingHours[key] : [];
+
+    if (shifts !== null && shifts !== undefined && !Array.isArray(shifts)) {
+      throw new Error(`Working hours for ${day} must be a list of shifts`);
+    }
+
+    const ranges = (shifts || []).map(shift => {
+      const start = toMinutes(shift?.start);
+      const end = toMinutes(shift?.end);
+      if (start === null || end === null) {
+        throw new Error(`Invalid shift time on ${day}; use HH:MM`);
+      }
+      if (start >= end) {
+        throw new Error(`Shift on ${day} must end after it starts`);
+      }
+      return { start, end };
+    }).sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+
+    normalized[day] = merged.map(range => ({ start: fromMinutes(range.start), end: fromMinutes(range.end) }));
+  }
+
+  return normalized;
+}
+
+// Build a schedule from the registration form, where each day has an optional
+// start/end and an optional break that splits the day into two shifts
+function buildWorkingHoursFromForm(hours = {}) {
+  const schedule = {};
+
+  for (const day of WEEKDAYS) {
+    const dayInput = hours[day] || {};
+    const enabled = dayInput.enabled === 'on' || dayInput.enabled === 'true' || dayInput.enabled === true;
+
+    if (!enabled || !dayInput.start || !dayInput.end) {
+      schedule[day] = [];
+      continue;
+    }
+
+    if (dayInput.breakStart && dayInput.breakEnd) {
+      schedule[day] = [
+        { start: dayInput.start, end: dayInput.breakStart },
+        { start: dayInput.breakEnd, end: dayInput.end }
+      ];
+    } else {
+      schedule[day] = [{ start: dayInput.start, end: dayInput.end }];
+    }
+  }
+
+  return normalizeWorkingHours(schedule);
+}
+
+// The current shop's usual hours, which new barbers start from
+function getShopWorkingHours() {
+  const shop = getCurrentShop();
+  if (!shop?.working_hours) return DEFAULT_WORKING_HOURS;
+  try {
+    return normalizeWorkingHours(shop.working_hours);
+  } catch (e) {
+    console.error(`Invalid working hours stored for shop ${shop.id}:`, e.message);
+    return DEFAULT_WORKING_HOURS;
+  }
+}
+
+function getBarberWorkingHours(barber) {
+  if (!barber?.working_hours) return getShopWorkingHours();
+  try {
+    return normalizeWorkingHours(barber.working_hours);
+  } catch (e) {
+    console.error(`Invalid working hours stored for barber ${barber.id}:`, e.message);
+    return getShopWorkingHours();
+  }
+}
+
+// Turn the weekly schedule into concrete UTC intervals overlapping [rangeStart, rangeEnd)
+function getWorkingIntervals(workingHours, rangeStart, rangeEnd, timeZone = DEFAULT_TIMEZONE) {
+  const start = new Date(rangeStart);
+  const end = new Date(rangeEnd);
+  const intervals = [];
+
+  // Walk local calendar days, starting one day early so overnight ranges are covered
+  const first = getZonedParts(start, timeZone);
+  let cursor = new Date(Date.UTC(first.year, first.month - 1, first.day - 1));
+
+  while (true) {
+    const year = cursor.getUTCFullYear();
+    const month = cursor.getUTCMonth() + 1;
+    const day = cursor.getUTCDate();
+    const dayStart = zonedTimeToUtc({ year, month, day }, timeZone);
+    if (dayStart >= end) break;
+
+    for (const shift of workingHours[WEEKDAYS[cursor.getUTCDay()]] || []) {
+      const shiftStartMinutes = toMinutes(shift.start);
+      const shiftEndMinutes = toMinutes(shift.end);
+      const shiftStart = zonedTimeToUtc({ year, month, day, hour: Math.floor(shiftStartMinutes / 60), minute: shiftStartMinutes % 60 }, timeZone);
+      const shiftEnd = zonedTimeToUtc({ year, month, day, hour: Math.floor(shiftEndMinutes / 60), minute: shiftEndMinutes % 60 }, timeZone);
+
+      if (shiftEnd > start && shiftStart < end) {
+        intervals.push({
+          start: new Date(Math.max(shiftStart.getTime(), start.getTime())),
+          end: new Date(Math.min(shiftEnd.getTime(), end.getTime()))
+        });
+      }
+    }
+
+    cursor = new Date(Date.UTC(year, month - 1, day + 1));
+  }
+
+  return intervals;
+}
+
+function isWithinWorkingHours(workingHours, start, end, timeZone = DEFAULT_TIMEZONE) {
+  const requestedStart = new Date(start);
+  const requestedEnd = new Date(end);
+  return getWorkingIntervals(workingHours, requestedStart, requestedEnd, timeZone).some(interval =>
+    interval.start <= requestedStart && interval.end >= requestedEnd
+  );
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_WORKING_HOURS,
+  normalizeWorkingHours,
+  buildWorkingHoursFromForm,
+  getShopWorkingHours,
+  getBarberWorkingHours,
+  getWorkingIntervals,
+  isWithinWorkingHours
+};